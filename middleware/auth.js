@@ -4,6 +4,11 @@ const path = require('path');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'siaf_hotel_beachscape_secret_2024';
 
+// Los tokens de acceso son de corta duración; la sesión se renueva con el refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -16,8 +21,32 @@ const authenticateToken = (req, res, next) => {
         if (err) {
             return res.status(403).json({ message: 'Token inválido' });
         }
-        req.user = user;
-        next();
+
+        // Rechazar tokens de sesiones revocadas o de usuarios desactivados
+        db.get(
+            `SELECT u.active, u.role, u.department, s.id as session_id, s.revoked_at
+             FROM users u
+             LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+             WHERE u.id = ?`,
+            [user.sid || 0, user.id],
+            (err, status) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                if (!status || !status.active) {
+                    return res.status(401).json({ message: 'Usuario inactivo' });
+                }
+
+                if (!status.session_id || status.revoked_at) {
+                    return res.status(401).json({ message: 'Sesión revocada o inválida' });
+                }
+
+                // El rol y departamento vigentes prevalecen sobre los del token
+                req.user = { ...user, role: status.role, department: status.department };
+                next();
+            }
+        );
     });
 };
 
@@ -35,7 +64,41 @@ const authorizeRole = (roles) => {
     };
 };
 
-const generateToken = (user) => {
+// Permisos asignados a un rol (el administrador tiene todos los permisos)
+const getRolePermissions = (role, callback) => {
+    const query = role === 'admin'
+        ? `SELECT name as permission FROM permissions`
+        : `SELECT permission FROM role_permissions WHERE role = ?`;
+
+    db.all(query, role === 'admin' ? [] : [role], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.permission));
+    });
+};
+
+// Autorizar si el rol del usuario tiene alguno de los permisos indicados
+const authorizePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'No autorizado' });
+        }
+
+        getRolePermissions(req.user.role, (err, granted) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al verificar permisos' });
+            }
+
+            if (!permissions.some(permission => granted.includes(permission))) {
+                return res.status(403).json({ message: 'Permisos insuficientes' });
+            }
+
+            req.user.permissions = granted;
+            next();
+        });
+    };
+};
+
+const generateToken = (user, sessionId) => {
     return jwt.sign(
         { 
             id: user.id, 
@@ -43,16 +106,19 @@ const generateToken = (user) => {
             email: user.email, 
             role: user.role,
             full_name: user.full_name,
-            department: user.department
+            department: user.department,
+            sid: sessionId
         },
         JWT_SECRET,
-        { expiresIn: '8h' }
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
     );
 };
 
 module.exports = {
     authenticateToken,
     authorizeRole,
+    authorizePermission,
+    getRolePermissions,
     generateToken,
     JWT_SECRET
 };
\ No newline at end of file
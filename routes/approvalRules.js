@@ -0,0 +1,162 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { toDepartmentName, isKnownDepartment } = require('../utils/departments');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// El rol aprobador debe existir y poder aprobar requisiciones
+const isApproverRole = (value) => new Promise((resolve, reject) => {
+    db.get(
+        `SELECT r.name,
+            (r.name = 'admin' OR EXISTS (
+                SELECT 1 FROM role_permissions rp WHERE rp.role = r.name AND rp.permission = 'requisitions.approve'
+            )) as can_approve
+         FROM roles r WHERE r.name = ?`,
+        [value],
+        (err, role) => {
+            if (err || !role) return reject(new Error('Rol aprobador no encontrado'));
+            if (!role.can_approve) return reject(new Error('El rol no tiene el permiso requisitions.approve'));
+            resolve(true);
+        }
+    );
+});
+
+const isActiveUser = (value) => new Promise((resolve, reject) => {
+    db.get(`SELECT id FROM users WHERE id = ? AND active = 1`, [value], (err, user) => {
+        if (err || !user) return reject(new Error('Usuario aprobador no encontrado o inactivo'));
+        resolve(true);
+    });
+});
+
+const ruleValidators = [
+    body('name').notEmpty().withMessage('Nombre de la regla es requerido'),
+    body('department').optional({ nullable: true, checkFalsy: true })
+        .customSanitizer(toDepartmentName(db)).custom(isKnownDepartment(db)),
+    body('step_order').isInt({ min: 1 }).withMessage('Orden del paso debe ser un entero mayor a 0'),
+    body('min_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Monto mínimo inválido'),
+    body('max_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Monto máximo inválido'),
+    body('priority').optional({ nullable: true }).isIn(['low', 'medium', 'high', 'critical']).withMessage('Prioridad inválida'),
+    body('approver_role').optional({ nullable: true, checkFalsy: true }).custom(isApproverRole),
+    body('approver_user_id').optional({ nullable: true }).isInt().withMessage('Usuario aprobador inválido')
+        .bail().custom(isActiveUser),
+    body().custom(value => {
+        if (!value.approver_role && !value.approver_user_id) {
+            throw new Error('Se requiere un rol o usuario aprobador');
+        }
+        return true;
+    })
+];
+
+// Obtener reglas de aprobación
+router.get('/', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const query = `
+        SELECT
+            ar.*,
+            u.full_name as approver_user_name
+        FROM approval_rules ar
+        LEFT JOIN users u ON ar.approver_user_id = u.id
+        ORDER BY ar.step_order ASC, ar.id ASC
+    `;
+    
+    db.all(query, (err, rules) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener reglas de aprobación' });
+        }
+        
+        res.json({ rules });
+    });
+});
+
+// Crear regla de aprobación
+router.post('/', authenticateToken, authorizePermission('approval_rules.manage'), ruleValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const {
+        name, step_order, department, priority, min_amount = 0, max_amount,
+        approver_role, approver_user_id, same_department = false, active = true
+    } = req.body;
+    
+    db.run(
+        `INSERT INTO approval_rules (
+            name, step_order, department, priority, min_amount, max_amount,
+            approver_role, approver_user_id, same_department, active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, step_order, department, priority, min_amount, max_amount,
+         approver_role, approver_user_id, same_department ? 1 : 0, active ? 1 : 0],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al crear regla de aprobación' });
+            }
+            
+            res.status(201).json({
+                message: 'Regla de aprobación creada exitosamente',
+                rule: { id: this.lastID, name, step_order, min_amount, approver_role, approver_user_id }
+            });
+        }
+    );
+});
+
+// Actualizar regla de aprobación
+router.put('/:id', authenticateToken, authorizePermission('approval_rules.manage'), ruleValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const {
+        name, step_order, department, priority, min_amount = 0, max_amount,
+        approver_role, approver_user_id, same_department = false, active = true
+    } = req.body;
+    
+    db.run(
+        `UPDATE approval_rules SET
+            name = ?, step_order = ?, department = ?, priority = ?, min_amount = ?,
+            max_amount = ?, approver_role = ?, approver_user_id = ?, same_department = ?,
+            active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [name, step_order, department, priority, min_amount, max_amount,
+         approver_role, approver_user_id, same_department ? 1 : 0, active ? 1 : 0, id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al actualizar regla de aprobación' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Regla de aprobación no encontrada' });
+            }
+            
+            res.json({ message: 'Regla de aprobación actualizada exitosamente' });
+        }
+    );
+});
+
+// Desactivar regla de aprobación (las cadenas ya generadas se conservan)
+router.delete('/:id', authenticateToken, authorizePermission('approval_rules.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    db.run(
+        `UPDATE approval_rules SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al eliminar regla de aprobación' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Regla de aprobación no encontrada' });
+            }
+            
+            res.json({ message: 'Regla de aprobación eliminada exitosamente' });
+        }
+    );
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,260 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { authenticateToken, getRolePermissions } = require('../middleware/auth');
+const { getSnapshot, recordChange } = require('../utils/audit');
+const {
+    ATTACHMENT_ENTITIES, MAX_FILE_SIZE, formatFileSize, attachmentPath, attachmentUpload, inspectFile, removeFile
+} = require('../utils/attachments');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Rutas: /api/attachments/:entityType/:entityId con entityType asset, incident, maintenance o
+// responsive_form. Los permisos dependen del registro al que pertenece el adjunto.
+
+const ATTACHMENT_COLUMNS = `
+    at.id, at.entity_type, at.entity_id, at.original_name, at.mime_type, at.size, at.checksum,
+    at.description, at.uploaded_by, u.full_name as uploaded_by_name, at.created_at`;
+
+// Verificar el tipo de registro, los permisos del módulo (view o upload) y que el registro sea
+// visible para el usuario según su departamento; deja la configuración en req.attachmentEntity
+const authorizeParent = (action) => (req, res, next) => {
+    const entity = ATTACHMENT_ENTITIES[req.params.entityType];
+    
+    if (!entity) {
+        return res.status(400).json({
+            message: `Tipo de registro inválido (${Object.keys(ATTACHMENT_ENTITIES).join(', ')})`
+        });
+    }
+    
+    getRolePermissions(req.user.role, (err, granted) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al verificar permisos' });
+        }
+        
+        const allowed = (permissions) => permissions.some(permission => granted.includes(permission));
+        
+        if (!allowed(entity.view) || (action === 'upload' && !allowed(entity.upload))) {
+            return res.status(403).json({ message: 'Permisos insuficientes' });
+        }
+        
+        req.user.permissions = granted;
+        const scope = entity.scope(req.user, entity.alias);
+        
+        db.get(
+            `SELECT ${entity.alias}.id FROM ${entity.table} ${entity.alias}
+             WHERE ${entity.alias}.id = ? AND ${scope.clause}`,
+            [req.params.entityId, ...scope.params],
+            (err, record) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener el registro' });
+                }
+                
+                if (!record) {
+                    return res.status(404).json({ message: 'Registro no encontrado' });
+                }
+                
+                req.attachmentEntity = entity;
+                next();
+            }
+        );
+    });
+};
+
+// Obtener el adjunto del registro indicado o responder 404
+const findAttachment = (req, res, callback) => {
+    db.get(
+        `SELECT * FROM attachments WHERE id = ? AND entity_type = ? AND entity_id = ?`,
+        [req.params.attachmentId, req.params.entityType, req.params.entityId],
+        (err, attachment) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener archivo adjunto' });
+            }
+            
+            if (!attachment) {
+                return res.status(404).json({ message: 'Archivo adjunto no encontrado' });
+            }
+            
+            callback(attachment);
+        }
+    );
+};
+
+// Obtener los adjuntos de un registro
+router.get('/:entityType/:entityId', authenticateToken, authorizeParent('view'), (req, res) => {
+    db.all(
+        `SELECT ${ATTACHMENT_COLUMNS}
+         FROM attachments at
+         LEFT JOIN users u ON at.uploaded_by = u.id
+         WHERE at.entity_type = ? AND at.entity_id = ?
+         ORDER BY at.created_at DESC, at.id DESC`,
+        [req.params.entityType, req.params.entityId],
+        (err, attachments) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener archivos adjuntos' });
+            }
+            
+            res.json({
+                attachments,
+                totalSize: attachments.reduce((sum, attachment) => sum + attachment.size, 0)
+            });
+        }
+    );
+});
+
+// Adjuntar un archivo. Campos multipart: file y description (opcional). Se valida la extensión,
+// el MIME declarado y que el contenido corresponda al tipo; el mismo archivo (SHA-256) no se
+// adjunta dos veces al mismo registro.
+router.post('/:entityType/:entityId', authenticateToken, authorizeParent('upload'), (req, res) => {
+    attachmentUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                message: err.code === 'LIMIT_FILE_SIZE'
+                    ? `El archivo excede el tamaño máximo de ${formatFileSize(MAX_FILE_SIZE)}`
+                    : 'Error al recibir el archivo'
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ message: req.fileValidationError || 'Se requiere un archivo' });
+        }
+        
+        const { entityType, entityId } = req.params;
+        const description = req.body.description ? String(req.body.description).trim() : null;
+        
+        if (description && description.length > 255) {
+            removeFile(req.file.path);
+            return res.status(400).json({ message: 'Descripción demasiado larga (máximo 255 caracteres)' });
+        }
+        
+        inspectFile(req.file.path, req.file.originalname, (err, file) => {
+            if (err) {
+                removeFile(req.file.path);
+                return res.status(500).json({ message: 'Error al guardar archivo adjunto' });
+            }
+            
+            if (!file.validContent) {
+                removeFile(req.file.path);
+                return res.status(400).json({ message: 'El contenido del archivo no corresponde a su tipo' });
+            }
+            
+            db.get(
+                `SELECT id, original_name FROM attachments WHERE entity_type = ? AND entity_id = ? AND checksum = ?`,
+                [entityType, entityId, file.checksum],
+                (err, duplicate) => {
+                    if (err) {
+                        removeFile(req.file.path);
+                        return res.status(500).json({ message: 'Error al guardar archivo adjunto' });
+                    }
+                    
+                    if (duplicate) {
+                        removeFile(req.file.path);
+                        return res.status(400).json({
+                            message: `El archivo ya está adjunto a este registro (${duplicate.original_name})`,
+                            attachment_id: duplicate.id
+                        });
+                    }
+                    
+                    db.run(
+                        `INSERT INTO attachments (entity_type, entity_id, original_name, stored_name, mime_type, size,
+                            checksum, description, uploaded_by)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [entityType, entityId, req.file.originalname, req.file.filename, file.mimeType, req.file.size,
+                         file.checksum, description || null, req.user.id],
+                        function(err) {
+                            if (err) {
+                                removeFile(req.file.path);
+                                return res.status(500).json({ message: 'Error al guardar archivo adjunto' });
+                            }
+                            
+                            const attachmentId = this.lastID;
+                            
+                            recordChange(db, req, { entity: 'attachment', table: 'attachments', entityId: attachmentId, action: 'create' }, () => {
+                                res.status(201).json({
+                                    message: 'Archivo adjuntado exitosamente',
+                                    attachment: {
+                                        id: attachmentId,
+                                        entity_type: entityType,
+                                        entity_id: parseInt(entityId),
+                                        original_name: req.file.originalname,
+                                        mime_type: file.mimeType,
+                                        size: req.file.size,
+                                        checksum: file.checksum,
+                                        description: description || null
+                                    }
+                                });
+                            });
+                        }
+                    );
+                }
+            );
+        });
+    });
+});
+
+// Descargar un adjunto con su nombre original; ?inline=true lo muestra en el navegador.
+// El ETag es el SHA-256 registrado al subirlo.
+router.get('/:entityType/:entityId/:attachmentId/download', authenticateToken, authorizeParent('view'), (req, res) => {
+    findAttachment(req, res, (attachment) => {
+        const filePath = attachmentPath(attachment);
+        
+        fs.stat(filePath, (err, stats) => {
+            if (err || !stats.isFile()) {
+                return res.status(404).json({ message: 'El archivo ya no está disponible en el servidor' });
+            }
+            
+            res.type(attachment.mime_type);
+            res.setHeader('Content-Length', stats.size);
+            res.setHeader('ETag', `"${attachment.checksum}"`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            
+            if (req.query.inline === 'true') {
+                res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+            } else {
+                res.attachment(attachment.original_name);
+            }
+            
+            fs.createReadStream(filePath)
+                .on('error', () => res.destroy())
+                .pipe(res);
+        });
+    });
+});
+
+// Eliminar un adjunto: quien lo subió o quien puede editar el registro
+router.delete('/:entityType/:entityId/:attachmentId', authenticateToken, authorizeParent('upload'), (req, res) => {
+    findAttachment(req, res, (attachment) => {
+        const canManage = req.attachmentEntity.manage.some(permission => req.user.permissions.includes(permission));
+        
+        if (attachment.uploaded_by !== req.user.id && !canManage) {
+            return res.status(403).json({ message: 'Solo quien subió el archivo puede eliminarlo' });
+        }
+        
+        getSnapshot(db, 'attachments', attachment.id, (err, before) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al eliminar archivo adjunto' });
+            }
+            
+            db.run(`DELETE FROM attachments WHERE id = ?`, [attachment.id], (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al eliminar archivo adjunto' });
+                }
+                
+                // El registro ya no existe; si el archivo no se pudo borrar solo queda huérfano en disco
+                removeFile(attachmentPath(attachment), (err) => {
+                    if (err) {
+                        console.error('Error al eliminar archivo adjunto del disco:', err.message);
+                    }
+                    
+                    recordChange(db, req, { entity: 'attachment', table: 'attachments', entityId: attachment.id, action: 'delete', before }, () => {
+                        res.json({ message: 'Archivo adjunto eliminado exitosamente' });
+                    });
+                });
+            });
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
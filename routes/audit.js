@@ -0,0 +1,113 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Los cambios por campo se guardan como JSON
+const parseEntry = (entry) => ({
+    ...entry,
+    changes: entry.changes ? JSON.parse(entry.changes) : []
+});
+
+// Consultar la bitácora de auditoría
+router.get('/', authenticateToken, authorizePermission('audit.view'), (req, res) => {
+    const { page = 1, limit = 50, entity, entity_id, user_id, action, field, dateFrom, dateTo } = req.query;
+    const offset = (page - 1) * limit;
+    
+    let where = ` WHERE 1=1`;
+    let params = [];
+    
+    if (entity) {
+        where += ` AND al.entity = ?`;
+        params.push(entity);
+    }
+    
+    if (entity_id) {
+        where += ` AND al.entity_id = ?`;
+        params.push(entity_id);
+    }
+    
+    if (user_id) {
+        where += ` AND al.user_id = ?`;
+        params.push(user_id);
+    }
+    
+    if (action) {
+        where += ` AND al.action = ?`;
+        params.push(action);
+    }
+    
+    // Solo las entradas que modificaron el campo indicado
+    if (field) {
+        where += ` AND EXISTS (SELECT 1 FROM json_each(al.changes) c WHERE json_extract(c.value, '$.field') = ?)`;
+        params.push(field);
+    }
+    
+    if (dateFrom) {
+        where += ` AND DATE(al.created_at) >= ?`;
+        params.push(dateFrom);
+    }
+    
+    if (dateTo) {
+        where += ` AND DATE(al.created_at) <= ?`;
+        params.push(dateTo);
+    }
+    
+    const query = `
+        SELECT al.*, u.full_name as user_name
+        FROM audit_log al
+        LEFT JOIN users u ON al.user_id = u.id
+        ${where}
+        ORDER BY al.created_at DESC, al.id DESC
+        LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [...params, parseInt(limit), offset], (err, entries) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener bitácora de auditoría' });
+        }
+        
+        db.get(`SELECT COUNT(*) as total FROM audit_log al ${where}`, params, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar entradas de auditoría' });
+            }
+            
+            res.json({
+                entries: entries.map(parseEntry),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Obtener una entrada de la bitácora
+router.get('/:id', authenticateToken, authorizePermission('audit.view'), (req, res) => {
+    db.get(
+        `SELECT al.*, u.full_name as user_name
+         FROM audit_log al
+         LEFT JOIN users u ON al.user_id = u.id
+         WHERE al.id = ?`,
+        [req.params.id],
+        (err, entry) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener entrada de auditoría' });
+            }
+            
+            if (!entry) {
+                return res.status(404).json({ message: 'Entrada de auditoría no encontrada' });
+            }
+            
+            res.json({ entry: parseEntry(entry) });
+        }
+    );
+});
+
+module.exports = router;
\ No newline at end of file
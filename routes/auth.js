@@ -1,13 +1,101 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, generateToken } = require('../middleware/auth');
+const {
+    authenticateToken, authorizePermission, getRolePermissions, generateToken, JWT_SECRET
+} = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { isValidRole } = require('../utils/roles');
+const { runTransaction } = require('../utils/transaction');
+const { sendMail } = require('../utils/mailer');
+const { RESET_EXPIRES_MINUTES, createResetToken, findValidResetToken } = require('../utils/passwordReset');
+const {
+    getProgressiveDelay, recordLoginAttempt, checkIpThrottle, registerFailure, resetFailures, isLocked
+} = require('../utils/loginAttempts');
+const { generateSecret, verifyCode, getProvisioningUri, encryptSecret, decryptSecret } = require('../utils/totp');
+const {
+    roleRequiresTwoFactor, buildRecoveryCodes, buildTwoFactorReset, consumeRecoveryCode, countRecoveryCodes
+} = require('../utils/twoFactor');
+const { resolveDepartment } = require('../utils/departments');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
 
+// Plazo para completar el segundo paso del login (TWO_FACTOR_CHALLENGE_MINUTES, 5 por omisión)
+const TWO_FACTOR_CHALLENGE_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5;
+
+// Token temporal que solo sirve para verificar ('2fa') o configurar ('2fa_setup') el segundo factor.
+// No tiene sesión asociada, por lo que authenticateToken lo rechaza.
+const issueChallenge = (user, purpose) => {
+    return jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` });
+};
+
+const verifyChallenge = (token, purpose) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return payload.purpose === purpose ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Responder a un intento fallido después del retraso progresivo
+const delayedFailure = (res, attempt, status, payload, reason, user, failures) => {
+    recordLoginAttempt(db, { ...attempt, userId: user && user.id, success: false, reason });
+    setTimeout(() => res.status(status).json(payload), getProgressiveDelay(failures));
+};
+
+// Crear la sesión y responder con los tokens una vez verificados todos los factores
+const completeLogin = (user, req, res, attempt, extra = {}) => {
+    createSession(db, user.id, req, (err, session) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al crear sesión' });
+        }
+
+        const token = generateToken(user, session.sessionId);
+
+        resetFailures(db, user.id);
+        recordLoginAttempt(db, { ...attempt, userId: user.id, success: true });
+
+        // Actualizar última conexión
+        db.run(`UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [user.id]);
+
+        res.json({
+            message: 'Login exitoso',
+            token,
+            refreshToken: session.refreshToken,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                full_name: user.full_name,
+                role: user.role,
+                department: user.department
+            },
+            ...extra
+        });
+    });
+};
+
+// Las rutas de configuración de 2FA aceptan la sesión normal o el desafío '2fa_setup'
+// que emite el login cuando el rol exige 2FA y el usuario aún no lo ha configurado
+const authenticateEnrollment = (req, res, next) => {
+    if (!req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const challenge = verifyChallenge(req.body.challengeToken, '2fa_setup');
+    if (!challenge) {
+        return res.status(401).json({ message: 'La verificación expiró o es inválida. Inicie sesión nuevamente' });
+    }
+
+    req.user = { id: challenge.id, enrollment: true };
+    next();
+};
+
 // Login
 router.post('/login', [
     body('username').notEmpty().withMessage('Usuario es requerido'),
@@ -19,63 +107,610 @@ router.post('/login', [
     }
 
     const { username, password } = req.body;
+    const attempt = { username, ip: req.ip, userAgent: req.headers['user-agent'] };
 
-    db.get(
-        `SELECT * FROM users WHERE (username = ? OR email = ?) AND active = 1`,
-        [username, username],
-        (err, user) => {
+    const fail = (status, payload, reason, user, failures) => {
+        delayedFailure(res, attempt, status, payload, reason, user, failures);
+    };
+
+    checkIpThrottle(db, req.ip, (err, throttle) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (throttle.blocked) {
+            recordLoginAttempt(db, { ...attempt, success: false, reason: 'ip_blocked' });
+            return res.status(429).json({ message: 'Demasiados intentos fallidos desde esta dirección. Intente más tarde' });
+        }
+
+        db.get(
+            `SELECT * FROM users WHERE (username = ? OR email = ?) AND active = 1`,
+            [username, username],
+            (err, user) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                if (!user) {
+                    return fail(401, { message: 'Credenciales inválidas' }, 'unknown_user', null, throttle.failures + 1);
+                }
+
+                if (isLocked(user)) {
+                    return fail(423, {
+                        message: 'Cuenta bloqueada temporalmente por intentos fallidos',
+                        lockedUntil: user.locked_until
+                    }, 'locked', user, 0);
+                }
+
+                bcrypt.compare(password, user.password, (err, isValid) => {
+                    if (err || !isValid) {
+                        return registerFailure(db, user, (err, result) => {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error del servidor' });
+                            }
+
+                            if (result.lockedUntil) {
+                                return fail(423, {
+                                    message: 'Cuenta bloqueada temporalmente por intentos fallidos',
+                                    lockedUntil: result.lockedUntil
+                                }, 'invalid_password', user, result.failures);
+                            }
+
+                            fail(401, { message: 'Credenciales inválidas' }, 'invalid_password', user, result.failures);
+                        });
+                    }
+
+                    // Con 2FA activado la sesión se crea hasta verificar el código (POST /login/2fa)
+                    if (user.totp_enabled) {
+                        return res.json({
+                            message: 'Ingrese el código de su aplicación de autenticación',
+                            twoFactorRequired: true,
+                            challengeToken: issueChallenge(user, '2fa')
+                        });
+                    }
+
+                    roleRequiresTwoFactor(db, user.role, (err, required) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error del servidor' });
+                        }
+
+                        // El rol exige 2FA: el usuario debe configurarlo antes de obtener una sesión
+                        if (required) {
+                            return res.json({
+                                message: 'Su rol requiere autenticación de dos factores. Configúrela para continuar',
+                                twoFactorSetupRequired: true,
+                                challengeToken: issueChallenge(user, '2fa_setup')
+                            });
+                        }
+
+                        completeLogin(user, req, res, attempt);
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Segundo paso del login: código TOTP o código de recuperación
+router.post('/login/2fa', [
+    body('challengeToken').notEmpty().withMessage('Token de verificación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ message: 'Código de verificación o de recuperación requerido' });
+    }
+
+    const challenge = verifyChallenge(challengeToken, '2fa');
+    if (!challenge) {
+        return res.status(401).json({ message: 'La verificación expiró o es inválida. Inicie sesión nuevamente' });
+    }
+
+    db.get(`SELECT * FROM users WHERE id = ? AND active = 1`, [challenge.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!user || !user.totp_enabled) {
+            return res.status(401).json({ message: 'La verificación expiró o es inválida. Inicie sesión nuevamente' });
+        }
+
+        const attempt = { username: user.username, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+        if (isLocked(user)) {
+            return delayedFailure(res, attempt, 423, {
+                message: 'Cuenta bloqueada temporalmente por intentos fallidos',
+                lockedUntil: user.locked_until
+            }, 'locked', user, 0);
+        }
+
+        // Los códigos incorrectos cuentan para el bloqueo de la cuenta
+        const reject = () => {
+            registerFailure(db, user, (err, result) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                if (result.lockedUntil) {
+                    return delayedFailure(res, attempt, 423, {
+                        message: 'Cuenta bloqueada temporalmente por intentos fallidos',
+                        lockedUntil: result.lockedUntil
+                    }, 'invalid_2fa', user, result.failures);
+                }
+
+                delayedFailure(res, attempt, 401, { message: 'Código de verificación inválido' }, 'invalid_2fa', user, result.failures);
+            });
+        };
+
+        if (recoveryCode) {
+            return consumeRecoveryCode(db, user.id, recoveryCode, (err, remaining) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                if (remaining === null) {
+                    return reject();
+                }
+
+                completeLogin(user, req, res, attempt, { recoveryCodesRemaining: remaining });
+            });
+        }
+
+        const step = verifyCode(decryptSecret(user.totp_secret), code, user.totp_last_step);
+        if (step === null) {
+            return reject();
+        }
+
+        // Registrar el paso usado para que el mismo código no sirva dos veces
+        db.run(
+            `UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+            [step, user.id, step],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                if (this.changes === 0) {
+                    return reject();
+                }
+
+                completeLogin(user, req, res, attempt);
+            }
+        );
+    });
+});
+
+// Renovar token de acceso con el refresh token (el refresh token se rota en cada uso)
+router.post('/refresh', [
+    body('refreshToken').notEmpty().withMessage('Refresh token requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    rotateSession(db, req.body.refreshToken, (err, rotated) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!rotated) {
+            return res.status(401).json({ message: 'Refresh token inválido o expirado' });
+        }
+
+        db.get(`SELECT * FROM users WHERE id = ? AND active = 1`, [rotated.session.user_id], (err, user) => {
             if (err) {
                 return res.status(500).json({ message: 'Error del servidor' });
             }
 
             if (!user) {
-                return res.status(401).json({ message: 'Credenciales inválidas' });
+                return revokeSession(db, rotated.session.id, 'inactive', () => {
+                    res.status(401).json({ message: 'Usuario inactivo' });
+                });
+            }
+
+            res.json({
+                token: generateToken(user, rotated.session.id),
+                refreshToken: rotated.refreshToken
+            });
+        });
+    });
+});
+
+// Cerrar la sesión actual
+router.post('/logout', authenticateToken, (req, res) => {
+    revokeSession(db, req.user.sid, 'logout', (err) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al cerrar sesión' });
+        }
+
+        res.json({ message: 'Sesión cerrada exitosamente' });
+    });
+});
+
+// Cerrar sesión en todos los dispositivos
+router.post('/logout-all', authenticateToken, (req, res) => {
+    revokeUserSessions(db, req.user.id, 'logout_all', null, (err, revoked) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al cerrar sesiones' });
+        }
+
+        res.json({ message: 'Sesiones cerradas en todos los dispositivos', revoked });
+    });
+});
+
+// Listar sesiones activas del usuario
+router.get('/sessions', authenticateToken, (req, res) => {
+    db.all(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [req.user.id, new Date().toISOString()],
+        (err, sessions) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener sesiones' });
+            }
+
+            res.json({
+                sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+            });
+        }
+    );
+});
+
+// Cerrar una sesión específica del usuario
+router.delete('/sessions/:id', authenticateToken, (req, res) => {
+    db.get(`SELECT id FROM sessions WHERE id = ? AND user_id = ?`, [req.params.id, req.user.id], (err, session) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!session) {
+            return res.status(404).json({ message: 'Sesión no encontrada' });
+        }
+
+        revokeSession(db, session.id, 'logout', (err) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al cerrar sesión' });
+            }
+
+            res.json({ message: 'Sesión cerrada exitosamente' });
+        });
+    });
+});
+
+// Solicitar restablecimiento de contraseña por correo.
+// La respuesta es la misma y se envía de inmediato exista o no el correo, para no revelar cuentas
+// registradas ni por el mensaje ni por el tiempo de respuesta; el token y el correo se generan después.
+router.post('/forgot-password', [
+    body('email').isEmail().withMessage('Email inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    res.json({ message: 'Si el correo está registrado recibirá un enlace para restablecer su contraseña' });
+
+    db.get(`SELECT id, email, full_name FROM users WHERE email = ? AND active = 1`, [email], (err, user) => {
+        if (err) {
+            return console.error('Error al buscar usuario para restablecimiento:', err.message);
+        }
+
+        if (!user) return;
+
+        createResetToken(db, user.id, req.ip, (err, reset) => {
+            if (err) {
+                return console.error('Error al generar enlace de restablecimiento:', err.message);
+            }
+
+            const link = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${reset.token}`;
+
+            sendMail({
+                to: user.email,
+                subject: 'Restablecimiento de contraseña - SIAF',
+                text: `Hola ${user.full_name},\n\n` +
+                    `Recibimos una solicitud para restablecer su contraseña. Use el siguiente enlace ` +
+                    `(válido por ${RESET_EXPIRES_MINUTES} minutos y de un solo uso):\n\n${link}\n\n` +
+                    `Si usted no lo solicitó, ignore este mensaje.`
+            }, (err) => {
+                if (err) {
+                    console.error('Error al enviar correo de restablecimiento:', err.message);
+                }
+            });
+        });
+    });
+});
+
+// Restablecer contraseña con el token recibido por correo
+router.post('/reset-password', [
+    body('token').notEmpty().withMessage('Token requerido'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Nueva contraseña debe tener al menos 6 caracteres')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, newPassword } = req.body;
+
+    findValidResetToken(db, token, (err, resetToken) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!resetToken) {
+            return res.status(400).json({ message: 'El enlace de restablecimiento es inválido o expiró' });
+        }
+
+        bcrypt.hash(newPassword, 10, (err, hashedPassword) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al procesar nueva contraseña' });
+            }
+
+            // Se cambia la contraseña, se cierran las sesiones y el token se marca como usado. Cada sentencia
+            // exige que el token siga sin usarse: si otra petición lo usó antes, ninguna cambia nada.
+            const unusedToken = `EXISTS (SELECT 1 FROM password_reset_tokens WHERE id = ? AND used_at IS NULL)`;
+
+            runTransaction(db, [
+                [`UPDATE users SET password = ?, failed_login_attempts = 0, locked_until = NULL,
+                  updated_at = CURRENT_TIMESTAMP WHERE id = ? AND ${unusedToken}`, [hashedPassword, resetToken.user_id, resetToken.id]],
+                [`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'password_reset'
+                  WHERE user_id = ? AND revoked_at IS NULL AND ${unusedToken}`, [resetToken.user_id, resetToken.id]],
+                [`UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`, [resetToken.id]]
+            ], (err, results) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al restablecer contraseña' });
+                }
+
+                if (results[2].changes !== 1) {
+                    return res.status(400).json({ message: 'El enlace de restablecimiento es inválido o expiró' });
+                }
+
+                res.json({ message: 'Contraseña restablecida exitosamente. Inicie sesión con su nueva contraseña' });
+            });
+        });
+    });
+});
+
+// Estado de la autenticación de dos factores del usuario
+router.get('/2fa', authenticateToken, (req, res) => {
+    db.get(`SELECT totp_enabled, totp_enabled_at, role FROM users WHERE id = ?`, [req.user.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        roleRequiresTwoFactor(db, user.role, (err, required) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+
+            countRecoveryCodes(db, req.user.id, (err, remaining) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+
+                res.json({
+                    enabled: Boolean(user.totp_enabled),
+                    enabledAt: user.totp_enabled_at,
+                    required,
+                    recoveryCodesRemaining: user.totp_enabled ? remaining : 0
+                });
+            });
+        });
+    });
+});
+
+// Iniciar la configuración de 2FA: genera el secreto y la URI de aprovisionamiento
+router.post('/2fa/setup', authenticateEnrollment, (req, res) => {
+    db.get(`SELECT * FROM users WHERE id = ? AND active = 1`, [req.user.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'La autenticación de dos factores ya está activada' });
+        }
+
+        // El secreto queda pendiente hasta confirmarlo con un código (POST /2fa/enable)
+        const secret = generateSecret();
+
+        db.run(
+            `UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?`,
+            [encryptSecret(secret), user.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al configurar autenticación de dos factores' });
+                }
+
+                res.json({
+                    message: 'Escanee el código en su aplicación de autenticación y confirme con un código',
+                    secret,
+                    otpauthUri: getProvisioningUri(secret, user.username)
+                });
+            }
+        );
+    });
+});
+
+// Confirmar la configuración con un código y generar los códigos de recuperación
+router.post('/2fa/enable', authenticateEnrollment, [
+    body('code').notEmpty().withMessage('Código de verificación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    db.get(`SELECT * FROM users WHERE id = ? AND active = 1`, [req.user.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'La autenticación de dos factores ya está activada' });
+        }
+
+        if (!user.totp_secret) {
+            return res.status(400).json({ message: 'Primero debe iniciar la configuración de dos factores' });
+        }
+
+        const step = verifyCode(decryptSecret(user.totp_secret), req.body.code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Código de verificación inválido' });
+        }
+
+        const recovery = buildRecoveryCodes(user.id);
+
+        runTransaction(db, [
+            [`UPDATE users SET totp_enabled = 1, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?,
+              updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [step, user.id]],
+            ...recovery.statements
+        ], (err) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al activar autenticación de dos factores' });
+            }
+
+            const result = {
+                message: 'Autenticación de dos factores activada. Guarde los códigos de recuperación en un lugar seguro',
+                recoveryCodes: recovery.codes
+            };
+
+            // En la configuración obligatoria del login, la activación completa el inicio de sesión
+            if (req.user.enrollment) {
+                const attempt = { username: user.username, ip: req.ip, userAgent: req.headers['user-agent'] };
+                return completeLogin(user, req, res, attempt, result);
+            }
+
+            res.json(result);
+        });
+    });
+});
+
+// Desactivar 2FA (requiere contraseña y un código vigente)
+router.post('/2fa/disable', authenticateToken, [
+    body('password').notEmpty().withMessage('Contraseña requerida'),
+    body('code').notEmpty().withMessage('Código de verificación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    db.get(`SELECT * FROM users WHERE id = ?`, [req.user.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+
+        if (!user || !user.totp_enabled) {
+            return res.status(400).json({ message: 'La autenticación de dos factores no está activada' });
+        }
+
+        roleRequiresTwoFactor(db, user.role, (err, required) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+
+            if (required) {
+                return res.status(400).json({ message: 'Su rol requiere autenticación de dos factores' });
             }
 
             bcrypt.compare(password, user.password, (err, isValid) => {
                 if (err || !isValid) {
-                    return res.status(401).json({ message: 'Credenciales inválidas' });
+                    return res.status(400).json({ message: 'Contraseña incorrecta' });
                 }
 
-                const token = generateToken(user);
-                
-                // Actualizar última conexión
-                db.run(`UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [user.id]);
+                if (verifyCode(decryptSecret(user.totp_secret), code, user.totp_last_step) === null) {
+                    return res.status(400).json({ message: 'Código de verificación inválido' });
+                }
 
-                res.json({
-                    message: 'Login exitoso',
-                    token,
-                    user: {
-                        id: user.id,
-                        username: user.username,
-                        email: user.email,
-                        full_name: user.full_name,
-                        role: user.role,
-                        department: user.department
+                runTransaction(db, buildTwoFactorReset(user.id), (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al desactivar autenticación de dos factores' });
                     }
+
+                    res.json({ message: 'Autenticación de dos factores desactivada' });
                 });
             });
+        });
+    });
+});
+
+// Regenerar códigos de recuperación (invalida los anteriores)
+router.post('/2fa/recovery-codes', authenticateToken, [
+    body('code').notEmpty().withMessage('Código de verificación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    db.get(`SELECT * FROM users WHERE id = ?`, [req.user.id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
         }
-    );
+
+        if (!user || !user.totp_enabled) {
+            return res.status(400).json({ message: 'La autenticación de dos factores no está activada' });
+        }
+
+        const step = verifyCode(decryptSecret(user.totp_secret), req.body.code, user.totp_last_step);
+        if (step === null) {
+            return res.status(400).json({ message: 'Código de verificación inválido' });
+        }
+
+        const recovery = buildRecoveryCodes(user.id);
+
+        runTransaction(db, [
+            [`UPDATE users SET totp_last_step = ? WHERE id = ?`, [step, user.id]],
+            ...recovery.statements
+        ], (err) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al generar códigos de recuperación' });
+            }
+
+            res.json({ message: 'Códigos de recuperación generados', recoveryCodes: recovery.codes });
+        });
+    });
 });
 
-// Registro de usuarios (solo admin)
-router.post('/register', authenticateToken, [
+// Registro de usuarios (requiere permiso de administración de usuarios)
+router.post('/register', authenticateToken, authorizePermission('users.manage'), [
     body('username').isLength({ min: 3 }).withMessage('Usuario debe tener al menos 3 caracteres'),
     body('email').isEmail().withMessage('Email inválido'),
     body('password').isLength({ min: 6 }).withMessage('Contraseña debe tener al menos 6 caracteres'),
-    body('full_name').notEmpty().withMessage('Nombre completo es requerido')
+    body('full_name').notEmpty().withMessage('Nombre completo es requerido'),
+    body('role').optional().custom(isValidRole(db)),
+    body('department_id').optional({ nullable: true }).isInt().withMessage('Departamento inválido')
 ], (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Solo administradores pueden registrar usuarios' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, full_name, role = 'user', department } = req.body;
+    const { username, email, password, full_name, role = 'user', department, department_id } = req.body;
 
     // Verificar si usuario o email ya existen
     db.get(
@@ -90,34 +725,46 @@ router.post('/register', authenticateToken, [
                 return res.status(400).json({ message: 'Usuario o email ya existen' });
             }
 
-            // Hash de la contraseña
-            bcrypt.hash(password, 10, (err, hashedPassword) => {
+            // El departamento debe existir en el catálogo; se guarda con su nombre oficial
+            resolveDepartment(db, department_id, department, (err, resolved) => {
                 if (err) {
-                    return res.status(500).json({ message: 'Error al procesar contraseña' });
+                    return res.status(500).json({ message: 'Error del servidor' });
                 }
 
-                db.run(
-                    `INSERT INTO users (username, email, password, full_name, role, department) 
-                     VALUES (?, ?, ?, ?, ?, ?)`,
-                    [username, email, hashedPassword, full_name, role, department],
-                    function(err) {
-                        if (err) {
-                            return res.status(500).json({ message: 'Error al crear usuario' });
-                        }
+                if (!resolved) {
+                    return res.status(400).json({ message: 'Departamento no encontrado' });
+                }
 
-                        res.status(201).json({
-                            message: 'Usuario creado exitosamente',
-                            user: {
-                                id: this.lastID,
-                                username,
-                                email,
-                                full_name,
-                                role,
-                                department
-                            }
-                        });
+                // Hash de la contraseña
+                bcrypt.hash(password, 10, (err, hashedPassword) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al procesar contraseña' });
                     }
-                );
+
+                    db.run(
+                        `INSERT INTO users (username, email, password, full_name, role, department, department_id) 
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [username, email, hashedPassword, full_name, role, resolved.department, resolved.department_id],
+                        function(err) {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al crear usuario' });
+                            }
+
+                            res.status(201).json({
+                                message: 'Usuario creado exitosamente',
+                                user: {
+                                    id: this.lastID,
+                                    username,
+                                    email,
+                                    full_name,
+                                    role,
+                                    department: resolved.department,
+                                    department_id: resolved.department_id
+                                }
+                            });
+                        }
+                    );
+                });
             });
         }
     );
@@ -126,7 +773,8 @@ router.post('/register', authenticateToken, [
 // Obtener perfil del usuario
 router.get('/profile', authenticateToken, (req, res) => {
     db.get(
-        `SELECT id, username, email, full_name, role, department, created_at FROM users WHERE id = ?`,
+        `SELECT id, username, email, full_name, role, department, totp_enabled as two_factor_enabled, created_at
+         FROM users WHERE id = ?`,
         [req.user.id],
         (err, user) => {
             if (err) {
@@ -137,7 +785,14 @@ router.get('/profile', authenticateToken, (req, res) => {
                 return res.status(404).json({ message: 'Usuario no encontrado' });
             }
 
-            res.json({ user });
+            // Permisos del rol para que el cliente muestre solo las acciones disponibles
+            getRolePermissions(user.role, (err, permissions) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener permisos' });
+                }
+
+                res.json({ user: { ...user, permissions } });
+            });
         }
     );
 });
@@ -177,7 +832,10 @@ router.put('/change-password', authenticateToken, [
                             return res.status(500).json({ message: 'Error al actualizar contraseña' });
                         }
 
-                        res.json({ message: 'Contraseña actualizada exitosamente' });
+                        // Las demás sesiones del usuario dejan de ser válidas
+                        revokeUserSessions(db, req.user.id, 'password_change', req.user.sid, () => {
+                            res.json({ message: 'Contraseña actualizada exitosamente' });
+                        });
                     }
                 );
             });
@@ -0,0 +1,173 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { getBudgetStatus } = require('../utils/budget');
+const { toDepartmentName, isKnownDepartment } = require('../utils/departments');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Obtener presupuestos con filtros
+router.get('/', authenticateToken, authorizePermission('budgets.view'), (req, res) => {
+    const { department, year, month } = req.query;
+    
+    let query = `
+        SELECT
+            b.*,
+            u.full_name as created_by_name
+        FROM department_budgets b
+        LEFT JOIN users u ON b.created_by = u.id
+        WHERE 1=1
+    `;
+    
+    let params = [];
+    
+    if (department) {
+        query += ` AND b.department = ?`;
+        params.push(department);
+    }
+    
+    if (year) {
+        query += ` AND b.year = ?`;
+        params.push(year);
+    }
+    
+    if (month) {
+        query += ` AND b.month = ?`;
+        params.push(month);
+    }
+    
+    query += ` ORDER BY b.year DESC, b.department ASC, b.month ASC`;
+    
+    db.all(query, params, (err, budgets) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener presupuestos' });
+        }
+        
+        res.json({ budgets });
+    });
+});
+
+// Obtener el estado del presupuesto de un departamento (asignado, comprometido, ejercido)
+router.get('/status', authenticateToken, authorizePermission('budgets.view'), [
+    query('department').notEmpty().withMessage('Departamento es requerido'),
+    query('year').isInt().withMessage('Año válido es requerido'),
+    query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Mes inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { department, year, month } = req.query;
+    
+    getBudgetStatus(db, department, parseInt(year), month ? parseInt(month) : null, (err, status) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al calcular estado del presupuesto' });
+        }
+        
+        if (!status) {
+            return res.status(404).json({ message: 'Presupuesto no encontrado para el periodo' });
+        }
+        
+        res.json({ status });
+    });
+});
+
+// Crear presupuesto de departamento
+router.post('/', authenticateToken, authorizePermission('budgets.manage'), [
+    body('department').notEmpty().withMessage('Departamento es requerido').bail()
+        .customSanitizer(toDepartmentName(db)).custom(isKnownDepartment(db)),
+    body('year').isInt({ min: 2000 }).withMessage('Año válido es requerido'),
+    body('month').optional({ nullable: true }).isInt({ min: 1, max: 12 }).withMessage('Mes inválido'),
+    body('amount').isFloat({ min: 0 }).withMessage('Monto válido es requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { department, year, month = null, amount, notes } = req.body;
+    
+    // Un solo presupuesto por departamento y periodo
+    db.get(
+        `SELECT id FROM department_budgets
+         WHERE department = ? AND year = ? AND ${month ? 'month = ?' : 'month IS NULL'}`,
+        month ? [department, year, month] : [department, year],
+        (err, existing) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (existing) {
+                return res.status(400).json({ message: 'Ya existe un presupuesto para el departamento en ese periodo' });
+            }
+            
+            db.run(
+                `INSERT INTO department_budgets (department, year, month, amount, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [department, year, month, amount, notes, req.user.id],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al crear presupuesto' });
+                    }
+                    
+                    res.status(201).json({
+                        message: 'Presupuesto creado exitosamente',
+                        budget: { id: this.lastID, department, year, month, amount }
+                    });
+                }
+            );
+        }
+    );
+});
+
+// Actualizar monto de un presupuesto
+router.put('/:id', authenticateToken, authorizePermission('budgets.manage'), [
+    body('amount').isFloat({ min: 0 }).withMessage('Monto válido es requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { amount, notes } = req.body;
+    
+    db.run(
+        `UPDATE department_budgets SET amount = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [amount, notes, id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al actualizar presupuesto' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Presupuesto no encontrado' });
+            }
+            
+            res.json({ message: 'Presupuesto actualizado exitosamente' });
+        }
+    );
+});
+
+// Eliminar presupuesto
+router.delete('/:id', authenticateToken, authorizePermission('budgets.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    db.run(`DELETE FROM department_budgets WHERE id = ?`, [id], function(err) {
+        if (err) {
+            return res.status(500).json({ message: 'Error al eliminar presupuesto' });
+        }
+        
+        if (this.changes === 0) {
+            return res.status(404).json({ message: 'Presupuesto no encontrado' });
+        }
+        
+        res.json({ message: 'Presupuesto eliminado exitosamente' });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
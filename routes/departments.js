@@ -0,0 +1,309 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { normalizeDepartmentName, parseDepartment } = require('../utils/departments');
+const { runTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+const departmentValidators = [
+    body('name').notEmpty().withMessage('Nombre del departamento es requerido')
+        .isLength({ max: 50 }).withMessage('Nombre del departamento demasiado largo'),
+    body('cost_center').optional({ nullable: true, checkFalsy: true })
+        .customSanitizer(value => String(value).toUpperCase().trim())
+        .isLength({ max: 20 }).withMessage('Centro de costos demasiado largo'),
+    body('manager_id').optional({ nullable: true }).isInt().withMessage('Gerente inválido'),
+    body('aliases').optional().isArray().withMessage('Los alias deben ser una lista')
+];
+
+// Verificar que el nombre, los alias y el centro de costos no choquen con otro departamento
+const findConflict = (name, aliases, costCenter, excludeId, callback) => {
+    db.all(`SELECT * FROM departments WHERE id != ?`, [excludeId || 0], (err, departments) => {
+        if (err) return callback(err);
+        
+        const keys = [name, ...aliases].map(normalizeDepartmentName).filter(Boolean);
+        
+        const conflict = departments.map(parseDepartment).find(department => {
+            const existingKeys = [department.name, ...department.aliases].map(normalizeDepartmentName);
+            return existingKeys.some(key => keys.includes(key)) ||
+                (costCenter && department.cost_center === costCenter);
+        });
+        
+        callback(null, conflict || null);
+    });
+};
+
+// Verificar que el gerente exista y esté activo
+const validateManager = (managerId, res, callback) => {
+    if (!managerId) return callback();
+    
+    db.get(`SELECT id FROM users WHERE id = ? AND active = 1`, [managerId], (err, manager) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (!manager) {
+            return res.status(400).json({ message: 'Gerente no encontrado o inactivo' });
+        }
+        
+        callback();
+    });
+};
+
+// Obtener departamentos
+router.get('/', authenticateToken, (req, res) => {
+    const { active, search } = req.query;
+    
+    let query = `
+        SELECT
+            d.*,
+            m.full_name as manager_name,
+            (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id AND u.active = 1) as users_count
+        FROM departments d
+        LEFT JOIN users m ON d.manager_id = m.id
+        WHERE 1=1
+    `;
+    
+    let params = [];
+    
+    if (active !== undefined) {
+        query += ` AND d.active = ?`;
+        params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+    
+    if (search) {
+        query += ` AND (d.name LIKE ? OR d.cost_center LIKE ? OR d.aliases LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+    }
+    
+    query += ` ORDER BY d.name ASC`;
+    
+    db.all(query, params, (err, departments) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener departamentos' });
+        }
+        
+        res.json({ departments: departments.map(parseDepartment) });
+    });
+});
+
+// Obtener un departamento con sus usuarios y resumen
+router.get('/:id', authenticateToken, (req, res) => {
+    const { id } = req.params;
+    
+    db.get(
+        `SELECT d.*, m.full_name as manager_name
+         FROM departments d
+         LEFT JOIN users m ON d.manager_id = m.id
+         WHERE d.id = ?`,
+        [id],
+        (err, department) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener departamento' });
+            }
+            
+            if (!department) {
+                return res.status(404).json({ message: 'Departamento no encontrado' });
+            }
+            
+            const queries = {
+                users: `
+                    SELECT id, username, full_name, role, active FROM users
+                    WHERE department_id = ? ORDER BY full_name ASC
+                `,
+                assets: `
+                    SELECT COUNT(*) as count, COALESCE(SUM(a.purchase_price), 0) as total
+                    FROM assets a
+                    INNER JOIN users u ON a.responsible_user_id = u.id
+                    WHERE u.department_id = ? AND a.status != 'inactive'
+                `,
+                requisitions: `
+                    SELECT COUNT(*) as count, COALESCE(SUM(estimated_cost), 0) as total
+                    FROM requisitions WHERE department_id = ?
+                    AND status IN ('approved', 'partially_received', 'completed')
+                `
+            };
+            
+            const results = {};
+            const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+                db.all(queries[key], [id], (err, rows) => {
+                    if (err) reject(err);
+                    else {
+                        results[key] = rows;
+                        resolve();
+                    }
+                });
+            }));
+            
+            Promise.all(promises)
+                .then(() => {
+                    res.json({
+                        department: {
+                            ...parseDepartment(department),
+                            users: results.users,
+                            stats: {
+                                assets: results.assets[0].count,
+                                assetsValue: results.assets[0].total,
+                                approvedRequisitions: results.requisitions[0].count,
+                                approvedRequisitionsValue: results.requisitions[0].total
+                            }
+                        }
+                    });
+                })
+                .catch(err => {
+                    res.status(500).json({ message: 'Error al obtener departamento' });
+                });
+        }
+    );
+});
+
+// Crear departamento
+router.post('/', authenticateToken, authorizePermission('departments.manage'), departmentValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { cost_center, manager_id, aliases = [] } = req.body;
+    const name = req.body.name.trim();
+    
+    findConflict(name, aliases, cost_center, null, (err, conflict) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (conflict) {
+            return res.status(400).json({
+                message: `El nombre, alias o centro de costos ya pertenece al departamento ${conflict.name}`,
+                department_id: conflict.id
+            });
+        }
+        
+        validateManager(manager_id, res, () => {
+            db.run(
+                `INSERT INTO departments (name, cost_center, manager_id, aliases) VALUES (?, ?, ?, ?)`,
+                [name, cost_center || null, manager_id || null, JSON.stringify(aliases)],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al crear departamento' });
+                    }
+                    
+                    res.status(201).json({
+                        message: 'Departamento creado exitosamente',
+                        department: { id: this.lastID, name, cost_center: cost_center || null, manager_id, aliases }
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Actualizar departamento
+router.put('/:id', authenticateToken, authorizePermission('departments.manage'), [
+    ...departmentValidators,
+    body('active').optional().isBoolean().withMessage('Estado inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { cost_center, manager_id, aliases = [], active = true } = req.body;
+    const name = req.body.name.trim();
+    
+    db.get(`SELECT * FROM departments WHERE id = ?`, [id], (err, department) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener departamento' });
+        }
+        
+        if (!department) {
+            return res.status(404).json({ message: 'Departamento no encontrado' });
+        }
+        
+        findConflict(name, aliases, cost_center, id, (err, conflict) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (conflict) {
+                return res.status(400).json({
+                    message: `El nombre, alias o centro de costos ya pertenece al departamento ${conflict.name}`,
+                    department_id: conflict.id
+                });
+            }
+            
+            validateManager(manager_id, res, () => {
+                const statements = [
+                    [`UPDATE departments SET
+                        name = ?, cost_center = ?, manager_id = ?, aliases = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+                      WHERE id = ?`,
+                     [name, cost_center || null, manager_id || null, JSON.stringify(aliases), active ? 1 : 0, id]]
+                ];
+                
+                // Mantener sincronizado el nombre en los registros que lo guardan como texto
+                if (name !== department.name) {
+                    statements.push(
+                        [`UPDATE users SET department = ? WHERE department_id = ?`, [name, id]],
+                        [`UPDATE requisitions SET department = ? WHERE department_id = ?`, [name, id]],
+                        [`UPDATE department_budgets SET department = ? WHERE department = ?`, [name, department.name]],
+                        [`UPDATE approval_rules SET department = ? WHERE department = ?`, [name, department.name]],
+                        [`UPDATE requisition_approvals SET approver_department = ? WHERE approver_department = ?`, [name, department.name]]
+                    );
+                }
+                
+                runTransaction(db, statements, (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al actualizar departamento' });
+                    }
+                    
+                    res.json({ message: 'Departamento actualizado exitosamente' });
+                });
+            });
+        });
+    });
+});
+
+// Desactivar departamento (solo sin usuarios activos asignados)
+router.delete('/:id', authenticateToken, authorizePermission('departments.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(
+        `SELECT d.id, (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id AND u.active = 1) as users_count
+         FROM departments d WHERE d.id = ?`,
+        [id],
+        (err, department) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (!department) {
+                return res.status(404).json({ message: 'Departamento no encontrado' });
+            }
+            
+            if (department.users_count > 0) {
+                return res.status(400).json({
+                    message: `El departamento tiene ${department.users_count} usuario(s) activo(s) que deben reasignarse`
+                });
+            }
+            
+            db.run(
+                `UPDATE departments SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al desactivar departamento' });
+                    }
+                    
+                    res.json({ message: 'Departamento desactivado exitosamente' });
+                }
+            );
+        }
+    );
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,9 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { incidentScope } = require('../utils/departmentScope');
+const { getSnapshot, recordChange } = require('../utils/audit');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
@@ -18,9 +20,10 @@ const generateIncidentCode = () => {
 };
 
 // Obtener todas las incidencias con filtros
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, authorizePermission('incidents.view'), (req, res) => {
     const { page = 1, limit = 10, status, priority, asset_id, assigned_to } = req.query;
     const offset = (page - 1) * limit;
+    const scope = incidentScope(req.user);
     
     let query = `
         SELECT 
@@ -33,10 +36,10 @@ router.get('/', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON i.asset_id = a.id
         LEFT JOIN users reporter ON i.reported_by = reporter.id
         LEFT JOIN users assignee ON i.assigned_to = assignee.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND i.status = ?`;
@@ -67,8 +70,8 @@ router.get('/', authenticateToken, (req, res) => {
         }
         
         // Obtener total para paginación
-        let countQuery = `SELECT COUNT(*) as total FROM incidents i WHERE 1=1`;
-        let countParams = [];
+        let countQuery = `SELECT COUNT(*) as total FROM incidents i WHERE ${scope.clause}`;
+        let countParams = [...scope.params];
         
         if (status) {
             countQuery += ` AND i.status = ?`;
@@ -109,8 +112,9 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 // Obtener una incidencia específica
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('incidents.view'), (req, res) => {
     const { id } = req.params;
+    const scope = incidentScope(req.user);
     
     const query = `
         SELECT 
@@ -123,10 +127,10 @@ router.get('/:id', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON i.asset_id = a.id
         LEFT JOIN users reporter ON i.reported_by = reporter.id
         LEFT JOIN users assignee ON i.assigned_to = assignee.id
-        WHERE i.id = ?
+        WHERE i.id = ? AND ${scope.clause}
     `;
     
-    db.get(query, [id], (err, incident) => {
+    db.get(query, [id, ...scope.params], (err, incident) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener incidencia' });
         }
@@ -140,7 +144,7 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Crear nueva incidencia
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorizePermission('incidents.create'), [
     body('title').notEmpty().withMessage('Título es requerido'),
     body('description').notEmpty().withMessage('Descripción es requerida'),
     body('priority').isIn(['low', 'medium', 'high', 'critical']).withMessage('Prioridad inválida')
@@ -169,22 +173,26 @@ router.post('/', authenticateToken, [
                 return res.status(500).json({ message: 'Error al crear incidencia' });
             }
             
-            res.status(201).json({
-                message: 'Incidencia creada exitosamente',
-                incident: {
-                    id: this.lastID,
-                    incident_code,
-                    title,
-                    priority,
-                    status: 'open'
-                }
+            const incidentId = this.lastID;
+            
+            recordChange(db, req, { entity: 'incident', table: 'incidents', entityId: incidentId, action: 'create' }, () => {
+                res.status(201).json({
+                    message: 'Incidencia creada exitosamente',
+                    incident: {
+                        id: incidentId,
+                        incident_code,
+                        title,
+                        priority,
+                        status: 'open'
+                    }
+                });
             });
         }
     );
 });
 
 // Actualizar incidencia
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, authorizePermission('incidents.update'), [
     body('title').notEmpty().withMessage('Título es requerido'),
     body('description').notEmpty().withMessage('Descripción es requerida')
 ], (req, res) => {
@@ -214,21 +222,29 @@ router.put('/:id', authenticateToken, [
     query += ` WHERE id = ?`;
     params.push(id);
     
-    db.run(query, params, function(err) {
+    getSnapshot(db, 'incidents', id, (err, before) => {
         if (err) {
-            return res.status(500).json({ message: 'Error al actualizar incidencia' });
+            return res.status(500).json({ message: 'Error al obtener incidencia' });
         }
         
-        if (this.changes === 0) {
+        if (!before) {
             return res.status(404).json({ message: 'Incidencia no encontrada' });
         }
         
-        res.json({ message: 'Incidencia actualizada exitosamente' });
+        db.run(query, params, (err) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al actualizar incidencia' });
+            }
+            
+            recordChange(db, req, { entity: 'incident', table: 'incidents', entityId: before.id, action: 'update', before }, () => {
+                res.json({ message: 'Incidencia actualizada exitosamente' });
+            });
+        });
     });
 });
 
 // Asignar incidencia
-router.put('/:id/assign', authenticateToken, [
+router.put('/:id/assign', authenticateToken, authorizePermission('incidents.assign'), [
     body('assigned_to').isInt().withMessage('Usuario asignado requerido')
 ], (req, res) => {
     const errors = validationResult(req);
@@ -239,27 +255,35 @@ router.put('/:id/assign', authenticateToken, [
     const { id } = req.params;
     const { assigned_to } = req.body;
     
-    db.run(
-        `UPDATE incidents SET 
-         assigned_to = ?, status = 'assigned', updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [assigned_to, id],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ message: 'Error al asignar incidencia' });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Incidencia no encontrada' });
-            }
-            
-            res.json({ message: 'Incidencia asignada exitosamente' });
+    getSnapshot(db, 'incidents', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener incidencia' });
         }
-    );
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Incidencia no encontrada' });
+        }
+        
+        db.run(
+            `UPDATE incidents SET 
+             assigned_to = ?, status = 'assigned', updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`,
+            [assigned_to, id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al asignar incidencia' });
+                }
+                
+                recordChange(db, req, { entity: 'incident', table: 'incidents', entityId: before.id, action: 'assign', before }, () => {
+                    res.json({ message: 'Incidencia asignada exitosamente' });
+                });
+            }
+        );
+    });
 });
 
 // Resolver incidencia
-router.put('/:id/resolve', authenticateToken, [
+router.put('/:id/resolve', authenticateToken, authorizePermission('incidents.resolve'), [
     body('solution').notEmpty().withMessage('Solución es requerida')
 ], (req, res) => {
     const errors = validationResult(req);
@@ -270,38 +294,48 @@ router.put('/:id/resolve', authenticateToken, [
     const { id } = req.params;
     const { solution } = req.body;
     
-    db.run(
-        `UPDATE incidents SET 
-         solution = ?, status = 'resolved', resolved_date = CURRENT_TIMESTAMP,
-         updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [solution, id],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ message: 'Error al resolver incidencia' });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Incidencia no encontrada' });
-            }
-            
-            res.json({ message: 'Incidencia resuelta exitosamente' });
+    getSnapshot(db, 'incidents', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener incidencia' });
         }
-    );
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Incidencia no encontrada' });
+        }
+        
+        db.run(
+            `UPDATE incidents SET 
+             solution = ?, status = 'resolved', resolved_date = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`,
+            [solution, id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al resolver incidencia' });
+                }
+                
+                recordChange(db, req, { entity: 'incident', table: 'incidents', entityId: before.id, action: 'resolve', before }, () => {
+                    res.json({ message: 'Incidencia resuelta exitosamente' });
+                });
+            }
+        );
+    });
 });
 
 // Obtener estadísticas de incidencias
-router.get('/stats/overview', authenticateToken, (req, res) => {
+router.get('/stats/overview', authenticateToken, authorizePermission('incidents.view'), (req, res) => {
+    const scope = incidentScope(req.user);
+    
     const queries = {
-        total: `SELECT COUNT(*) as count FROM incidents`,
-        byStatus: `SELECT status, COUNT(*) as count FROM incidents GROUP BY status`,
-        byPriority: `SELECT priority, COUNT(*) as count FROM incidents GROUP BY priority`,
-        open: `SELECT COUNT(*) as count FROM incidents WHERE status IN ('open', 'assigned', 'in_progress')`,
-        resolved: `SELECT COUNT(*) as count FROM incidents WHERE status = 'resolved'`,
+        total: `SELECT COUNT(*) as count FROM incidents i WHERE ${scope.clause}`,
+        byStatus: `SELECT status, COUNT(*) as count FROM incidents i WHERE ${scope.clause} GROUP BY status`,
+        byPriority: `SELECT priority, COUNT(*) as count FROM incidents i WHERE ${scope.clause} GROUP BY priority`,
+        open: `SELECT COUNT(*) as count FROM incidents i WHERE status IN ('open', 'assigned', 'in_progress') AND ${scope.clause}`,
+        resolved: `SELECT COUNT(*) as count FROM incidents i WHERE status = 'resolved' AND ${scope.clause}`,
         avgResolutionTime: `
             SELECT AVG(JULIANDAY(resolved_date) - JULIANDAY(reported_date)) * 24 as avg_hours
-            FROM incidents 
-            WHERE resolved_date IS NOT NULL
+            FROM incidents i 
+            WHERE resolved_date IS NOT NULL AND ${scope.clause}
         `
     };
     
@@ -310,7 +344,7 @@ router.get('/stats/overview', authenticateToken, (req, res) => {
     
     Object.keys(queries).forEach(key => {
         promises.push(new Promise((resolve, reject) => {
-            db.all(queries[key], (err, result) => {
+            db.all(queries[key], scope.params, (err, result) => {
                 if (err) reject(err);
                 else {
                     stats[key] = result;
@@ -1,16 +1,134 @@
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { resolveSupplier } = require('../utils/suppliers');
+const { assetScope } = require('../utils/departmentScope');
+const { getSnapshot, recordChange } = require('../utils/audit');
+const { TIMELINE_EVENT_TYPES, buildTimelineQuery } = require('../utils/assetTimeline');
+const { IMPORT_EXTENSIONS, readSpreadsheet, buildMapping, validateRows } = require('../utils/assetImport');
+const { runTransaction } = require('../utils/transaction');
+const { LABEL_TYPES, LABEL_LAYOUTS, renderCode, buildSingleLabel, buildLabelSheet } = require('../utils/assetLabels');
+const { locationFilter, resolveLocation } = require('../utils/locations');
+const {
+    FIELD_TYPES, FIELD_KEY_PATTERN, parseField, parseCustomFields, serializeCustomFields, getCategoryFields, validateCustomFields,
+    customFieldFilter, CUSTOM_FIELDS_SEARCH, getFilterFields
+} = require('../utils/customFields');
+const {
+    DEPRECIATION_METHODS, CATEGORY_DEPRECIATION_COLUMNS, getDepreciationSettings, buildSchedule, getBookValue
+} = require('../utils/depreciation');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
 
-// Obtener todos los activos con filtros y paginación
-router.get('/', authenticateToken, (req, res) => {
-    const { page = 1, limit = 10, category, status, search } = req.query;
+// Configuración de depreciación opcional (en el activo reemplaza a la de su categoría)
+const depreciationValidators = [
+    body('depreciation_method').optional({ nullable: true, checkFalsy: true })
+        .isIn(DEPRECIATION_METHODS).withMessage('Método de depreciación inválido'),
+    body('useful_life_months').optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 }).withMessage('La vida útil debe ser un número de meses mayor a cero'),
+    body('salvage_value').optional({ nullable: true, checkFalsy: true })
+        .isFloat({ min: 0 }).withMessage('Valor de rescate inválido')
+];
+
+// Los campos vacíos dejan que el activo use la configuración de su categoría (0 es un valor válido)
+const emptyToNull = (value) => (value === undefined || value === '' ? null : value);
+
+// En la categoría el valor de rescate es un porcentaje del precio de compra
+const categoryDepreciationValidators = [
+    ...depreciationValidators.slice(0, 2),
+    body('salvage_percentage').optional({ nullable: true, checkFalsy: true })
+        .isFloat({ min: 0, max: 100 }).withMessage('El porcentaje de rescate debe estar entre 0 y 100')
+];
+
+// Definición de campos personalizados; la clave y el tipo no cambian después de crear el campo
+const fieldValidators = [
+    body('label').trim().notEmpty().withMessage('Nombre del campo es requerido')
+        .isLength({ max: 100 }).withMessage('Nombre del campo demasiado largo'),
+    body('required').optional().isBoolean().withMessage('El indicador de campo requerido debe ser verdadero o falso'),
+    body('options').optional({ nullable: true }).isArray().withMessage('Las opciones deben ser una lista'),
+    body('sort_order').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Orden inválido')
+];
+
+// Opciones de un campo enum sin vacíos ni repetidos
+const normalizeOptions = (options) => [...new Set((options || []).map(option => String(option).trim()).filter(Boolean))];
+
+// Activos de la categoría que usan alguna de las opciones del campo: [{ value, count }]
+const findOptionUsage = (field, options, callback) => {
+    if (options.length === 0) return callback(null, []);
+    
+    const fieldPath = `$.${field.field_key}`;
+    
+    db.all(
+        `SELECT json_extract(custom_fields, ?) as value, COUNT(*) as count FROM assets
+         WHERE category_id = ? AND json_extract(custom_fields, ?) IN (${options.map(() => '?').join(', ')})
+         GROUP BY value`,
+        [fieldPath, field.category_id, fieldPath, ...options],
+        callback
+    );
+};
+
+// Archivos de importación (CSV o XLSX, hasta 5 MB) se procesan en memoria
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, callback) => {
+        callback(null, IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+    }
+}).single('file');
+
+// Código de lote de importación (IMP-AAMMDD-000)
+const generateImportCode = () => {
+    const now = new Date();
+    const year = now.getFullYear().toString().substr(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `IMP-${year}${month}${day}-${random}`;
+};
+
+// Validar los campos personalizados contra la categoría del activo o responder 400. Al editar (before)
+// sin cambiar de categoría se conservan los valores guardados si no vienen en la petición y los de
+// campos que ya no están activos; al cambiar de categoría se validan contra los campos de la nueva y
+// los de la anterior se descartan. El callback recibe los valores a guardar.
+const resolveCustomFields = (res, categoryId, input, before, callback) => {
+    const stored = before ? parseCustomFields(before).custom_fields : {};
+    const sameCategory = Boolean(before) && String(before.category_id) === String(categoryId);
+    
+    if (sameCategory && input === undefined) {
+        return callback(stored);
+    }
+    
+    getCategoryFields(db, categoryId, (err, fields) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        const { values, errors } = validateCustomFields(fields, input);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Campos personalizados inválidos', errors });
+        }
+        
+        const retained = {};
+        if (sameCategory) {
+            const activeKeys = fields.map(field => field.field_key);
+            Object.keys(stored).filter(key => !activeKeys.includes(key)).forEach(key => {
+                retained[key] = stored[key];
+            });
+        }
+        
+        callback({ ...retained, ...values });
+    });
+};
+
+// Consulta del listado de activos con los filtros ya validados
+const listAssets = (req, res, customFilter) => {
+    const { page = 1, limit = 10, category, status, search, supplier_id, location_id } = req.query;
     const offset = (page - 1) * limit;
+    const scope = assetScope(req.user);
     
     let query = `
         SELECT 
@@ -20,10 +138,10 @@ router.get('/', authenticateToken, (req, res) => {
         FROM assets a
         LEFT JOIN asset_categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.responsible_user_id = u.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (category) {
         query += ` AND a.category_id = ?`;
@@ -35,12 +153,26 @@ router.get('/', authenticateToken, (req, res) => {
         params.push(status);
     }
     
+    if (supplier_id) {
+        query += ` AND a.supplier_id = ?`;
+        params.push(supplier_id);
+    }
+    
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
     if (search) {
-        query += ` AND (a.name LIKE ? OR a.asset_code LIKE ? OR a.brand LIKE ? OR a.model LIKE ?)`;
+        query += ` AND (a.name LIKE ? OR a.asset_code LIKE ? OR a.brand LIKE ? OR a.model LIKE ? OR ${CUSTOM_FIELDS_SEARCH})`;
         const searchTerm = `%${search}%`;
-        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
     }
     
+    query += ` AND ${customFilter.clause}`;
+    params.push(...customFilter.params);
+    
     query += ` ORDER BY a.created_at DESC LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), offset);
     
@@ -50,8 +182,8 @@ router.get('/', authenticateToken, (req, res) => {
         }
         
         // Obtener total para paginación
-        let countQuery = `SELECT COUNT(*) as total FROM assets a WHERE 1=1`;
-        let countParams = [];
+        let countQuery = `SELECT COUNT(*) as total FROM assets a WHERE ${scope.clause}`;
+        let countParams = [...scope.params];
         
         if (category) {
             countQuery += ` AND a.category_id = ?`;
@@ -63,19 +195,33 @@ router.get('/', authenticateToken, (req, res) => {
             countParams.push(status);
         }
         
+        if (supplier_id) {
+            countQuery += ` AND a.supplier_id = ?`;
+            countParams.push(supplier_id);
+        }
+        
+        if (location_id) {
+            const filter = locationFilter(location_id);
+            countQuery += ` AND ${filter.clause}`;
+            countParams.push(...filter.params);
+        }
+        
         if (search) {
-            countQuery += ` AND (a.name LIKE ? OR a.asset_code LIKE ? OR a.brand LIKE ? OR a.model LIKE ?)`;
+            countQuery += ` AND (a.name LIKE ? OR a.asset_code LIKE ? OR a.brand LIKE ? OR a.model LIKE ? OR ${CUSTOM_FIELDS_SEARCH})`;
             const searchTerm = `%${search}%`;
-            countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+            countParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
         }
         
+        countQuery += ` AND ${customFilter.clause}`;
+        countParams.push(...customFilter.params);
+        
         db.get(countQuery, countParams, (err, countResult) => {
             if (err) {
                 return res.status(500).json({ message: 'Error al contar activos' });
             }
             
             res.json({
-                assets,
+                assets: assets.map(parseCustomFields),
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -85,24 +231,176 @@ router.get('/', authenticateToken, (req, res) => {
             });
         });
     });
+};
+
+// Obtener todos los activos con filtros y paginación (location_id incluye las sububicaciones;
+// custom_fields[clave]=valor y custom_fields[clave][from|to] filtran por campos personalizados)
+router.get('/', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { category, custom_fields } = req.query;
+    const customFilters = custom_fields && typeof custom_fields === 'object' ? custom_fields : {};
+    
+    getFilterFields(db, Object.keys(customFilters), category, (err, filterFields) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener activos' });
+        }
+        
+        const customFilter = customFieldFilter(filterFields, customFilters);
+        
+        if (customFilter.errors.length > 0) {
+            return res.status(400).json({ message: 'Filtros de campos personalizados inválidos', errors: customFilter.errors });
+        }
+        
+        listAssets(req, res, customFilter);
+    });
+});
+
+// Límite de etiquetas por hoja generada
+const MAX_LABELS = 1000;
+
+// Hojas de etiquetas en PDF para los activos filtrados (ids=1,2,3 o category, status, location_id,
+// location, search)
+router.get('/labels', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { ids, category, status, location_id, location, search, type = 'qr', layout = 'avery-5160', start = 1 } = req.query;
+    const scope = assetScope(req.user);
+    
+    if (!LABEL_TYPES.includes(type)) {
+        return res.status(400).json({ message: 'Tipo de etiqueta no válido (qr o code128)' });
+    }
+    
+    const sheet = LABEL_LAYOUTS[layout];
+    if (!sheet) {
+        return res.status(400).json({ message: `Formato de hoja no válido (${Object.keys(LABEL_LAYOUTS).join(', ')})` });
+    }
+    
+    const startPosition = parseInt(start);
+    if (!(startPosition >= 1 && startPosition <= sheet.columns * sheet.rows)) {
+        return res.status(400).json({ message: `La posición inicial debe estar entre 1 y ${sheet.columns * sheet.rows}` });
+    }
+    
+    let query = `SELECT a.id, a.asset_code, a.name FROM assets a WHERE ${scope.clause}`;
+    let params = [...scope.params];
+    
+    if (ids) {
+        const idList = String(ids).split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+        query += ` AND a.id IN (${idList.map(() => '?').join(', ') || 'NULL'})`;
+        params.push(...idList);
+    }
+    
+    if (category) {
+        query += ` AND a.category_id = ?`;
+        params.push(category);
+    }
+    
+    if (status) {
+        query += ` AND a.status = ?`;
+        params.push(status);
+    }
+    
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
+    if (location) {
+        query += ` AND a.location LIKE ?`;
+        params.push(`%${location}%`);
+    }
+    
+    if (search) {
+        query += ` AND (a.name LIKE ? OR a.asset_code LIKE ? OR a.brand LIKE ? OR a.model LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+    
+    query += ` ORDER BY a.asset_code ASC`;
+    
+    db.all(query, params, (err, assets) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener activos' });
+        }
+        
+        if (assets.length === 0) {
+            return res.status(404).json({ message: 'No se encontraron activos con los filtros indicados' });
+        }
+        
+        if (assets.length > MAX_LABELS) {
+            return res.status(400).json({ message: `Se pueden generar hasta ${MAX_LABELS} etiquetas a la vez; aplique más filtros` });
+        }
+        
+        buildLabelSheet(assets, { type, layout, start: startPosition })
+            .then(doc => {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `inline; filename="etiquetas-${layout}.pdf"`);
+                doc.pipe(res);
+                doc.end();
+            })
+            .catch(err => {
+                res.status(500).json({ message: 'Error al generar etiquetas' });
+            });
+    });
 });
 
 // Obtener un activo específico
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
     const { id } = req.params;
+    const scope = assetScope(req.user);
     
     const query = `
         SELECT 
             a.*, 
             c.name as category_name,
-            u.full_name as responsible_name
+            u.full_name as responsible_name,
+            ri.requisition_id,
+            r.requisition_code,${CATEGORY_DEPRECIATION_COLUMNS}
         FROM assets a
         LEFT JOIN asset_categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.responsible_user_id = u.id
-        WHERE a.id = ?
+        LEFT JOIN requisition_items ri ON a.requisition_item_id = ri.id
+        LEFT JOIN requisitions r ON ri.requisition_id = r.id
+        WHERE a.id = ? AND ${scope.clause}
     `;
     
-    db.get(query, [id], (err, asset) => {
+    db.get(query, [id, ...scope.params], (err, asset) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener activo' });
+        }
+        
+        if (!asset) {
+            return res.status(404).json({ message: 'Activo no encontrado' });
+        }
+        
+        getCategoryFields(db, asset.category_id, (err, fields) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener activo' });
+            }
+            
+            // Valor en libros al mes actual (null si el activo no tiene datos para depreciarse) y
+            // definición de los campos personalizados de su categoría
+            res.json({ asset: parseCustomFields(asset), fields, depreciation: getBookValue(asset) });
+        });
+    });
+});
+
+// Historial del activo: compra, asignaciones, transferencias, incidencias, mantenimientos,
+// cambios de estado y garantía en orden cronológico (type=incident,maintenance filtra por tipo)
+router.get('/:id/timeline', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 20, type, order = 'asc' } = req.query;
+    const offset = (page - 1) * limit;
+    const scope = assetScope(req.user);
+    
+    const types = type ? String(type).split(',').map(value => value.trim()) : TIMELINE_EVENT_TYPES;
+    const invalidTypes = types.filter(value => !TIMELINE_EVENT_TYPES.includes(value));
+    
+    if (invalidTypes.length > 0) {
+        return res.status(400).json({
+            message: `Tipo de evento inválido: ${invalidTypes.join(', ')}`,
+            validTypes: TIMELINE_EVENT_TYPES
+        });
+    }
+    
+    db.get(`SELECT id, asset_code, name FROM assets a WHERE a.id = ? AND ${scope.clause}`, [id, ...scope.params], (err, asset) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener activo' });
         }
@@ -111,15 +409,127 @@ router.get('/:id', authenticateToken, (req, res) => {
             return res.status(404).json({ message: 'Activo no encontrado' });
         }
         
-        res.json({ asset });
+        const timeline = buildTimelineQuery(asset.id, types);
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+        
+        db.all(
+            `${timeline.sql} ORDER BY event_date ${direction}, reference_id ${direction} LIMIT ? OFFSET ?`,
+            [...timeline.params, parseInt(limit), offset],
+            (err, events) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener historial del activo' });
+                }
+                
+                db.get(`SELECT COUNT(*) as total FROM (${timeline.sql})`, timeline.params, (err, countResult) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al contar eventos del activo' });
+                    }
+                    
+                    res.json({
+                        asset,
+                        events,
+                        pagination: {
+                            page: parseInt(page),
+                            limit: parseInt(limit),
+                            total: countResult.total,
+                            totalPages: Math.ceil(countResult.total / limit)
+                        }
+                    });
+                });
+            }
+        );
     });
 });
 
+// Tabla de depreciación mensual del activo
+router.get('/:id/depreciation', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const scope = assetScope(req.user);
+    
+    db.get(
+        `SELECT a.*,${CATEGORY_DEPRECIATION_COLUMNS}
+         FROM assets a
+         LEFT JOIN asset_categories c ON a.category_id = c.id
+         WHERE a.id = ? AND ${scope.clause}`,
+        [req.params.id, ...scope.params],
+        (err, asset) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener activo' });
+            }
+            
+            if (!asset) {
+                return res.status(404).json({ message: 'Activo no encontrado' });
+            }
+            
+            const settings = getDepreciationSettings(asset);
+            
+            if (!settings) {
+                return res.status(400).json({
+                    message: 'El activo necesita precio, fecha de compra y vida útil (propia o de su categoría) para depreciarse'
+                });
+            }
+            
+            res.json({
+                asset: { id: asset.id, asset_code: asset.asset_code, name: asset.name },
+                depreciation: getBookValue(asset),
+                schedule: buildSchedule(settings)
+            });
+        }
+    );
+});
+
+// Etiqueta de un activo: PDF con el nombre del hotel y del activo, o solo el código en PNG (format=png)
+router.get('/:id/label', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { type = 'qr', format = 'pdf' } = req.query;
+    const scope = assetScope(req.user);
+    
+    if (!LABEL_TYPES.includes(type)) {
+        return res.status(400).json({ message: 'Tipo de etiqueta no válido (qr o code128)' });
+    }
+    
+    db.get(
+        `SELECT a.id, a.asset_code, a.name FROM assets a WHERE a.id = ? AND ${scope.clause}`,
+        [req.params.id, ...scope.params],
+        (err, asset) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener activo' });
+            }
+            
+            if (!asset) {
+                return res.status(404).json({ message: 'Activo no encontrado' });
+            }
+            
+            if (format === 'png') {
+                return renderCode(asset, type)
+                    .then(image => {
+                        res.setHeader('Content-Type', 'image/png');
+                        res.send(image);
+                    })
+                    .catch(err => {
+                        res.status(500).json({ message: 'Error al generar etiqueta' });
+                    });
+            }
+            
+            buildSingleLabel(asset, type)
+                .then(doc => {
+                    res.setHeader('Content-Type', 'application/pdf');
+                    res.setHeader('Content-Disposition', `inline; filename="etiqueta-${asset.asset_code}.pdf"`);
+                    doc.pipe(res);
+                    doc.end();
+                })
+                .catch(err => {
+                    res.status(500).json({ message: 'Error al generar etiqueta' });
+                });
+        }
+    );
+});
+
 // Crear nuevo activo
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorizePermission('inventory.create'), [
     body('name').notEmpty().withMessage('Nombre del activo es requerido'),
     body('asset_code').notEmpty().withMessage('Código del activo es requerido'),
-    body('category_id').isInt().withMessage('Categoría válida es requerida')
+    body('category_id').isInt().withMessage('Categoría válida es requerida'),
+    body('location_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Ubicación inválida'),
+    ...depreciationValidators
 ], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -128,9 +538,9 @@ router.post('/', authenticateToken, [
     
     const {
         asset_code, name, description, category_id, brand, model,
-        serial_number, purchase_date, purchase_price, supplier,
-        location, status = 'active', responsible_user_id,
-        warranty_expiry, notes
+        serial_number, purchase_date, purchase_price, supplier, supplier_id,
+        location, location_id, status = 'active', responsible_user_id,
+        warranty_expiry, notes, depreciation_method, useful_life_months, salvage_value, custom_fields
     } = req.body;
     
     // Verificar que el código no exista
@@ -143,35 +553,69 @@ router.post('/', authenticateToken, [
             return res.status(400).json({ message: 'El código del activo ya existe' });
         }
         
-        const query = `
-            INSERT INTO assets (
-                asset_code, name, description, category_id, brand, model,
-                serial_number, purchase_date, purchase_price, supplier,
-                location, status, responsible_user_id, warranty_expiry, notes
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-        
-        db.run(query, [
-            asset_code, name, description, category_id, brand, model,
-            serial_number, purchase_date, purchase_price, supplier,
-            location, status, responsible_user_id, warranty_expiry, notes
-        ], function(err) {
-            if (err) {
-                return res.status(500).json({ message: 'Error al crear activo' });
-            }
-            
-            res.status(201).json({
-                message: 'Activo creado exitosamente',
-                asset: { id: this.lastID, asset_code, name, status }
+        resolveCustomFields(res, category_id, custom_fields, null, (values) => {
+            resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (!resolved) {
+                    return res.status(400).json({ message: 'Proveedor no encontrado' });
+                }
+                
+                resolveLocation(db, location_id, location, (err, place) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error del servidor' });
+                    }
+                    
+                    if (!place) {
+                        return res.status(400).json({ message: 'Ubicación no encontrada o inactiva' });
+                    }
+                    
+                    const query = `
+                        INSERT INTO assets (
+                            asset_code, name, description, category_id, brand, model,
+                            serial_number, purchase_date, purchase_price, supplier, supplier_id,
+                            location, location_id, status, responsible_user_id, warranty_expiry, notes,
+                            depreciation_method, useful_life_months, salvage_value, custom_fields
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `;
+                    
+                    db.run(query, [
+                        asset_code, name, description, category_id, brand, model,
+                        serial_number, purchase_date, purchase_price, resolved.supplier, resolved.supplier_id,
+                        place.location, place.location_id, status, responsible_user_id, warranty_expiry, notes,
+                        emptyToNull(depreciation_method), emptyToNull(useful_life_months), emptyToNull(salvage_value),
+                        serializeCustomFields(values)
+                    ], function(err) {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al crear activo' });
+                        }
+                        
+                        const assetId = this.lastID;
+                        
+                        recordChange(db, req, { entity: 'asset', table: 'assets', entityId: assetId, action: 'create' }, () => {
+                            res.status(201).json({
+                                message: 'Activo creado exitosamente',
+                                asset: {
+                                    id: assetId, asset_code, name, status, location_id: place.location_id, location: place.location,
+                                    custom_fields: values
+                                }
+                            });
+                        });
+                    });
+                });
             });
         });
     });
 });
 
 // Actualizar activo
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, authorizePermission('inventory.update'), [
     body('name').notEmpty().withMessage('Nombre del activo es requerido'),
-    body('category_id').isInt().withMessage('Categoría válida es requerida')
+    body('category_id').isInt().withMessage('Categoría válida es requerida'),
+    body('location_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Ubicación inválida'),
+    ...depreciationValidators
 ], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -181,114 +625,606 @@ router.put('/:id', authenticateToken, [
     const { id } = req.params;
     const {
         name, description, category_id, brand, model, serial_number,
-        purchase_date, purchase_price, supplier, location, status,
-        responsible_user_id, warranty_expiry, notes
+        purchase_date, purchase_price, supplier, supplier_id, location, location_id, status,
+        responsible_user_id, warranty_expiry, notes, custom_fields
     } = req.body;
     
-    const query = `
-        UPDATE assets SET
-            name = ?, description = ?, category_id = ?, brand = ?, model = ?,
-            serial_number = ?, purchase_date = ?, purchase_price = ?, supplier = ?,
-            location = ?, status = ?, responsible_user_id = ?, warranty_expiry = ?,
-            notes = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-    `;
-    
-    db.run(query, [
-        name, description, category_id, brand, model, serial_number,
-        purchase_date, purchase_price, supplier, location, status,
-        responsible_user_id, warranty_expiry, notes, id
-    ], function(err) {
+    getSnapshot(db, 'assets', id, (err, before) => {
         if (err) {
-            return res.status(500).json({ message: 'Error al actualizar activo' });
+            return res.status(500).json({ message: 'Error al obtener activo' });
         }
         
-        if (this.changes === 0) {
+        if (!before) {
             return res.status(404).json({ message: 'Activo no encontrado' });
         }
         
-        res.json({ message: 'Activo actualizado exitosamente' });
+        resolveCustomFields(res, category_id, custom_fields, before, (values) => {
+            resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (!resolved) {
+                    return res.status(400).json({ message: 'Proveedor no encontrado' });
+                }
+                
+                resolveLocation(db, location_id, location, (err, place) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error del servidor' });
+                    }
+                    
+                    if (!place) {
+                        return res.status(400).json({ message: 'Ubicación no encontrada o inactiva' });
+                    }
+                    
+                    // La configuración de depreciación se conserva si no viene en la petición
+                    const depreciation = ['depreciation_method', 'useful_life_months', 'salvage_value'].map(field =>
+                        (req.body[field] === undefined ? before[field] : emptyToNull(req.body[field]))
+                    );
+                    
+                    const query = `
+                        UPDATE assets SET
+                            name = ?, description = ?, category_id = ?, brand = ?, model = ?,
+                            serial_number = ?, purchase_date = ?, purchase_price = ?, supplier = ?,
+                            supplier_id = ?, location = ?, location_id = ?, status = ?, responsible_user_id = ?,
+                            warranty_expiry = ?, notes = ?, depreciation_method = ?, useful_life_months = ?,
+                            salvage_value = ?, custom_fields = ?, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = ?
+                    `;
+                    
+                    db.run(query, [
+                        name, description, category_id, brand, model, serial_number,
+                        purchase_date, purchase_price, resolved.supplier, resolved.supplier_id,
+                        place.location, place.location_id, status,
+                        responsible_user_id, warranty_expiry, notes, ...depreciation, serializeCustomFields(values), id
+                    ], (err) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al actualizar activo' });
+                        }
+                        
+                        recordChange(db, req, { entity: 'asset', table: 'assets', entityId: before.id, action: 'update', before }, () => {
+                            res.json({ message: 'Activo actualizado exitosamente' });
+                        });
+                    });
+                });
+            });
+        });
     });
 });
 
 // Eliminar activo (soft delete)
-router.delete('/:id', authenticateToken, authorizeRole(['admin']), (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('inventory.delete'), (req, res) => {
     const { id } = req.params;
     
-    db.run(
-        `UPDATE assets SET status = 'inactive', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [id],
-        function(err) {
+    getSnapshot(db, 'assets', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener activo' });
+        }
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Activo no encontrado' });
+        }
+        
+        db.run(
+            `UPDATE assets SET status = 'inactive', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al eliminar activo' });
+                }
+                
+                recordChange(db, req, { entity: 'asset', table: 'assets', entityId: before.id, action: 'delete', before }, () => {
+                    res.json({ message: 'Activo eliminado exitosamente' });
+                });
+            }
+        );
+    });
+});
+
+// Importar activos desde CSV o XLSX. Campos multipart: file, mapping (JSON campo → columna, con
+// custom_fields.<clave> para los campos personalizados; sin mapeo se usa la columna con la clave o
+// la etiqueta del campo) y dry_run=true para solo validar. Si alguna fila tiene errores no se
+// importa nada.
+router.post('/import', authenticateToken, authorizePermission('inventory.create'), (req, res) => {
+    importUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                message: err.code === 'LIMIT_FILE_SIZE' ? 'El archivo excede el tamaño máximo de 5 MB' : 'Error al recibir el archivo'
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ message: 'Se requiere un archivo CSV o XLSX' });
+        }
+        
+        let customMapping = {};
+        try {
+            customMapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+        } catch (parseErr) {
+            return res.status(400).json({ message: 'El mapeo de columnas no es un JSON válido' });
+        }
+        
+        const dryRun = req.body.dry_run === 'true' || req.body.dry_run === '1';
+        
+        readSpreadsheet(req.file, (err, sheet) => {
             if (err) {
-                return res.status(500).json({ message: 'Error al eliminar activo' });
+                return res.status(400).json({ message: 'No se pudo leer el archivo' });
             }
             
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Activo no encontrado' });
+            const { mapping, errors: mappingErrors } = buildMapping(sheet.headers, customMapping);
+            
+            if (mappingErrors.length > 0) {
+                return res.status(400).json({ message: 'Mapeo de columnas inválido', errors: mappingErrors, headers: sheet.headers });
             }
             
-            res.json({ message: 'Activo eliminado exitosamente' });
+            if (sheet.rows.length === 0) {
+                return res.status(400).json({ message: 'El archivo no contiene filas' });
+            }
+            
+            validateRows(db, sheet, mapping, (err, result) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al validar el archivo' });
+                }
+                
+                const summary = {
+                    totalRows: sheet.rows.length,
+                    validRows: result.assets.length,
+                    invalidRows: new Set(result.errors.map(error => error.row)).size,
+                    mapping: { ...mapping, custom_fields: result.customFields }
+                };
+                
+                if (dryRun) {
+                    return res.json({ dryRun: true, ...summary, errors: result.errors });
+                }
+                
+                if (result.errors.length > 0) {
+                    return res.status(400).json({
+                        message: 'El archivo tiene errores; no se importó ningún activo',
+                        ...summary,
+                        errors: result.errors
+                    });
+                }
+                
+                const batch_code = generateImportCode();
+                const statements = [
+                    [`INSERT INTO asset_import_batches (batch_code, file_name, total_rows, created_by) VALUES (?, ?, ?, ?)`,
+                     [batch_code, req.file.originalname, result.assets.length, req.user.id]],
+                    ...result.assets.map(asset => [
+                        `INSERT INTO assets (
+                            asset_code, name, description, category_id, brand, model,
+                            serial_number, purchase_date, purchase_price, supplier, supplier_id,
+                            location, location_id, status, responsible_user_id, warranty_expiry, notes, custom_fields,
+                            import_batch_id
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                            (SELECT id FROM asset_import_batches WHERE batch_code = ?))`,
+                        [asset.asset_code, asset.name, asset.description, asset.category_id, asset.brand, asset.model,
+                         asset.serial_number, asset.purchase_date, asset.purchase_price, asset.supplier, asset.supplier_id,
+                         asset.location, asset.location_id, asset.status, asset.responsible_user_id, asset.warranty_expiry, asset.notes,
+                         serializeCustomFields(asset.custom_fields), batch_code]
+                    ])
+                ];
+                
+                runTransaction(db, statements, (err, results) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al importar activos' });
+                    }
+                    
+                    const batchId = results[0].lastID;
+                    
+                    // El lote y cada activo creado quedan en la bitácora
+                    const audits = [
+                        { entity: 'asset_import', table: 'asset_import_batches', entityId: batchId, action: 'create' },
+                        ...results.slice(1).map(asset => ({ entity: 'asset', table: 'assets', entityId: asset.lastID, action: 'create' }))
+                    ].map(change => new Promise(resolve => recordChange(db, req, change, resolve)));
+                    
+                    Promise.all(audits).then(() => {
+                        res.status(201).json({
+                            message: `${result.assets.length} activos importados exitosamente`,
+                            batch: { id: batchId, batch_code, imported: result.assets.length },
+                            ...summary
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Obtener lotes de importación
+router.get('/import/batches', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    db.all(
+        `SELECT b.*, u.full_name as created_by_name, rb.full_name as rolled_back_by_name,
+            (SELECT COUNT(*) FROM assets a WHERE a.import_batch_id = b.id) as assets_count
+         FROM asset_import_batches b
+         LEFT JOIN users u ON b.created_by = u.id
+         LEFT JOIN users rb ON b.rolled_back_by = rb.id
+         ORDER BY b.created_at DESC, b.id DESC`,
+        (err, batches) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener lotes de importación' });
+            }
+            
+            res.json({ batches });
         }
     );
 });
 
+// Revertir un lote de importación: elimina sus activos si ninguno se modificó después de importarse
+// ni tiene movimientos registrados (incidencias, mantenimientos, formatos, adjuntos, inventarios)
+router.post('/import/batches/:id/rollback', authenticateToken, authorizePermission('inventory.delete'), (req, res) => {
+    const { id } = req.params;
+    
+    getSnapshot(db, 'asset_import_batches', id, (err, batch) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener lote de importación' });
+        }
+        
+        if (!batch) {
+            return res.status(404).json({ message: 'Lote de importación no encontrado' });
+        }
+        
+        if (batch.status === 'rolled_back') {
+            return res.status(400).json({ message: 'El lote de importación ya fue revertido' });
+        }
+        
+        db.all(
+            `SELECT a.asset_code FROM assets a
+             WHERE a.import_batch_id = ? AND (
+                EXISTS (SELECT 1 FROM incidents i WHERE i.asset_id = a.id)
+                OR EXISTS (SELECT 1 FROM maintenances m WHERE m.asset_id = a.id)
+                OR EXISTS (SELECT 1 FROM responsive_forms rf WHERE rf.asset_id = a.id)
+                OR EXISTS (SELECT 1 FROM attachments at WHERE at.entity_type = 'asset' AND at.entity_id = a.id)
+                OR EXISTS (SELECT 1 FROM stocktake_items si WHERE si.asset_id = a.id)
+                OR EXISTS (SELECT 1 FROM stocktake_scans ss WHERE ss.asset_id = a.id)
+                OR EXISTS (SELECT 1 FROM audit_log al WHERE al.entity = 'asset' AND al.entity_id = a.id AND al.action <> 'create')
+             )`,
+            [id],
+            (err, usedAssets) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (usedAssets.length > 0) {
+                    return res.status(400).json({
+                        message: 'No se puede revertir: hay activos del lote modificados o con incidencias, mantenimientos, formatos, archivos adjuntos o inventarios físicos',
+                        assets: usedAssets.map(asset => asset.asset_code)
+                    });
+                }
+                
+                // Filas completas de los activos para registrar su eliminación en la bitácora
+                db.all(`SELECT * FROM assets WHERE import_batch_id = ?`, [id], (err, assets) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error del servidor' });
+                    }
+                    
+                    runTransaction(db, [
+                        ...assets.map(asset => [`DELETE FROM assets WHERE id = ?`, [asset.id]]),
+                        [`UPDATE asset_import_batches SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = CURRENT_TIMESTAMP
+                          WHERE id = ?`, [req.user.id, id]]
+                    ], (err) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al revertir lote de importación' });
+                        }
+                        
+                        const audits = [
+                            ...assets.map(asset => ({ entity: 'asset', table: 'assets', entityId: asset.id, action: 'delete', before: asset })),
+                            { entity: 'asset_import', table: 'asset_import_batches', entityId: batch.id, action: 'rollback', before: batch }
+                        ].map(change => new Promise(resolve => recordChange(db, req, change, resolve)));
+                        
+                        Promise.all(audits).then(() => {
+                            res.json({
+                                message: 'Lote de importación revertido exitosamente',
+                                removed: assets.length
+                            });
+                        });
+                    });
+                });
+            }
+        );
+    });
+});
+
 // Obtener categorías
-router.get('/categories/all', authenticateToken, (req, res) => {
+router.get('/categories/all', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
     db.all(`SELECT * FROM asset_categories ORDER BY name`, (err, categories) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener categorías' });
         }
         
-        res.json({ categories });
+        db.all(`SELECT * FROM category_fields WHERE active = 1 ORDER BY sort_order ASC, id ASC`, (err, fields) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener categorías' });
+            }
+            
+            // Campos personalizados activos de cada categoría
+            res.json({
+                categories: categories.map(category => ({
+                    ...category,
+                    fields: fields.filter(field => field.category_id === category.id).map(parseField)
+                }))
+            });
+        });
     });
 });
 
 // Crear nueva categoría
-router.post('/categories', authenticateToken, authorizeRole(['admin']), [
-    body('name').notEmpty().withMessage('Nombre de la categoría es requerido')
+router.post('/categories', authenticateToken, authorizePermission('categories.manage'), [
+    body('name').notEmpty().withMessage('Nombre de la categoría es requerido'),
+    ...categoryDepreciationValidators
 ], (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
     
-    const { name, description } = req.body;
+    const { name, description, depreciation_method = 'straight_line', useful_life_months, salvage_percentage = 0 } = req.body;
     
     db.run(
-        `INSERT INTO asset_categories (name, description) VALUES (?, ?)`,
-        [name, description],
+        `INSERT INTO asset_categories (name, description, depreciation_method, useful_life_months, salvage_percentage)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, description, depreciation_method, useful_life_months || null, salvage_percentage || 0],
         function(err) {
             if (err) {
                 return res.status(500).json({ message: 'Error al crear categoría' });
             }
             
-            res.status(201).json({
-                message: 'Categoría creada exitosamente',
-                category: { id: this.lastID, name, description }
+            const categoryId = this.lastID;
+            
+            recordChange(db, req, { entity: 'asset_category', table: 'asset_categories', entityId: categoryId, action: 'create' }, () => {
+                res.status(201).json({
+                    message: 'Categoría creada exitosamente',
+                    category: { id: categoryId, name, description, depreciation_method, useful_life_months, salvage_percentage }
+                });
             });
         }
     );
 });
 
+// Actualizar categoría (incluye su configuración de depreciación)
+router.put('/categories/:id', authenticateToken, authorizePermission('categories.manage'), [
+    body('name').notEmpty().withMessage('Nombre de la categoría es requerido'),
+    ...categoryDepreciationValidators
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name, description, depreciation_method = 'straight_line', useful_life_months, salvage_percentage = 0 } = req.body;
+    
+    getSnapshot(db, 'asset_categories', req.params.id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener categoría' });
+        }
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Categoría no encontrada' });
+        }
+        
+        db.run(
+            `UPDATE asset_categories SET name = ?, description = ?, depreciation_method = ?, useful_life_months = ?,
+                salvage_percentage = ?
+             WHERE id = ?`,
+            [name, description, depreciation_method, useful_life_months || null, salvage_percentage || 0, before.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al actualizar categoría' });
+                }
+                
+                recordChange(db, req, { entity: 'asset_category', table: 'asset_categories', entityId: before.id, action: 'update', before }, () => {
+                    res.json({ message: 'Categoría actualizada exitosamente' });
+                });
+            }
+        );
+    });
+});
+
+// Obtener los campos personalizados de una categoría (include_inactive=true incluye los desactivados)
+router.get('/categories/:id/fields', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const includeInactive = req.query.include_inactive === 'true';
+    
+    db.all(
+        `SELECT * FROM category_fields WHERE category_id = ?${includeInactive ? '' : ' AND active = 1'}
+         ORDER BY sort_order ASC, id ASC`,
+        [req.params.id],
+        (err, fields) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener campos personalizados' });
+            }
+            
+            res.json({ fields: fields.map(parseField) });
+        }
+    );
+});
+
+// Agregar un campo personalizado a la categoría
+router.post('/categories/:id/fields', authenticateToken, authorizePermission('categories.manage'), [
+    body('field_key').matches(FIELD_KEY_PATTERN).withMessage('Clave inválida (minúsculas, números y guion bajo; inicia con letra)'),
+    body('type').isIn(FIELD_TYPES).withMessage(`Tipo de campo inválido (${FIELD_TYPES.join(', ')})`),
+    ...fieldValidators
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { field_key, label, type, required = false, sort_order = 0 } = req.body;
+    const options = type === 'enum' ? normalizeOptions(req.body.options) : [];
+    
+    if (type === 'enum' && options.length === 0) {
+        return res.status(400).json({ message: 'Los campos de tipo enum requieren al menos una opción' });
+    }
+    
+    db.get(`SELECT id FROM asset_categories WHERE id = ?`, [req.params.id], (err, category) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener categoría' });
+        }
+        
+        if (!category) {
+            return res.status(404).json({ message: 'Categoría no encontrada' });
+        }
+        
+        db.get(
+            `SELECT id, active FROM category_fields WHERE category_id = ? AND field_key = ?`,
+            [category.id, field_key],
+            (err, existing) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear campo personalizado' });
+                }
+                
+                if (existing) {
+                    return res.status(400).json({
+                        message: existing.active
+                            ? `La categoría ya tiene un campo con la clave ${field_key}`
+                            : `La clave ${field_key} pertenece a un campo desactivado; reactívelo en lugar de crear otro`
+                    });
+                }
+                
+                db.run(
+                    `INSERT INTO category_fields (category_id, field_key, label, type, required, options, sort_order)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [category.id, field_key, label, type, required ? 1 : 0, type === 'enum' ? JSON.stringify(options) : null,
+                     sort_order || 0],
+                    function(err) {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al crear campo personalizado' });
+                        }
+                        
+                        const fieldId = this.lastID;
+                        
+                        recordChange(db, req, { entity: 'category_field', table: 'category_fields', entityId: fieldId, action: 'create' }, () => {
+                            res.status(201).json({
+                                message: 'Campo personalizado creado exitosamente',
+                                field: { id: fieldId, category_id: category.id, field_key, label, type, required: !!required, options, sort_order: sort_order || 0 }
+                            });
+                        });
+                    }
+                );
+            }
+        );
+    });
+});
+
+// Actualizar un campo personalizado (nombre, requerido, opciones, orden y active). No se pueden
+// quitar opciones que usan los activos de la categoría.
+router.put('/categories/:id/fields/:fieldId', authenticateToken, authorizePermission('categories.manage'), fieldValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { label, required = false, sort_order = 0, active = true } = req.body;
+    
+    db.get(
+        `SELECT * FROM category_fields WHERE id = ? AND category_id = ?`,
+        [req.params.fieldId, req.params.id],
+        (err, before) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener campo personalizado' });
+            }
+            
+            if (!before) {
+                return res.status(404).json({ message: 'Campo personalizado no encontrado' });
+            }
+            
+            if ((req.body.field_key && req.body.field_key !== before.field_key) || (req.body.type && req.body.type !== before.type)) {
+                return res.status(400).json({ message: 'La clave y el tipo de un campo no se pueden cambiar' });
+            }
+            
+            const options = before.type === 'enum' ? normalizeOptions(req.body.options || parseField(before).options) : [];
+            
+            if (before.type === 'enum' && options.length === 0) {
+                return res.status(400).json({ message: 'Los campos de tipo enum requieren al menos una opción' });
+            }
+            
+            const removed = parseField(before).options.filter(option => !options.includes(option));
+            
+            findOptionUsage(before, removed, (err, inUse) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al actualizar campo personalizado' });
+                }
+                
+                if (inUse.length > 0) {
+                    return res.status(400).json({
+                        message: 'No se pueden quitar opciones que usan activos de la categoría',
+                        options: inUse
+                    });
+                }
+                
+                db.run(
+                    `UPDATE category_fields SET label = ?, required = ?, options = ?, sort_order = ?, active = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [label, required ? 1 : 0, before.type === 'enum' ? JSON.stringify(options) : null, sort_order || 0,
+                     active ? 1 : 0, before.id],
+                    (err) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al actualizar campo personalizado' });
+                        }
+                        
+                        recordChange(db, req, { entity: 'category_field', table: 'category_fields', entityId: before.id, action: 'update', before }, () => {
+                            res.json({ message: 'Campo personalizado actualizado exitosamente' });
+                        });
+                    }
+                );
+            });
+        }
+    );
+});
+
+// Desactivar un campo personalizado; los valores guardados en los activos se conservan
+router.delete('/categories/:id/fields/:fieldId', authenticateToken, authorizePermission('categories.manage'), (req, res) => {
+    db.get(
+        `SELECT * FROM category_fields WHERE id = ? AND category_id = ?`,
+        [req.params.fieldId, req.params.id],
+        (err, before) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener campo personalizado' });
+            }
+            
+            if (!before) {
+                return res.status(404).json({ message: 'Campo personalizado no encontrado' });
+            }
+            
+            db.run(
+                `UPDATE category_fields SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [before.id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al desactivar campo personalizado' });
+                    }
+                    
+                    recordChange(db, req, { entity: 'category_field', table: 'category_fields', entityId: before.id, action: 'delete', before }, () => {
+                        res.json({ message: 'Campo personalizado desactivado exitosamente' });
+                    });
+                }
+            );
+        }
+    );
+});
+
 // Obtener estadísticas del inventario
-router.get('/stats/overview', authenticateToken, (req, res) => {
+router.get('/stats/overview', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    // Todas las consultas usan el mismo filtro de departamento y por lo tanto los mismos parámetros
+    const scope = assetScope(req.user);
+    
     const queries = {
-        total: `SELECT COUNT(*) as count FROM assets WHERE status != 'inactive'`,
-        byStatus: `SELECT status, COUNT(*) as count FROM assets WHERE status != 'inactive' GROUP BY status`,
+        total: `SELECT COUNT(*) as count FROM assets a WHERE status != 'inactive' AND ${scope.clause}`,
+        byStatus: `SELECT status, COUNT(*) as count FROM assets a WHERE status != 'inactive' AND ${scope.clause} GROUP BY status`,
         byCategory: `
             SELECT c.name, COUNT(a.id) as count 
             FROM asset_categories c 
-            LEFT JOIN assets a ON c.id = a.category_id AND a.status != 'inactive'
+            LEFT JOIN assets a ON c.id = a.category_id AND a.status != 'inactive' AND ${scope.clause}
             GROUP BY c.id, c.name
         `,
         expiredWarranty: `
-            SELECT COUNT(*) as count FROM assets 
-            WHERE warranty_expiry < DATE('now') AND status = 'active'
+            SELECT COUNT(*) as count FROM assets a 
+            WHERE warranty_expiry < DATE('now') AND status = 'active' AND ${scope.clause}
         `,
         expiringWarranty: `
-            SELECT COUNT(*) as count FROM assets 
+            SELECT COUNT(*) as count FROM assets a 
             WHERE warranty_expiry BETWEEN DATE('now') AND DATE('now', '+30 days') 
-            AND status = 'active'
+            AND status = 'active' AND ${scope.clause}
         `
     };
     
@@ -297,7 +1233,7 @@ router.get('/stats/overview', authenticateToken, (req, res) => {
     
     Object.keys(queries).forEach(key => {
         promises.push(new Promise((resolve, reject) => {
-            db.all(queries[key], (err, result) => {
+            db.all(queries[key], scope.params, (err, result) => {
                 if (err) reject(err);
                 else {
                     stats[key] = result;
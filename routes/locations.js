@@ -0,0 +1,456 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { assetScope } = require('../utils/departmentScope');
+const { getSnapshot, recordChange } = require('../utils/audit');
+const { runTransaction } = require('../utils/transaction');
+const {
+    LOCATION_TYPES, PATH_SEPARATOR, normalizeLocationName, parseLocation, locationFilter, buildPaths, collectSubtree, buildTree
+} = require('../utils/locations');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+const locationValidators = [
+    body('name').trim().notEmpty().withMessage('Nombre de la ubicación es requerido')
+        .isLength({ max: 100 }).withMessage('Nombre de la ubicación demasiado largo'),
+    body('type').isIn(LOCATION_TYPES).withMessage(`Tipo de ubicación inválido (${LOCATION_TYPES.join(', ')})`),
+    body('parent_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Ubicación superior inválida').toInt(),
+    body('code').optional({ nullable: true, checkFalsy: true })
+        .customSanitizer(value => String(value).toUpperCase().trim())
+        .isLength({ max: 20 }).withMessage('Código demasiado largo'),
+    body('aliases').optional().isArray().withMessage('Los alias deben ser una lista')
+];
+
+// Verificar la posición en el árbol, el nombre entre sus hermanas y el código. El callback
+// recibe (err, message, locations) con message null si la ubicación es válida.
+const validateLocation = ({ id = null, name, type, parent_id, code }, callback) => {
+    db.all(`SELECT * FROM locations`, (err, locations) => {
+        if (err) return callback(err);
+        
+        const rank = (locationType) => LOCATION_TYPES.indexOf(locationType);
+        const parent = parent_id ? locations.find(location => location.id === parent_id) : null;
+        
+        if (parent_id && (!parent || !parent.active)) {
+            return callback(null, 'Ubicación superior no encontrada o inactiva');
+        }
+        
+        if (parent && id && collectSubtree(locations, id).has(parent.id)) {
+            return callback(null, 'Una ubicación no puede quedar dentro de sí misma ni de sus sububicaciones');
+        }
+        
+        if (parent && rank(type) <= rank(parent.type)) {
+            return callback(null, 'El tipo de la ubicación debe ser de un nivel inferior al de la ubicación superior');
+        }
+        
+        if (id && locations.some(location => location.parent_id === id && rank(location.type) <= rank(type))) {
+            return callback(null, 'Las sububicaciones deben ser de un nivel inferior al de la ubicación');
+        }
+        
+        const sibling = locations.find(location => location.id !== id &&
+            (location.parent_id || null) === (parent_id || null) &&
+            normalizeLocationName(location.name) === normalizeLocationName(name));
+        if (sibling) {
+            return callback(null, `Ya existe la ubicación ${sibling.path}`);
+        }
+        
+        const sameCode = code && locations.find(location => location.id !== id && location.code === code);
+        if (sameCode) {
+            return callback(null, `El código ya pertenece a la ubicación ${sameCode.path}`);
+        }
+        
+        callback(null, null, locations);
+    });
+};
+
+// Sububicaciones activas y activos asignados directamente (solo se desactivan ubicaciones vacías)
+const countContents = (id, callback) => {
+    db.get(
+        `SELECT
+            (SELECT COUNT(*) FROM locations WHERE parent_id = ? AND active = 1) as children_count,
+            (SELECT COUNT(*) FROM assets WHERE location_id = ? AND status != 'inactive') as assets_count`,
+        [id, id],
+        callback
+    );
+};
+
+// Obtener ubicaciones (lista plana); assets_count son los activos asignados directamente
+router.get('/', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { type, parent_id, active, search } = req.query;
+    
+    let query = `
+        SELECT
+            l.*,
+            (SELECT COUNT(*) FROM locations child WHERE child.parent_id = l.id AND child.active = 1) as children_count,
+            (SELECT COUNT(*) FROM assets a WHERE a.location_id = l.id AND a.status != 'inactive') as assets_count
+        FROM locations l
+        WHERE 1=1
+    `;
+    
+    let params = [];
+    
+    if (type) {
+        query += ` AND l.type = ?`;
+        params.push(type);
+    }
+    
+    if (parent_id) {
+        query += ` AND l.parent_id = ?`;
+        params.push(parent_id);
+    }
+    
+    if (active !== undefined) {
+        query += ` AND l.active = ?`;
+        params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+    
+    if (search) {
+        query += ` AND (l.path LIKE ? OR l.code LIKE ? OR l.aliases LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+    }
+    
+    query += ` ORDER BY l.path ASC`;
+    
+    db.all(query, params, (err, locations) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener ubicaciones' });
+        }
+        
+        res.json({ locations: locations.map(parseLocation) });
+    });
+});
+
+// Árbol de ubicaciones activas; total_assets incluye los activos de las sububicaciones
+router.get('/tree', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    db.all(
+        `SELECT
+            l.id, l.name, l.type, l.parent_id, l.code, l.path,
+            (SELECT COUNT(*) FROM assets a WHERE a.location_id = l.id AND a.status != 'inactive') as assets_count
+         FROM locations l
+         WHERE l.active = 1
+         ORDER BY l.name ASC`,
+        (err, locations) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener ubicaciones' });
+            }
+            
+            res.json({ tree: buildTree(locations) });
+        }
+    );
+});
+
+// Obtener una ubicación con su ruta (ancestros), sububicaciones directas y resumen de activos
+router.get('/:id', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT * FROM locations WHERE id = ?`, [id], (err, location) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener ubicación' });
+        }
+        
+        if (!location) {
+            return res.status(404).json({ message: 'Ubicación no encontrada' });
+        }
+        
+        const subtree = locationFilter(location.id);
+        const queries = {
+            ancestors: [`
+                WITH RECURSIVE ancestors(id, parent_id, name, type, depth) AS (
+                    SELECT id, parent_id, name, type, 0 FROM locations WHERE id = ?
+                    UNION ALL
+                    SELECT l.id, l.parent_id, l.name, l.type, an.depth + 1
+                    FROM locations l INNER JOIN ancestors an ON l.id = an.parent_id
+                )
+                SELECT id, name, type FROM ancestors WHERE depth > 0 ORDER BY depth DESC
+            `, [location.id]],
+            children: [`
+                SELECT l.id, l.name, l.type, l.code, l.active,
+                    (SELECT COUNT(*) FROM assets a WHERE a.location_id = l.id AND a.status != 'inactive') as assets_count
+                FROM locations l WHERE l.parent_id = ? ORDER BY l.name ASC
+            `, [location.id]],
+            assets: [`
+                SELECT COUNT(*) as count, COALESCE(SUM(a.purchase_price), 0) as total
+                FROM assets a WHERE a.status != 'inactive' AND ${subtree.clause}
+            `, subtree.params]
+        };
+        
+        const results = {};
+        const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+            const [sql, params] = queries[key];
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else {
+                    results[key] = rows;
+                    resolve();
+                }
+            });
+        }));
+        
+        Promise.all(promises)
+            .then(() => {
+                res.json({
+                    location: {
+                        ...parseLocation(location),
+                        ancestors: results.ancestors,
+                        children: results.children,
+                        stats: {
+                            assets: results.assets[0].count,
+                            assetsValue: results.assets[0].total
+                        }
+                    }
+                });
+            })
+            .catch(err => {
+                res.status(500).json({ message: 'Error al obtener ubicación' });
+            });
+    });
+});
+
+// Qué hay en esta ubicación: activos de la ubicación y sus sububicaciones (descendants=false
+// para solo los asignados directamente) con incidencias abiertas y el próximo mantenimiento
+router.get('/:id/assets', authenticateToken, authorizePermission('inventory.view'), (req, res) => {
+    const { id } = req.params;
+    const { descendants = 'true', status } = req.query;
+    const scope = assetScope(req.user);
+    
+    db.get(`SELECT * FROM locations WHERE id = ?`, [id], (err, location) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener ubicación' });
+        }
+        
+        if (!location) {
+            return res.status(404).json({ message: 'Ubicación no encontrada' });
+        }
+        
+        const filter = descendants === 'false' || descendants === '0'
+            ? { clause: 'a.location_id = ?', params: [location.id] }
+            : locationFilter(location.id);
+        
+        let query = `
+            SELECT
+                a.id, a.asset_code, a.name, a.brand, a.model, a.serial_number, a.status,
+                a.location_id, a.location,
+                c.name as category_name,
+                u.full_name as responsible_name,
+                (SELECT COUNT(*) FROM incidents i
+                 WHERE i.asset_id = a.id AND i.status NOT IN ('resolved', 'closed')) as open_incidents,
+                (SELECT MIN(m.scheduled_date) FROM maintenances m
+                 WHERE m.asset_id = a.id AND m.status = 'scheduled') as next_maintenance
+            FROM assets a
+            LEFT JOIN asset_categories c ON a.category_id = c.id
+            LEFT JOIN users u ON a.responsible_user_id = u.id
+            WHERE ${filter.clause} AND ${scope.clause}
+        `;
+        
+        let params = [...filter.params, ...scope.params];
+        
+        if (status) {
+            query += ` AND a.status = ?`;
+            params.push(status);
+        } else {
+            query += ` AND a.status != 'inactive'`;
+        }
+        
+        query += ` ORDER BY a.location ASC, c.name ASC, a.name ASC`;
+        
+        db.all(query, params, (err, assets) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener activos de la ubicación' });
+            }
+            
+            res.json({
+                location: parseLocation(location),
+                assets,
+                summary: {
+                    totalAssets: assets.length,
+                    byCategory: assets.reduce((acc, asset) => {
+                        const cat = asset.category_name || 'Sin categoría';
+                        acc[cat] = (acc[cat] || 0) + 1;
+                        return acc;
+                    }, {}),
+                    byStatus: assets.reduce((acc, asset) => {
+                        acc[asset.status] = (acc[asset.status] || 0) + 1;
+                        return acc;
+                    }, {}),
+                    openIncidents: assets.reduce((sum, asset) => sum + asset.open_incidents, 0)
+                }
+            });
+        });
+    });
+});
+
+// Crear ubicación
+router.post('/', authenticateToken, authorizePermission('locations.manage'), locationValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name, type, parent_id, code, aliases = [] } = req.body;
+    
+    validateLocation({ name, type, parent_id, code }, (err, message, locations) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (message) {
+            return res.status(400).json({ message });
+        }
+        
+        const parent = parent_id && locations.find(location => location.id === parent_id);
+        const locationPath = parent ? `${parent.path}${PATH_SEPARATOR}${name}` : name;
+        
+        db.run(
+            `INSERT INTO locations (name, type, parent_id, code, path, aliases) VALUES (?, ?, ?, ?, ?, ?)`,
+            [name, type, parent_id || null, code || null, locationPath, JSON.stringify(aliases)],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear ubicación' });
+                }
+                
+                const locationId = this.lastID;
+                
+                recordChange(db, req, { entity: 'location', table: 'locations', entityId: locationId, action: 'create' }, () => {
+                    res.status(201).json({
+                        message: 'Ubicación creada exitosamente',
+                        location: { id: locationId, name, type, parent_id: parent_id || null, code: code || null, path: locationPath, aliases }
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Actualizar ubicación. Al renombrarla o moverla se recalculan las rutas de sus sububicaciones
+// y la ubicación en texto de los activos asignados
+router.put('/:id', authenticateToken, authorizePermission('locations.manage'), [
+    ...locationValidators,
+    body('active').optional().isBoolean().withMessage('Estado inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const id = parseInt(req.params.id);
+    const { name, type, parent_id, code, aliases = [], active = true } = req.body;
+    
+    getSnapshot(db, 'locations', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener ubicación' });
+        }
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Ubicación no encontrada' });
+        }
+        
+        validateLocation({ id, name, type, parent_id, code }, (err, message, locations) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (message) {
+                return res.status(400).json({ message });
+            }
+            
+            countContents(id, (err, contents) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (!active && before.active && (contents.children_count > 0 || contents.assets_count > 0)) {
+                    return res.status(400).json({
+                        message: 'Solo se pueden desactivar ubicaciones sin sububicaciones activas ni activos asignados'
+                    });
+                }
+                
+                const updated = locations.map(location =>
+                    (location.id === id ? { ...location, name, parent_id: parent_id || null } : location)
+                );
+                const paths = buildPaths(updated);
+                
+                const statements = [
+                    [`UPDATE locations SET
+                        name = ?, type = ?, parent_id = ?, code = ?, path = ?, aliases = ?, active = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                      WHERE id = ?`,
+                     [name, type, parent_id || null, code || null, paths.get(id), JSON.stringify(aliases), active ? 1 : 0, id]]
+                ];
+                
+                // Mantener sincronizada la ruta en las sububicaciones y en los activos que la guardan como texto
+                collectSubtree(updated, id).forEach(locationId => {
+                    const location = locations.find(candidate => candidate.id === locationId);
+                    if (location.path === paths.get(locationId)) return;
+                    
+                    if (locationId !== id) {
+                        statements.push([`UPDATE locations SET path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                            [paths.get(locationId), locationId]]);
+                    }
+                    statements.push([`UPDATE assets SET location = ? WHERE location_id = ?`, [paths.get(locationId), locationId]]);
+                });
+                
+                runTransaction(db, statements, (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al actualizar ubicación' });
+                    }
+                    
+                    recordChange(db, req, { entity: 'location', table: 'locations', entityId: id, action: 'update', before }, () => {
+                        res.json({ message: 'Ubicación actualizada exitosamente', path: paths.get(id) });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Desactivar ubicación (solo sin sububicaciones activas ni activos asignados)
+router.delete('/:id', authenticateToken, authorizePermission('locations.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    getSnapshot(db, 'locations', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Ubicación no encontrada' });
+        }
+        
+        countContents(before.id, (err, contents) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (contents.children_count > 0) {
+                return res.status(400).json({
+                    message: `La ubicación tiene ${contents.children_count} sububicación(es) activa(s)`
+                });
+            }
+            
+            if (contents.assets_count > 0) {
+                return res.status(400).json({
+                    message: `La ubicación tiene ${contents.assets_count} activo(s) que deben reubicarse`
+                });
+            }
+            
+            db.run(
+                `UPDATE locations SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [before.id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al desactivar ubicación' });
+                    }
+                    
+                    recordChange(db, req, { entity: 'location', table: 'locations', entityId: before.id, action: 'delete', before }, () => {
+                        res.json({ message: 'Ubicación desactivada exitosamente' });
+                    });
+                }
+            );
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,10 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { maintenanceScope } = require('../utils/departmentScope');
+const { getSnapshot, recordChange } = require('../utils/audit');
+const { resolveSupplier } = require('../utils/suppliers');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
@@ -18,9 +21,10 @@ const generateMaintenanceCode = () => {
 };
 
 // Obtener todos los mantenimientos con filtros
-router.get('/', authenticateToken, (req, res) => {
-    const { page = 1, limit = 10, status, type, asset_id, technician_id } = req.query;
+router.get('/', authenticateToken, authorizePermission('maintenance.view'), (req, res) => {
+    const { page = 1, limit = 10, status, type, asset_id, technician_id, supplier_id } = req.query;
     const offset = (page - 1) * limit;
+    const scope = maintenanceScope(req.user);
     
     let query = `
         SELECT 
@@ -31,10 +35,10 @@ router.get('/', authenticateToken, (req, res) => {
         FROM maintenances m
         LEFT JOIN assets a ON m.asset_id = a.id
         LEFT JOIN users t ON m.technician_id = t.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND m.status = ?`;
@@ -56,6 +60,11 @@ router.get('/', authenticateToken, (req, res) => {
         params.push(technician_id);
     }
     
+    if (supplier_id) {
+        query += ` AND m.supplier_id = ?`;
+        params.push(supplier_id);
+    }
+    
     query += ` ORDER BY m.scheduled_date DESC, m.created_at DESC LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), offset);
     
@@ -65,8 +74,8 @@ router.get('/', authenticateToken, (req, res) => {
         }
         
         // Obtener total para paginación
-        let countQuery = `SELECT COUNT(*) as total FROM maintenances m WHERE 1=1`;
-        let countParams = [];
+        let countQuery = `SELECT COUNT(*) as total FROM maintenances m WHERE ${scope.clause}`;
+        let countParams = [...scope.params];
         
         if (status) {
             countQuery += ` AND m.status = ?`;
@@ -88,6 +97,11 @@ router.get('/', authenticateToken, (req, res) => {
             countParams.push(technician_id);
         }
         
+        if (supplier_id) {
+            countQuery += ` AND m.supplier_id = ?`;
+            countParams.push(supplier_id);
+        }
+        
         db.get(countQuery, countParams, (err, countResult) => {
             if (err) {
                 return res.status(500).json({ message: 'Error al contar mantenimientos' });
@@ -107,8 +121,9 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 // Obtener un mantenimiento específico
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('maintenance.view'), (req, res) => {
     const { id } = req.params;
+    const scope = maintenanceScope(req.user);
     
     const query = `
         SELECT 
@@ -119,10 +134,10 @@ router.get('/:id', authenticateToken, (req, res) => {
         FROM maintenances m
         LEFT JOIN assets a ON m.asset_id = a.id
         LEFT JOIN users t ON m.technician_id = t.id
-        WHERE m.id = ?
+        WHERE m.id = ? AND ${scope.clause}
     `;
     
-    db.get(query, [id], (err, maintenance) => {
+    db.get(query, [id, ...scope.params], (err, maintenance) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener mantenimiento' });
         }
@@ -136,7 +151,7 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Crear nuevo mantenimiento
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorizePermission('maintenance.create'), [
     body('asset_id').isInt().withMessage('Activo válido es requerido'),
     body('type').isIn(['preventive', 'corrective', 'predictive']).withMessage('Tipo de mantenimiento inválido'),
     body('title').notEmpty().withMessage('Título es requerido'),
@@ -149,40 +164,54 @@ router.post('/', authenticateToken, [
     
     const {
         asset_id, type, title, description, scheduled_date,
-        technician_id, cost, supplier, notes
+        technician_id, cost, supplier, supplier_id, notes
     } = req.body;
     
     const maintenance_code = generateMaintenanceCode();
     
-    db.run(
-        `INSERT INTO maintenances (
-            maintenance_code, asset_id, type, title, description,
-            scheduled_date, technician_id, cost, supplier, notes, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
-        [maintenance_code, asset_id, type, title, description, 
-         scheduled_date, technician_id, cost, supplier, notes],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ message: 'Error al crear mantenimiento' });
-            }
-            
-            res.status(201).json({
-                message: 'Mantenimiento programado exitosamente',
-                maintenance: {
-                    id: this.lastID,
-                    maintenance_code,
-                    title,
-                    type,
-                    scheduled_date,
-                    status: 'scheduled'
-                }
-            });
+    resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
         }
-    );
+        
+        if (!resolved) {
+            return res.status(400).json({ message: 'Proveedor no encontrado' });
+        }
+        
+        db.run(
+            `INSERT INTO maintenances (
+                maintenance_code, asset_id, type, title, description,
+                scheduled_date, technician_id, cost, supplier, supplier_id, notes, status
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
+            [maintenance_code, asset_id, type, title, description, 
+             scheduled_date, technician_id, cost, resolved.supplier, resolved.supplier_id, notes],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear mantenimiento' });
+                }
+                
+                const maintenanceId = this.lastID;
+                
+                recordChange(db, req, { entity: 'maintenance', table: 'maintenances', entityId: maintenanceId, action: 'create' }, () => {
+                    res.status(201).json({
+                        message: 'Mantenimiento programado exitosamente',
+                        maintenance: {
+                            id: maintenanceId,
+                            maintenance_code,
+                            title,
+                            type,
+                            scheduled_date,
+                            status: 'scheduled'
+                        }
+                    });
+                });
+            }
+        );
+    });
 });
 
 // Actualizar mantenimiento
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, authorizePermission('maintenance.update'), [
     body('title').notEmpty().withMessage('Título es requerido'),
     body('type').isIn(['preventive', 'corrective', 'predictive']).withMessage('Tipo de mantenimiento inválido')
 ], (req, res) => {
@@ -194,56 +223,82 @@ router.put('/:id', authenticateToken, [
     const { id } = req.params;
     const {
         type, title, description, scheduled_date, technician_id,
-        cost, supplier, notes, status
+        cost, supplier, supplier_id, notes, status
     } = req.body;
     
-    db.run(
-        `UPDATE maintenances SET
-            type = ?, title = ?, description = ?, scheduled_date = ?,
-            technician_id = ?, cost = ?, supplier = ?, notes = ?,
-            status = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?`,
-        [type, title, description, scheduled_date, technician_id,
-         cost, supplier, notes, status, id],
-        function(err) {
+    getSnapshot(db, 'maintenances', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener mantenimiento' });
+        }
+        
+        if (!before) {
+            return res.status(404).json({ message: 'Mantenimiento no encontrado' });
+        }
+        
+        resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
             if (err) {
-                return res.status(500).json({ message: 'Error al actualizar mantenimiento' });
+                return res.status(500).json({ message: 'Error del servidor' });
             }
             
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Mantenimiento no encontrado' });
+            if (!resolved) {
+                return res.status(400).json({ message: 'Proveedor no encontrado' });
             }
             
-            res.json({ message: 'Mantenimiento actualizado exitosamente' });
-        }
-    );
+            db.run(
+                `UPDATE maintenances SET
+                    type = ?, title = ?, description = ?, scheduled_date = ?,
+                    technician_id = ?, cost = ?, supplier = ?, supplier_id = ?, notes = ?,
+                    status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?`,
+                [type, title, description, scheduled_date, technician_id,
+                 cost, resolved.supplier, resolved.supplier_id, notes, status, id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al actualizar mantenimiento' });
+                    }
+                    
+                    recordChange(db, req, { entity: 'maintenance', table: 'maintenances', entityId: before.id, action: 'update', before }, () => {
+                        res.json({ message: 'Mantenimiento actualizado exitosamente' });
+                    });
+                }
+            );
+        });
+    });
 });
 
 // Iniciar mantenimiento
-router.put('/:id/start', authenticateToken, (req, res) => {
+router.put('/:id/start', authenticateToken, authorizePermission('maintenance.execute'), (req, res) => {
     const { id } = req.params;
     
-    db.run(
-        `UPDATE maintenances SET 
-         status = 'in_progress', updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ? AND status = 'scheduled'`,
-        [id],
-        function(err) {
-            if (err) {
-                return res.status(500).json({ message: 'Error al iniciar mantenimiento' });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ message: 'Mantenimiento no encontrado o ya iniciado' });
-            }
-            
-            res.json({ message: 'Mantenimiento iniciado exitosamente' });
+    getSnapshot(db, 'maintenances', id, (err, before) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener mantenimiento' });
         }
-    );
+        
+        db.run(
+            `UPDATE maintenances SET 
+             status = 'in_progress', updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ? AND status = 'scheduled'`,
+            [id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al iniciar mantenimiento' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Mantenimiento no encontrado o ya iniciado' });
+                }
+                
+                recordChange(db, req, { entity: 'maintenance', table: 'maintenances', entityId: before.id, action: 'start', before }, () => {
+                    res.json({ message: 'Mantenimiento iniciado exitosamente' });
+                });
+            }
+        );
+    });
 });
 
 // Completar mantenimiento
-router.put('/:id/complete', authenticateToken, [
+router.put('/:id/complete', authenticateToken, authorizePermission('maintenance.execute'), [
     body('notes').optional().isString()
 ], (req, res) => {
     const { id } = req.params;
@@ -269,22 +324,31 @@ router.put('/:id/complete', authenticateToken, [
     query += ` WHERE id = ? AND status IN ('scheduled', 'in_progress')`;
     params.push(id);
     
-    db.run(query, params, function(err) {
+    getSnapshot(db, 'maintenances', id, (err, before) => {
         if (err) {
-            return res.status(500).json({ message: 'Error al completar mantenimiento' });
-        }
-        
-        if (this.changes === 0) {
-            return res.status(404).json({ message: 'Mantenimiento no encontrado o ya completado' });
+            return res.status(500).json({ message: 'Error al obtener mantenimiento' });
         }
         
-        res.json({ message: 'Mantenimiento completado exitosamente' });
+        db.run(query, params, function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al completar mantenimiento' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Mantenimiento no encontrado o ya completado' });
+            }
+            
+            recordChange(db, req, { entity: 'maintenance', table: 'maintenances', entityId: before.id, action: 'complete', before }, () => {
+                res.json({ message: 'Mantenimiento completado exitosamente' });
+            });
+        });
     });
 });
 
 // Obtener mantenimientos próximos
-router.get('/upcoming/list', authenticateToken, (req, res) => {
+router.get('/upcoming/list', authenticateToken, authorizePermission('maintenance.view'), (req, res) => {
     const { days = 30 } = req.query;
+    const scope = maintenanceScope(req.user);
     
     const query = `
         SELECT 
@@ -296,11 +360,11 @@ router.get('/upcoming/list', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON m.asset_id = a.id
         LEFT JOIN users t ON m.technician_id = t.id
         WHERE m.scheduled_date BETWEEN DATE('now') AND DATE('now', '+' || ? || ' days')
-        AND m.status = 'scheduled'
+        AND m.status = 'scheduled' AND ${scope.clause}
         ORDER BY m.scheduled_date ASC
     `;
     
-    db.all(query, [days], (err, upcomingMaintenances) => {
+    db.all(query, [days, ...scope.params], (err, upcomingMaintenances) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener mantenimientos próximos' });
         }
@@ -310,7 +374,9 @@ router.get('/upcoming/list', authenticateToken, (req, res) => {
 });
 
 // Obtener mantenimientos vencidos
-router.get('/overdue/list', authenticateToken, (req, res) => {
+router.get('/overdue/list', authenticateToken, authorizePermission('maintenance.view'), (req, res) => {
+    const scope = maintenanceScope(req.user);
+    
     const query = `
         SELECT 
             m.*,
@@ -321,11 +387,11 @@ router.get('/overdue/list', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON m.asset_id = a.id
         LEFT JOIN users t ON m.technician_id = t.id
         WHERE m.scheduled_date < DATE('now')
-        AND m.status = 'scheduled'
+        AND m.status = 'scheduled' AND ${scope.clause}
         ORDER BY m.scheduled_date ASC
     `;
     
-    db.all(query, (err, overdueMaintenances) => {
+    db.all(query, scope.params, (err, overdueMaintenances) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener mantenimientos vencidos' });
         }
@@ -335,23 +401,25 @@ router.get('/overdue/list', authenticateToken, (req, res) => {
 });
 
 // Obtener estadísticas de mantenimientos
-router.get('/stats/overview', authenticateToken, (req, res) => {
+router.get('/stats/overview', authenticateToken, authorizePermission('maintenance.view'), (req, res) => {
+    const scope = maintenanceScope(req.user);
+    
     const queries = {
-        total: `SELECT COUNT(*) as count FROM maintenances`,
-        byStatus: `SELECT status, COUNT(*) as count FROM maintenances GROUP BY status`,
-        byType: `SELECT type, COUNT(*) as count FROM maintenances GROUP BY type`,
+        total: `SELECT COUNT(*) as count FROM maintenances m WHERE ${scope.clause}`,
+        byStatus: `SELECT status, COUNT(*) as count FROM maintenances m WHERE ${scope.clause} GROUP BY status`,
+        byType: `SELECT type, COUNT(*) as count FROM maintenances m WHERE ${scope.clause} GROUP BY type`,
         upcoming: `
-            SELECT COUNT(*) as count FROM maintenances 
+            SELECT COUNT(*) as count FROM maintenances m 
             WHERE scheduled_date BETWEEN DATE('now') AND DATE('now', '+30 days') 
-            AND status = 'scheduled'
+            AND status = 'scheduled' AND ${scope.clause}
         `,
         overdue: `
-            SELECT COUNT(*) as count FROM maintenances 
-            WHERE scheduled_date < DATE('now') AND status = 'scheduled'
+            SELECT COUNT(*) as count FROM maintenances m 
+            WHERE scheduled_date < DATE('now') AND status = 'scheduled' AND ${scope.clause}
         `,
         totalCost: `
-            SELECT SUM(cost) as total FROM maintenances 
-            WHERE completed_date >= DATE('now', '-12 months') AND cost IS NOT NULL
+            SELECT SUM(cost) as total FROM maintenances m 
+            WHERE completed_date >= DATE('now', '-12 months') AND cost IS NOT NULL AND ${scope.clause}
         `
     };
     
@@ -360,7 +428,7 @@ router.get('/stats/overview', authenticateToken, (req, res) => {
     
     Object.keys(queries).forEach(key => {
         promises.push(new Promise((resolve, reject) => {
-            db.all(queries[key], (err, result) => {
+            db.all(queries[key], scope.params, (err, result) => {
                 if (err) reject(err);
                 else {
                     stats[key] = result;
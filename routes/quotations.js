@@ -0,0 +1,440 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { runTransaction } = require('../utils/transaction');
+const { resolveSupplier, normalizeSupplierName } = require('../utils/suppliers');
+const { checkQuotationRequirement } = require('../utils/quotations');
+const { requisitionScope } = require('../utils/departmentScope');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Las cotizaciones solo se modifican antes de que la requisición sea aprobada
+const getQuotableRequisition = (id, res, callback) => {
+    db.get(`SELECT * FROM requisitions WHERE id = ?`, [id], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        if (!['pending', 'in_review'].includes(requisition.status)) {
+            return res.status(400).json({ message: 'Solo se pueden modificar cotizaciones de requisiciones pendientes o en revisión' });
+        }
+        
+        callback(requisition);
+    });
+};
+
+const isExpired = (quotation) => {
+    const today = new Date().toISOString().split('T')[0];
+    return Boolean(quotation.valid_until) && quotation.valid_until < today;
+};
+
+// Obtener cotizaciones de una requisición visible para el usuario con sus precios por partida
+router.get('/:id/quotations', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const { id } = req.params;
+    const scope = requisitionScope(req.user);
+    
+    db.all(
+        `SELECT q.*, u.full_name as created_by_name
+         FROM requisition_quotations q
+         LEFT JOIN users u ON q.created_by = u.id
+         WHERE q.requisition_id = ?
+         AND q.requisition_id IN (SELECT r.id FROM requisitions r WHERE ${scope.clause})
+         ORDER BY q.total_amount ASC, q.id ASC`,
+        [id, ...scope.params],
+        (err, quotations) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener cotizaciones' });
+            }
+            
+            db.all(
+                `SELECT qi.*, ri.item_name, ri.quantity
+                 FROM requisition_quotation_items qi
+                 INNER JOIN requisition_quotations q ON qi.quotation_id = q.id
+                 INNER JOIN requisition_items ri ON qi.requisition_item_id = ri.id
+                 WHERE q.requisition_id = ?
+                 ORDER BY ri.id ASC`,
+                [id],
+                (err, items) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al obtener partidas de las cotizaciones' });
+                    }
+                    
+                    res.json({
+                        quotations: quotations.map(quotation => ({
+                            ...quotation,
+                            expired: isExpired(quotation),
+                            items: items.filter(item => item.quotation_id === quotation.id)
+                        }))
+                    });
+                }
+            );
+        }
+    );
+});
+
+// Comparativo de cotizaciones por partida
+router.get('/:id/quotations/comparison', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const { id } = req.params;
+    const scope = requisitionScope(req.user);
+    
+    db.get(`SELECT * FROM requisitions r WHERE r.id = ? AND ${scope.clause}`, [id, ...scope.params], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        const queries = {
+            items: `SELECT * FROM requisition_items WHERE requisition_id = ? ORDER BY id ASC`,
+            quotations: `SELECT * FROM requisition_quotations WHERE requisition_id = ? ORDER BY id ASC`,
+            prices: `
+                SELECT qi.* FROM requisition_quotation_items qi
+                INNER JOIN requisition_quotations q ON qi.quotation_id = q.id
+                WHERE q.requisition_id = ?
+            `
+        };
+        
+        const results = {};
+        const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+            db.all(queries[key], [id], (err, rows) => {
+                if (err) reject(err);
+                else {
+                    results[key] = rows;
+                    resolve();
+                }
+            });
+        }));
+        
+        promises.push(new Promise((resolve, reject) => {
+            checkQuotationRequirement(db, requisition, (err, requirement) => {
+                if (err) reject(err);
+                else {
+                    results.requirement = requirement;
+                    resolve();
+                }
+            });
+        }));
+        
+        Promise.all(promises)
+            .then(() => {
+                // Partidas de la requisición sin precio en cada cotización
+                const missingItems = (quotationId) => results.items
+                    .filter(item => !results.prices.some(p => p.quotation_id === quotationId && p.requisition_item_id === item.id))
+                    .map(item => item.id);
+                
+                const quotations = results.quotations.map(quotation => {
+                    const missingItemIds = missingItems(quotation.id);
+                    
+                    return {
+                        id: quotation.id,
+                        supplier: quotation.supplier,
+                        supplier_id: quotation.supplier_id,
+                        quote_number: quotation.quote_number,
+                        delivery_days: quotation.delivery_days,
+                        valid_until: quotation.valid_until,
+                        expired: isExpired(quotation),
+                        document_reference: quotation.document_reference,
+                        total_amount: quotation.total_amount,
+                        selected: Boolean(quotation.selected),
+                        missing_item_ids: missingItemIds,
+                        complete: missingItemIds.length === 0
+                    };
+                });
+                
+                const validQuotations = quotations.filter(quotation => !quotation.expired);
+                
+                // El total de una cotización que no cubre todas las partidas no es comparable: solo
+                // las cotizaciones completas compiten por el menor total y la entrega más rápida
+                const comparableQuotations = validQuotations.filter(quotation => quotation.complete);
+                
+                // Precio de cada cotización vigente por partida; la más baja se marca como mejor opción
+                const items = results.items.map(item => {
+                    const quotes = validQuotations
+                        .map(quotation => {
+                            const price = results.prices.find(p =>
+                                p.quotation_id === quotation.id && p.requisition_item_id === item.id);
+                            
+                            return price ? {
+                                quotation_id: quotation.id,
+                                supplier: quotation.supplier,
+                                unit_price: price.unit_price,
+                                total_price: price.total_price
+                            } : null;
+                        })
+                        .filter(Boolean);
+                    
+                    const best = quotes.reduce((min, quote) => (!min || quote.unit_price < min.unit_price ? quote : min), null);
+                    
+                    return {
+                        item_id: item.id,
+                        item_name: item.item_name,
+                        quantity: item.quantity,
+                        estimated_unit_price: item.unit_price,
+                        quotes,
+                        best_quotation_id: best ? best.quotation_id : null
+                    };
+                });
+                
+                const lowest = comparableQuotations.reduce((min, q) => (!min || q.total_amount < min.total_amount ? q : min), null);
+                const fastest = comparableQuotations
+                    .filter(q => q.delivery_days !== null)
+                    .reduce((min, q) => (!min || q.delivery_days < min.delivery_days ? q : min), null);
+                
+                res.json({
+                    requisition: {
+                        id: requisition.id,
+                        requisition_code: requisition.requisition_code,
+                        estimated_cost: requisition.estimated_cost,
+                        selected_quotation_id: requisition.selected_quotation_id,
+                        selection_reason: requisition.selection_reason
+                    },
+                    requirement: results.requirement,
+                    quotations,
+                    items,
+                    summary: {
+                        lowestTotalQuotationId: lowest ? lowest.id : null,
+                        fastestDeliveryQuotationId: fastest ? fastest.id : null,
+                        incompleteQuotationIds: validQuotations.filter(q => !q.complete).map(q => q.id)
+                    }
+                });
+            })
+            .catch(err => {
+                res.status(500).json({ message: 'Error al generar comparativo de cotizaciones' });
+            });
+    });
+});
+
+// Registrar cotización de un proveedor
+router.post('/:id/quotations', authenticateToken, authorizePermission('quotations.manage'), [
+    body('supplier_id').optional({ nullable: true }).isInt().withMessage('Proveedor inválido'),
+    body('delivery_days').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Tiempo de entrega inválido'),
+    body('valid_until').optional({ nullable: true }).isISO8601().withMessage('Fecha de vigencia inválida'),
+    body('items').isArray({ min: 1 }).withMessage('Se requiere el precio de al menos una partida'),
+    body('items.*.item_id').isInt().withMessage('Partida válida es requerida'),
+    body('items.*.unit_price').isFloat({ min: 0 }).withMessage('Precio unitario inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const {
+        supplier_id, supplier, quote_number, delivery_days, valid_until,
+        document_reference, notes, items
+    } = req.body;
+    
+    getQuotableRequisition(id, res, () => {
+        resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (!resolved) {
+                return res.status(400).json({ message: 'Proveedor no encontrado' });
+            }
+            
+            if (!resolved.supplier) {
+                return res.status(400).json({ message: 'Proveedor es requerido' });
+            }
+            
+            const queries = {
+                items: `SELECT * FROM requisition_items WHERE requisition_id = ?`,
+                quotations: `SELECT supplier, supplier_id FROM requisition_quotations WHERE requisition_id = ?`
+            };
+            
+            const results = {};
+            const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+                db.all(queries[key], [id], (err, rows) => {
+                    if (err) reject(err);
+                    else {
+                        results[key] = rows;
+                        resolve();
+                    }
+                });
+            }));
+            
+            Promise.all(promises)
+                .then(() => {
+                    // Cada proveedor cotiza una sola vez por requisición
+                    const normalized = normalizeSupplierName(resolved.supplier);
+                    const duplicate = results.quotations.some(q =>
+                        (resolved.supplier_id && q.supplier_id === resolved.supplier_id) ||
+                        normalizeSupplierName(q.supplier) === normalized);
+                    
+                    if (duplicate) {
+                        return res.status(400).json({ message: `Ya existe una cotización de ${resolved.supplier} para esta requisición` });
+                    }
+                    
+                    const itemsById = {};
+                    results.items.forEach(item => {
+                        itemsById[item.id] = item;
+                    });
+                    
+                    const quoteErrors = [];
+                    const quotedIds = new Set();
+                    items.forEach(entry => {
+                        if (!itemsById[entry.item_id]) {
+                            quoteErrors.push({ item_id: entry.item_id, msg: 'La partida no pertenece a la requisición' });
+                        } else if (quotedIds.has(parseInt(entry.item_id))) {
+                            quoteErrors.push({ item_id: entry.item_id, msg: 'La partida está repetida en la cotización' });
+                        }
+                        quotedIds.add(parseInt(entry.item_id));
+                    });
+                    
+                    if (quoteErrors.length > 0) {
+                        return res.status(400).json({ errors: quoteErrors });
+                    }
+                    
+                    const quotedItems = items.map(entry => {
+                        const unit_price = parseFloat(entry.unit_price);
+                        return {
+                            requisition_item_id: parseInt(entry.item_id),
+                            unit_price,
+                            total_price: unit_price * itemsById[entry.item_id].quantity,
+                            notes: entry.notes
+                        };
+                    });
+                    const total_amount = quotedItems.reduce((sum, item) => sum + item.total_price, 0);
+                    
+                    // Encabezado y partidas en una sola transacción: una cotización sin sus partidas no debe
+                    // quedar registrada ni contar para el mínimo de cotizaciones. Dentro de la transacción
+                    // nadie más escribe, así que la última cotización de la requisición es la recién insertada.
+                    const statements = [
+                        [`INSERT INTO requisition_quotations (
+                            requisition_id, supplier_id, supplier, quote_number, delivery_days,
+                            valid_until, document_reference, total_amount, notes, created_by
+                          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                         [id, resolved.supplier_id, resolved.supplier, quote_number, delivery_days,
+                          valid_until, document_reference, total_amount, notes, req.user.id]],
+                        ...quotedItems.map(item => [
+                            `INSERT INTO requisition_quotation_items (
+                                quotation_id, requisition_item_id, unit_price, total_price, notes
+                             ) VALUES ((SELECT MAX(id) FROM requisition_quotations WHERE requisition_id = ?), ?, ?, ?, ?)`,
+                            [id, item.requisition_item_id, item.unit_price, item.total_price, item.notes]
+                        ])
+                    ];
+                    
+                    runTransaction(db, statements, (err, inserted) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al registrar cotización' });
+                        }
+                        
+                        res.status(201).json({
+                            message: 'Cotización registrada exitosamente',
+                            quotation: {
+                                id: inserted[0].lastID,
+                                supplier: resolved.supplier,
+                                supplier_id: resolved.supplier_id,
+                                total_amount,
+                                items_count: quotedItems.length,
+                                missing_items: results.items.length - quotedItems.length
+                            }
+                        });
+                    });
+                })
+                .catch(err => {
+                    res.status(500).json({ message: 'Error al obtener datos de la requisición' });
+                });
+        });
+    });
+});
+
+// Seleccionar la cotización ganadora y registrar el motivo
+router.put('/:id/quotations/:quotationId/select', authenticateToken, authorizePermission('quotations.manage'), [
+    body('reason').notEmpty().withMessage('El motivo de la selección es requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id, quotationId } = req.params;
+    const { reason } = req.body;
+    
+    getQuotableRequisition(id, res, () => {
+        db.get(
+            `SELECT * FROM requisition_quotations WHERE id = ? AND requisition_id = ?`,
+            [quotationId, id],
+            (err, quotation) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener cotización' });
+                }
+                
+                if (!quotation) {
+                    return res.status(404).json({ message: 'Cotización no encontrada' });
+                }
+                
+                if (isExpired(quotation)) {
+                    return res.status(400).json({ message: 'La cotización está vencida' });
+                }
+                
+                // La requisición toma el proveedor de la cotización seleccionada
+                runTransaction(db, [
+                    [`UPDATE requisition_quotations SET selected = (id = ?) WHERE requisition_id = ?`, [quotation.id, id]],
+                    [`UPDATE requisitions SET
+                      selected_quotation_id = ?, selection_reason = ?, selected_by = ?, selected_at = CURRENT_TIMESTAMP,
+                      supplier = ?, supplier_id = ?, updated_at = CURRENT_TIMESTAMP
+                      WHERE id = ?`,
+                     [quotation.id, reason, req.user.id, quotation.supplier, quotation.supplier_id, id]]
+                ], (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al seleccionar cotización' });
+                    }
+                    
+                    res.json({
+                        message: 'Cotización seleccionada exitosamente',
+                        quotation: { id: quotation.id, supplier: quotation.supplier, total_amount: quotation.total_amount },
+                        reason
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Eliminar cotización
+router.delete('/:id/quotations/:quotationId', authenticateToken, authorizePermission('quotations.manage'), (req, res) => {
+    const { id, quotationId } = req.params;
+    
+    getQuotableRequisition(id, res, (requisition) => {
+        const statements = [
+            [`DELETE FROM requisition_quotation_items WHERE quotation_id = ?`, [quotationId]],
+            [`DELETE FROM requisition_quotations WHERE id = ? AND requisition_id = ?`, [quotationId, id]]
+        ];
+        
+        // Si era la cotización seleccionada se limpia la selección
+        if (requisition.selected_quotation_id === parseInt(quotationId)) {
+            statements.push([
+                `UPDATE requisitions SET
+                 selected_quotation_id = NULL, selection_reason = NULL, selected_by = NULL, selected_at = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [id]
+            ]);
+        }
+        
+        runTransaction(db, statements, (err, results) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al eliminar cotización' });
+            }
+            
+            if (results[1].changes === 0) {
+                return res.status(404).json({ message: 'Cotización no encontrada' });
+            }
+            
+            res.json({ message: 'Cotización eliminada exitosamente' });
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
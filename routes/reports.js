@@ -2,68 +2,238 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { getBudgetStatus } = require('../utils/budget');
+const {
+    assetScope, incidentScope, maintenanceScope, formScope, requisitionScope, budgetScope
+} = require('../utils/departmentScope');
+const { checkReportFormat, sendReport, streamReport } = require('../utils/reportExport');
+const { CATEGORY_DEPRECIATION_COLUMNS, getPeriodDepreciation } = require('../utils/depreciation');
+const { locationFilter } = require('../utils/locations');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
 
+// Los resúmenes se acumulan fila por fila mientras el reporte se envía (ver streamReport)
+const countBy = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+};
+
+// Agregar la fila al grupo de su columna department_name; accumulate suma la fila al grupo
+const addToDepartment = (groups, row, initial, accumulate) => {
+    const department = row.department_name || 'Sin departamento';
+    groups[department] = accumulate(groups[department] || { ...initial }, row);
+};
+
+// Columnas de las exportaciones CSV/XLSX de cada reporte
+const EXPORT_COLUMNS = {
+    inventory: [
+        { key: 'asset_code', header: 'Código' },
+        { key: 'name', header: 'Nombre', width: 30 },
+        { key: 'category_name', header: 'Categoría' },
+        { key: 'brand', header: 'Marca' },
+        { key: 'model', header: 'Modelo' },
+        { key: 'serial_number', header: 'Número de serie' },
+        { key: 'status', header: 'Estado' },
+        { key: 'location', header: 'Ubicación' },
+        { key: 'responsible_name', header: 'Responsable', width: 28 },
+        { key: 'department_name', header: 'Departamento' },
+        { key: 'cost_center', header: 'Centro de costos' },
+        { key: 'supplier', header: 'Proveedor' },
+        { key: 'purchase_date', header: 'Fecha de compra' },
+        { key: 'purchase_price', header: 'Precio de compra' },
+        { key: 'warranty_expiry', header: 'Vencimiento de garantía' },
+        { key: 'created_at', header: 'Fecha de registro' }
+    ],
+    incidents: [
+        { key: 'incident_code', header: 'Código' },
+        { key: 'title', header: 'Título', width: 30 },
+        { key: 'asset_code', header: 'Código de activo' },
+        { key: 'asset_name', header: 'Activo', width: 28 },
+        { key: 'priority', header: 'Prioridad' },
+        { key: 'status', header: 'Estado' },
+        { key: 'department_name', header: 'Departamento' },
+        { key: 'reported_by_name', header: 'Reportada por', width: 28 },
+        { key: 'assigned_to_name', header: 'Asignada a', width: 28 },
+        { key: 'reported_date', header: 'Fecha de reporte' },
+        { key: 'resolved_date', header: 'Fecha de resolución' },
+        { key: 'resolution_hours', header: 'Horas de resolución' },
+        { key: 'solution', header: 'Solución', width: 40 }
+    ],
+    maintenance: [
+        { key: 'maintenance_code', header: 'Código' },
+        { key: 'title', header: 'Título', width: 30 },
+        { key: 'type', header: 'Tipo' },
+        { key: 'status', header: 'Estado' },
+        { key: 'asset_code', header: 'Código de activo' },
+        { key: 'asset_name', header: 'Activo', width: 28 },
+        { key: 'technician_name', header: 'Técnico', width: 28 },
+        { key: 'supplier', header: 'Proveedor' },
+        { key: 'scheduled_date', header: 'Fecha programada' },
+        { key: 'completed_date', header: 'Fecha de conclusión' },
+        { key: 'cost', header: 'Costo' }
+    ],
+    responsiveForms: [
+        { key: 'form_code', header: 'Código' },
+        { key: 'asset_code', header: 'Código de activo' },
+        { key: 'asset_name', header: 'Activo', width: 28 },
+        { key: 'previous_responsible_name', header: 'Responsable anterior', width: 28 },
+        { key: 'new_responsible_name', header: 'Nuevo responsable', width: 28 },
+        { key: 'transfer_date', header: 'Fecha de transferencia' },
+        { key: 'status', header: 'Estado' },
+        { key: 'approved_by_name', header: 'Aprobado por', width: 28 },
+        { key: 'reason', header: 'Motivo', width: 40 }
+    ],
+    requisitions: [
+        { key: 'requisition_code', header: 'Código' },
+        { key: 'title', header: 'Título', width: 30 },
+        { key: 'type', header: 'Tipo' },
+        { key: 'priority', header: 'Prioridad' },
+        { key: 'status', header: 'Estado' },
+        { key: 'department_name', header: 'Departamento' },
+        { key: 'cost_center', header: 'Centro de costos' },
+        { key: 'requested_by_name', header: 'Solicitada por', width: 28 },
+        { key: 'approved_by_name', header: 'Aprobada por', width: 28 },
+        { key: 'estimated_cost', header: 'Costo estimado' },
+        { key: 'created_at', header: 'Fecha de solicitud' },
+        { key: 'approval_date', header: 'Fecha de aprobación' },
+        { key: 'completion_date', header: 'Fecha de conclusión' }
+    ],
+    budgetVsActual: [
+        { key: 'department', header: 'Departamento', width: 28 },
+        { key: 'year', header: 'Año' },
+        { key: 'month', header: 'Mes' },
+        { key: 'budget', header: 'Presupuesto' },
+        { key: 'committed', header: 'Comprometido' },
+        { key: 'actual_maintenance', header: 'Gasto en mantenimiento' },
+        { key: 'actual_purchases', header: 'Gasto en compras' },
+        { key: 'actual', header: 'Gasto real' },
+        { key: 'available', header: 'Disponible' },
+        { key: 'used_percentage', header: 'Porcentaje utilizado' }
+    ],
+    suppliers: [
+        { key: 'name', header: 'Proveedor', width: 30 },
+        { key: 'rfc', header: 'RFC' },
+        { key: 'active', header: 'Activo', value: supplier => (supplier.active ? 'Sí' : 'No') },
+        { key: 'assets_supplied', header: 'Activos suministrados' },
+        { key: 'assets_value', header: 'Valor de activos' },
+        { key: 'maintenance_jobs', header: 'Mantenimientos' },
+        { key: 'maintenance_cost', header: 'Costo de mantenimientos' },
+        { key: 'total_spend', header: 'Gasto total' }
+    ],
+    depreciation: [
+        { key: 'asset_code', header: 'Código' },
+        { key: 'name', header: 'Activo', width: 30 },
+        { key: 'category_name', header: 'Categoría' },
+        { key: 'purchase_date', header: 'Fecha de compra' },
+        { key: 'purchase_price', header: 'Monto original' },
+        { key: 'method', header: 'Método', value: row => (row.method === 'declining_balance' ? 'Saldos decrecientes' : 'Línea recta') },
+        { key: 'useful_life_months', header: 'Vida útil (meses)' },
+        { key: 'salvage_value', header: 'Valor de rescate' },
+        { key: 'opening_book_value', header: 'Valor en libros inicial' },
+        { key: 'depreciation', header: 'Depreciación del periodo' },
+        { key: 'accumulated_depreciation', header: 'Depreciación acumulada' },
+        { key: 'book_value', header: 'Valor en libros final' }
+    ],
+    userActivity: [
+        { key: 'activity', header: 'Actividad', width: 36 },
+        { key: 'count', header: 'Cantidad' }
+    ]
+};
+
+// Etiquetas de las actividades del reporte de actividad de usuario
+const ACTIVITY_LABELS = {
+    incidents_reported: 'Incidencias reportadas',
+    incidents_assigned: 'Incidencias asignadas',
+    maintenances_assigned: 'Mantenimientos asignados',
+    requisitions_made: 'Requisiciones realizadas',
+    forms_approved: 'Formatos aprobados'
+};
+
 // Dashboard general con estadísticas principales
-router.get('/dashboard', authenticateToken, (req, res) => {
+router.get('/dashboard', authenticateToken, authorizePermission('dashboard.view'), (req, res) => {
+    // Filtros por departamento del usuario
+    const assets = assetScope(req.user);
+    const incidents = incidentScope(req.user);
+    const maintenances = maintenanceScope(req.user);
+    const forms = formScope(req.user);
+    const requisitions = requisitionScope(req.user);
+    
     const queries = {
         // Inventario
-        totalAssets: `SELECT COUNT(*) as count FROM assets WHERE status != 'inactive'`,
+        totalAssets: `SELECT COUNT(*) as count FROM assets a WHERE status != 'inactive' AND ${assets.clause}`,
         assetsByCategory: `
             SELECT c.name, COUNT(a.id) as count 
             FROM asset_categories c 
-            LEFT JOIN assets a ON c.id = a.category_id AND a.status != 'inactive'
+            LEFT JOIN assets a ON c.id = a.category_id AND a.status != 'inactive' AND ${assets.clause}
             GROUP BY c.id, c.name
         `,
         assetsWithoutResponsible: `
-            SELECT COUNT(*) as count FROM assets 
-            WHERE responsible_user_id IS NULL AND status = 'active'
+            SELECT COUNT(*) as count FROM assets a 
+            WHERE responsible_user_id IS NULL AND status = 'active' AND ${assets.clause}
         `,
         expiredWarranties: `
-            SELECT COUNT(*) as count FROM assets 
-            WHERE warranty_expiry < DATE('now') AND status = 'active'
+            SELECT COUNT(*) as count FROM assets a 
+            WHERE warranty_expiry < DATE('now') AND status = 'active' AND ${assets.clause}
         `,
         
         // Incidencias
-        totalIncidents: `SELECT COUNT(*) as count FROM incidents`,
+        totalIncidents: `SELECT COUNT(*) as count FROM incidents i WHERE ${incidents.clause}`,
         openIncidents: `
-            SELECT COUNT(*) as count FROM incidents 
-            WHERE status IN ('open', 'assigned', 'in_progress')
+            SELECT COUNT(*) as count FROM incidents i 
+            WHERE status IN ('open', 'assigned', 'in_progress') AND ${incidents.clause}
         `,
-        incidentsByPriority: `SELECT priority, COUNT(*) as count FROM incidents GROUP BY priority`,
+        incidentsByPriority: `SELECT priority, COUNT(*) as count FROM incidents i WHERE ${incidents.clause} GROUP BY priority`,
         
         // Mantenimientos
-        totalMaintenances: `SELECT COUNT(*) as count FROM maintenances`,
+        totalMaintenances: `SELECT COUNT(*) as count FROM maintenances m WHERE ${maintenances.clause}`,
         upcomingMaintenances: `
-            SELECT COUNT(*) as count FROM maintenances 
+            SELECT COUNT(*) as count FROM maintenances m 
             WHERE scheduled_date BETWEEN DATE('now') AND DATE('now', '+30 days') 
-            AND status = 'scheduled'
+            AND status = 'scheduled' AND ${maintenances.clause}
         `,
         overdueMaintenances: `
-            SELECT COUNT(*) as count FROM maintenances 
-            WHERE scheduled_date < DATE('now') AND status = 'scheduled'
+            SELECT COUNT(*) as count FROM maintenances m 
+            WHERE scheduled_date < DATE('now') AND status = 'scheduled' AND ${maintenances.clause}
         `,
         
         // Formatos responsivos
-        pendingForms: `SELECT COUNT(*) as count FROM responsive_forms WHERE status = 'pending'`,
+        pendingForms: `SELECT COUNT(*) as count FROM responsive_forms rf WHERE status = 'pending' AND ${forms.clause}`,
         
         // Requisiciones
-        pendingRequisitions: `SELECT COUNT(*) as count FROM requisitions WHERE status = 'pending'`,
+        pendingRequisitions: `
+            SELECT COUNT(*) as count FROM requisitions r
+            WHERE status IN ('pending', 'in_review') AND ${requisitions.clause}
+        `,
         approvedRequisitionsValue: `
-            SELECT SUM(estimated_cost) as total FROM requisitions 
-            WHERE status = 'approved' AND created_at >= DATE('now', '-30 days')
+            SELECT SUM(estimated_cost) as total FROM requisitions r
+            WHERE status = 'approved' AND created_at >= DATE('now', '-30 days') AND ${requisitions.clause}
         `
     };
     
+    // Parámetros del filtro de departamento según la tabla de cada consulta
+    const queryParams = {
+        totalAssets: assets.params,
+        assetsByCategory: assets.params,
+        assetsWithoutResponsible: assets.params,
+        expiredWarranties: assets.params,
+        totalIncidents: incidents.params,
+        openIncidents: incidents.params,
+        incidentsByPriority: incidents.params,
+        totalMaintenances: maintenances.params,
+        upcomingMaintenances: maintenances.params,
+        overdueMaintenances: maintenances.params,
+        pendingForms: forms.params,
+        pendingRequisitions: requisitions.params,
+        approvedRequisitionsValue: requisitions.params
+    };
+    
     const stats = {};
     const promises = [];
     
     Object.keys(queries).forEach(key => {
         promises.push(new Promise((resolve, reject) => {
-            db.all(queries[key], (err, result) => {
+            db.all(queries[key], queryParams[key] || [], (err, result) => {
                 if (err) reject(err);
                 else {
                     stats[key] = result;
@@ -83,22 +253,27 @@ router.get('/dashboard', authenticateToken, (req, res) => {
 });
 
 // Reporte de inventario con filtros
-router.get('/inventory', authenticateToken, (req, res) => {
-    const { category, status, responsible, dateFrom, dateTo, format = 'json' } = req.query;
+router.get('/inventory', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { category, status, responsible, department_id, location_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const scope = assetScope(req.user);
     
+    // El departamento de un activo es el de su responsable
     let query = `
         SELECT 
             a.*,
             c.name as category_name,
             u.full_name as responsible_name,
-            u.department as responsible_department
+            u.department as responsible_department,
+            COALESCE(d.name, u.department) as department_name,
+            d.cost_center
         FROM assets a
         LEFT JOIN asset_categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.responsible_user_id = u.id
-        WHERE 1=1
+        LEFT JOIN departments d ON u.department_id = d.id
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (category) {
         query += ` AND a.category_id = ?`;
@@ -115,6 +290,18 @@ router.get('/inventory', authenticateToken, (req, res) => {
         params.push(responsible);
     }
     
+    if (department_id) {
+        query += ` AND u.department_id = ?`;
+        params.push(department_id);
+    }
+    
+    // La ubicación incluye sus sububicaciones
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
     if (dateFrom) {
         query += ` AND a.created_at >= ?`;
         params.push(dateFrom);
@@ -125,41 +312,41 @@ router.get('/inventory', authenticateToken, (req, res) => {
         params.push(dateTo + ' 23:59:59');
     }
     
-    query += ` ORDER BY a.created_at DESC`;
+    query += ` ORDER BY a.created_at DESC, a.id DESC`;
     
-    db.all(query, params, (err, assets) => {
-        if (err) {
-            return res.status(500).json({ message: 'Error al generar reporte de inventario' });
-        }
-        
-        const reportData = {
+    const summary = { totalAssets: 0, byCategory: {}, byStatus: {}, byDepartment: {}, totalValue: 0 };
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
             title: 'Reporte de Inventario',
             generatedAt: new Date().toISOString(),
-            filters: { category, status, responsible, dateFrom, dateTo },
-            data: assets,
-            summary: {
-                totalAssets: assets.length,
-                byCategory: assets.reduce((acc, asset) => {
-                    const cat = asset.category_name || 'Sin categoría';
-                    acc[cat] = (acc[cat] || 0) + 1;
-                    return acc;
-                }, {}),
-                byStatus: assets.reduce((acc, asset) => {
-                    acc[asset.status] = (acc[asset.status] || 0) + 1;
-                    return acc;
-                }, {}),
-                totalValue: assets.reduce((sum, asset) => sum + (asset.purchase_price || 0), 0)
-            }
-        };
-        
-        res.json(reportData);
+            filters: { category, status, responsible, department_id, location_id, dateFrom, dateTo }
+        },
+        columns: EXPORT_COLUMNS.inventory,
+        fileName: 'inventario',
+        errorMessage: 'Error al generar reporte de inventario',
+        collect: (asset) => {
+            summary.totalAssets++;
+            countBy(summary.byCategory, asset.category_name || 'Sin categoría');
+            countBy(summary.byStatus, asset.status);
+            addToDepartment(summary.byDepartment, asset, { count: 0, value: 0 }, (group) => ({
+                count: group.count + 1,
+                value: group.value + (asset.purchase_price || 0)
+            }));
+            summary.totalValue += asset.purchase_price || 0;
+        },
+        summary: () => summary
     });
 });
 
 // Reporte de incidencias
-router.get('/incidents', authenticateToken, (req, res) => {
-    const { status, priority, asset_id, dateFrom, dateTo } = req.query;
+router.get('/incidents', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { status, priority, asset_id, department_id, location_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const scope = incidentScope(req.user);
     
+    // Departamento del responsable del activo o, si no tiene, del usuario que reportó
     let query = `
         SELECT 
             i.*,
@@ -167,6 +354,7 @@ router.get('/incidents', authenticateToken, (req, res) => {
             a.asset_code,
             reporter.full_name as reported_by_name,
             assignee.full_name as assigned_to_name,
+            COALESCE(d.name, owner.department, reporter.department) as department_name,
             CASE 
                 WHEN i.resolved_date IS NOT NULL THEN
                     ROUND((JULIANDAY(i.resolved_date) - JULIANDAY(i.reported_date)) * 24, 2)
@@ -176,10 +364,12 @@ router.get('/incidents', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON i.asset_id = a.id
         LEFT JOIN users reporter ON i.reported_by = reporter.id
         LEFT JOIN users assignee ON i.assigned_to = assignee.id
-        WHERE 1=1
+        LEFT JOIN users owner ON a.responsible_user_id = owner.id
+        LEFT JOIN departments d ON d.id = COALESCE(owner.department_id, reporter.department_id)
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND i.status = ?`;
@@ -196,6 +386,17 @@ router.get('/incidents', authenticateToken, (req, res) => {
         params.push(asset_id);
     }
     
+    if (department_id) {
+        query += ` AND d.id = ?`;
+        params.push(department_id);
+    }
+    
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
     if (dateFrom) {
         query += ` AND i.reported_date >= ?`;
         params.push(dateFrom);
@@ -206,45 +407,55 @@ router.get('/incidents', authenticateToken, (req, res) => {
         params.push(dateTo + ' 23:59:59');
     }
     
-    query += ` ORDER BY i.reported_date DESC`;
+    query += ` ORDER BY i.reported_date DESC, i.id DESC`;
     
-    db.all(query, params, (err, incidents) => {
-        if (err) {
-            return res.status(500).json({ message: 'Error al generar reporte de incidencias' });
-        }
-        
-        const resolvedIncidents = incidents.filter(i => i.resolution_hours !== null);
-        const avgResolutionTime = resolvedIncidents.length > 0 
-            ? resolvedIncidents.reduce((sum, i) => sum + i.resolution_hours, 0) / resolvedIncidents.length
-            : 0;
-        
-        const reportData = {
+    const summary = { totalIncidents: 0, byStatus: {}, byPriority: {}, byDepartment: {}, resolvedCount: 0 };
+    let resolutionHours = 0;
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
             title: 'Reporte de Incidencias',
             generatedAt: new Date().toISOString(),
-            filters: { status, priority, asset_id, dateFrom, dateTo },
-            data: incidents,
-            summary: {
-                totalIncidents: incidents.length,
-                byStatus: incidents.reduce((acc, incident) => {
-                    acc[incident.status] = (acc[incident.status] || 0) + 1;
-                    return acc;
-                }, {}),
-                byPriority: incidents.reduce((acc, incident) => {
-                    acc[incident.priority] = (acc[incident.priority] || 0) + 1;
-                    return acc;
-                }, {}),
-                averageResolutionTime: Math.round(avgResolutionTime * 100) / 100,
-                resolvedCount: resolvedIncidents.length
+            filters: { status, priority, asset_id, department_id, location_id, dateFrom, dateTo }
+        },
+        columns: EXPORT_COLUMNS.incidents,
+        fileName: 'incidencias',
+        errorMessage: 'Error al generar reporte de incidencias',
+        collect: (incident) => {
+            summary.totalIncidents++;
+            countBy(summary.byStatus, incident.status);
+            countBy(summary.byPriority, incident.priority);
+            addToDepartment(summary.byDepartment, incident, { count: 0, open: 0 }, (group) => ({
+                count: group.count + 1,
+                open: group.open + (['resolved', 'closed'].includes(incident.status) ? 0 : 1)
+            }));
+            
+            if (incident.resolution_hours !== null) {
+                summary.resolvedCount++;
+                resolutionHours += incident.resolution_hours;
             }
-        };
-        
-        res.json(reportData);
+        },
+        summary: () => {
+            const average = summary.resolvedCount > 0 ? resolutionHours / summary.resolvedCount : 0;
+            
+            return {
+                totalIncidents: summary.totalIncidents,
+                byStatus: summary.byStatus,
+                byPriority: summary.byPriority,
+                byDepartment: summary.byDepartment,
+                averageResolutionTime: Math.round(average * 100) / 100,
+                resolvedCount: summary.resolvedCount
+            };
+        }
     });
 });
 
 // Reporte de mantenimientos
-router.get('/maintenance', authenticateToken, (req, res) => {
-    const { type, status, asset_id, dateFrom, dateTo } = req.query;
+router.get('/maintenance', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { type, status, asset_id, location_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const scope = maintenanceScope(req.user);
     
     let query = `
         SELECT 
@@ -255,10 +466,10 @@ router.get('/maintenance', authenticateToken, (req, res) => {
         FROM maintenances m
         LEFT JOIN assets a ON m.asset_id = a.id
         LEFT JOIN users t ON m.technician_id = t.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (type) {
         query += ` AND m.type = ?`;
@@ -275,6 +486,12 @@ router.get('/maintenance', authenticateToken, (req, res) => {
         params.push(asset_id);
     }
     
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
     if (dateFrom) {
         query += ` AND m.scheduled_date >= ?`;
         params.push(dateFrom);
@@ -285,40 +502,36 @@ router.get('/maintenance', authenticateToken, (req, res) => {
         params.push(dateTo);
     }
     
-    query += ` ORDER BY m.scheduled_date DESC`;
+    query += ` ORDER BY m.scheduled_date DESC, m.id DESC`;
     
-    db.all(query, params, (err, maintenances) => {
-        if (err) {
-            return res.status(500).json({ message: 'Error al generar reporte de mantenimientos' });
-        }
-        
-        const reportData = {
+    const summary = { totalMaintenances: 0, byType: {}, byStatus: {}, totalCost: 0, completedCount: 0 };
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
             title: 'Reporte de Mantenimientos',
             generatedAt: new Date().toISOString(),
-            filters: { type, status, asset_id, dateFrom, dateTo },
-            data: maintenances,
-            summary: {
-                totalMaintenances: maintenances.length,
-                byType: maintenances.reduce((acc, maintenance) => {
-                    acc[maintenance.type] = (acc[maintenance.type] || 0) + 1;
-                    return acc;
-                }, {}),
-                byStatus: maintenances.reduce((acc, maintenance) => {
-                    acc[maintenance.status] = (acc[maintenance.status] || 0) + 1;
-                    return acc;
-                }, {}),
-                totalCost: maintenances.reduce((sum, m) => sum + (m.cost || 0), 0),
-                completedCount: maintenances.filter(m => m.status === 'completed').length
-            }
-        };
-        
-        res.json(reportData);
+            filters: { type, status, asset_id, location_id, dateFrom, dateTo }
+        },
+        columns: EXPORT_COLUMNS.maintenance,
+        fileName: 'mantenimientos',
+        errorMessage: 'Error al generar reporte de mantenimientos',
+        collect: (maintenance) => {
+            summary.totalMaintenances++;
+            countBy(summary.byType, maintenance.type);
+            countBy(summary.byStatus, maintenance.status);
+            summary.totalCost += maintenance.cost || 0;
+            if (maintenance.status === 'completed') summary.completedCount++;
+        },
+        summary: () => summary
     });
 });
 
 // Reporte de formatos responsivos
-router.get('/responsive-forms', authenticateToken, (req, res) => {
-    const { status, asset_id, dateFrom, dateTo } = req.query;
+router.get('/responsive-forms', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { status, asset_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const scope = formScope(req.user);
     
     let query = `
         SELECT 
@@ -333,10 +546,10 @@ router.get('/responsive-forms', authenticateToken, (req, res) => {
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
         LEFT JOIN users approver ON rf.approved_by = approver.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND rf.status = ?`;
@@ -358,49 +571,51 @@ router.get('/responsive-forms', authenticateToken, (req, res) => {
         params.push(dateTo);
     }
     
-    query += ` ORDER BY rf.transfer_date DESC`;
+    query += ` ORDER BY rf.transfer_date DESC, rf.id DESC`;
     
-    db.all(query, params, (err, forms) => {
-        if (err) {
-            return res.status(500).json({ message: 'Error al generar reporte de formatos responsivos' });
-        }
-        
-        const reportData = {
+    const summary = { totalForms: 0, byStatus: {}, approvedCount: 0, pendingCount: 0 };
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
             title: 'Reporte de Formatos Responsivos',
             generatedAt: new Date().toISOString(),
-            filters: { status, asset_id, dateFrom, dateTo },
-            data: forms,
-            summary: {
-                totalForms: forms.length,
-                byStatus: forms.reduce((acc, form) => {
-                    acc[form.status] = (acc[form.status] || 0) + 1;
-                    return acc;
-                }, {}),
-                approvedCount: forms.filter(f => f.status === 'approved').length,
-                pendingCount: forms.filter(f => f.status === 'pending').length
-            }
-        };
-        
-        res.json(reportData);
+            filters: { status, asset_id, dateFrom, dateTo }
+        },
+        columns: EXPORT_COLUMNS.responsiveForms,
+        fileName: 'formatos-responsivos',
+        errorMessage: 'Error al generar reporte de formatos responsivos',
+        collect: (form) => {
+            summary.totalForms++;
+            countBy(summary.byStatus, form.status);
+            if (form.status === 'approved') summary.approvedCount++;
+            if (form.status === 'pending') summary.pendingCount++;
+        },
+        summary: () => summary
     });
 });
 
 // Reporte de requisiciones
-router.get('/requisitions', authenticateToken, (req, res) => {
-    const { status, type, department, dateFrom, dateTo } = req.query;
+router.get('/requisitions', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { status, type, department, department_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const scope = requisitionScope(req.user);
     
     let query = `
         SELECT 
             r.*,
             requester.full_name as requested_by_name,
-            approver.full_name as approved_by_name
+            approver.full_name as approved_by_name,
+            COALESCE(d.name, r.department) as department_name,
+            d.cost_center
         FROM requisitions r
         LEFT JOIN users requester ON r.requested_by = requester.id
         LEFT JOIN users approver ON r.approved_by = approver.id
-        WHERE 1=1
+        LEFT JOIN departments d ON r.department_id = d.id
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND r.status = ?`;
@@ -417,6 +632,11 @@ router.get('/requisitions', authenticateToken, (req, res) => {
         params.push(department);
     }
     
+    if (department_id) {
+        query += ` AND r.department_id = ?`;
+        params.push(department_id);
+    }
+    
     if (dateFrom) {
         query += ` AND r.created_at >= ?`;
         params.push(dateFrom);
@@ -427,76 +647,323 @@ router.get('/requisitions', authenticateToken, (req, res) => {
         params.push(dateTo + ' 23:59:59');
     }
     
-    query += ` ORDER BY r.created_at DESC`;
+    query += ` ORDER BY r.created_at DESC, r.id DESC`;
+    
+    const summary = { totalRequisitions: 0, byStatus: {}, byType: {}, byDepartment: {}, totalEstimatedCost: 0, approvedValue: 0 };
     
-    db.all(query, params, (err, requisitions) => {
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
+            title: 'Reporte de Requisiciones',
+            generatedAt: new Date().toISOString(),
+            filters: { status, type, department, department_id, dateFrom, dateTo }
+        },
+        columns: EXPORT_COLUMNS.requisitions,
+        fileName: 'requisiciones',
+        errorMessage: 'Error al generar reporte de requisiciones',
+        collect: (requisition) => {
+            const cost = requisition.estimated_cost || 0;
+            
+            summary.totalRequisitions++;
+            countBy(summary.byStatus, requisition.status);
+            countBy(summary.byType, requisition.type);
+            addToDepartment(summary.byDepartment, requisition, { count: 0, estimatedCost: 0 }, (group) => ({
+                count: group.count + 1,
+                estimatedCost: group.estimatedCost + cost
+            }));
+            summary.totalEstimatedCost += cost;
+            if (requisition.status === 'approved' || requisition.status === 'completed') summary.approvedValue += cost;
+        },
+        summary: () => summary
+    });
+});
+
+// Reporte de presupuesto contra gasto real por departamento
+router.get('/budget-vs-actual', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { year = new Date().getFullYear(), month, department, format = 'json' } = req.query;
+    const scope = budgetScope(req.user);
+    
+    let query = `SELECT * FROM department_budgets WHERE year = ? AND ${month ? 'month = ?' : 'month IS NULL'} AND ${scope.clause}`;
+    let params = month ? [year, month, ...scope.params] : [year, ...scope.params];
+    
+    if (department) {
+        query += ` AND department = ?`;
+        params.push(department);
+    }
+    
+    query += ` ORDER BY department ASC`;
+    
+    db.all(query, params, (err, budgets) => {
         if (err) {
-            return res.status(500).json({ message: 'Error al generar reporte de requisiciones' });
+            return res.status(500).json({ message: 'Error al generar reporte de presupuesto' });
         }
         
-        const reportData = {
-            title: 'Reporte de Requisiciones',
-            generatedAt: new Date().toISOString(),
-            filters: { status, type, department, dateFrom, dateTo },
-            data: requisitions,
-            summary: {
-                totalRequisitions: requisitions.length,
-                byStatus: requisitions.reduce((acc, req) => {
-                    acc[req.status] = (acc[req.status] || 0) + 1;
-                    return acc;
-                }, {}),
-                byType: requisitions.reduce((acc, req) => {
-                    acc[req.type] = (acc[req.type] || 0) + 1;
+        const promises = budgets.map(budget => new Promise((resolve, reject) => {
+            getBudgetStatus(db, budget.department, budget.year, budget.month, (err, status) => {
+                if (err) reject(err);
+                else resolve(status);
+            });
+        }));
+        
+        Promise.all(promises)
+            .then(data => {
+                const totals = data.reduce((acc, status) => {
+                    acc.budget += status.budget;
+                    acc.committed += status.committed;
+                    acc.actual += status.actual;
+                    acc.available += status.available;
                     return acc;
-                }, {}),
-                totalEstimatedCost: requisitions.reduce((sum, req) => sum + (req.estimated_cost || 0), 0),
-                approvedValue: requisitions
-                    .filter(req => req.status === 'approved' || req.status === 'completed')
-                    .reduce((sum, req) => sum + (req.estimated_cost || 0), 0)
+                }, { budget: 0, committed: 0, actual: 0, available: 0 });
+                
+                sendReport(res, format, {
+                    title: 'Reporte de Presupuesto vs Gasto Real',
+                    generatedAt: new Date().toISOString(),
+                    filters: { year, month, department },
+                    data,
+                    summary: {
+                        totalDepartments: data.length,
+                        ...totals,
+                        overBudget: data.filter(status => status.available < 0).map(status => status.department)
+                    }
+                }, EXPORT_COLUMNS.budgetVsActual, 'presupuesto-vs-gasto');
+            })
+            .catch(err => {
+                res.status(500).json({ message: 'Error al generar reporte de presupuesto' });
+            });
+    });
+});
+
+// Reporte de gasto por proveedor
+router.get('/suppliers', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { dateFrom, dateTo, active, format = 'json' } = req.query;
+    
+    const assetDates = `${dateFrom ? 'AND a.purchase_date >= ?' : ''} ${dateTo ? 'AND a.purchase_date <= ?' : ''}`;
+    const maintenanceDates = `${dateFrom ? 'AND m.completed_date >= ?' : ''} ${dateTo ? 'AND m.completed_date <= ?' : ''}`;
+    const dateParams = [dateFrom, dateTo].filter(Boolean);
+    
+    // Solo se suman los activos y mantenimientos visibles para el departamento del usuario
+    const assets = assetScope(req.user);
+    const maintenances = maintenanceScope(req.user);
+    const assetParams = [...dateParams, ...assets.params];
+    const maintenanceParams = [...dateParams, ...maintenances.params];
+    
+    let query = `
+        SELECT
+            s.id,
+            s.name,
+            s.rfc,
+            s.active,
+            (SELECT COUNT(*) FROM assets a WHERE a.supplier_id = s.id ${assetDates} AND ${assets.clause}) as assets_supplied,
+            (SELECT COALESCE(SUM(a.purchase_price), 0) FROM assets a
+             WHERE a.supplier_id = s.id ${assetDates} AND ${assets.clause}) as assets_value,
+            (SELECT COUNT(*) FROM maintenances m
+             WHERE m.supplier_id = s.id AND m.status = 'completed' ${maintenanceDates} AND ${maintenances.clause}) as maintenance_jobs,
+            (SELECT COALESCE(SUM(m.cost), 0) FROM maintenances m
+             WHERE m.supplier_id = s.id AND m.status = 'completed' ${maintenanceDates} AND ${maintenances.clause}) as maintenance_cost
+        FROM suppliers s
+        WHERE 1=1
+    `;
+    
+    let params = [...assetParams, ...assetParams, ...maintenanceParams, ...maintenanceParams];
+    
+    if (active !== undefined) {
+        query += ` AND s.active = ?`;
+        params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+    
+    // Mayor gasto primero
+    query += ` ORDER BY assets_value + maintenance_cost DESC, s.name ASC, s.id ASC`;
+    
+    const summary = {
+        totalSuppliers: 0, totalAssets: 0, totalAssetsValue: 0, totalMaintenanceJobs: 0, totalMaintenanceCost: 0, totalSpend: 0
+    };
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
+            title: 'Reporte de Gasto por Proveedor',
+            generatedAt: new Date().toISOString(),
+            filters: { dateFrom, dateTo, active }
+        },
+        columns: EXPORT_COLUMNS.suppliers,
+        fileName: 'proveedores',
+        errorMessage: 'Error al generar reporte de proveedores',
+        map: (supplier) => ({ ...supplier, total_spend: supplier.assets_value + supplier.maintenance_cost }),
+        collect: (supplier) => {
+            summary.totalSuppliers++;
+            summary.totalAssets += supplier.assets_supplied;
+            summary.totalAssetsValue += supplier.assets_value;
+            summary.totalMaintenanceJobs += supplier.maintenance_jobs;
+            summary.totalMaintenanceCost += supplier.maintenance_cost;
+            summary.totalSpend += supplier.total_spend;
+        },
+        summary: () => summary
+    });
+});
+
+// Reporte de depreciación del periodo: el año fiscal completo o un mes (year y month)
+router.get('/depreciation', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { year = new Date().getFullYear(), month, category, status, location_id, format = 'json' } = req.query;
+    const scope = assetScope(req.user);
+    
+    if (!/^\d{4}$/.test(String(year)) || (month && !(parseInt(month) >= 1 && parseInt(month) <= 12))) {
+        return res.status(400).json({ message: 'Periodo inválido' });
+    }
+    
+    const from = `${year}-${month ? String(month).padStart(2, '0') : '01'}`;
+    const to = `${year}-${month ? String(month).padStart(2, '0') : '12'}`;
+    
+    // Activos comprados hasta el cierre del periodo
+    let query = `
+        SELECT 
+            a.*,
+            c.name as category_name,${CATEGORY_DEPRECIATION_COLUMNS}
+        FROM assets a
+        LEFT JOIN asset_categories c ON a.category_id = c.id
+        WHERE a.purchase_date IS NOT NULL AND a.purchase_price > 0
+        AND strftime('%Y-%m', a.purchase_date) <= ? AND ${scope.clause}
+    `;
+    
+    let params = [to, ...scope.params];
+    
+    if (category) {
+        query += ` AND a.category_id = ?`;
+        params.push(category);
+    }
+    
+    if (status) {
+        query += ` AND a.status = ?`;
+        params.push(status);
+    }
+    
+    if (location_id) {
+        const filter = locationFilter(location_id);
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+    }
+    
+    query += ` ORDER BY c.name ASC, a.asset_code ASC, a.id ASC`;
+    
+    const round = (value) => Math.round(value * 100) / 100;
+    const totals = { purchase_price: 0, depreciation: 0, accumulated_depreciation: 0, book_value: 0 };
+    const byCategory = {};
+    let depreciable = 0;
+    let notDepreciable = 0;
+    
+    streamReport(db, res, format, {
+        query,
+        params,
+        report: {
+            title: 'Reporte de Depreciación',
+            generatedAt: new Date().toISOString(),
+            filters: { year, month, category, status, location_id },
+            period: { from, to }
+        },
+        columns: EXPORT_COLUMNS.depreciation,
+        fileName: `depreciacion-${from}`,
+        errorMessage: 'Error al generar reporte de depreciación',
+        // Los activos sin vida útil (ni propia ni de su categoría) no se deprecian
+        map: (asset) => {
+            const depreciation = getPeriodDepreciation(asset, from, to);
+            
+            if (!depreciation) {
+                notDepreciable++;
+                return null;
             }
-        };
-        
-        res.json(reportData);
+            
+            return {
+                id: asset.id,
+                asset_code: asset.asset_code,
+                name: asset.name,
+                category_name: asset.category_name,
+                purchase_date: asset.purchase_date,
+                purchase_price: asset.purchase_price,
+                ...depreciation
+            };
+        },
+        collect: (row) => {
+            depreciable++;
+            Object.keys(totals).forEach(field => {
+                totals[field] += row[field];
+            });
+            
+            const cat = row.category_name || 'Sin categoría';
+            const group = byCategory[cat] || { count: 0, depreciation: 0, bookValue: 0 };
+            byCategory[cat] = {
+                count: group.count + 1,
+                depreciation: round(group.depreciation + row.depreciation),
+                bookValue: round(group.bookValue + row.book_value)
+            };
+        },
+        summary: () => ({
+            totalAssets: depreciable,
+            totalCost: round(totals.purchase_price),
+            totalDepreciation: round(totals.depreciation),
+            totalAccumulated: round(totals.accumulated_depreciation),
+            totalBookValue: round(totals.book_value),
+            byCategory,
+            notDepreciable
+        })
     });
 });
 
 // Reporte de actividad de usuarios
-router.get('/user-activity', authenticateToken, (req, res) => {
-    const { user_id, dateFrom, dateTo } = req.query;
+router.get('/user-activity', authenticateToken, authorizePermission('reports.view'), checkReportFormat, (req, res) => {
+    const { user_id, dateFrom, dateTo, format = 'json' } = req.query;
+    const incidents = incidentScope(req.user);
+    const maintenances = maintenanceScope(req.user);
+    const forms = formScope(req.user);
+    const requisitions = requisitionScope(req.user);
     
     const queries = {
         incidents_reported: `
-            SELECT COUNT(*) as count FROM incidents 
+            SELECT COUNT(*) as count FROM incidents i 
             WHERE reported_by = ? 
             ${dateFrom ? 'AND reported_date >= ?' : ''}
             ${dateTo ? 'AND reported_date <= ?' : ''}
+            AND ${incidents.clause}
         `,
         incidents_assigned: `
-            SELECT COUNT(*) as count FROM incidents 
+            SELECT COUNT(*) as count FROM incidents i 
             WHERE assigned_to = ?
             ${dateFrom ? 'AND reported_date >= ?' : ''}
             ${dateTo ? 'AND reported_date <= ?' : ''}
+            AND ${incidents.clause}
         `,
         maintenances_assigned: `
-            SELECT COUNT(*) as count FROM maintenances 
+            SELECT COUNT(*) as count FROM maintenances m 
             WHERE technician_id = ?
             ${dateFrom ? 'AND scheduled_date >= ?' : ''}
             ${dateTo ? 'AND scheduled_date <= ?' : ''}
+            AND ${maintenances.clause}
         `,
         requisitions_made: `
-            SELECT COUNT(*) as count FROM requisitions 
+            SELECT COUNT(*) as count FROM requisitions r
             WHERE requested_by = ?
             ${dateFrom ? 'AND created_at >= ?' : ''}
             ${dateTo ? 'AND created_at <= ?' : ''}
+            AND ${requisitions.clause}
         `,
         forms_approved: `
-            SELECT COUNT(*) as count FROM responsive_forms 
+            SELECT COUNT(*) as count FROM responsive_forms rf 
             WHERE approved_by = ?
             ${dateFrom ? 'AND created_at >= ?' : ''}
             ${dateTo ? 'AND created_at <= ?' : ''}
+            AND ${forms.clause}
         `
     };
     
+    // Parámetros del filtro de departamento (van después de los de fechas)
+    const scopeParams = {
+        incidents_reported: incidents.params,
+        incidents_assigned: incidents.params,
+        maintenances_assigned: maintenances.params,
+        requisitions_made: requisitions.params,
+        forms_approved: forms.params
+    };
+    
     if (!user_id) {
         return res.status(400).json({ message: 'ID de usuario requerido' });
     }
@@ -509,6 +976,7 @@ router.get('/user-activity', authenticateToken, (req, res) => {
             let params = [user_id];
             if (dateFrom) params.push(dateFrom);
             if (dateTo) params.push(dateTo + ' 23:59:59');
+            params.push(...(scopeParams[key] || []));
             
             db.get(queries[key], params, (err, result) => {
                 if (err) reject(err);
@@ -522,13 +990,23 @@ router.get('/user-activity', authenticateToken, (req, res) => {
     
     Promise.all(promises)
         .then(() => {
-            res.json({
+            const reportData = {
                 title: 'Reporte de Actividad de Usuario',
                 user_id,
                 dateFrom,
                 dateTo,
                 activity
-            });
+            };
+            
+            if (format === 'json') {
+                return res.json(reportData);
+            }
+            
+            // En CSV/XLSX cada actividad es una fila
+            sendReport(res, format, {
+                ...reportData,
+                data: Object.keys(ACTIVITY_LABELS).map(key => ({ activity: ACTIVITY_LABELS[key], count: activity[key] }))
+            }, EXPORT_COLUMNS.userActivity, `actividad-usuario-${user_id}`);
         })
         .catch(err => {
             res.status(500).json({ message: 'Error al generar reporte de actividad' });
@@ -0,0 +1,1199 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { runTransaction } = require('../utils/transaction');
+const { checkRequisitionBudget } = require('../utils/budget');
+const { resolveSupplier } = require('../utils/suppliers');
+const { resolveDepartment } = require('../utils/departments');
+const { getActiveLocations, matchLocation } = require('../utils/locations');
+const { checkQuotationRequirement } = require('../utils/quotations');
+const { getFieldsByCategory, validateCustomFields, serializeCustomFields } = require('../utils/customFields');
+const { recordChange } = require('../utils/audit');
+const { requisitionScope } = require('../utils/departmentScope');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Función para generar código de requisición
+const generateRequisitionCode = () => {
+    const now = new Date();
+    const year = now.getFullYear().toString().substr(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `REQ-${year}${month}${day}-${random}`;
+};
+
+// Generar códigos consecutivos para los activos recibidos (ACT-AAMMDD-0001)
+const generateAssetCodes = (count, callback) => {
+    const now = new Date();
+    const year = now.getFullYear().toString().substr(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const prefix = `ACT-${year}${month}${day}-`;
+    
+    db.get(
+        `SELECT asset_code FROM assets WHERE asset_code LIKE ? ORDER BY asset_code DESC LIMIT 1`,
+        [`${prefix}%`],
+        (err, last) => {
+            if (err) return callback(err);
+            
+            const start = last ? (parseInt(last.asset_code.slice(prefix.length)) || 0) + 1 : 1;
+            const codes = [];
+            for (let i = 0; i < count; i++) {
+                codes.push(`${prefix}${(start + i).toString().padStart(4, '0')}`);
+            }
+            callback(null, codes);
+        }
+    );
+};
+
+// Calcular el total de una partida
+const calculateItemTotal = (quantity, unit_price) => {
+    if (unit_price === undefined || unit_price === null || unit_price === '') {
+        return null;
+    }
+    return Math.round(parseInt(quantity) * parseFloat(unit_price) * 100) / 100;
+};
+
+// Recalcular el costo estimado de la requisición a partir de sus partidas
+const recalculateEstimatedCost = (requisitionId, callback) => {
+    db.run(
+        `UPDATE requisitions SET
+         estimated_cost = (
+             SELECT COALESCE(SUM(total_price), 0) FROM requisition_items WHERE requisition_id = ?
+         ),
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [requisitionId, requisitionId],
+        (err) => {
+            if (err) return callback(err);
+            
+            db.get(
+                `SELECT estimated_cost FROM requisitions WHERE id = ?`,
+                [requisitionId],
+                (err, row) => callback(err, row ? row.estimated_cost : null)
+            );
+        }
+    );
+};
+
+// Verificar que la requisición exista y siga siendo editable
+const getEditableRequisition = (id, res, callback) => {
+    db.get(`SELECT id, status FROM requisitions WHERE id = ?`, [id], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        if (requisition.status !== 'pending') {
+            return res.status(400).json({ message: 'Solo se pueden modificar requisiciones pendientes' });
+        }
+        
+        callback(requisition);
+    });
+};
+
+// Resolver el departamento indicado contra el catálogo. Si no se indica se usa fallbackName
+// (el departamento del solicitante), que se conserva como texto si aún no está catalogado.
+const resolveRequisitionDepartment = (departmentId, departmentName, fallbackName, res, callback) => {
+    const given = departmentId !== undefined || departmentName !== undefined;
+    
+    resolveDepartment(db, departmentId, given ? departmentName : fallbackName, (err, resolved) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (resolved) return callback(resolved);
+        
+        if (!given) return callback({ department_id: null, department: fallbackName });
+        
+        res.status(400).json({ message: 'Departamento no encontrado' });
+    });
+};
+
+// Usuarios activos, distintos del solicitante, que pueden decidir el paso de una regla: el usuario
+// asignado o quien tenga el rol aprobador (y el departamento, si aplica) con requisitions.approve
+const countStepApprovers = (rule, requisition, callback) => {
+    const approverUserId = rule.approver_user_id || null;
+    const approverDepartment = rule.same_department ? requisition.department : null;
+    
+    db.get(
+        `SELECT COUNT(*) as count FROM users u
+         WHERE u.active = 1 AND u.id != ?
+         AND (u.id = ? OR (? IS NULL AND u.role = ? AND (? IS NULL OR u.department = ?)))
+         AND (u.role = 'admin' OR EXISTS (
+             SELECT 1 FROM role_permissions rp WHERE rp.role = u.role AND rp.permission = 'requisitions.approve'
+         ))`,
+        [requisition.requested_by, approverUserId, approverUserId, rule.approver_role, approverDepartment, approverDepartment],
+        (err, row) => callback(err, row && row.count)
+    );
+};
+
+// Guardar los pasos de la cadena de aprobación de la requisición
+const insertApprovalSteps = (requisition, rules, callback) => {
+    const stmt = db.prepare(
+        `INSERT INTO requisition_approvals (
+            requisition_id, rule_id, step_order, step_name, approver_role,
+            approver_department, approver_user_id, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`
+    );
+    
+    rules.forEach(rule => {
+        stmt.run([
+            requisition.id, rule.id, rule.step_order, rule.name, rule.approver_role,
+            rule.same_department ? requisition.department : null, rule.approver_user_id
+        ]);
+    });
+    
+    stmt.finalize((err) => callback(err, rules.length, []));
+};
+
+// Construir la cadena de aprobación según monto, departamento y prioridad. Si algún paso no tiene
+// quién lo apruebe no se genera la cadena y el callback recibe los nombres de esos pasos.
+const buildApprovalChain = (requisition, callback) => {
+    const amount = requisition.estimated_cost || 0;
+    
+    db.all(
+        `SELECT * FROM approval_rules
+         WHERE active = 1
+         AND (department IS NULL OR department = ?)
+         AND (priority IS NULL OR priority = ?)
+         AND COALESCE(min_amount, 0) <= ?
+         AND (max_amount IS NULL OR max_amount >= ?)
+         ORDER BY step_order ASC, id ASC`,
+        [requisition.department, requisition.priority, amount, amount],
+        (err, rules) => {
+            if (err) return callback(err);
+            
+            // Sin reglas aplicables, la requisición la aprueba un administrador
+            if (rules.length === 0) {
+                rules = [{ id: null, name: 'Administrador', step_order: 1, approver_role: 'admin', same_department: 0 }];
+            }
+            
+            const counts = rules.map(rule => new Promise((resolve, reject) => {
+                countStepApprovers(rule, requisition, (err, count) => (err ? reject(err) : resolve(count)));
+            }));
+            
+            Promise.all(counts).then(approvers => {
+                const unassigned = rules.filter((rule, index) => approvers[index] === 0).map(rule => rule.name);
+                
+                if (unassigned.length > 0) {
+                    return callback(null, 0, unassigned);
+                }
+                
+                insertApprovalSteps(requisition, rules, callback);
+            }, callback);
+        }
+    );
+};
+
+// Determinar si el usuario puede decidir un paso de aprobación
+const canDecideStep = (step, user) => {
+    if (user.permissions.includes('requisitions.approve_any')) return true;
+    
+    if (step.approver_user_id) {
+        return step.approver_user_id === user.id;
+    }
+    
+    return step.approver_role === user.role &&
+        (!step.approver_department || step.approver_department === user.department);
+};
+
+// Verificar el presupuesto del departamento; con BUDGET_ENFORCEMENT=block se rechaza la operación
+const verifyBudget = (requisition, res, callback) => {
+    checkRequisitionBudget(db, requisition, (err, result) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al verificar presupuesto del departamento' });
+        }
+        
+        if (result.exceeded && result.enforcement === 'block') {
+            return res.status(400).json({
+                message: 'La requisición excede el presupuesto disponible del departamento',
+                budgetWarnings: result.warnings
+            });
+        }
+        
+        callback(result.warnings);
+    });
+};
+
+const itemValidators = (prefix) => [
+    body(`${prefix}item_name`).notEmpty().withMessage('Nombre del artículo es requerido'),
+    body(`${prefix}quantity`).isInt({ min: 1 }).withMessage('Cantidad debe ser un entero mayor a 0'),
+    body(`${prefix}unit_price`).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Precio unitario inválido'),
+    body(`${prefix}category_id`).optional({ nullable: true }).isInt().withMessage('Categoría inválida')
+];
+
+// Obtener todas las requisiciones con filtros
+router.get('/', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const { page = 1, limit = 10, status, type, priority, department, requested_by, supplier_id } = req.query;
+    const offset = (page - 1) * limit;
+    const scope = requisitionScope(req.user);
+    
+    let query = `
+        SELECT
+            r.*,
+            requester.full_name as requested_by_name,
+            approver.full_name as approved_by_name,
+            (SELECT COUNT(*) FROM requisition_items ri WHERE ri.requisition_id = r.id) as items_count
+        FROM requisitions r
+        LEFT JOIN users requester ON r.requested_by = requester.id
+        LEFT JOIN users approver ON r.approved_by = approver.id
+        WHERE ${scope.clause}
+    `;
+    
+    let params = [...scope.params];
+    
+    if (status) {
+        query += ` AND r.status = ?`;
+        params.push(status);
+    }
+    
+    if (type) {
+        query += ` AND r.type = ?`;
+        params.push(type);
+    }
+    
+    if (priority) {
+        query += ` AND r.priority = ?`;
+        params.push(priority);
+    }
+    
+    if (department) {
+        query += ` AND r.department = ?`;
+        params.push(department);
+    }
+    
+    if (requested_by) {
+        query += ` AND r.requested_by = ?`;
+        params.push(requested_by);
+    }
+    
+    if (supplier_id) {
+        query += ` AND r.supplier_id = ?`;
+        params.push(supplier_id);
+    }
+    
+    query += ` ORDER BY r.created_at DESC LIMIT ? OFFSET ?`;
+    params.push(parseInt(limit), offset);
+    
+    db.all(query, params, (err, requisitions) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisiciones' });
+        }
+        
+        // Obtener total para paginación
+        let countQuery = `SELECT COUNT(*) as total FROM requisitions r WHERE ${scope.clause}`;
+        let countParams = [...scope.params];
+        
+        if (status) {
+            countQuery += ` AND r.status = ?`;
+            countParams.push(status);
+        }
+        
+        if (type) {
+            countQuery += ` AND r.type = ?`;
+            countParams.push(type);
+        }
+        
+        if (priority) {
+            countQuery += ` AND r.priority = ?`;
+            countParams.push(priority);
+        }
+        
+        if (department) {
+            countQuery += ` AND r.department = ?`;
+            countParams.push(department);
+        }
+        
+        if (requested_by) {
+            countQuery += ` AND r.requested_by = ?`;
+            countParams.push(requested_by);
+        }
+        
+        if (supplier_id) {
+            countQuery += ` AND r.supplier_id = ?`;
+            countParams.push(supplier_id);
+        }
+        
+        db.get(countQuery, countParams, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar requisiciones' });
+            }
+            
+            res.json({
+                requisitions,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Obtener estadísticas de requisiciones
+router.get('/stats/overview', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const scope = requisitionScope(req.user);
+    
+    const queries = {
+        total: `SELECT COUNT(*) as count FROM requisitions r WHERE ${scope.clause}`,
+        byStatus: `SELECT status, COUNT(*) as count FROM requisitions r WHERE ${scope.clause} GROUP BY status`,
+        byType: `SELECT type, COUNT(*) as count FROM requisitions r WHERE ${scope.clause} GROUP BY type`,
+        byPriority: `SELECT priority, COUNT(*) as count FROM requisitions r WHERE ${scope.clause} GROUP BY priority`,
+        pending: `SELECT COUNT(*) as count FROM requisitions r WHERE status = 'pending' AND ${scope.clause}`,
+        pendingValue: `SELECT SUM(estimated_cost) as total FROM requisitions r WHERE status = 'pending' AND ${scope.clause}`
+    };
+    
+    const stats = {};
+    const promises = [];
+    
+    Object.keys(queries).forEach(key => {
+        promises.push(new Promise((resolve, reject) => {
+            db.all(queries[key], scope.params, (err, result) => {
+                if (err) reject(err);
+                else {
+                    stats[key] = result;
+                    resolve();
+                }
+            });
+        }));
+    });
+    
+    Promise.all(promises)
+        .then(() => {
+            res.json({ stats });
+        })
+        .catch(err => {
+            res.status(500).json({ message: 'Error al obtener estadísticas' });
+        });
+});
+
+// Obtener requisiciones pendientes de aprobación del usuario actual
+router.get('/approvals/pending', authenticateToken, authorizePermission('requisitions.approve'), (req, res) => {
+    const query = `
+        SELECT
+            r.*,
+            requester.full_name as requested_by_name,
+            ra.id as approval_id,
+            ra.step_order,
+            ra.step_name
+        FROM requisition_approvals ra
+        INNER JOIN requisitions r ON ra.requisition_id = r.id
+        LEFT JOIN users requester ON r.requested_by = requester.id
+        WHERE ra.status = 'pending'
+        AND r.status = 'in_review'
+        AND r.requested_by != ?
+        AND ra.step_order = (
+            SELECT MIN(step_order) FROM requisition_approvals
+            WHERE requisition_id = ra.requisition_id AND status = 'pending'
+        )
+        AND (
+            ra.approver_user_id = ?
+            OR (
+                ra.approver_user_id IS NULL AND ra.approver_role = ?
+                AND (ra.approver_department IS NULL OR ra.approver_department = ?)
+            )
+        )
+        ORDER BY r.created_at ASC
+    `;
+    
+    db.all(query, [req.user.id, req.user.id, req.user.role, req.user.department], (err, pendingApprovals) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener aprobaciones pendientes' });
+        }
+        
+        res.json({ pendingApprovals });
+    });
+});
+
+// Obtener una requisición específica con sus partidas
+router.get('/:id', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const { id } = req.params;
+    const scope = requisitionScope(req.user);
+    
+    const query = `
+        SELECT
+            r.*,
+            requester.full_name as requested_by_name,
+            requester.email as requested_by_email,
+            approver.full_name as approved_by_name
+        FROM requisitions r
+        LEFT JOIN users requester ON r.requested_by = requester.id
+        LEFT JOIN users approver ON r.approved_by = approver.id
+        WHERE r.id = ? AND ${scope.clause}
+    `;
+    
+    db.get(query, [id, ...scope.params], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        db.all(
+            `SELECT ri.*, c.name as category_name
+             FROM requisition_items ri
+             LEFT JOIN asset_categories c ON ri.category_id = c.id
+             WHERE ri.requisition_id = ?
+             ORDER BY ri.id ASC`,
+            [id],
+            (err, items) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener partidas de la requisición' });
+                }
+                
+                res.json({ requisition: { ...requisition, items } });
+            }
+        );
+    });
+});
+
+// Crear nueva requisición
+router.post('/', authenticateToken, authorizePermission('requisitions.create'), [
+    body('title').notEmpty().withMessage('Título es requerido'),
+    body('type').optional().isIn(['purchase', 'service', 'maintenance']).withMessage('Tipo de requisición inválido'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Prioridad inválida'),
+    body('estimated_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Costo estimado inválido'),
+    body('department_id').optional({ nullable: true }).isInt().withMessage('Departamento inválido'),
+    body('items').optional().isArray().withMessage('Las partidas deben ser una lista'),
+    ...itemValidators('items.*.')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const {
+        title, description, type = 'purchase', priority = 'medium',
+        department, department_id, estimated_cost, justification,
+        supplier, supplier_id, notes, items = []
+    } = req.body;
+    
+    const requisition_code = generateRequisitionCode();
+    const requested_by = req.user.id;
+    
+    resolveRequisitionDepartment(department_id, department, req.user.department, res, (resolvedDepartment) => {
+        resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (!resolved) {
+                return res.status(400).json({ message: 'Proveedor no encontrado' });
+            }
+            
+            db.run(
+                `INSERT INTO requisitions (
+                    requisition_code, type, title, description, requested_by, department, department_id,
+                    priority, estimated_cost, justification, supplier, supplier_id, notes, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                [requisition_code, type, title, description, requested_by,
+                 resolvedDepartment.department, resolvedDepartment.department_id,
+                 priority, estimated_cost, justification,
+                 resolved.supplier, resolved.supplier_id, notes],
+                function(err) {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al crear requisición' });
+                    }
+                    
+                    const requisitionId = this.lastID;
+                    const respond = (finalCost) => {
+                        res.status(201).json({
+                            message: 'Requisición creada exitosamente',
+                            requisition: {
+                                id: requisitionId,
+                                requisition_code,
+                                title,
+                                type,
+                                priority,
+                                estimated_cost: finalCost,
+                                items_count: items.length,
+                                status: 'pending'
+                            }
+                        });
+                    };
+                    
+                    if (items.length === 0) {
+                        return respond(estimated_cost === undefined ? null : estimated_cost);
+                    }
+                    
+                    // Registrar las partidas y recalcular el costo estimado
+                    const stmt = db.prepare(
+                        `INSERT INTO requisition_items (
+                            requisition_id, item_name, description, quantity, unit_price, total_price, category_id
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?)`
+                    );
+                    
+                    items.forEach(item => {
+                        stmt.run([
+                            requisitionId, item.item_name, item.description, item.quantity,
+                            item.unit_price, calculateItemTotal(item.quantity, item.unit_price), item.category_id
+                        ]);
+                    });
+                    
+                    stmt.finalize((err) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al registrar partidas de la requisición' });
+                        }
+                        
+                        recalculateEstimatedCost(requisitionId, (err, finalCost) => {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al calcular costo estimado' });
+                            }
+                            
+                            respond(finalCost);
+                        });
+                    });
+                }
+            );
+        });
+    });
+});
+
+// Actualizar requisición
+router.put('/:id', authenticateToken, authorizePermission('requisitions.update'), [
+    body('title').notEmpty().withMessage('Título es requerido'),
+    body('type').optional().isIn(['purchase', 'service', 'maintenance']).withMessage('Tipo de requisición inválido'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Prioridad inválida'),
+    body('department_id').optional({ nullable: true }).isInt().withMessage('Departamento inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const {
+        title, description, type, priority, department, department_id, justification, supplier, supplier_id, notes
+    } = req.body;
+    
+    getEditableRequisition(id, res, () => {
+        resolveRequisitionDepartment(department_id, department, null, res, (resolvedDepartment) => {
+            resolveSupplier(db, supplier_id, supplier, (err, resolved) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (!resolved) {
+                    return res.status(400).json({ message: 'Proveedor no encontrado' });
+                }
+                
+                db.run(
+                    `UPDATE requisitions SET
+                        title = ?, description = ?, type = COALESCE(?, type),
+                        priority = COALESCE(?, priority), department = COALESCE(?, department),
+                        department_id = COALESCE(?, department_id),
+                        justification = ?, supplier = ?, supplier_id = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?`,
+                    [title, description, type, priority, resolvedDepartment.department, resolvedDepartment.department_id,
+                     justification, resolved.supplier, resolved.supplier_id, notes, id],
+                    function(err) {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al actualizar requisición' });
+                        }
+                        
+                        res.json({ message: 'Requisición actualizada exitosamente' });
+                    }
+                );
+            });
+        });
+    });
+});
+
+// Agregar partida a una requisición
+router.post('/:id/items', authenticateToken, authorizePermission('requisitions.update'), itemValidators(''), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { item_name, description, quantity, unit_price, category_id } = req.body;
+    const total_price = calculateItemTotal(quantity, unit_price);
+    
+    getEditableRequisition(id, res, () => {
+        db.run(
+            `INSERT INTO requisition_items (
+                requisition_id, item_name, description, quantity, unit_price, total_price, category_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, item_name, description, quantity, unit_price, total_price, category_id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al agregar partida' });
+                }
+                
+                const itemId = this.lastID;
+                
+                recalculateEstimatedCost(id, (err, estimated_cost) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al calcular costo estimado' });
+                    }
+                    
+                    res.status(201).json({
+                        message: 'Partida agregada exitosamente',
+                        item: { id: itemId, item_name, quantity, unit_price, total_price },
+                        estimated_cost
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Actualizar partida de una requisición
+router.put('/:id/items/:itemId', authenticateToken, authorizePermission('requisitions.update'), itemValidators(''), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id, itemId } = req.params;
+    const { item_name, description, quantity, unit_price, category_id } = req.body;
+    const total_price = calculateItemTotal(quantity, unit_price);
+    
+    getEditableRequisition(id, res, () => {
+        db.run(
+            `UPDATE requisition_items SET
+                item_name = ?, description = ?, quantity = ?, unit_price = ?, total_price = ?,
+                category_id = ?
+            WHERE id = ? AND requisition_id = ?`,
+            [item_name, description, quantity, unit_price, total_price, category_id, itemId, id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al actualizar partida' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Partida no encontrada' });
+                }
+                
+                recalculateEstimatedCost(id, (err, estimated_cost) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al calcular costo estimado' });
+                    }
+                    
+                    res.json({
+                        message: 'Partida actualizada exitosamente',
+                        item: { id: parseInt(itemId), item_name, quantity, unit_price, total_price },
+                        estimated_cost
+                    });
+                });
+            }
+        );
+    });
+});
+
+// Eliminar partida de una requisición
+router.delete('/:id/items/:itemId', authenticateToken, authorizePermission('requisitions.update'), (req, res) => {
+    const { id, itemId } = req.params;
+    
+    getEditableRequisition(id, res, () => {
+        db.run(
+            `DELETE FROM requisition_items WHERE id = ? AND requisition_id = ?`,
+            [itemId, id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al eliminar partida' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Partida no encontrada' });
+                }
+                
+                recalculateEstimatedCost(id, (err, estimated_cost) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al calcular costo estimado' });
+                    }
+                    
+                    res.json({ message: 'Partida eliminada exitosamente', estimated_cost });
+                });
+            }
+        );
+    });
+});
+
+// Enviar requisición a aprobación
+router.post('/:id/submit', authenticateToken, authorizePermission('requisitions.update'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT * FROM requisitions WHERE id = ?`, [id], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        if (requisition.requested_by !== req.user.id && !req.user.permissions.includes('requisitions.manage')) {
+            return res.status(403).json({ message: 'Solo el solicitante puede enviar la requisición a aprobación' });
+        }
+        
+        if (requisition.status !== 'pending') {
+            return res.status(400).json({ message: 'La requisición ya fue enviada a aprobación' });
+        }
+        
+        verifyBudget(requisition, res, (budgetWarnings) => {
+            buildApprovalChain(requisition, (err, steps, unassigned) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al generar cadena de aprobación' });
+                }
+                
+                if (unassigned.length > 0) {
+                    return res.status(400).json({
+                        message: 'Hay pasos de la cadena de aprobación sin usuarios que puedan aprobarlos; asigne el rol aprobador a un usuario activo',
+                        steps: unassigned
+                    });
+                }
+                
+                db.run(
+                    `UPDATE requisitions SET status = 'in_review', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [id],
+                    (err) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al actualizar requisición' });
+                        }
+                        
+                        res.json({
+                            message: 'Requisición enviada a aprobación exitosamente',
+                            status: 'in_review',
+                            steps,
+                            budgetWarnings
+                        });
+                    }
+                );
+            });
+        });
+    });
+});
+
+// Obtener la cadena de aprobación de una requisición
+router.get('/:id/approvals', authenticateToken, authorizePermission('requisitions.view'), (req, res) => {
+    const { id } = req.params;
+    const scope = requisitionScope(req.user);
+    
+    const query = `
+        SELECT
+            ra.*,
+            approver.full_name as approver_user_name,
+            decider.full_name as decided_by_name
+        FROM requisition_approvals ra
+        LEFT JOIN users approver ON ra.approver_user_id = approver.id
+        LEFT JOIN users decider ON ra.decided_by = decider.id
+        WHERE ra.requisition_id = ?
+        AND ra.requisition_id IN (SELECT r.id FROM requisitions r WHERE ${scope.clause})
+        ORDER BY ra.step_order ASC, ra.id ASC
+    `;
+    
+    db.all(query, [id, ...scope.params], (err, approvals) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener cadena de aprobación' });
+        }
+        
+        res.json({ approvals });
+    });
+});
+
+// Aprobar o rechazar el paso actual de la cadena de aprobación
+router.put('/:id/approve', authenticateToken, authorizePermission('requisitions.approve'), [
+    body('approved').isBoolean().withMessage('Estado de aprobación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { approved, comments } = req.body;
+    const isApproved = approved === true || approved === 'true';
+    
+    const query = `
+        SELECT
+            r.*,
+            (SELECT COUNT(*) FROM requisition_approvals ra
+             WHERE ra.requisition_id = r.id AND ra.status = 'pending') as pending_steps
+        FROM requisitions r
+        WHERE r.id = ?
+    `;
+    
+    db.get(query, [id], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        if (requisition.status !== 'in_review') {
+            return res.status(400).json({ message: 'La requisición no está en proceso de aprobación' });
+        }
+        
+        // Quien solicitó la requisición no decide sobre ella, ni con requisitions.approve_any
+        if (requisition.requested_by === req.user.id) {
+            return res.status(403).json({ message: 'No puede aprobar ni rechazar su propia requisición' });
+        }
+        
+        // Pasos pendientes del nivel actual de la cadena
+        db.all(
+            `SELECT * FROM requisition_approvals
+             WHERE requisition_id = ? AND status = 'pending'
+             AND step_order = (
+                 SELECT MIN(step_order) FROM requisition_approvals
+                 WHERE requisition_id = ? AND status = 'pending'
+             )
+             ORDER BY id ASC`,
+            [id, id],
+            (err, currentSteps) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener cadena de aprobación' });
+                }
+                
+                const step = currentSteps.find(s => canDecideStep(s, req.user));
+                
+                if (!step) {
+                    return res.status(403).json({ message: 'No tiene permisos para aprobar este paso de la requisición' });
+                }
+                
+                const decision = isApproved ? 'approved' : 'rejected';
+                const alreadyDecided = () => res.status(409).json({ message: 'Este paso de aprobación ya fue decidido' });
+                
+                // La decisión solo se registra si el paso sigue pendiente: dos aprobadores (o un doble
+                // envío) sobre el mismo paso no pueden sobrescribir la decisión ni rechazar después
+                const stepUpdate = [
+                    `UPDATE requisition_approvals SET
+                     status = ?, decided_by = ?, comments = ?, decided_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'pending'`,
+                    [decision, req.user.id, comments, step.id]
+                ];
+                
+                // Un rechazo termina la cadena. Los demás pasos y la requisición solo cambian si el paso
+                // seguía pendiente, y la decisión del paso va al final para saber si se registró.
+                const recordRejection = () => {
+                    const stepPending = `EXISTS (SELECT 1 FROM requisition_approvals WHERE id = ? AND status = 'pending')`;
+                    
+                    runTransaction(db, [
+                        [`UPDATE requisition_approvals SET status = 'skipped'
+                          WHERE requisition_id = ? AND status = 'pending' AND id <> ? AND ${stepPending}`, [id, step.id, step.id]],
+                        [`UPDATE requisitions SET
+                          status = 'rejected', approved_by = ?, approval_date = CURRENT_TIMESTAMP,
+                          updated_at = CURRENT_TIMESTAMP
+                          WHERE id = ? AND ${stepPending}`, [req.user.id, id, step.id]],
+                        stepUpdate
+                    ], (err, results) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error al registrar decisión' });
+                        }
+                        
+                        if (results[2].changes === 0) {
+                            return alreadyDecided();
+                        }
+                        
+                        res.json({ message: 'Requisición rechazada exitosamente', status: 'rejected' });
+                    });
+                };
+                
+                const recordDecision = (budgetWarnings) => {
+                    db.run(
+                        ...stepUpdate,
+                        function(err) {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al registrar decisión' });
+                            }
+                            
+                            if (this.changes === 0) {
+                                return alreadyDecided();
+                            }
+                            
+                            db.get(
+                                `SELECT MIN(step_order) as next_step, COUNT(*) as remaining
+                                 FROM requisition_approvals
+                                 WHERE requisition_id = ? AND status = 'pending'`,
+                                [id],
+                                (err, pending) => {
+                                    if (err) {
+                                        return res.status(500).json({ message: 'Error al obtener cadena de aprobación' });
+                                    }
+                                    
+                                    if (pending.remaining > 0) {
+                                        return res.json({
+                                            message: 'Paso de aprobación registrado exitosamente',
+                                            status: 'in_review',
+                                            nextStep: pending.next_step
+                                        });
+                                    }
+                                    
+                                    // Último paso aprobado: la requisición queda aprobada
+                                    db.run(
+                                        `UPDATE requisitions SET
+                                         status = 'approved', approved_by = ?, approval_date = CURRENT_TIMESTAMP,
+                                         updated_at = CURRENT_TIMESTAMP
+                                         WHERE id = ? AND status = 'in_review'`,
+                                        [req.user.id, id],
+                                        (err) => {
+                                            if (err) {
+                                                return res.status(500).json({ message: 'Error al actualizar requisición' });
+                                            }
+                                            
+                                            res.json({
+                                                message: 'Requisición aprobada exitosamente',
+                                                status: 'approved',
+                                                budgetWarnings
+                                            });
+                                        }
+                                    );
+                                }
+                            );
+                        }
+                    );
+                };
+                
+                if (!isApproved) {
+                    return recordRejection();
+                }
+                
+                // Las compras sobre el umbral requieren el número mínimo de cotizaciones vigentes
+                checkQuotationRequirement(db, requisition, (err, quotations) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al verificar cotizaciones' });
+                    }
+                    
+                    if (!quotations.met) {
+                        return res.status(400).json({
+                            message: `Se requieren ${quotations.required} cotizaciones vigentes para aprobar la requisición (registradas: ${quotations.valid})`,
+                            quotations
+                        });
+                    }
+                    
+                    // La aprobación del último paso compromete el presupuesto del departamento
+                    if (requisition.pending_steps === 1) {
+                        verifyBudget(requisition, res, recordDecision);
+                    } else {
+                        recordDecision([]);
+                    }
+                });
+            }
+        );
+    });
+});
+
+// Recibir partidas de una requisición de compra como activos del inventario
+router.post('/:id/receive', authenticateToken, authorizePermission('requisitions.receive'), [
+    body('items').isArray({ min: 1 }).withMessage('Se requiere al menos una partida a recibir'),
+    body('items.*.item_id').isInt().withMessage('Partida válida es requerida'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser un entero mayor a 0'),
+    body('items.*.category_id').optional({ nullable: true }).isInt().withMessage('Categoría inválida'),
+    body('items.*.unit_price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Precio unitario inválido'),
+    body('items.*.serial_numbers').optional().isArray().withMessage('Los números de serie deben ser una lista'),
+    body('items.*.location_id').optional({ nullable: true }).isInt().withMessage('Ubicación inválida'),
+    body('items.*.custom_fields').optional({ nullable: true }).isObject().withMessage('Los campos personalizados deben ser un objeto'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Ubicación inválida'),
+    body('purchase_date').optional().isISO8601().withMessage('Fecha de compra inválida'),
+    body('responsible_user_id').optional({ nullable: true }).isInt().withMessage('Responsable inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const {
+        items, supplier, supplier_id, location, location_id, responsible_user_id,
+        purchase_date = new Date().toISOString().split('T')[0]
+    } = req.body;
+    
+    db.get(`SELECT * FROM requisitions WHERE id = ?`, [id], (err, requisition) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener requisición' });
+        }
+        
+        if (!requisition) {
+            return res.status(404).json({ message: 'Requisición no encontrada' });
+        }
+        
+        if (requisition.type !== 'purchase') {
+            return res.status(400).json({ message: 'Solo se pueden recibir requisiciones de compra' });
+        }
+        
+        if (!['approved', 'partially_received'].includes(requisition.status)) {
+            return res.status(400).json({ message: 'La requisición debe estar aprobada para recibirse' });
+        }
+        
+        db.all(`SELECT * FROM requisition_items WHERE requisition_id = ?`, [id], (err, requisitionItems) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener partidas de la requisición' });
+            }
+            
+            const itemsById = {};
+            requisitionItems.forEach(item => {
+                itemsById[item.id] = { ...item, receiving: 0 };
+            });
+            
+            // Validar cantidades pendientes y categoría de cada partida
+            const receiptErrors = [];
+            items.forEach(entry => {
+                const item = itemsById[entry.item_id];
+                
+                if (!item) {
+                    return receiptErrors.push({ item_id: entry.item_id, msg: 'La partida no pertenece a la requisición' });
+                }
+                
+                item.receiving += parseInt(entry.quantity);
+                const pending = item.quantity - (item.received_quantity || 0);
+                
+                if (item.receiving > pending) {
+                    receiptErrors.push({ item_id: entry.item_id, msg: `Solo quedan ${pending} unidades por recibir` });
+                }
+                
+                if (!entry.category_id && !item.category_id) {
+                    receiptErrors.push({ item_id: entry.item_id, msg: 'Categoría del activo es requerida' });
+                }
+            });
+            
+            if (receiptErrors.length > 0) {
+                return res.status(400).json({ errors: receiptErrors });
+            }
+            
+            // Campos personalizados de la categoría de cada partida. Los valores (items.*.custom_fields)
+            // aplican a todas las unidades de la partida; para valores distintos por unidad (IP, clave
+            // de licencia) la partida se envía varias veces con cantidad 1.
+            const categoryOf = (entry) => entry.category_id || itemsById[entry.item_id].category_id;
+            
+            getFieldsByCategory(db, items.map(categoryOf), (err, fieldsByCategory) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener campos personalizados' });
+                }
+                
+                const fieldErrors = [];
+                const customValues = items.map(entry => {
+                    const { values, errors } = validateCustomFields(fieldsByCategory.get(String(categoryOf(entry))), entry.custom_fields);
+                    errors.forEach(error => fieldErrors.push({ item_id: entry.item_id, ...error }));
+                    return serializeCustomFields(values);
+                });
+                
+                if (fieldErrors.length > 0) {
+                    return res.status(400).json({ message: 'Campos personalizados inválidos', errors: fieldErrors });
+                }
+                
+                const totalUnits = items.reduce((sum, entry) => sum + parseInt(entry.quantity), 0);
+                
+                // Proveedor de la recepción; por omisión el de la requisición
+                const receiptSupplierId = supplier_id || (supplier ? null : requisition.supplier_id);
+                
+                resolveSupplier(db, receiptSupplierId, supplier || requisition.supplier, (err, resolved) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error del servidor' });
+                    }
+                    
+                    if (!resolved) {
+                        return res.status(400).json({ message: 'Proveedor no encontrado' });
+                    }
+                    
+                    getActiveLocations(db, (err, locations) => {
+                        if (err) {
+                            return res.status(500).json({ message: 'Error del servidor' });
+                        }
+                        
+                        // Ubicación de cada partida; por omisión la de la recepción
+                        const places = items.map(entry => (entry.location_id || entry.location
+                            ? matchLocation(locations, entry.location_id, entry.location)
+                            : matchLocation(locations, location_id, location)));
+                        
+                        if (places.includes(null)) {
+                            return res.status(400).json({ message: 'Ubicación no encontrada o inactiva' });
+                        }
+                        
+                        generateAssetCodes(totalUnits, (err, codes) => {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al generar códigos de activo' });
+                            }
+                            
+                            const statements = [];
+                            const createdAssets = [];
+                            
+                            items.forEach((entry, index) => {
+                                const item = itemsById[entry.item_id];
+                                const serials = entry.serial_numbers || [];
+                                const unitPrice = entry.unit_price !== undefined ? entry.unit_price : item.unit_price;
+                                
+                                for (let i = 0; i < parseInt(entry.quantity); i++) {
+                                    const asset_code = codes[createdAssets.length];
+                                    
+                                    statements.push([
+                                        `INSERT INTO assets (
+                                            asset_code, name, description, category_id, serial_number,
+                                            purchase_date, purchase_price, supplier, supplier_id, location, location_id, status,
+                                            responsible_user_id, requisition_item_id, notes, custom_fields
+                                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?)`,
+                                        [asset_code, item.item_name, item.description,
+                                         entry.category_id || item.category_id, serials[i] || null,
+                                         purchase_date, unitPrice, entry.supplier || resolved.supplier,
+                                         entry.supplier ? null : resolved.supplier_id,
+                                         places[index].location, places[index].location_id, entry.responsible_user_id || responsible_user_id,
+                                         item.id, `Recibido de la requisición ${requisition.requisition_code}`, customValues[index]]
+                                    ]);
+                                    createdAssets.push({ asset_code, name: item.item_name, requisition_item_id: item.id });
+                                }
+                            });
+                            
+                            Object.values(itemsById).filter(item => item.receiving > 0).forEach(item => {
+                                statements.push([
+                                    `UPDATE requisition_items SET received_quantity = COALESCE(received_quantity, 0) + ? WHERE id = ?`,
+                                    [item.receiving, item.id]
+                                ]);
+                            });
+                            
+                            const fullyReceived = Object.values(itemsById)
+                                .every(item => (item.received_quantity || 0) + item.receiving >= item.quantity);
+                            const status = fullyReceived ? 'completed' : 'partially_received';
+                            
+                            statements.push([
+                                `UPDATE requisitions SET
+                                 status = ?, completion_date = ${fullyReceived ? 'CURRENT_TIMESTAMP' : 'completion_date'},
+                                 updated_at = CURRENT_TIMESTAMP
+                                 WHERE id = ?`,
+                                [status, id]
+                            ]);
+                            
+                            runTransaction(db, statements, (err, results) => {
+                                if (err) {
+                                    return res.status(500).json({ message: 'Error al registrar recepción de la requisición' });
+                                }
+                                
+                                const assets = createdAssets.map((asset, index) => ({ id: results[index].lastID, ...asset }));
+                                
+                                // Un registro de auditoría por activo creado
+                                const audits = assets.map(asset => new Promise(resolve => {
+                                    recordChange(db, req, { entity: 'asset', table: 'assets', entityId: asset.id, action: 'create' }, resolve);
+                                }));
+                                
+                                Promise.all(audits).then(() => {
+                                    res.status(201).json({
+                                        message: fullyReceived
+                                            ? 'Requisición recibida exitosamente'
+                                            : 'Recepción parcial registrada exitosamente',
+                                        status,
+                                        assets
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,10 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { formScope } = require('../utils/departmentScope');
+const { getSnapshot, recordChange } = require('../utils/audit');
+const { buildResponsiveFormPdf } = require('../utils/responsiveFormPdf');
 
 const router = express.Router();
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
@@ -18,9 +21,10 @@ const generateFormCode = () => {
 };
 
 // Obtener todos los formatos responsivos con filtros
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, authorizePermission('forms.view'), (req, res) => {
     const { page = 1, limit = 10, status, asset_id, new_responsible_id } = req.query;
     const offset = (page - 1) * limit;
+    const scope = formScope(req.user);
     
     let query = `
         SELECT 
@@ -35,10 +39,10 @@ router.get('/', authenticateToken, (req, res) => {
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
         LEFT JOIN users approver ON rf.approved_by = approver.id
-        WHERE 1=1
+        WHERE ${scope.clause}
     `;
     
-    let params = [];
+    let params = [...scope.params];
     
     if (status) {
         query += ` AND rf.status = ?`;
@@ -64,8 +68,8 @@ router.get('/', authenticateToken, (req, res) => {
         }
         
         // Obtener total para paginación
-        let countQuery = `SELECT COUNT(*) as total FROM responsive_forms rf WHERE 1=1`;
-        let countParams = [];
+        let countQuery = `SELECT COUNT(*) as total FROM responsive_forms rf WHERE ${scope.clause}`;
+        let countParams = [...scope.params];
         
         if (status) {
             countQuery += ` AND rf.status = ?`;
@@ -101,8 +105,9 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 // Obtener un formato responsivo específico
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('forms.view'), (req, res) => {
     const { id } = req.params;
+    const scope = formScope(req.user);
     
     const query = `
         SELECT 
@@ -122,10 +127,10 @@ router.get('/:id', authenticateToken, (req, res) => {
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
         LEFT JOIN users approver ON rf.approved_by = approver.id
-        WHERE rf.id = ?
+        WHERE rf.id = ? AND ${scope.clause}
     `;
     
-    db.get(query, [id], (err, form) => {
+    db.get(query, [id, ...scope.params], (err, form) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener formato responsivo' });
         }
@@ -139,7 +144,7 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Crear nuevo formato responsivo
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorizePermission('forms.create'), [
     body('asset_id').isInt().withMessage('Activo válido es requerido'),
     body('new_responsible_id').isInt().withMessage('Nuevo responsable válido es requerido'),
     body('transfer_date').isISO8601().withMessage('Fecha de transferencia válida es requerida'),
@@ -181,16 +186,20 @@ router.post('/', authenticateToken, [
                     return res.status(500).json({ message: 'Error al crear formato responsivo' });
                 }
                 
-                res.status(201).json({
-                    message: 'Formato responsivo creado exitosamente',
-                    form: {
-                        id: this.lastID,
-                        form_code,
-                        asset_id,
-                        new_responsible_id,
-                        transfer_date,
-                        status: 'pending'
-                    }
+                const formId = this.lastID;
+                
+                recordChange(db, req, { entity: 'responsive_form', table: 'responsive_forms', entityId: formId, action: 'create' }, () => {
+                    res.status(201).json({
+                        message: 'Formato responsivo creado exitosamente',
+                        form: {
+                            id: formId,
+                            form_code,
+                            asset_id,
+                            new_responsible_id,
+                            transfer_date,
+                            status: 'pending'
+                        }
+                    });
                 });
             }
         );
@@ -198,7 +207,7 @@ router.post('/', authenticateToken, [
 });
 
 // Aprobar formato responsivo
-router.put('/:id/approve', authenticateToken, [
+router.put('/:id/approve', authenticateToken, authorizePermission('forms.approve'), [
     body('approved').isBoolean().withMessage('Estado de aprobación requerido')
 ], (req, res) => {
     const errors = validationResult(req);
@@ -211,8 +220,17 @@ router.put('/:id/approve', authenticateToken, [
     const approved_by = req.user.id;
     
     const status = approved ? 'approved' : 'rejected';
+    const respond = () => {
+        res.json({ 
+            message: `Formato responsivo ${status === 'approved' ? 'aprobado' : 'rechazado'} exitosamente` 
+        });
+    };
     
-    db.serialize(() => {
+    getSnapshot(db, 'responsive_forms', id, (err, form) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener datos del formato' });
+        }
+        
         // Actualizar el formato responsivo
         db.run(
             `UPDATE responsive_forms SET 
@@ -228,46 +246,41 @@ router.put('/:id/approve', authenticateToken, [
                     return res.status(404).json({ message: 'Formato no encontrado o ya procesado' });
                 }
                 
-                // Si fue aprobado, actualizar el responsable del activo
-                if (approved) {
-                    db.get(
-                        `SELECT asset_id, new_responsible_id FROM responsive_forms WHERE id = ?`,
-                        [id],
-                        (err, form) => {
-                            if (err || !form) {
-                                return res.status(500).json({ message: 'Error al obtener datos del formato' });
-                            }
-                            
-                            db.run(
-                                `UPDATE assets SET 
-                                 responsible_user_id = ?, updated_at = CURRENT_TIMESTAMP 
-                                 WHERE id = ?`,
-                                [form.new_responsible_id, form.asset_id],
-                                (err) => {
-                                    if (err) {
-                                        return res.status(500).json({ message: 'Error al actualizar responsable del activo' });
-                                    }
-                                    
-                                    res.json({ 
-                                        message: `Formato responsivo ${status === 'approved' ? 'aprobado' : 'rechazado'} exitosamente` 
-                                    });
-                                }
-                            );
+                const action = approved ? 'approve' : 'reject';
+                
+                recordChange(db, req, { entity: 'responsive_form', table: 'responsive_forms', entityId: form.id, action, before: form }, () => {
+                    if (!approved) return respond();
+                    
+                    // Si fue aprobado, actualizar el responsable del activo
+                    getSnapshot(db, 'assets', form.asset_id, (err, asset) => {
+                        if (err || !asset) {
+                            return res.status(500).json({ message: 'Error al obtener datos del activo' });
                         }
-                    );
-                } else {
-                    res.json({ 
-                        message: `Formato responsivo ${status === 'approved' ? 'aprobado' : 'rechazado'} exitosamente` 
+                        
+                        db.run(
+                            `UPDATE assets SET 
+                             responsible_user_id = ?, updated_at = CURRENT_TIMESTAMP 
+                             WHERE id = ?`,
+                            [form.new_responsible_id, form.asset_id],
+                            (err) => {
+                                if (err) {
+                                    return res.status(500).json({ message: 'Error al actualizar responsable del activo' });
+                                }
+                                
+                                recordChange(db, req, { entity: 'asset', table: 'assets', entityId: asset.id, action: 'transfer', before: asset }, respond);
+                            }
+                        );
                     });
-                }
+                });
             }
         );
     });
 });
 
 // Obtener historial de responsabilidades de un activo
-router.get('/asset/:assetId/history', authenticateToken, (req, res) => {
+router.get('/asset/:assetId/history', authenticateToken, authorizePermission('forms.view'), (req, res) => {
     const { assetId } = req.params;
+    const scope = formScope(req.user);
     
     const query = `
         SELECT 
@@ -281,11 +294,11 @@ router.get('/asset/:assetId/history', authenticateToken, (req, res) => {
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
         LEFT JOIN users approver ON rf.approved_by = approver.id
-        WHERE rf.asset_id = ? AND rf.status = 'approved'
+        WHERE rf.asset_id = ? AND rf.status = 'approved' AND ${scope.clause}
         ORDER BY rf.transfer_date DESC
     `;
     
-    db.all(query, [assetId], (err, history) => {
+    db.all(query, [assetId, ...scope.params], (err, history) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener historial de responsabilidades' });
         }
@@ -295,7 +308,9 @@ router.get('/asset/:assetId/history', authenticateToken, (req, res) => {
 });
 
 // Obtener formatos pendientes de aprobación
-router.get('/pending/approval', authenticateToken, (req, res) => {
+router.get('/pending/approval', authenticateToken, authorizePermission('forms.approve'), (req, res) => {
+    const scope = formScope(req.user);
+    
     const query = `
         SELECT 
             rf.*,
@@ -307,11 +322,11 @@ router.get('/pending/approval', authenticateToken, (req, res) => {
         LEFT JOIN assets a ON rf.asset_id = a.id
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
-        WHERE rf.status = 'pending'
+        WHERE rf.status = 'pending' AND ${scope.clause}
         ORDER BY rf.created_at ASC
     `;
     
-    db.all(query, (err, pendingForms) => {
+    db.all(query, scope.params, (err, pendingForms) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener formatos pendientes' });
         }
@@ -321,8 +336,9 @@ router.get('/pending/approval', authenticateToken, (req, res) => {
 });
 
 // Generar PDF del formato responsivo
-router.get('/:id/pdf', authenticateToken, (req, res) => {
+router.get('/:id/pdf', authenticateToken, authorizePermission('forms.view'), (req, res) => {
     const { id } = req.params;
+    const scope = formScope(req.user);
     
     const query = `
         SELECT 
@@ -333,6 +349,7 @@ router.get('/:id/pdf', authenticateToken, (req, res) => {
             a.model,
             a.serial_number,
             a.description,
+            a.location,
             prev.full_name as previous_responsible_name,
             prev.department as previous_department,
             new.full_name as new_responsible_name,
@@ -343,10 +360,10 @@ router.get('/:id/pdf', authenticateToken, (req, res) => {
         LEFT JOIN users prev ON rf.previous_responsible_id = prev.id
         LEFT JOIN users new ON rf.new_responsible_id = new.id
         LEFT JOIN users approver ON rf.approved_by = approver.id
-        WHERE rf.id = ?
+        WHERE rf.id = ? AND ${scope.clause}
     `;
     
-    db.get(query, [id], (err, form) => {
+    db.get(query, [id, ...scope.params], (err, form) => {
         if (err) {
             return res.status(500).json({ message: 'Error al obtener formato responsivo' });
         }
@@ -355,31 +372,28 @@ router.get('/:id/pdf', authenticateToken, (req, res) => {
             return res.status(404).json({ message: 'Formato responsivo no encontrado' });
         }
         
-        // Aquí se generaría el PDF con los datos del formato
-        // Por ahora retornamos los datos para generar el PDF en el frontend
-        res.json({ 
-            form,
-            pdfData: {
-                title: `Formato Responsivo ${form.form_code}`,
-                hotel: 'Beachscape Kin Ha Villas & Suites',
-                address: 'Blvd. Kukulcán Km 8.5, Zona Hotelera, Cancún, Quintana Roo',
-                date: new Date().toLocaleDateString('es-MX')
-            }
-        });
+        const doc = buildResponsiveFormPdf(form);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${form.form_code}.pdf"`);
+        doc.pipe(res);
+        doc.end();
     });
 });
 
 // Obtener estadísticas de formatos responsivos
-router.get('/stats/overview', authenticateToken, (req, res) => {
+router.get('/stats/overview', authenticateToken, authorizePermission('forms.view'), (req, res) => {
+    const scope = formScope(req.user);
+    
     const queries = {
-        total: `SELECT COUNT(*) as count FROM responsive_forms`,
-        byStatus: `SELECT status, COUNT(*) as count FROM responsive_forms GROUP BY status`,
-        pending: `SELECT COUNT(*) as count FROM responsive_forms WHERE status = 'pending'`,
-        approved: `SELECT COUNT(*) as count FROM responsive_forms WHERE status = 'approved'`,
-        rejected: `SELECT COUNT(*) as count FROM responsive_forms WHERE status = 'rejected'`,
+        total: `SELECT COUNT(*) as count FROM responsive_forms rf WHERE ${scope.clause}`,
+        byStatus: `SELECT status, COUNT(*) as count FROM responsive_forms rf WHERE ${scope.clause} GROUP BY status`,
+        pending: `SELECT COUNT(*) as count FROM responsive_forms rf WHERE status = 'pending' AND ${scope.clause}`,
+        approved: `SELECT COUNT(*) as count FROM responsive_forms rf WHERE status = 'approved' AND ${scope.clause}`,
+        rejected: `SELECT COUNT(*) as count FROM responsive_forms rf WHERE status = 'rejected' AND ${scope.clause}`,
         thisMonth: `
-            SELECT COUNT(*) as count FROM responsive_forms 
-            WHERE strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now')
+            SELECT COUNT(*) as count FROM responsive_forms rf 
+            WHERE strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now') AND ${scope.clause}
         `
     };
     
@@ -388,7 +402,7 @@ router.get('/stats/overview', authenticateToken, (req, res) => {
     
     Object.keys(queries).forEach(key => {
         promises.push(new Promise((resolve, reject) => {
-            db.all(queries[key], (err, result) => {
+            db.all(queries[key], scope.params, (err, result) => {
                 if (err) reject(err);
                 else {
                     stats[key] = result;
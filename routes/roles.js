@@ -0,0 +1,249 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { runTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+const roleValidators = [
+    body('description').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Descripción demasiado larga'),
+    body('permissions').isArray().withMessage('Los permisos deben ser una lista')
+];
+
+// Verificar que todos los permisos existan en el catálogo
+const validatePermissions = (permissions, res, callback) => {
+    db.all(`SELECT name FROM permissions`, (err, rows) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener permisos' });
+        }
+        
+        const catalog = rows.map(row => row.name);
+        const unknown = permissions.filter(permission => !catalog.includes(permission));
+        
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Permisos inválidos: ${unknown.join(', ')}` });
+        }
+        
+        callback([...new Set(permissions)]);
+    });
+};
+
+// Obtener roles con sus permisos
+router.get('/', authenticateToken, authorizePermission('roles.manage', 'users.view'), (req, res) => {
+    const query = `
+        SELECT
+            r.*,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as users_count
+        FROM roles r
+        ORDER BY r.is_system DESC, r.name ASC
+    `;
+    
+    db.all(query, (err, roles) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener roles' });
+        }
+        
+        db.all(`SELECT role, permission FROM role_permissions ORDER BY permission ASC`, (err, rolePermissions) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener permisos de los roles' });
+            }
+            
+            res.json({
+                roles: roles.map(role => ({
+                    ...role,
+                    permissions: role.name === 'admin'
+                        ? ['*']
+                        : rolePermissions.filter(rp => rp.role === role.name).map(rp => rp.permission)
+                }))
+            });
+        });
+    });
+});
+
+// Obtener catálogo de permisos agrupado por módulo
+router.get('/permissions', authenticateToken, authorizePermission('roles.manage', 'users.view'), (req, res) => {
+    db.all(`SELECT * FROM permissions ORDER BY module ASC, name ASC`, (err, permissions) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener permisos' });
+        }
+        
+        const modules = permissions.reduce((acc, permission) => {
+            if (!acc[permission.module]) acc[permission.module] = [];
+            acc[permission.module].push(permission);
+            return acc;
+        }, {});
+        
+        res.json({ permissions, modules });
+    });
+});
+
+// Crear rol
+router.post('/', authenticateToken, authorizePermission('roles.manage'), [
+    body('name').matches(/^[a-z_]{3,20}$/).withMessage('Nombre de rol inválido (solo minúsculas y guion bajo)'),
+    ...roleValidators
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name, description, permissions } = req.body;
+    
+    validatePermissions(permissions, res, (validPermissions) => {
+        db.get(`SELECT id FROM roles WHERE name = ?`, [name], (err, existing) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (existing) {
+                return res.status(400).json({ message: 'El rol ya existe' });
+            }
+            
+            runTransaction(db, [
+                [`INSERT INTO roles (name, description) VALUES (?, ?)`, [name, description]],
+                ...validPermissions.map(permission => [
+                    `INSERT INTO role_permissions (role, permission) VALUES (?, ?)`, [name, permission]
+                ])
+            ], (err, results) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear rol' });
+                }
+                
+                res.status(201).json({
+                    message: 'Rol creado exitosamente',
+                    role: { id: results[0].lastID, name, description, permissions: validPermissions }
+                });
+            });
+        });
+    });
+});
+
+// Actualizar descripción y permisos de un rol
+router.put('/:name', authenticateToken, authorizePermission('roles.manage'), roleValidators, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+    
+    if (name === 'admin') {
+        return res.status(400).json({ message: 'El rol de administrador tiene todos los permisos y no se puede modificar' });
+    }
+    
+    db.get(`SELECT * FROM roles WHERE name = ?`, [name], (err, role) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (!role) {
+            return res.status(404).json({ message: 'Rol no encontrado' });
+        }
+        
+        validatePermissions(permissions, res, (validPermissions) => {
+            runTransaction(db, [
+                [`UPDATE roles SET description = COALESCE(?, description) WHERE name = ?`, [description, name]],
+                [`DELETE FROM role_permissions WHERE role = ?`, [name]],
+                ...validPermissions.map(permission => [
+                    `INSERT INTO role_permissions (role, permission) VALUES (?, ?)`, [name, permission]
+                ])
+            ], (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al actualizar rol' });
+                }
+                
+                res.json({
+                    message: 'Rol actualizado exitosamente',
+                    role: { name, permissions: validPermissions }
+                });
+            });
+        });
+    });
+});
+
+// Exigir o no autenticación de dos factores a los usuarios de un rol
+router.put('/:name/two-factor', authenticateToken, authorizePermission('roles.manage'), [
+    body('required').isBoolean().withMessage('Indique si el rol requiere autenticación de dos factores')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name } = req.params;
+    const required = req.body.required === true || req.body.required === 'true';
+    
+    db.run(`UPDATE roles SET require_2fa = ? WHERE name = ?`, [required ? 1 : 0, name], function(err) {
+        if (err) {
+            return res.status(500).json({ message: 'Error al actualizar rol' });
+        }
+        
+        if (this.changes === 0) {
+            return res.status(404).json({ message: 'Rol no encontrado' });
+        }
+        
+        // Usuarios del rol que deberán configurar 2FA en su próximo inicio de sesión
+        db.get(
+            `SELECT COUNT(*) as pending FROM users WHERE role = ? AND active = 1 AND (totp_enabled IS NULL OR totp_enabled = 0)`,
+            [name],
+            (err, result) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al contar usuarios del rol' });
+                }
+                
+                res.json({
+                    message: required
+                        ? 'El rol ahora requiere autenticación de dos factores'
+                        : 'El rol ya no requiere autenticación de dos factores',
+                    role: { name, require_2fa: required },
+                    users_pending_enrollment: required ? result.pending : 0
+                });
+            }
+        );
+    });
+});
+
+// Eliminar rol (solo roles no del sistema y sin usuarios asignados)
+router.delete('/:name', authenticateToken, authorizePermission('roles.manage'), (req, res) => {
+    const { name } = req.params;
+    
+    db.get(
+        `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as users_count
+         FROM roles r WHERE r.name = ?`,
+        [name],
+        (err, role) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (!role) {
+                return res.status(404).json({ message: 'Rol no encontrado' });
+            }
+            
+            if (role.is_system) {
+                return res.status(400).json({ message: 'No se puede eliminar un rol del sistema' });
+            }
+            
+            if (role.users_count > 0) {
+                return res.status(400).json({ message: `El rol está asignado a ${role.users_count} usuario(s)` });
+            }
+            
+            runTransaction(db, [
+                [`DELETE FROM role_permissions WHERE role = ?`, [name]],
+                [`DELETE FROM roles WHERE name = ?`, [name]]
+            ], (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al eliminar rol' });
+                }
+                
+                res.json({ message: 'Rol eliminado exitosamente' });
+            });
+        }
+    );
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,414 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { recordChange } = require('../utils/audit');
+const { runTransaction } = require('../utils/transaction');
+const { isWithinLocation, getReconciliation } = require('../utils/stocktake');
+const { resolveLocation } = require('../utils/locations');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Función para generar código de inventario físico
+const generateSessionCode = () => {
+    const now = new Date();
+    const year = now.getFullYear().toString().substr(-2);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `CNT-${year}${month}${day}-${random}`;
+};
+
+// Obtener la sesión o responder 404; open exige que siga abierta y closed que ya esté cerrada
+const findSession = (id, res, { open = false, closed = false }, callback) => {
+    db.get(`SELECT * FROM stocktake_sessions WHERE id = ?`, [id], (err, session) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener inventario físico' });
+        }
+        
+        if (!session) {
+            return res.status(404).json({ message: 'Inventario físico no encontrado' });
+        }
+        
+        if (open && session.status !== 'open') {
+            return res.status(400).json({ message: 'El inventario físico ya está cerrado' });
+        }
+        
+        if (closed && session.status !== 'closed') {
+            return res.status(400).json({ message: 'Cierre el inventario físico antes de aplicar correcciones' });
+        }
+        
+        callback(session);
+    });
+};
+
+// Obtener inventarios físicos
+router.get('/', authenticateToken, authorizePermission('stocktakes.view'), (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+    
+    let where = ` WHERE 1=1`;
+    let params = [];
+    
+    if (status) {
+        where += ` AND s.status = ?`;
+        params.push(status);
+    }
+    
+    const query = `
+        SELECT
+            s.*,
+            c.name as category_name,
+            u.full_name as created_by_name,
+            (SELECT COUNT(*) FROM stocktake_items si WHERE si.session_id = s.id) as expected_count,
+            (SELECT COUNT(*) FROM stocktake_scans sc WHERE sc.session_id = s.id) as scanned_count
+        FROM stocktake_sessions s
+        LEFT JOIN asset_categories c ON s.category_id = c.id
+        LEFT JOIN users u ON s.created_by = u.id
+        ${where}
+        ORDER BY s.created_at DESC, s.id DESC
+        LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [...params, parseInt(limit), offset], (err, sessions) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener inventarios físicos' });
+        }
+        
+        db.get(`SELECT COUNT(*) as total FROM stocktake_sessions s ${where}`, params, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar inventarios físicos' });
+            }
+            
+            res.json({
+                sessions,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Obtener un inventario físico con su avance
+router.get('/:id', authenticateToken, authorizePermission('stocktakes.view'), (req, res) => {
+    db.get(
+        `SELECT s.*, c.name as category_name, u.full_name as created_by_name, cb.full_name as closed_by_name
+         FROM stocktake_sessions s
+         LEFT JOIN asset_categories c ON s.category_id = c.id
+         LEFT JOIN users u ON s.created_by = u.id
+         LEFT JOIN users cb ON s.closed_by = cb.id
+         WHERE s.id = ?`,
+        [req.params.id],
+        (err, session) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener inventario físico' });
+            }
+            
+            if (!session) {
+                return res.status(404).json({ message: 'Inventario físico no encontrado' });
+            }
+            
+            getReconciliation(db, session.id, (err, reconciliation) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener avance del inventario físico' });
+                }
+                
+                res.json({ session, progress: reconciliation.summary });
+            });
+        }
+    );
+});
+
+// Abrir un inventario físico; los activos esperados son los de la ubicación (con sus sububicaciones)
+// y/o categoría indicadas
+router.post('/', authenticateToken, authorizePermission('stocktakes.manage'), [
+    body('name').notEmpty().withMessage('Nombre del inventario físico es requerido'),
+    body('location_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Ubicación inválida'),
+    body('location').optional({ nullable: true, checkFalsy: true }).isLength({ max: 255 }).withMessage('Ubicación demasiado larga'),
+    body('category_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Categoría inválida')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name, category_id, notes } = req.body;
+    
+    resolveLocation(db, req.body.location_id, req.body.location, (err, place) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (!place) {
+            return res.status(400).json({ message: 'Ubicación no encontrada o inactiva' });
+        }
+        
+        const { location, location_id } = place;
+        
+        let query = `SELECT id, location FROM assets WHERE status NOT IN ('inactive', 'lost')`;
+        let params = [];
+        
+        if (category_id) {
+            query += ` AND category_id = ?`;
+            params.push(category_id);
+        }
+        
+        db.all(query, params, (err, assets) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al obtener activos' });
+            }
+            
+            const expected = location ? assets.filter(asset => isWithinLocation(asset.location, location)) : assets;
+            const session_code = generateSessionCode();
+            
+            runTransaction(db, [
+                [`INSERT INTO stocktake_sessions (session_code, name, location, location_id, category_id, notes, created_by)
+                  VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                 [session_code, name, location, location_id, category_id || null, notes || null, req.user.id]],
+                ...expected.map(asset => [
+                    `INSERT INTO stocktake_items (session_id, asset_id, expected_location)
+                     VALUES ((SELECT id FROM stocktake_sessions WHERE session_code = ?), ?, ?)`,
+                    [session_code, asset.id, asset.location]
+                ])
+            ], (err, results) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear inventario físico' });
+                }
+                
+                res.status(201).json({
+                    message: 'Inventario físico creado exitosamente',
+                    session: {
+                        id: results[0].lastID,
+                        session_code,
+                        name,
+                        location,
+                        location_id,
+                        category_id: category_id || null,
+                        status: 'open',
+                        expected_count: expected.length
+                    }
+                });
+            });
+        });
+    });
+});
+
+// Registrar un código escaneado y la ubicación donde se encontró (por defecto, la de la sesión).
+// Volver a escanear el mismo código actualiza la ubicación.
+router.post('/:id/scans', authenticateToken, authorizePermission('stocktakes.count'), [
+    body('asset_code').trim().notEmpty().withMessage('Código del activo es requerido'),
+    body('location_id').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Ubicación inválida'),
+    body('location').optional({ nullable: true, checkFalsy: true }).isLength({ max: 255 }).withMessage('Ubicación demasiado larga')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { asset_code, notes } = req.body;
+    
+    findSession(req.params.id, res, { open: true }, (session) => {
+        // Ubicación capturada en el escaneo o, si no viene, la de la sesión
+        const requested = req.body.location_id || (req.body.location && req.body.location.trim());
+        const locationId = requested ? req.body.location_id : session.location_id;
+        const locationName = requested ? req.body.location : session.location;
+        
+        resolveLocation(db, locationId, locationName, (err, place) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (!place) {
+                return res.status(400).json({ message: 'Ubicación no encontrada o inactiva' });
+            }
+            
+            const foundLocation = place.location;
+            
+            db.get(
+                `SELECT a.id, a.asset_code, a.name, a.status, a.location,
+                    EXISTS (SELECT 1 FROM stocktake_items si WHERE si.session_id = ? AND si.asset_id = a.id) as expected
+                 FROM assets a WHERE a.asset_code = ? COLLATE NOCASE`,
+                [session.id, asset_code],
+                (err, asset) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al buscar activo' });
+                    }
+                    
+                    const scannedCode = asset ? asset.asset_code : asset_code;
+                    
+                    db.run(
+                        `INSERT INTO stocktake_scans (session_id, asset_code, asset_id, found_location, found_location_id, notes, scanned_by)
+                         VALUES (?, ?, ?, ?, ?, ?, ?)
+                         ON CONFLICT (session_id, asset_code) DO UPDATE SET
+                            found_location = excluded.found_location, found_location_id = excluded.found_location_id,
+                            notes = excluded.notes, scanned_by = excluded.scanned_by, scanned_at = CURRENT_TIMESTAMP`,
+                        [session.id, scannedCode, asset ? asset.id : null, foundLocation, place.location_id,
+                         notes || null, req.user.id],
+                        function(err) {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al registrar escaneo' });
+                            }
+                            
+                            // Resultado inmediato para el personal que escanea
+                            let result = 'found';
+                            if (!asset) result = 'unknown';
+                            else if (foundLocation && !isWithinLocation(asset.location, foundLocation)) result = 'wrong_location';
+                            else if (!asset.expected) result = 'unexpected';
+                            
+                            res.status(201).json({
+                                message: 'Escaneo registrado exitosamente',
+                                result,
+                                scan: { asset_code: scannedCode, found_location: foundLocation, found_location_id: place.location_id },
+                                asset: asset ? { id: asset.id, asset_code: asset.asset_code, name: asset.name, location: asset.location } : null
+                            });
+                        }
+                    );
+                }
+            );
+        });
+    });
+});
+
+// Eliminar un escaneo capturado por error
+router.delete('/:id/scans/:scanId', authenticateToken, authorizePermission('stocktakes.count'), (req, res) => {
+    findSession(req.params.id, res, { open: true }, (session) => {
+        db.run(
+            `DELETE FROM stocktake_scans WHERE id = ? AND session_id = ?`,
+            [req.params.scanId, session.id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al eliminar escaneo' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Escaneo no encontrado' });
+                }
+                
+                res.json({ message: 'Escaneo eliminado exitosamente' });
+            }
+        );
+    });
+});
+
+// Conciliación: encontrados, faltantes, en otra ubicación y códigos desconocidos
+router.get('/:id/reconciliation', authenticateToken, authorizePermission('stocktakes.view'), (req, res) => {
+    findSession(req.params.id, res, {}, (session) => {
+        getReconciliation(db, session.id, (err, reconciliation) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al generar conciliación' });
+            }
+            
+            res.json({ session, reconciliation });
+        });
+    });
+});
+
+// Cerrar el inventario físico; ya no se aceptan escaneos
+router.post('/:id/close', authenticateToken, authorizePermission('stocktakes.manage'), (req, res) => {
+    findSession(req.params.id, res, { open: true }, (session) => {
+        db.run(
+            `UPDATE stocktake_sessions SET status = 'closed', closed_by = ?, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [req.user.id, session.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al cerrar inventario físico' });
+                }
+                
+                getReconciliation(db, session.id, (err, reconciliation) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al generar conciliación' });
+                    }
+                    
+                    res.json({ message: 'Inventario físico cerrado exitosamente', reconciliation });
+                });
+            }
+        );
+    });
+});
+
+// Aplicar la conciliación de un inventario cerrado: relocate actualiza la ubicación de los activos
+// encontrados en otro lugar y mark_lost marca como extraviados los faltantes (listas de IDs de activo)
+router.post('/:id/apply', authenticateToken, authorizePermission('stocktakes.manage'), [
+    body('relocate').optional().isArray().withMessage('relocate debe ser una lista de activos'),
+    body('relocate.*').isInt().withMessage('ID de activo inválido').toInt(),
+    body('mark_lost').optional().isArray().withMessage('mark_lost debe ser una lista de activos'),
+    body('mark_lost.*').isInt().withMessage('ID de activo inválido').toInt()
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { relocate = [], mark_lost = [] } = req.body;
+    
+    if (relocate.length === 0 && mark_lost.length === 0) {
+        return res.status(400).json({ message: 'Indique los activos a reubicar o marcar como extraviados' });
+    }
+    
+    findSession(req.params.id, res, { closed: true }, (session) => {
+        getReconciliation(db, session.id, (err, reconciliation) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al generar conciliación' });
+            }
+            
+            const misplaced = new Map(reconciliation.wrongLocation.map(item => [item.asset_id, item]));
+            const missing = new Set(reconciliation.missing.map(item => item.asset_id));
+            
+            const invalidRelocate = relocate.filter(assetId => !misplaced.has(assetId));
+            const invalidLost = mark_lost.filter(assetId => !missing.has(assetId));
+            
+            if (invalidRelocate.length > 0 || invalidLost.length > 0) {
+                return res.status(400).json({
+                    message: 'Algunos activos no corresponden a la conciliación',
+                    relocate: invalidRelocate,
+                    mark_lost: invalidLost
+                });
+            }
+            
+            const assetIds = [...relocate, ...mark_lost];
+            
+            db.all(`SELECT * FROM assets WHERE id IN (${assetIds.map(() => '?').join(', ')})`, assetIds, (err, before) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener activos' });
+                }
+                
+                runTransaction(db, [
+                    ...relocate.map(assetId => [
+                        `UPDATE assets SET location = ?, location_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [misplaced.get(assetId).found_location, misplaced.get(assetId).found_location_id, assetId]
+                    ]),
+                    ...mark_lost.map(assetId => [
+                        `UPDATE assets SET status = 'lost', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [assetId]
+                    ])
+                ], (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al aplicar conciliación' });
+                    }
+                    
+                    // Un registro de auditoría por activo modificado
+                    const audits = before.map(asset => new Promise(resolve => {
+                        recordChange(db, req, { entity: 'asset', table: 'assets', entityId: asset.id, action: 'stocktake', before: asset }, resolve);
+                    }));
+                    
+                    Promise.all(audits).then(() => {
+                        res.json({
+                            message: 'Conciliación aplicada exitosamente',
+                            relocated: relocate.length,
+                            markedLost: mark_lost.length
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
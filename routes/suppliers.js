@@ -0,0 +1,410 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { normalizeSupplierName } = require('../utils/suppliers');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// RFC de persona moral (12) o física (13)
+const RFC_PATTERN = /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/;
+
+// Las categorías de servicio se guardan como JSON
+const parseSupplier = (supplier) => ({
+    ...supplier,
+    service_categories: supplier.service_categories ? JSON.parse(supplier.service_categories) : []
+});
+
+const supplierValidators = [
+    body('name').notEmpty().withMessage('Nombre del proveedor es requerido'),
+    body('rfc').optional({ nullable: true, checkFalsy: true })
+        .customSanitizer(value => String(value).toUpperCase().trim())
+        .matches(RFC_PATTERN).withMessage('RFC inválido'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email inválido'),
+    body('service_categories').optional().isArray().withMessage('Las categorías de servicio deben ser una lista')
+];
+
+const contactValidators = (prefix) => [
+    body(`${prefix}name`).notEmpty().withMessage('Nombre del contacto es requerido'),
+    body(`${prefix}email`).optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email del contacto inválido')
+];
+
+// Verificar que no exista otro proveedor con el mismo nombre normalizado o RFC
+const findDuplicate = (normalized_name, rfc, excludeId, callback) => {
+    db.get(
+        `SELECT id, name FROM suppliers
+         WHERE (normalized_name = ? OR (? IS NOT NULL AND rfc = ?)) AND id != ?`,
+        [normalized_name, rfc || null, rfc || null, excludeId || 0],
+        callback
+    );
+};
+
+// Obtener todos los proveedores con filtros
+router.get('/', authenticateToken, authorizePermission('suppliers.view'), (req, res) => {
+    const { page = 1, limit = 10, search, category, active } = req.query;
+    const offset = (page - 1) * limit;
+    
+    let where = ` WHERE 1=1`;
+    let params = [];
+    
+    if (search) {
+        where += ` AND (s.name LIKE ? OR s.legal_name LIKE ? OR s.rfc LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+    }
+    
+    if (category) {
+        where += ` AND s.service_categories LIKE ?`;
+        params.push(`%${JSON.stringify(category)}%`);
+    }
+    
+    if (active !== undefined) {
+        where += ` AND s.active = ?`;
+        params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+    
+    const query = `
+        SELECT
+            s.*,
+            (SELECT COUNT(*) FROM assets a WHERE a.supplier_id = s.id) as assets_count,
+            (SELECT COUNT(*) FROM maintenances m WHERE m.supplier_id = s.id) as maintenances_count
+        FROM suppliers s
+        ${where}
+        ORDER BY s.name ASC LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [...params, parseInt(limit), offset], (err, suppliers) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener proveedores' });
+        }
+        
+        // Obtener total para paginación
+        db.get(`SELECT COUNT(*) as total FROM suppliers s ${where}`, params, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar proveedores' });
+            }
+            
+            res.json({
+                suppliers: suppliers.map(parseSupplier),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Obtener un proveedor con sus contactos y resumen de operaciones
+router.get('/:id', authenticateToken, authorizePermission('suppliers.view'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT * FROM suppliers WHERE id = ?`, [id], (err, supplier) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener proveedor' });
+        }
+        
+        if (!supplier) {
+            return res.status(404).json({ message: 'Proveedor no encontrado' });
+        }
+        
+        const queries = {
+            contacts: `SELECT * FROM supplier_contacts WHERE supplier_id = ? ORDER BY is_primary DESC, name ASC`,
+            assets: `
+                SELECT COUNT(*) as count, COALESCE(SUM(purchase_price), 0) as total
+                FROM assets WHERE supplier_id = ?
+            `,
+            maintenances: `
+                SELECT COUNT(*) as count, COALESCE(SUM(cost), 0) as total
+                FROM maintenances WHERE supplier_id = ? AND status = 'completed'
+            `,
+            requisitions: `
+                SELECT COUNT(*) as count, COALESCE(SUM(estimated_cost), 0) as total
+                FROM requisitions WHERE supplier_id = ?
+                AND status IN ('approved', 'partially_received', 'completed')
+            `
+        };
+        
+        const results = {};
+        const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+            db.all(queries[key], [id], (err, rows) => {
+                if (err) reject(err);
+                else {
+                    results[key] = rows;
+                    resolve();
+                }
+            });
+        }));
+        
+        Promise.all(promises)
+            .then(() => {
+                res.json({
+                    supplier: {
+                        ...parseSupplier(supplier),
+                        contacts: results.contacts,
+                        stats: {
+                            assetsSupplied: results.assets[0].count,
+                            assetsValue: results.assets[0].total,
+                            maintenanceJobs: results.maintenances[0].count,
+                            maintenanceCost: results.maintenances[0].total,
+                            requisitions: results.requisitions[0].count,
+                            requisitionsValue: results.requisitions[0].total,
+                            totalSpend: results.assets[0].total + results.maintenances[0].total
+                        }
+                    }
+                });
+            })
+            .catch(err => {
+                res.status(500).json({ message: 'Error al obtener proveedor' });
+            });
+    });
+});
+
+// Crear nuevo proveedor
+router.post('/', authenticateToken, authorizePermission('suppliers.manage'), [
+    ...supplierValidators,
+    body('contacts').optional().isArray().withMessage('Los contactos deben ser una lista'),
+    ...contactValidators('contacts.*.')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const {
+        name, legal_name, rfc, email, phone, address, payment_terms,
+        service_categories = [], notes, contacts = []
+    } = req.body;
+    
+    const normalized_name = normalizeSupplierName(name);
+    
+    findDuplicate(normalized_name, rfc, null, (err, existing) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (existing) {
+            return res.status(400).json({
+                message: `Ya existe un proveedor con el mismo nombre o RFC: ${existing.name}`,
+                supplier_id: existing.id
+            });
+        }
+        
+        db.run(
+            `INSERT INTO suppliers (
+                name, normalized_name, legal_name, rfc, email, phone, address,
+                payment_terms, service_categories, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name.trim(), normalized_name, legal_name, rfc || null, email, phone, address,
+             payment_terms, JSON.stringify(service_categories), notes],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al crear proveedor' });
+                }
+                
+                const supplierId = this.lastID;
+                const respond = () => {
+                    res.status(201).json({
+                        message: 'Proveedor creado exitosamente',
+                        supplier: { id: supplierId, name: name.trim(), rfc: rfc || null, contacts_count: contacts.length }
+                    });
+                };
+                
+                if (contacts.length === 0) {
+                    return respond();
+                }
+                
+                const stmt = db.prepare(
+                    `INSERT INTO supplier_contacts (supplier_id, name, position, email, phone, is_primary)
+                     VALUES (?, ?, ?, ?, ?, ?)`
+                );
+                
+                contacts.forEach((contact, index) => {
+                    const isPrimary = contact.is_primary !== undefined ? contact.is_primary : index === 0;
+                    stmt.run([supplierId, contact.name, contact.position, contact.email, contact.phone, isPrimary ? 1 : 0]);
+                });
+                
+                stmt.finalize((err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al registrar contactos del proveedor' });
+                    }
+                    
+                    respond();
+                });
+            }
+        );
+    });
+});
+
+// Actualizar proveedor
+router.put('/:id', authenticateToken, authorizePermission('suppliers.manage'), [
+    ...supplierValidators,
+    body('active').optional().isBoolean().withMessage('Estado inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const {
+        name, legal_name, rfc, email, phone, address, payment_terms,
+        service_categories = [], notes, active = true
+    } = req.body;
+    
+    const normalized_name = normalizeSupplierName(name);
+    
+    findDuplicate(normalized_name, rfc, id, (err, existing) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error del servidor' });
+        }
+        
+        if (existing) {
+            return res.status(400).json({
+                message: `Ya existe un proveedor con el mismo nombre o RFC: ${existing.name}`,
+                supplier_id: existing.id
+            });
+        }
+        
+        db.run(
+            `UPDATE suppliers SET
+                name = ?, normalized_name = ?, legal_name = ?, rfc = ?, email = ?, phone = ?,
+                address = ?, payment_terms = ?, service_categories = ?, notes = ?, active = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?`,
+            [name.trim(), normalized_name, legal_name, rfc || null, email, phone, address,
+             payment_terms, JSON.stringify(service_categories), notes, active ? 1 : 0, id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al actualizar proveedor' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Proveedor no encontrado' });
+                }
+                
+                // Mantener sincronizado el nombre en los registros vinculados
+                db.serialize(() => {
+                    ['assets', 'maintenances', 'requisitions'].forEach(table => {
+                        db.run(`UPDATE ${table} SET supplier = ? WHERE supplier_id = ?`, [name.trim(), id]);
+                    });
+                });
+                
+                res.json({ message: 'Proveedor actualizado exitosamente' });
+            }
+        );
+    });
+});
+
+// Eliminar proveedor (soft delete)
+router.delete('/:id', authenticateToken, authorizePermission('suppliers.delete'), (req, res) => {
+    const { id } = req.params;
+    
+    db.run(
+        `UPDATE suppliers SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al eliminar proveedor' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Proveedor no encontrado' });
+            }
+            
+            res.json({ message: 'Proveedor eliminado exitosamente' });
+        }
+    );
+});
+
+// Agregar contacto a un proveedor
+router.post('/:id/contacts', authenticateToken, authorizePermission('suppliers.manage'), contactValidators(''), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { name, position, email, phone, is_primary = false } = req.body;
+    
+    db.get(`SELECT id FROM suppliers WHERE id = ?`, [id], (err, supplier) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener proveedor' });
+        }
+        
+        if (!supplier) {
+            return res.status(404).json({ message: 'Proveedor no encontrado' });
+        }
+        
+        db.run(
+            `INSERT INTO supplier_contacts (supplier_id, name, position, email, phone, is_primary)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [id, name, position, email, phone, is_primary ? 1 : 0],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al agregar contacto' });
+                }
+                
+                res.status(201).json({
+                    message: 'Contacto agregado exitosamente',
+                    contact: { id: this.lastID, name, position, email, phone, is_primary: !!is_primary }
+                });
+            }
+        );
+    });
+});
+
+// Actualizar contacto de un proveedor
+router.put('/:id/contacts/:contactId', authenticateToken, authorizePermission('suppliers.manage'), contactValidators(''), (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id, contactId } = req.params;
+    const { name, position, email, phone, is_primary = false } = req.body;
+    
+    db.run(
+        `UPDATE supplier_contacts SET name = ?, position = ?, email = ?, phone = ?, is_primary = ?
+         WHERE id = ? AND supplier_id = ?`,
+        [name, position, email, phone, is_primary ? 1 : 0, contactId, id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al actualizar contacto' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Contacto no encontrado' });
+            }
+            
+            res.json({ message: 'Contacto actualizado exitosamente' });
+        }
+    );
+});
+
+// Eliminar contacto de un proveedor
+router.delete('/:id/contacts/:contactId', authenticateToken, authorizePermission('suppliers.manage'), (req, res) => {
+    const { id, contactId } = req.params;
+    
+    db.run(
+        `DELETE FROM supplier_contacts WHERE id = ? AND supplier_id = ?`,
+        [contactId, id],
+        function(err) {
+            if (err) {
+                return res.status(500).json({ message: 'Error al eliminar contacto' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(404).json({ message: 'Contacto no encontrado' });
+            }
+            
+            res.json({ message: 'Contacto eliminado exitosamente' });
+        }
+    );
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,440 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/sessions');
+const { resetFailures } = require('../utils/loginAttempts');
+const { isValidRole } = require('../utils/roles');
+const { buildTwoFactorReset } = require('../utils/twoFactor');
+const { resolveDepartment } = require('../utils/departments');
+const { runTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+
+// Columnas públicas del usuario (nunca se devuelve la contraseña)
+const USER_COLUMNS = `u.id, u.username, u.email, u.full_name, u.role, u.department, u.department_id, u.active,
+    u.failed_login_attempts, u.locked_until, u.totp_enabled as two_factor_enabled, u.created_at, u.updated_at`;
+
+// Contraseña temporal para restablecimientos sin contraseña indicada
+const generateTemporaryPassword = () => crypto.randomBytes(6).toString('base64').replace(/[+/=]/g, 'x');
+
+// Impedir que el sistema se quede sin administradores activos
+const ensureAnotherAdmin = (userId, res, callback) => {
+    db.get(
+        `SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active = 1 AND id != ?`,
+        [userId],
+        (err, result) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error del servidor' });
+            }
+            
+            if (result.count === 0) {
+                return res.status(400).json({ message: 'Debe existir al menos un administrador activo' });
+            }
+            
+            callback();
+        }
+    );
+};
+
+// Obtener todos los usuarios con filtros
+router.get('/', authenticateToken, authorizePermission('users.view'), (req, res) => {
+    const { page = 1, limit = 10, role, department, department_id, active, search } = req.query;
+    const offset = (page - 1) * limit;
+    
+    let where = ` WHERE 1=1`;
+    let params = [];
+    
+    if (role) {
+        where += ` AND u.role = ?`;
+        params.push(role);
+    }
+    
+    if (department) {
+        where += ` AND u.department = ?`;
+        params.push(department);
+    }
+    
+    if (department_id) {
+        where += ` AND u.department_id = ?`;
+        params.push(department_id);
+    }
+    
+    if (active !== undefined) {
+        where += ` AND u.active = ?`;
+        params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+    
+    if (search) {
+        where += ` AND (u.username LIKE ? OR u.email LIKE ? OR u.full_name LIKE ?)`;
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+    }
+    
+    const query = `
+        SELECT
+            ${USER_COLUMNS},
+            (SELECT COUNT(*) FROM assets a WHERE a.responsible_user_id = u.id AND a.status != 'inactive') as assigned_assets
+        FROM users u
+        ${where}
+        ORDER BY u.full_name ASC
+        LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [...params, parseInt(limit), offset], (err, users) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener usuarios' });
+        }
+        
+        db.get(`SELECT COUNT(*) as total FROM users u ${where}`, params, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar usuarios' });
+            }
+            
+            res.json({
+                users,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Consultar intentos de inicio de sesión
+router.get('/login-attempts', authenticateToken, authorizePermission('users.view'), (req, res) => {
+    const { page = 1, limit = 50, username, user_id, ip_address, success, dateFrom, dateTo } = req.query;
+    const offset = (page - 1) * limit;
+    
+    let where = ` WHERE 1=1`;
+    let params = [];
+    
+    if (username) {
+        where += ` AND la.username = ?`;
+        params.push(username);
+    }
+    
+    if (user_id) {
+        where += ` AND la.user_id = ?`;
+        params.push(user_id);
+    }
+    
+    if (ip_address) {
+        where += ` AND la.ip_address = ?`;
+        params.push(ip_address);
+    }
+    
+    if (success !== undefined) {
+        where += ` AND la.success = ?`;
+        params.push(success === 'true' || success === '1' ? 1 : 0);
+    }
+    
+    if (dateFrom) {
+        where += ` AND DATE(la.created_at) >= ?`;
+        params.push(dateFrom);
+    }
+    
+    if (dateTo) {
+        where += ` AND DATE(la.created_at) <= ?`;
+        params.push(dateTo);
+    }
+    
+    const query = `
+        SELECT la.*, u.full_name as user_name
+        FROM login_attempts la
+        LEFT JOIN users u ON la.user_id = u.id
+        ${where}
+        ORDER BY la.created_at DESC, la.id DESC
+        LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [...params, parseInt(limit), offset], (err, attempts) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener intentos de inicio de sesión' });
+        }
+        
+        db.get(`SELECT COUNT(*) as total FROM login_attempts la ${where}`, params, (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al contar intentos de inicio de sesión' });
+            }
+            
+            res.json({
+                attempts,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: countResult.total,
+                    totalPages: Math.ceil(countResult.total / limit)
+                }
+            });
+        });
+    });
+});
+
+// Obtener usuario por ID con los activos bajo su responsabilidad
+router.get('/:id', authenticateToken, authorizePermission('users.view'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`, [id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener usuario' });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        
+        db.all(
+            `SELECT id, asset_code, name, location, status FROM assets
+             WHERE responsible_user_id = ? AND status != 'inactive'
+             ORDER BY asset_code ASC`,
+            [id],
+            (err, assets) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al obtener activos del usuario' });
+                }
+                
+                res.json({ user: { ...user, assigned_assets: assets } });
+            }
+        );
+    });
+});
+
+// Actualizar datos, rol o departamento de un usuario
+router.put('/:id', authenticateToken, authorizePermission('users.manage'), [
+    body('email').optional().isEmail().withMessage('Email inválido'),
+    body('full_name').optional().notEmpty().withMessage('Nombre completo es requerido'),
+    body('role').optional().custom(isValidRole(db)),
+    body('department_id').optional({ nullable: true }).isInt().withMessage('Departamento inválido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { email, full_name, role, department, department_id } = req.body;
+    const departmentChanged = department !== undefined || department_id !== undefined;
+    
+    db.get(`SELECT * FROM users WHERE id = ?`, [id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener usuario' });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        
+        const update = () => {
+            // El departamento debe existir en el catálogo; se guarda con su nombre oficial
+            resolveDepartment(db, department_id, department, (err, resolved) => {
+                if (err) {
+                    return res.status(500).json({ message: 'Error del servidor' });
+                }
+                
+                if (!resolved) {
+                    return res.status(400).json({ message: 'Departamento no encontrado' });
+                }
+                
+                const target = departmentChanged
+                    ? resolved
+                    : { department: user.department, department_id: user.department_id };
+                
+                db.run(
+                    `UPDATE users SET
+                        email = COALESCE(?, email), full_name = COALESCE(?, full_name),
+                        role = COALESCE(?, role), department = ?, department_id = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?`,
+                    [email, full_name, role, target.department, target.department_id, id],
+                    (err) => {
+                        if (err) {
+                            if (err.message.includes('UNIQUE')) {
+                                return res.status(400).json({ message: 'El email ya está registrado' });
+                            }
+                            return res.status(500).json({ message: 'Error al actualizar usuario' });
+                        }
+                        
+                        res.json({ message: 'Usuario actualizado exitosamente' });
+                    }
+                );
+            });
+        };
+        
+        // Quitar el rol de administrador requiere que quede otro administrador activo
+        if (user.role === 'admin' && role && role !== 'admin') {
+            return ensureAnotherAdmin(user.id, res, update);
+        }
+        
+        update();
+    });
+});
+
+// Activar o desactivar un usuario
+router.put('/:id/status', authenticateToken, authorizePermission('users.manage'), [
+    body('active').isBoolean().withMessage('Estado de activación requerido')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const active = req.body.active === true || req.body.active === 'true';
+    
+    if (!active && parseInt(id) === req.user.id) {
+        return res.status(400).json({ message: 'No puede desactivar su propio usuario' });
+    }
+    
+    db.get(`SELECT * FROM users WHERE id = ?`, [id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener usuario' });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        
+        const updateStatus = () => {
+            db.run(
+                `UPDATE users SET active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [active ? 1 : 0, id],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al actualizar estado del usuario' });
+                    }
+                    
+                    if (active) {
+                        return res.json({ message: 'Usuario activado exitosamente', active });
+                    }
+                    
+                    revokeUserSessions(db, id, 'deactivated', null, () => {});
+                    
+                    // Advertir sobre los activos que siguen asignados al usuario desactivado
+                    db.all(
+                        `SELECT id, asset_code, name, location FROM assets
+                         WHERE responsible_user_id = ? AND status != 'inactive'
+                         ORDER BY asset_code ASC`,
+                        [id],
+                        (err, assets) => {
+                            if (err) {
+                                return res.status(500).json({ message: 'Error al obtener activos del usuario' });
+                            }
+                            
+                            res.json({
+                                message: 'Usuario desactivado exitosamente',
+                                active,
+                                warning: assets.length > 0
+                                    ? `El usuario tiene ${assets.length} activo(s) asignado(s) que deben reasignarse`
+                                    : null,
+                                assigned_assets: assets
+                            });
+                        }
+                    );
+                }
+            );
+        };
+        
+        if (!active && user.role === 'admin') {
+            return ensureAnotherAdmin(user.id, res, updateStatus);
+        }
+        
+        updateStatus();
+    });
+});
+
+// Desbloquear una cuenta bloqueada por intentos fallidos
+router.put('/:id/unlock', authenticateToken, authorizePermission('users.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    resetFailures(db, id, function(err) {
+        if (err) {
+            return res.status(500).json({ message: 'Error al desbloquear usuario' });
+        }
+        
+        if (this.changes === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        
+        res.json({ message: 'Usuario desbloqueado exitosamente' });
+    });
+});
+
+// Restablecer la autenticación de dos factores (p. ej. si el usuario perdió su dispositivo)
+router.delete('/:id/two-factor', authenticateToken, authorizePermission('users.manage'), (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT id, totp_enabled FROM users WHERE id = ?`, [id], (err, user) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al obtener usuario' });
+        }
+        
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        
+        if (!user.totp_enabled) {
+            return res.status(400).json({ message: 'El usuario no tiene activada la autenticación de dos factores' });
+        }
+        
+        runTransaction(db, buildTwoFactorReset(user.id), (err) => {
+            if (err) {
+                return res.status(500).json({ message: 'Error al restablecer autenticación de dos factores' });
+            }
+            
+            res.json({ message: 'Autenticación de dos factores restablecida. El usuario deberá configurarla nuevamente' });
+        });
+    });
+});
+
+// Restablecer contraseña de un usuario (genera una temporal si no se indica)
+router.put('/:id/password', authenticateToken, authorizePermission('users.manage'), [
+    body('newPassword').optional().isLength({ min: 6 }).withMessage('Nueva contraseña debe tener al menos 6 caracteres')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const temporaryPassword = req.body.newPassword ? null : generateTemporaryPassword();
+    
+    bcrypt.hash(req.body.newPassword || temporaryPassword, 10, (err, hashedPassword) => {
+        if (err) {
+            return res.status(500).json({ message: 'Error al procesar contraseña' });
+        }
+        
+        db.run(
+            `UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [hashedPassword, id],
+            function(err) {
+                if (err) {
+                    return res.status(500).json({ message: 'Error al restablecer contraseña' });
+                }
+                
+                if (this.changes === 0) {
+                    return res.status(404).json({ message: 'Usuario no encontrado' });
+                }
+                
+                revokeUserSessions(db, id, 'password_reset', null, (err) => {
+                    if (err) {
+                        return res.status(500).json({ message: 'Error al cerrar sesiones del usuario' });
+                    }
+                    
+                    res.json({
+                        message: 'Contraseña restablecida exitosamente',
+                        ...(temporaryPassword && { temporaryPassword })
+                    });
+                });
+            }
+        );
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -4,6 +4,15 @@ const path = require('path');
 
 const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
 
+// Agregar columna a una tabla existente (se ignora si ya existe)
+const addColumn = (table, definition) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error al agregar columna en ${table}:`, err.message);
+        }
+    });
+};
+
 // Crear tablas
 db.serialize(() => {
     // Tabla de usuarios
@@ -150,6 +159,394 @@ db.serialize(() => {
         FOREIGN KEY (requisition_id) REFERENCES requisitions(id) ON DELETE CASCADE
     )`);
 
+    // Tabla de reglas de aprobación de requisiciones (cada regla es un paso de la cadena)
+    db.run(`CREATE TABLE IF NOT EXISTS approval_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        step_order INTEGER NOT NULL,
+        department VARCHAR(50),
+        priority VARCHAR(10),
+        min_amount DECIMAL(10,2) DEFAULT 0,
+        max_amount DECIMAL(10,2),
+        approver_role VARCHAR(20),
+        approver_user_id INTEGER,
+        same_department BOOLEAN DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (approver_user_id) REFERENCES users(id)
+    )`);
+
+    // Tabla de pasos de aprobación de cada requisición
+    db.run(`CREATE TABLE IF NOT EXISTS requisition_approvals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        requisition_id INTEGER NOT NULL,
+        rule_id INTEGER,
+        step_order INTEGER NOT NULL,
+        step_name VARCHAR(100) NOT NULL,
+        approver_role VARCHAR(20),
+        approver_department VARCHAR(50),
+        approver_user_id INTEGER,
+        status VARCHAR(20) DEFAULT 'pending',
+        decided_by INTEGER,
+        comments TEXT,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (requisition_id) REFERENCES requisitions(id) ON DELETE CASCADE,
+        FOREIGN KEY (rule_id) REFERENCES approval_rules(id),
+        FOREIGN KEY (approver_user_id) REFERENCES users(id),
+        FOREIGN KEY (decided_by) REFERENCES users(id)
+    )`);
+
+    // Tabla de presupuestos por departamento (month NULL = presupuesto anual)
+    db.run(`CREATE TABLE IF NOT EXISTS department_budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        department VARCHAR(50) NOT NULL,
+        year INTEGER NOT NULL,
+        month INTEGER,
+        amount DECIMAL(12,2) NOT NULL,
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+
+    // Catálogo de departamentos (los alias se guardan como JSON, p. ej. "IT" para "Sistemas")
+    db.run(`CREATE TABLE IF NOT EXISTS departments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        cost_center VARCHAR(20) UNIQUE,
+        manager_id INTEGER,
+        aliases TEXT,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (manager_id) REFERENCES users(id)
+    )`);
+
+    // Tabla de proveedores
+    db.run(`CREATE TABLE IF NOT EXISTS suppliers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) NOT NULL,
+        normalized_name VARCHAR(100) UNIQUE NOT NULL,
+        legal_name VARCHAR(150),
+        rfc VARCHAR(13) UNIQUE,
+        email VARCHAR(100),
+        phone VARCHAR(30),
+        address TEXT,
+        payment_terms VARCHAR(50),
+        service_categories TEXT,
+        notes TEXT,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Tabla de contactos de proveedores
+    db.run(`CREATE TABLE IF NOT EXISTS supplier_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        supplier_id INTEGER NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        position VARCHAR(50),
+        email VARCHAR(100),
+        phone VARCHAR(30),
+        is_primary BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE
+    )`);
+
+    // Tabla de cotizaciones de proveedores por requisición
+    db.run(`CREATE TABLE IF NOT EXISTS requisition_quotations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        requisition_id INTEGER NOT NULL,
+        supplier_id INTEGER,
+        supplier VARCHAR(100) NOT NULL,
+        quote_number VARCHAR(50),
+        delivery_days INTEGER,
+        valid_until DATE,
+        document_reference VARCHAR(255),
+        total_amount DECIMAL(12,2) DEFAULT 0,
+        notes TEXT,
+        selected BOOLEAN DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (requisition_id) REFERENCES requisitions(id) ON DELETE CASCADE,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+
+    // Tabla de precios cotizados por partida
+    db.run(`CREATE TABLE IF NOT EXISTS requisition_quotation_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quotation_id INTEGER NOT NULL,
+        requisition_item_id INTEGER NOT NULL,
+        unit_price DECIMAL(10,2) NOT NULL,
+        total_price DECIMAL(12,2),
+        notes TEXT,
+        FOREIGN KEY (quotation_id) REFERENCES requisition_quotations(id) ON DELETE CASCADE,
+        FOREIGN KEY (requisition_item_id) REFERENCES requisition_items(id) ON DELETE CASCADE
+    )`);
+
+    // Tabla de sesiones (refresh tokens rotativos)
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        revoked_reason VARCHAR(20),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Registro de intentos de inicio de sesión
+    db.run(`CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(100),
+        user_id INTEGER,
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        success BOOLEAN NOT NULL,
+        failure_reason VARCHAR(30),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Tokens de restablecimiento de contraseña (solo se guarda el hash)
+    db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        requested_ip VARCHAR(45),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Códigos de recuperación de la autenticación de dos factores (solo se guarda el hash)
+    db.run(`CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    // Lotes de importación masiva de activos (se pueden revertir mientras los activos no tengan movimientos)
+    db.run(`CREATE TABLE IF NOT EXISTS asset_import_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        batch_code VARCHAR(20) UNIQUE NOT NULL,
+        file_name VARCHAR(255),
+        total_rows INTEGER DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'completed',
+        created_by INTEGER,
+        rolled_back_by INTEGER,
+        rolled_back_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (rolled_back_by) REFERENCES users(id)
+    )`);
+
+    // Sesiones de inventario físico; los activos esperados se fijan al abrir la sesión
+    db.run(`CREATE TABLE IF NOT EXISTS stocktake_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_code VARCHAR(20) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        location VARCHAR(100),
+        category_id INTEGER,
+        status VARCHAR(20) DEFAULT 'open',
+        notes TEXT,
+        created_by INTEGER,
+        closed_by INTEGER,
+        closed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES asset_categories(id),
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (closed_by) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS stocktake_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        asset_id INTEGER NOT NULL,
+        expected_location VARCHAR(100),
+        UNIQUE (session_id, asset_id),
+        FOREIGN KEY (session_id) REFERENCES stocktake_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (asset_id) REFERENCES assets(id) ON DELETE CASCADE
+    )`);
+
+    // Códigos escaneados; asset_id queda vacío si el código no corresponde a ningún activo
+    db.run(`CREATE TABLE IF NOT EXISTS stocktake_scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        asset_code VARCHAR(50) NOT NULL,
+        asset_id INTEGER,
+        found_location VARCHAR(100),
+        notes TEXT,
+        scanned_by INTEGER,
+        scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (session_id, asset_code),
+        FOREIGN KEY (session_id) REFERENCES stocktake_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (asset_id) REFERENCES assets(id) ON DELETE SET NULL,
+        FOREIGN KEY (scanned_by) REFERENCES users(id)
+    )`);
+
+    // Catálogo jerárquico de ubicaciones; path guarda la ruta completa ("Kin Ha > Edificio B > 204")
+    db.run(`CREATE TABLE IF NOT EXISTS locations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        parent_id INTEGER,
+        code VARCHAR(20) UNIQUE,
+        path VARCHAR(255) NOT NULL,
+        aliases TEXT,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES locations(id)
+    )`);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_locations_parent ON locations (parent_id)`);
+
+    // Campos personalizados por categoría; los valores de cada activo van en assets.custom_fields (JSON)
+    db.run(`CREATE TABLE IF NOT EXISTS category_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL,
+        field_key VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        type VARCHAR(10) NOT NULL,
+        required BOOLEAN DEFAULT 0,
+        options TEXT,
+        sort_order INTEGER DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (category_id, field_key),
+        FOREIGN KEY (category_id) REFERENCES asset_categories(id)
+    )`);
+
+    // Archivos adjuntos de activos, incidencias, mantenimientos y formatos responsivos
+    // (entity_type: asset, incident, maintenance, responsive_form); el archivo está en UPLOAD_PATH
+    db.run(`CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        stored_name VARCHAR(100) UNIQUE NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        description VARCHAR(255),
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_attachments_entity ON attachments (entity_type, entity_id)`);
+
+    // Bitácora de auditoría (changes guarda [{ field, old, new }] como JSON)
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        username VARCHAR(50),
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        entity VARCHAR(30) NOT NULL,
+        entity_id INTEGER,
+        action VARCHAR(20) NOT NULL,
+        changes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity, entity_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)`);
+
+    // Tablas de roles y permisos
+    db.run(`CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(20) UNIQUE NOT NULL,
+        description VARCHAR(255),
+        is_system BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        module VARCHAR(30) NOT NULL,
+        description VARCHAR(255)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS role_permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        role VARCHAR(20) NOT NULL,
+        permission VARCHAR(50) NOT NULL,
+        UNIQUE (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE,
+        FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+    )`);
+
+    // Recepción de requisiciones de compra en inventario
+    addColumn('requisitions', 'supplier VARCHAR(100)');
+    addColumn('requisition_items', 'category_id INTEGER REFERENCES asset_categories(id)');
+    addColumn('requisition_items', 'received_quantity INTEGER DEFAULT 0');
+    addColumn('assets', 'requisition_item_id INTEGER REFERENCES requisition_items(id)');
+
+    // Catálogo de proveedores (ver scripts/migrate-suppliers.js para datos existentes)
+    addColumn('assets', 'supplier_id INTEGER REFERENCES suppliers(id)');
+    addColumn('maintenances', 'supplier_id INTEGER REFERENCES suppliers(id)');
+    addColumn('requisitions', 'supplier_id INTEGER REFERENCES suppliers(id)');
+
+    // Cotización seleccionada de la requisición
+    addColumn('requisitions', 'selected_quotation_id INTEGER REFERENCES requisition_quotations(id)');
+    addColumn('requisitions', 'selection_reason TEXT');
+    addColumn('requisitions', 'selected_by INTEGER REFERENCES users(id)');
+    addColumn('requisitions', 'selected_at DATETIME');
+
+    // Bloqueo de cuentas por intentos fallidos
+    addColumn('users', 'failed_login_attempts INTEGER DEFAULT 0');
+    addColumn('users', 'locked_until DATETIME');
+
+    // Autenticación de dos factores (TOTP); el secreto se guarda cifrado
+    addColumn('users', 'totp_secret TEXT');
+    addColumn('users', 'totp_enabled BOOLEAN DEFAULT 0');
+    addColumn('users', 'totp_enabled_at DATETIME');
+    addColumn('users', 'totp_last_step INTEGER');
+    addColumn('roles', 'require_2fa BOOLEAN DEFAULT 0');
+
+    // Departamento del catálogo (ver scripts/migrate-departments.js para datos existentes)
+    addColumn('users', 'department_id INTEGER REFERENCES departments(id)');
+    addColumn('requisitions', 'department_id INTEGER REFERENCES departments(id)');
+
+    // Lote de importación del que proviene el activo
+    addColumn('assets', 'import_batch_id INTEGER REFERENCES asset_import_batches(id)');
+
+    // Depreciación: configuración por categoría; en el activo, valores que la reemplazan
+    addColumn('asset_categories', "depreciation_method VARCHAR(20) DEFAULT 'straight_line'");
+    addColumn('asset_categories', 'useful_life_months INTEGER');
+    addColumn('asset_categories', 'salvage_percentage DECIMAL(5,2) DEFAULT 0');
+    addColumn('assets', 'depreciation_method VARCHAR(20)');
+    addColumn('assets', 'useful_life_months INTEGER');
+    addColumn('assets', 'salvage_value DECIMAL(10,2)');
+
+    // Ubicación del catálogo (ver scripts/migrate-locations.js para datos existentes)
+    addColumn('assets', 'location_id INTEGER REFERENCES locations(id)');
+    addColumn('stocktake_sessions', 'location_id INTEGER REFERENCES locations(id)');
+    addColumn('stocktake_scans', 'found_location_id INTEGER REFERENCES locations(id)');
+
+    // Valores de los campos personalizados de la categoría ({ field_key: valor })
+    addColumn('assets', 'custom_fields TEXT');
+
     // Insertar datos iniciales
     const adminPassword = bcrypt.hashSync('admin123', 10);
     
@@ -174,6 +571,205 @@ db.serialize(() => {
         db.run(`INSERT OR IGNORE INTO asset_categories (name) VALUES (?)`, [category]);
     });
 
+    // Vida útil según las tasas fiscales de depreciación (LISR art. 33 y 34): equipo de cómputo,
+    // impresoras y concentradores de red 30% anual, software 15%, mobiliario y otros equipos 10%.
+    // Solo se asigna a categorías sin configurar para respetar cambios del administrador.
+    const fiscalUsefulLife = {
+        'Computadoras': 40,
+        'Impresoras': 40,
+        'Equipos de Red': 40,
+        'Software': 80,
+        'Cámaras de Seguridad': 120,
+        'Mobiliario de Oficina': 120,
+        'Equipos de Audio/Video': 120,
+        'Otros': 120
+    };
+
+    Object.entries(fiscalUsefulLife).forEach(([category, months]) => {
+        db.run(
+            `UPDATE asset_categories SET useful_life_months = ? WHERE name = ? AND useful_life_months IS NULL`,
+            [months, category]
+        );
+    });
+
+    // Departamentos por defecto
+    const departments = [
+        ['Sistemas', ['IT', 'TI', 'Tecnologías de la Información']],
+        ['Ama de Llaves', ['Housekeeping']],
+        ['Recepción', ['Front Desk']],
+        ['Alimentos y Bebidas', ['A&B', 'F&B']],
+        ['Mantenimiento', ['Ingeniería']],
+        ['Administración', ['Contabilidad']],
+        ['Recursos Humanos', ['RH', 'RRHH']],
+        ['Seguridad', []]
+    ];
+
+    departments.forEach(([name, aliases]) => {
+        db.run(`INSERT OR IGNORE INTO departments (name, aliases) VALUES (?, ?)`, [name, JSON.stringify(aliases)]);
+    });
+
+    db.run(`UPDATE users SET department_id = (SELECT id FROM departments d WHERE d.name = users.department)
+            WHERE department_id IS NULL AND department IS NOT NULL`);
+
+    // Propiedad raíz del catálogo de ubicaciones
+    db.run(`INSERT INTO locations (name, type, path) SELECT ?, 'property', ?
+            WHERE NOT EXISTS (SELECT 1 FROM locations WHERE parent_id IS NULL AND name = ?)`,
+            ['Beachscape Kin Ha Villas & Suites', 'Beachscape Kin Ha Villas & Suites', 'Beachscape Kin Ha Villas & Suites']);
+
+    // Cadena de aprobación por defecto: jefe de departamento → gerente de TI → gerente general (montos altos).
+    // Los roles se crean abajo con requisitions.approve; una requisición solo se envía a aprobación si
+    // cada paso tiene al menos un usuario activo con su rol.
+    const approvalRules = [
+        ['Jefe de departamento', 1, 0, 'department_head', 1],
+        ['Gerente de TI', 2, 0, 'it_manager', 0],
+        ['Gerente general', 3, 50000, 'general_manager', 0]
+    ];
+
+    approvalRules.forEach(([name, step_order, min_amount, approver_role, same_department]) => {
+        db.run(
+            `INSERT OR IGNORE INTO approval_rules (name, step_order, min_amount, approver_role, same_department)
+             VALUES (?, ?, ?, ?, ?)`,
+            [name, step_order, min_amount, approver_role, same_department]
+        );
+    });
+
+    // Catálogo de permisos
+    const permissions = [
+        ['dashboard.view', 'Ver el tablero principal'],
+        ['inventory.view', 'Consultar activos y categorías'],
+        ['inventory.create', 'Registrar activos'],
+        ['inventory.update', 'Editar activos'],
+        ['inventory.delete', 'Dar de baja activos'],
+        ['categories.manage', 'Administrar categorías de activos'],
+        ['incidents.view', 'Consultar incidencias'],
+        ['incidents.create', 'Reportar incidencias'],
+        ['incidents.update', 'Editar incidencias'],
+        ['incidents.assign', 'Asignar incidencias a técnicos'],
+        ['incidents.resolve', 'Resolver incidencias'],
+        ['maintenance.view', 'Consultar mantenimientos'],
+        ['maintenance.create', 'Programar mantenimientos'],
+        ['maintenance.update', 'Editar mantenimientos'],
+        ['maintenance.execute', 'Iniciar y completar mantenimientos'],
+        ['forms.view', 'Consultar formatos responsivos'],
+        ['forms.create', 'Crear formatos responsivos'],
+        ['forms.approve', 'Aprobar formatos responsivos'],
+        ['requisitions.view', 'Consultar requisiciones'],
+        ['requisitions.create', 'Crear requisiciones'],
+        ['requisitions.update', 'Editar y enviar requisiciones'],
+        ['requisitions.manage', 'Editar y enviar requisiciones de otros usuarios'],
+        ['requisitions.approve', 'Aprobar pasos de requisiciones asignados'],
+        ['requisitions.approve_any', 'Aprobar cualquier paso de una requisición'],
+        ['requisitions.receive', 'Recibir requisiciones en inventario'],
+        ['quotations.manage', 'Registrar y seleccionar cotizaciones'],
+        ['approval_rules.manage', 'Configurar la cadena de aprobación'],
+        ['budgets.view', 'Consultar presupuestos'],
+        ['budgets.manage', 'Administrar presupuestos'],
+        ['suppliers.view', 'Consultar proveedores'],
+        ['suppliers.manage', 'Registrar y editar proveedores'],
+        ['suppliers.delete', 'Desactivar proveedores'],
+        ['reports.view', 'Consultar reportes'],
+        ['users.view', 'Consultar usuarios e intentos de inicio de sesión'],
+        ['users.manage', 'Administrar usuarios'],
+        ['roles.manage', 'Administrar roles y permisos'],
+        ['departments.view_all', 'Ver registros de todos los departamentos'],
+        ['departments.view_department', 'Ver las requisiciones de todo su departamento'],
+        ['departments.manage', 'Administrar el catálogo de departamentos'],
+        ['audit.view', 'Consultar la bitácora de auditoría'],
+        ['stocktakes.view', 'Consultar inventarios físicos y su conciliación'],
+        ['stocktakes.count', 'Registrar códigos escaneados en inventarios físicos'],
+        ['stocktakes.manage', 'Abrir, cerrar y aplicar inventarios físicos'],
+        ['locations.manage', 'Administrar el catálogo de ubicaciones']
+    ];
+
+    // Permisos agregados después de la versión inicial: en bases existentes se otorgan a los
+    // roles por defecto solo cuando el permiso aún no está en el catálogo
+    const upgradeGrants = {
+        'departments.view_all': ['technician', 'it_manager', 'general_manager', 'auditor'],
+        'departments.view_department': ['department_manager', 'department_head', 'it_manager', 'general_manager'],
+        'audit.view': ['auditor'],
+        'stocktakes.view': ['technician', 'it_manager', 'auditor'],
+        'stocktakes.count': ['technician', 'it_manager'],
+        'stocktakes.manage': ['it_manager'],
+        'locations.manage': ['it_manager']
+    };
+
+    Object.entries(upgradeGrants).forEach(([permission, grantedRoles]) => {
+        grantedRoles.forEach(role => {
+            db.run(
+                `INSERT OR IGNORE INTO role_permissions (role, permission)
+                 SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM permissions WHERE name = ?)
+                 AND EXISTS (SELECT 1 FROM roles WHERE name = ?)`,
+                [role, permission, permission, role]
+            );
+        });
+    });
+
+    permissions.forEach(([name, description]) => {
+        db.run(
+            `INSERT OR IGNORE INTO permissions (name, module, description) VALUES (?, ?, ?)`,
+            [name, name.split('.')[0], description]
+        );
+    });
+
+    // Roles por defecto y sus permisos
+    const basePermissions = [
+        'dashboard.view', 'inventory.view', 'incidents.view', 'incidents.create', 'maintenance.view',
+        'forms.view', 'forms.create', 'requisitions.view', 'requisitions.create', 'requisitions.update',
+        'suppliers.view'
+    ];
+    const approverPermissions = [
+        ...basePermissions, 'requisitions.approve', 'forms.approve', 'quotations.manage', 'budgets.view'
+    ];
+    const managerPermissions = [
+        ...approverPermissions, 'incidents.assign', 'maintenance.create', 'reports.view', 'users.view',
+        'departments.view_department'
+    ];
+
+    const roles = {
+        admin: ['Administrador del sistema (todos los permisos)', []],
+        user: ['Usuario general', basePermissions],
+        technician: ['Técnico de soporte y mantenimiento', [
+            ...basePermissions, 'inventory.update', 'incidents.update', 'incidents.assign', 'incidents.resolve',
+            'maintenance.create', 'maintenance.update', 'maintenance.execute', 'requisitions.receive',
+            'departments.view_all', 'stocktakes.view', 'stocktakes.count'
+        ]],
+        approver: ['Aprobador de requisiciones y formatos', approverPermissions],
+        department_manager: ['Gerente de departamento', managerPermissions],
+        department_head: ['Jefe de departamento (cadena de aprobación)', managerPermissions],
+        it_manager: ['Gerente de TI (cadena de aprobación)', [
+            ...managerPermissions, 'inventory.create', 'inventory.update', 'categories.manage',
+            'incidents.update', 'incidents.resolve', 'maintenance.update', 'maintenance.execute',
+            'requisitions.receive', 'suppliers.manage', 'departments.view_all',
+            'stocktakes.view', 'stocktakes.count', 'stocktakes.manage', 'locations.manage'
+        ]],
+        general_manager: ['Gerente general (cadena de aprobación)', [
+            ...managerPermissions, 'budgets.manage', 'departments.view_all'
+        ]],
+        auditor: ['Auditor de solo lectura', [
+            'dashboard.view', 'inventory.view', 'incidents.view', 'maintenance.view', 'forms.view',
+            'requisitions.view', 'budgets.view', 'suppliers.view', 'reports.view', 'users.view',
+            'departments.view_all', 'audit.view', 'stocktakes.view'
+        ]]
+    };
+
+    Object.entries(roles).forEach(([role, [, rolePermissions]]) => {
+        // Los permisos por defecto solo se asignan al crear el rol para respetar cambios del administrador
+        rolePermissions.forEach(permission => {
+            db.run(
+                `INSERT OR IGNORE INTO role_permissions (role, permission)
+                 SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM roles WHERE name = ?)`,
+                [role, permission, role]
+            );
+        });
+    });
+
+    Object.entries(roles).forEach(([role, [description]]) => {
+        db.run(
+            `INSERT OR IGNORE INTO roles (name, description, is_system) VALUES (?, ?, ?)`,
+            [role, description, role === 'admin' || role === 'user' ? 1 : 0]
+        );
+    });
+
     console.log('Base de datos inicializada correctamente');
     console.log('Usuario por defecto creado: admin / admin123');
 });
@@ -0,0 +1,167 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { normalizeDepartmentName, parseDepartment } = require('../utils/departments');
+
+// Migra los departamentos en texto libre de usuarios, requisiciones, presupuestos y reglas
+// de aprobación al catálogo de departamentos. Las variantes del mismo nombre ("sistemas",
+// "Sistemas ") se agrupan; las equivalencias que no se parecen se indican con --alias.
+// Uso: node scripts/migrate-departments.js [--dry-run] [--alias IT=Sistemas ...]
+
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+const dryRun = process.argv.includes('--dry-run');
+
+// Columnas con el nombre del departamento; linked indica si además tienen department_id
+const sources = [
+    { table: 'users', column: 'department', linked: true },
+    { table: 'requisitions', column: 'department', linked: true },
+    { table: 'department_budgets', column: 'department', linked: false },
+    { table: 'approval_rules', column: 'department', linked: false },
+    { table: 'requisition_approvals', column: 'approver_department', linked: false }
+];
+
+// --alias IT=Sistemas o --alias=IT=Sistemas
+const parseAliases = (args) => {
+    const aliases = new Map();
+    
+    args.forEach((arg, index) => {
+        let value = null;
+        if (arg === '--alias') value = args[index + 1];
+        else if (arg.startsWith('--alias=')) value = arg.slice('--alias='.length);
+        if (!value || !value.includes('=')) return;
+        
+        const [from, to] = value.split('=').map(part => part.trim());
+        if (normalizeDepartmentName(from) && normalizeDepartmentName(to)) {
+            aliases.set(normalizeDepartmentName(from), to);
+        }
+    });
+    
+    return aliases;
+};
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+    });
+});
+
+const migrate = async () => {
+    const aliases = parseAliases(process.argv.slice(2));
+    
+    // Claves (nombre y alias) de los departamentos ya catalogados
+    const existing = new Map();
+    (await all(`SELECT * FROM departments`)).map(parseDepartment).forEach(department => {
+        [department.name, ...department.aliases].forEach(name => {
+            existing.set(normalizeDepartmentName(name), department);
+        });
+    });
+    
+    // Agrupar los nombres existentes por departamento destino
+    const groups = new Map();
+    
+    for (const { table, column } of sources) {
+        const rows = await all(
+            `SELECT TRIM(${column}) as name, COUNT(*) as count FROM ${table}
+             WHERE ${column} IS NOT NULL AND TRIM(${column}) != ''
+             GROUP BY TRIM(${column})`
+        );
+        
+        rows.forEach(({ name, count }) => {
+            let key = normalizeDepartmentName(name);
+            if (!key) return;
+            
+            const aliasTarget = aliases.get(key);
+            if (aliasTarget) key = normalizeDepartmentName(aliasTarget);
+            
+            const department = existing.get(key);
+            const groupKey = department ? `id:${department.id}` : key;
+            
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { department, preferredName: aliasTarget || null, variants: new Map() });
+            }
+            
+            const group = groups.get(groupKey);
+            if (aliasTarget && !group.preferredName) group.preferredName = aliasTarget;
+            group.variants.set(name, (group.variants.get(name) || 0) + count);
+        });
+    }
+    
+    if (groups.size === 0) {
+        console.log('No hay departamentos en texto libre por migrar');
+        return;
+    }
+    
+    let created = 0;
+    
+    if (!dryRun) await run('BEGIN TRANSACTION');
+    
+    try {
+        for (const group of groups.values()) {
+            // Nombre oficial: el del catálogo, el destino del alias o la variante más usada (en empate, la más completa)
+            const name = group.department ? group.department.name : (group.preferredName ||
+                [...group.variants.entries()].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0][0]);
+            
+            console.log(`${name}${group.department ? '' : ' (nuevo)'} <= ${[...group.variants.keys()].join(' | ')}`);
+            
+            if (!group.department) created++;
+            if (dryRun) continue;
+            
+            let department = group.department;
+            
+            // Las variantes que no coinciden con el nombre se conservan como alias
+            const knownKeys = department
+                ? [department.name, ...department.aliases].map(normalizeDepartmentName)
+                : [normalizeDepartmentName(name)];
+            const newAliases = [...group.variants.keys()].filter(variant => {
+                const key = normalizeDepartmentName(variant);
+                if (knownKeys.includes(key)) return false;
+                knownKeys.push(key);
+                return true;
+            });
+            
+            if (!department) {
+                const result = await run(
+                    `INSERT INTO departments (name, aliases) VALUES (?, ?)`,
+                    [name, JSON.stringify(newAliases)]
+                );
+                department = { id: result.lastID, name };
+            } else if (newAliases.length > 0) {
+                await run(
+                    `UPDATE departments SET aliases = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [JSON.stringify([...department.aliases, ...newAliases]), department.id]
+                );
+            }
+            
+            for (const variant of group.variants.keys()) {
+                for (const { table, column, linked } of sources) {
+                    await run(
+                        linked
+                            ? `UPDATE ${table} SET ${column} = ?, department_id = ? WHERE TRIM(${column}) = ?`
+                            : `UPDATE ${table} SET ${column} = ? WHERE TRIM(${column}) = ?`,
+                        linked ? [department.name, department.id, variant] : [department.name, variant]
+                    );
+                }
+            }
+        }
+        
+        if (!dryRun) await run('COMMIT');
+    } catch (err) {
+        if (!dryRun) await run('ROLLBACK');
+        throw err;
+    }
+    
+    console.log(dryRun
+        ? `Simulación: ${groups.size} departamentos, ${created} por crear`
+        : `Migración completada: ${groups.size} departamentos vinculados, ${created} creados`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('Error al migrar departamentos:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
\ No newline at end of file
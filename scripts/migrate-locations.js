@@ -0,0 +1,174 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { PATH_SEPARATOR, normalizeLocationName, parseLocation, matchLocationName } = require('../utils/locations');
+
+// Migra las ubicaciones en texto libre de los activos al catálogo de ubicaciones. Cada texto se
+// busca por ruta completa, alias o nombre y las variantes del mismo texto ("Villa 12", "villa 12 ")
+// se agrupan; las equivalencias que no se parecen se indican con --alias. Los textos sin ubicación
+// se crean como habitaciones dentro de --parent; si no se indica, solo se reportan.
+// Uso: node scripts/migrate-locations.js [--dry-run] [--parent "Kin Ha > Edificio B"]
+//      [--alias "Villa doce=Kin Ha > Villa 12" ...]
+
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+const dryRun = process.argv.includes('--dry-run');
+
+// Valores de --opcion valor u --opcion=valor
+const optionValues = (args, option) => args
+    .map((arg, index) => {
+        if (arg === option) return args[index + 1];
+        if (arg.startsWith(`${option}=`)) return arg.slice(option.length + 1);
+        return null;
+    })
+    .filter(Boolean);
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+    });
+});
+
+const migrate = async () => {
+    const args = process.argv.slice(2);
+    const locations = await all(`SELECT * FROM locations WHERE active = 1`);
+    
+    const [parentName] = optionValues(args, '--parent');
+    const parent = parentName ? matchLocationName(locations, parentName) : null;
+    
+    if (parentName && !parent) {
+        throw new Error(`No existe la ubicación ${parentName}`);
+    }
+    
+    if (parent && parent.type === 'room') {
+        throw new Error(`${parent.path} es una habitación y no puede contener ubicaciones`);
+    }
+    
+    // --alias texto=ubicación; la ubicación destino debe existir en el catálogo
+    const aliases = new Map();
+    optionValues(args, '--alias').forEach(value => {
+        if (!value.includes('=')) return;
+        
+        const [from, to] = value.split('=').map(part => part.trim());
+        const target = matchLocationName(locations, to);
+        if (!target) throw new Error(`No existe la ubicación ${to} (alias de ${from})`);
+        if (normalizeLocationName(from)) aliases.set(normalizeLocationName(from), target);
+    });
+    
+    const rows = await all(
+        `SELECT TRIM(location) as name, COUNT(*) as count FROM assets
+         WHERE location_id IS NULL AND location IS NOT NULL AND TRIM(location) != ''
+         GROUP BY TRIM(location)`
+    );
+    
+    // Agrupar los textos por ubicación destino (existente o por crear)
+    const groups = new Map();
+    
+    rows.forEach(({ name, count }) => {
+        const key = normalizeLocationName(name);
+        if (!key) return;
+        
+        const location = aliases.get(key) || matchLocationName(locations, name);
+        const groupKey = location ? `id:${location.id}` : key;
+        
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { location, variants: new Map() });
+        }
+        
+        const group = groups.get(groupKey);
+        group.variants.set(name, (group.variants.get(name) || 0) + count);
+    });
+    
+    if (groups.size === 0) {
+        console.log('No hay ubicaciones en texto libre por migrar');
+        return;
+    }
+    
+    let linked = 0;
+    let created = 0;
+    let skipped = 0;
+    
+    if (!dryRun) await run('BEGIN TRANSACTION');
+    
+    try {
+        for (const group of groups.values()) {
+            const variants = [...group.variants.keys()];
+            const assetsCount = [...group.variants.values()].reduce((sum, count) => sum + count, 0);
+            
+            if (!group.location && !parent) {
+                console.log(`Sin ubicación en el catálogo (${assetsCount} activos): ${variants.join(' | ')}`);
+                skipped += assetsCount;
+                continue;
+            }
+            
+            // Nombre de la nueva habitación: la variante más usada (en empate, la más completa). Si ya
+            // existe dentro de --parent (con el mismo nombre en otras ubicaciones) se usa esa.
+            const name = group.location ? group.location.name :
+                [...group.variants.entries()].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0][0];
+            if (!group.location) {
+                group.location = locations.find(location => location.parent_id === parent.id &&
+                    normalizeLocationName(location.name) === normalizeLocationName(name)) || null;
+            }
+            const locationPath = group.location ? group.location.path : `${parent.path}${PATH_SEPARATOR}${name}`;
+            
+            console.log(`${locationPath}${group.location ? '' : ' (nueva)'} <= ${variants.join(' | ')}`);
+            
+            if (!group.location) created++;
+            linked += assetsCount;
+            if (dryRun) continue;
+            
+            let location = group.location && parseLocation(group.location);
+            
+            // Las variantes que no coinciden con la ruta, el nombre ni los alias se conservan como alias
+            const knownKeys = location
+                ? [location.name, location.path, ...location.aliases].map(normalizeLocationName)
+                : [normalizeLocationName(name), normalizeLocationName(locationPath)];
+            const newAliases = variants.filter(variant => {
+                const key = normalizeLocationName(variant);
+                if (knownKeys.includes(key)) return false;
+                knownKeys.push(key);
+                return true;
+            });
+            
+            if (!location) {
+                const result = await run(
+                    `INSERT INTO locations (name, type, parent_id, path, aliases) VALUES (?, 'room', ?, ?, ?)`,
+                    [name, parent.id, locationPath, JSON.stringify(newAliases)]
+                );
+                location = { id: result.lastID, path: locationPath };
+            } else if (newAliases.length > 0) {
+                await run(
+                    `UPDATE locations SET aliases = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [JSON.stringify([...location.aliases, ...newAliases]), location.id]
+                );
+            }
+            
+            for (const variant of variants) {
+                await run(
+                    `UPDATE assets SET location = ?, location_id = ? WHERE location_id IS NULL AND TRIM(location) = ?`,
+                    [location.path, location.id, variant]
+                );
+            }
+        }
+        
+        if (!dryRun) await run('COMMIT');
+    } catch (err) {
+        if (!dryRun) await run('ROLLBACK');
+        throw err;
+    }
+    
+    const pending = skipped > 0 ? `; ${skipped} activos sin ubicación (use --parent o --alias)` : '';
+    console.log(dryRun
+        ? `Simulación: ${linked} activos por vincular, ${created} ubicaciones por crear${pending}`
+        : `Migración completada: ${linked} activos vinculados, ${created} ubicaciones creadas${pending}`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('Error al migrar ubicaciones:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
\ No newline at end of file
@@ -0,0 +1,98 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { normalizeSupplierName } = require('../utils/suppliers');
+
+// Migra los proveedores en texto libre de activos, mantenimientos y requisiciones
+// al catálogo de proveedores, agrupando variantes del mismo nombre.
+// Uso: node scripts/migrate-suppliers.js [--dry-run]
+
+const db = new sqlite3.Database(path.join(__dirname, '..', 'siaf.db'));
+const dryRun = process.argv.includes('--dry-run');
+const tables = ['assets', 'maintenances', 'requisitions'];
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+    });
+});
+
+const migrate = async () => {
+    // Agrupar los nombres existentes por su clave normalizada
+    const groups = new Map();
+    
+    for (const table of tables) {
+        const rows = await all(
+            `SELECT TRIM(supplier) as supplier, COUNT(*) as count FROM ${table}
+             WHERE supplier IS NOT NULL AND TRIM(supplier) != '' AND supplier_id IS NULL
+             GROUP BY TRIM(supplier)`
+        );
+        
+        rows.forEach(({ supplier, count }) => {
+            const key = normalizeSupplierName(supplier);
+            if (!key) return;
+            
+            if (!groups.has(key)) groups.set(key, new Map());
+            const variants = groups.get(key);
+            variants.set(supplier, (variants.get(supplier) || 0) + count);
+        });
+    }
+    
+    if (groups.size === 0) {
+        console.log('No hay proveedores en texto libre por migrar');
+        return;
+    }
+    
+    if (!dryRun) await run('BEGIN TRANSACTION');
+    
+    try {
+        for (const [key, variants] of groups) {
+            // El nombre más usado se conserva como nombre del proveedor (en empate, el más completo)
+            const name = [...variants.entries()].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0][0];
+            console.log(`${name} <= ${[...variants.keys()].join(' | ')}`);
+            
+            if (dryRun) continue;
+            
+            let supplier = await get(`SELECT id, name FROM suppliers WHERE normalized_name = ?`, [key]);
+            
+            if (!supplier) {
+                const result = await run(`INSERT INTO suppliers (name, normalized_name) VALUES (?, ?)`, [name, key]);
+                supplier = { id: result.lastID, name };
+            }
+            
+            for (const variant of variants.keys()) {
+                for (const table of tables) {
+                    await run(
+                        `UPDATE ${table} SET supplier_id = ?, supplier = ?
+                         WHERE TRIM(supplier) = ? AND supplier_id IS NULL`,
+                        [supplier.id, supplier.name, variant]
+                    );
+                }
+            }
+        }
+        
+        if (!dryRun) await run('COMMIT');
+    } catch (err) {
+        if (!dryRun) await run('ROLLBACK');
+        throw err;
+    }
+    
+    console.log(dryRun
+        ? `Simulación: se crearían ${groups.size} proveedores`
+        : `Migración completada: ${groups.size} proveedores vinculados`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('Error al migrar proveedores:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
\ No newline at end of file
@@ -8,7 +8,18 @@ const inventoryRoutes = require('./routes/inventory');
 const incidentsRoutes = require('./routes/incidents');
 const maintenanceRoutes = require('./routes/maintenance');
 const responsiveFormsRoutes = require('./routes/responsiveForms');
-//const requisitionsRoutes = require('./routes/requisitions');
+const requisitionsRoutes = require('./routes/requisitions');
+const quotationsRoutes = require('./routes/quotations');
+const approvalRulesRoutes = require('./routes/approvalRules');
+const budgetsRoutes = require('./routes/budgets');
+const suppliersRoutes = require('./routes/suppliers');
+const departmentsRoutes = require('./routes/departments');
+const locationsRoutes = require('./routes/locations');
+const attachmentsRoutes = require('./routes/attachments');
+const auditRoutes = require('./routes/audit');
+const stocktakesRoutes = require('./routes/stocktakes');
+const usersRoutes = require('./routes/users');
+const rolesRoutes = require('./routes/roles');
 const reportsRoutes = require('./routes/reports');
 
 const app = express();
@@ -26,7 +37,18 @@ app.use('/api/inventory', inventoryRoutes);
 app.use('/api/incidents', incidentsRoutes);
 app.use('/api/maintenance', maintenanceRoutes);
 app.use('/api/responsive-forms', responsiveFormsRoutes);
-//app.use('/api/requisitions', requisitionsRoutes);
+app.use('/api/requisitions', requisitionsRoutes);
+app.use('/api/requisitions', quotationsRoutes);
+app.use('/api/approval-rules', approvalRulesRoutes);
+app.use('/api/budgets', budgetsRoutes);
+app.use('/api/suppliers', suppliersRoutes);
+app.use('/api/departments', departmentsRoutes);
+app.use('/api/locations', locationsRoutes);
+app.use('/api/attachments', attachmentsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/stocktakes', stocktakesRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/roles', rolesRoutes);
 app.use('/api/reports', reportsRoutes);
 
 // Ruta principal
@@ -0,0 +1,242 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { buildMapping, validateRows } = require('../utils/assetImport');
+const { normalizeSupplierName } = require('../utils/suppliers');
+
+const db = new sqlite3.Database(':memory:');
+
+// Solo las columnas que consulta validateRows
+const SCHEMA = [
+    `CREATE TABLE asset_categories (id INTEGER PRIMARY KEY, name TEXT)`,
+    `CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT, email TEXT, full_name TEXT, active BOOLEAN DEFAULT 1)`,
+    `CREATE TABLE suppliers (id INTEGER PRIMARY KEY, name TEXT, normalized_name TEXT)`,
+    `CREATE TABLE locations (id INTEGER PRIMARY KEY, name TEXT, path TEXT, aliases TEXT, active BOOLEAN DEFAULT 1)`,
+    `CREATE TABLE category_fields (id INTEGER PRIMARY KEY, category_id INTEGER, field_key TEXT, label TEXT, type TEXT,
+        required BOOLEAN DEFAULT 0, options TEXT, sort_order INTEGER DEFAULT 0, active BOOLEAN DEFAULT 1)`,
+    `CREATE TABLE assets (id INTEGER PRIMARY KEY, asset_code TEXT, serial_number TEXT)`
+];
+
+const SEED = [
+    [`INSERT INTO asset_categories (id, name) VALUES (1, 'Equipo de Red'), (2, 'Mobiliario')`],
+    [`INSERT INTO users (id, username, email, full_name) VALUES
+        (1, 'jperez', 'jperez@hotel.mx', 'Juan Pérez'),
+        (2, 'alopez', 'alopez@hotel.mx', 'Ana López'),
+        (3, 'alopez2', 'ana.lopez@hotel.mx', 'Ana López')`],
+    [`INSERT INTO suppliers (id, name, normalized_name) VALUES (1, 'Office Depot', ?)`, [normalizeSupplierName('Office Depot')]],
+    [`INSERT INTO locations (id, name, path) VALUES (1, 'Edificio B', 'Kin Ha > Edificio B')`],
+    [`INSERT INTO category_fields (category_id, field_key, label, type, required, sort_order) VALUES
+        (1, 'ip_address', 'Dirección IP', 'text', 1, 1),
+        (1, 'ports', 'Puertos', 'number', 0, 2)`],
+    [`INSERT INTO assets (asset_code, serial_number) VALUES ('AF-001', 'SN-001')`]
+];
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+before(async () => {
+    for (const [sql, params] of [...SCHEMA.map(sql => [sql]), ...SEED]) {
+        await run(sql, params);
+    }
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+// Hoja como la entrega readSpreadsheet: la fila 1 es el encabezado
+const sheet = (headers, body) => ({
+    headers,
+    rows: body.map((cells, index) => ({
+        rowNumber: index + 2,
+        values: headers.reduce((acc, header, column) => {
+            acc[header] = cells[column] || '';
+            return acc;
+        }, {})
+    }))
+});
+
+const validate = (table, customMapping) => new Promise((resolve, reject) => {
+    const { mapping, errors } = buildMapping(table.headers, customMapping);
+    assert.deepEqual(errors, []);
+    
+    validateRows(db, table, mapping, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+const errorsOf = (result, row) => result.errors
+    .filter(error => error.row === row)
+    .map(error => [error.field, error.message]);
+
+test('buildMapping reconoce los encabezados en español con o sin acentos', () => {
+    const { mapping, errors } = buildMapping(['Código', 'Nombre', 'Categoría', 'Número de serie', 'Fecha compra', 'Otra']);
+    
+    assert.deepEqual(errors, []);
+    assert.deepEqual(mapping, {
+        custom_fields: {},
+        asset_code: 'Código',
+        name: 'Nombre',
+        category: 'Categoría',
+        serial_number: 'Número de serie',
+        purchase_date: 'Fecha compra'
+    });
+});
+
+test('buildMapping acepta el mapeo del usuario, incluidos los campos personalizados', () => {
+    const { mapping, errors } = buildMapping(['Clave', 'Equipo', 'Tipo', 'IP'], {
+        name: 'Equipo',
+        category: 'Tipo',
+        'custom_fields.ip_address': 'IP'
+    });
+    
+    assert.deepEqual(errors, []);
+    assert.equal(mapping.asset_code, 'Clave');
+    assert.equal(mapping.name, 'Equipo');
+    assert.deepEqual(mapping.custom_fields, { ip_address: 'IP' });
+});
+
+test('buildMapping informa campos desconocidos, columnas inexistentes y campos requeridos sin columna', () => {
+    const { errors } = buildMapping(['Nombre'], {
+        color: 'Nombre',
+        category: 'Tipo',
+        'custom_fields.Mal Campo': 'Nombre'
+    });
+    
+    assert.deepEqual(errors, [
+        'Campo desconocido en el mapeo: color',
+        'La columna "Tipo" no existe en el archivo',
+        'Campo desconocido en el mapeo: custom_fields.Mal Campo',
+        'No se encontró la columna para el campo requerido asset_code',
+        'No se encontró la columna para el campo requerido category'
+    ]);
+});
+
+test('validateRows convierte una fila válida en un activo listo para insertar', async () => {
+    const table = sheet(
+        ['Código', 'Nombre', 'Categoría', 'Fecha de compra', 'Precio', 'Proveedor', 'Ubicación', 'Responsable', 'Dirección IP', 'ports'],
+        [['AF-100', 'Switch 24p', 'equipo de red', '15/03/2024', '$1,250.50', 'office depot', 'edificio b', 'JPEREZ', '10.0.0.2', '24']]
+    );
+    
+    const result = await validate(table);
+    
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.customFields, { ip_address: 'Dirección IP', ports: 'ports' });
+    assert.deepEqual(result.assets, [{
+        row: 2,
+        asset_code: 'AF-100',
+        name: 'Switch 24p',
+        description: null,
+        category_id: 1,
+        brand: null,
+        model: null,
+        serial_number: null,
+        purchase_date: '2024-03-15',
+        purchase_price: 1250.5,
+        supplier: 'Office Depot',
+        supplier_id: 1,
+        location: 'Kin Ha > Edificio B',
+        location_id: 1,
+        status: 'active',
+        responsible_user_id: 1,
+        warranty_expiry: null,
+        notes: null,
+        custom_fields: { ip_address: '10.0.0.2', ports: 24 }
+    }]);
+});
+
+test('validateRows conserva en texto libre el proveedor y la ubicación que no están en el catálogo', async () => {
+    const table = sheet(
+        ['Código', 'Nombre', 'Categoría', 'Proveedor', 'Ubicación'],
+        [['AF-101', 'Silla', 'Mobiliario', 'Muebles del Caribe', 'Bodega 3']]
+    );
+    
+    const [asset] = (await validate(table)).assets;
+    
+    assert.equal(asset.supplier, 'Muebles del Caribe');
+    assert.equal(asset.supplier_id, null);
+    assert.equal(asset.location, 'Bodega 3');
+    assert.equal(asset.location_id, null);
+    assert.deepEqual(asset.custom_fields, {});
+});
+
+test('validateRows rechaza códigos y números de serie existentes o repetidos en el archivo', async () => {
+    const table = sheet(
+        ['Código', 'Nombre', 'Categoría', 'Serie'],
+        [
+            ['af-001', 'Silla', 'Mobiliario', ''],
+            ['AF-200', 'Silla', 'Mobiliario', 'sn-001'],
+            ['AF-201', 'Silla', 'Mobiliario', 'SN-500'],
+            ['af-201', 'Silla', 'Mobiliario', 'sn-500']
+        ]
+    );
+    
+    const result = await validate(table);
+    
+    assert.deepEqual(errorsOf(result, 2), [['asset_code', 'El código del activo ya existe']]);
+    assert.deepEqual(errorsOf(result, 3), [['serial_number', 'El número de serie ya está registrado']]);
+    assert.deepEqual(errorsOf(result, 5), [
+        ['asset_code', 'Código duplicado en la fila 4'],
+        ['serial_number', 'Número de serie duplicado en la fila 4']
+    ]);
+    assert.deepEqual(result.assets.map(asset => asset.row), [4]);
+});
+
+test('validateRows valida campos requeridos, catálogo, fechas, precios y responsable', async () => {
+    const table = sheet(
+        ['Código', 'Nombre', 'Categoría', 'Fecha de compra', 'Garantía', 'Precio', 'Responsable'],
+        [
+            ['', '', 'Vehículos', '31/02/2024', '2024-13-01', 'mil pesos', 'Ana López'],
+            ['AF-300', 'Silla', 'Mobiliario', '', '', '', 'nadie']
+        ]
+    );
+    
+    const result = await validate(table);
+    
+    assert.deepEqual(errorsOf(result, 2), [
+        ['asset_code', 'Campo requerido'],
+        ['name', 'Campo requerido'],
+        ['category', 'Categoría no encontrada'],
+        ['responsible', 'Hay más de un usuario con ese nombre; use el usuario o email'],
+        ['purchase_date', 'Fecha inválida (use AAAA-MM-DD o DD/MM/AAAA)'],
+        ['warranty_expiry', 'Fecha inválida (use AAAA-MM-DD o DD/MM/AAAA)'],
+        ['purchase_price', 'Precio inválido']
+    ]);
+    assert.deepEqual(errorsOf(result, 3), [['responsible', 'Usuario responsable no encontrado']]);
+    assert.deepEqual(result.assets, []);
+});
+
+test('validateRows valida los campos personalizados contra la categoría de cada fila', async () => {
+    const table = sheet(
+        ['Código', 'Nombre', 'Categoría', 'IP', 'Puertos'],
+        [
+            ['AF-400', 'Router', 'Equipo de Red', '', 'veinte'],
+            ['AF-401', 'Mesa', 'Mobiliario', '10.0.0.9', ''],
+            ['AF-402', 'Router', '1', '10.0.0.10', '8']
+        ]
+    );
+    
+    const result = await validate(table, { 'custom_fields.ip_address': 'IP' });
+    
+    assert.deepEqual(result.customFields, { ip_address: 'IP', ports: 'Puertos' });
+    assert.deepEqual(errorsOf(result, 2), [
+        ['custom_fields.ip_address', 'Dirección IP es requerido'],
+        ['custom_fields.ports', 'Debe ser un número']
+    ]);
+    assert.deepEqual(errorsOf(result, 3), [['custom_fields.ip_address', 'Campo no definido para la categoría']]);
+    assert.deepEqual(result.assets.map(asset => [asset.asset_code, asset.custom_fields]), [
+        ['AF-402', { ip_address: '10.0.0.10', ports: 8 }]
+    ]);
+});
+
+test('una columna usada por un campo estándar no se toma como campo personalizado', async () => {
+    await run(`INSERT INTO category_fields (category_id, field_key, label, type) VALUES (2, 'notes', 'Notas', 'text')`);
+    
+    try {
+        const table = sheet(['Código', 'Nombre', 'Categoría', 'Notas'], [['AF-500', 'Mesa', 'Mobiliario', 'Rayada']]);
+        const result = await validate(table);
+        
+        assert.deepEqual(result.customFields, {});
+        assert.equal(result.assets[0].notes, 'Rayada');
+        assert.deepEqual(result.assets[0].custom_fields, {});
+    } finally {
+        await run(`DELETE FROM category_fields WHERE field_key = 'notes'`);
+    }
+});
\ No newline at end of file
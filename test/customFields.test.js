@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseField, validateCustomFields, customFieldFilter } = require('../utils/customFields');
+
+// Definiciones como las devuelve getCategoryFields
+const FIELDS = [
+    { field_key: 'ip_address', label: 'Dirección IP', type: 'text', required: 1, options: null, active: 1 },
+    { field_key: 'ports', label: 'Puertos', type: 'number', required: 0, options: null, active: 1 },
+    { field_key: 'license_expiry', label: 'Vencimiento', type: 'date', required: 0, options: null, active: 1 },
+    { field_key: 'band', label: 'Banda', type: 'enum', required: 0, options: '["2.4 GHz","5 GHz"]', active: 1 }
+].map(parseField);
+
+test('parseField convierte las banderas y las opciones guardadas como JSON', () => {
+    assert.equal(FIELDS[0].required, true);
+    assert.equal(FIELDS[1].required, false);
+    assert.deepEqual(FIELDS[0].options, []);
+    assert.deepEqual(FIELDS[3].options, ['2.4 GHz', '5 GHz']);
+});
+
+test('validateCustomFields normaliza los valores según el tipo y omite los vacíos', () => {
+    const result = validateCustomFields(FIELDS, {
+        ip_address: '  10.0.0.5 ',
+        ports: '48',
+        license_expiry: '2028-02-29',
+        band: '5 GHz'
+    });
+    
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.values, { ip_address: '10.0.0.5', ports: 48, license_expiry: '2028-02-29', band: '5 GHz' });
+    
+    assert.deepEqual(validateCustomFields(FIELDS, { ip_address: '10.0.0.5', ports: '', band: null }), {
+        values: { ip_address: '10.0.0.5' },
+        errors: []
+    });
+});
+
+test('validateCustomFields exige los campos requeridos', () => {
+    assert.deepEqual(validateCustomFields(FIELDS, {}).errors, [
+        { field: 'ip_address', value: null, message: 'Dirección IP es requerido' }
+    ]);
+    assert.deepEqual(validateCustomFields(FIELDS, undefined).errors, [
+        { field: 'ip_address', value: null, message: 'Dirección IP es requerido' }
+    ]);
+    assert.deepEqual(validateCustomFields(FIELDS, { ip_address: '   ' }).errors, [
+        { field: 'ip_address', value: '   ', message: 'Dirección IP es requerido' }
+    ]);
+});
+
+test('validateCustomFields rechaza valores que no corresponden al tipo', () => {
+    const { values, errors } = validateCustomFields(FIELDS, {
+        ip_address: 'x'.repeat(256),
+        ports: 'veinte',
+        license_expiry: '2027-02-29',
+        band: '6 GHz'
+    });
+    
+    assert.deepEqual(values, {});
+    assert.deepEqual(errors.map(error => [error.field, error.message]), [
+        ['ip_address', 'Máximo 255 caracteres'],
+        ['ports', 'Debe ser un número'],
+        ['license_expiry', 'Debe ser una fecha con formato AAAA-MM-DD'],
+        ['band', 'Valor no permitido (2.4 GHz, 5 GHz)']
+    ]);
+    
+    assert.deepEqual(validateCustomFields(FIELDS, { ip_address: 'a', ports: true }).errors, [
+        { field: 'ports', value: true, message: 'Debe ser un número' }
+    ]);
+});
+
+test('validateCustomFields rechaza claves que la categoría no define y entradas que no son objeto', () => {
+    assert.deepEqual(validateCustomFields(FIELDS, { ip_address: 'a', mac_address: 'AA:BB' }).errors, [
+        { field: 'mac_address', value: 'AA:BB', message: 'Campo no definido para la categoría' }
+    ]);
+    
+    ['texto', ['a'], 5].forEach(input => {
+        assert.deepEqual(validateCustomFields(FIELDS, input), {
+            values: {},
+            errors: [{ field: 'custom_fields', value: input, message: 'Debe ser un objeto { campo: valor }' }]
+        });
+    });
+});
+
+test('una categoría sin campos solo acepta valores vacíos', () => {
+    assert.deepEqual(validateCustomFields([], null), { values: {}, errors: [] });
+    assert.deepEqual(validateCustomFields([], { ip_address: '' }).errors, [
+        { field: 'ip_address', value: '', message: 'Campo no definido para la categoría' }
+    ]);
+});
+
+test('customFieldFilter arma coincidencia parcial en texto, exacta en enum y rangos en número y fecha', () => {
+    const filter = customFieldFilter(FIELDS, {
+        ip_address: ' 10.0 ',
+        band: '5 GHz',
+        ports: { from: '8', to: '' },
+        license_expiry: { to: '2026-12-31' }
+    });
+    
+    assert.deepEqual(filter.errors, []);
+    assert.equal(filter.clause, [
+        'json_extract(a.custom_fields, ?) LIKE ?',
+        'json_extract(a.custom_fields, ?) = ?',
+        'json_extract(a.custom_fields, ?) >= ?',
+        'json_extract(a.custom_fields, ?) <= ?'
+    ].join(' AND '));
+    assert.deepEqual(filter.params, [
+        '$.ip_address', '%10.0%', '$.band', '5 GHz', '$.ports', 8, '$.license_expiry', '2026-12-31'
+    ]);
+});
+
+test('customFieldFilter informa claves desconocidas, tipos ambiguos y rangos inválidos', () => {
+    const otherPorts = { ...FIELDS[1], type: 'text' };
+    
+    assert.deepEqual(customFieldFilter(FIELDS, { color: 'rojo' }).errors, [
+        { field: 'color', value: 'rojo', message: 'Campo personalizado no definido' }
+    ]);
+    assert.deepEqual(customFieldFilter([...FIELDS, otherPorts], { ports: '8' }).errors.map(error => error.message), [
+        'El campo tiene tipos distintos según la categoría; indique category'
+    ]);
+    assert.deepEqual(customFieldFilter(FIELDS, { ip_address: { from: 'a' }, ports: { from: 'x' } }).errors.map(error => error.message), [
+        'Los rangos solo aplican a campos de número o fecha',
+        'Debe ser un número'
+    ]);
+    
+    const empty = customFieldFilter(FIELDS, { ip_address: '' });
+    assert.equal(empty.clause, '1=1');
+    assert.deepEqual(empty.params, []);
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getDepreciationSettings, buildSchedule, getBookValue, getPeriodDepreciation
+} = require('../utils/depreciation');
+
+const settings = (overrides) => ({
+    method: 'straight_line',
+    usefulLifeMonths: 12,
+    cost: 12000,
+    salvageValue: 0,
+    startPeriod: '2024-02',
+    ...overrides
+});
+
+const column = (schedule, key) => schedule.map(month => month[key]);
+
+test('línea recta: el mismo monto cada mes hasta el valor de rescate', () => {
+    const schedule = buildSchedule(settings({ salvageValue: 1200 }));
+    
+    assert.equal(schedule.length, 12);
+    assert.deepEqual(column(schedule, 'depreciation'), Array(12).fill(900));
+    assert.deepEqual(schedule[0], { period: '2024-02', depreciation: 900, accumulated: 900, bookValue: 11100 });
+    assert.deepEqual(schedule[11], { period: '2025-01', depreciation: 900, accumulated: 10800, bookValue: 1200 });
+});
+
+test('línea recta: el último mes absorbe el redondeo', () => {
+    const schedule = buildSchedule(settings({ usefulLifeMonths: 3, cost: 1000 }));
+    
+    assert.deepEqual(column(schedule, 'depreciation'), [333.33, 333.33, 333.34]);
+    assert.deepEqual(column(schedule, 'bookValue'), [666.67, 333.34, 0]);
+    assert.equal(schedule[2].accumulated, 1000);
+});
+
+test('saldos decrecientes: doble tasa sobre el saldo y ajuste al valor de rescate en el último mes', () => {
+    const schedule = buildSchedule(settings({ method: 'declining_balance', usefulLifeMonths: 5, cost: 10000, salvageValue: 1000 }));
+    
+    assert.deepEqual(column(schedule, 'depreciation'), [4000, 2400, 1440, 864, 296]);
+    assert.deepEqual(column(schedule, 'bookValue'), [6000, 3600, 2160, 1296, 1000]);
+    assert.deepEqual(column(schedule, 'accumulated'), [4000, 6400, 7840, 8704, 9000]);
+});
+
+test('saldos decrecientes: cambia a línea recta sobre el saldo cuando esta es mayor', () => {
+    const schedule = buildSchedule(settings({ method: 'declining_balance', usefulLifeMonths: 10, cost: 10000 }));
+    
+    assert.deepEqual(column(schedule, 'depreciation').slice(0, 5), [2000, 1600, 1280, 1024, 819.2]);
+    assert.deepEqual(column(schedule, 'depreciation').slice(5), Array(5).fill(655.36));
+    assert.equal(schedule[9].bookValue, 0);
+});
+
+test('saldos decrecientes: nunca baja del valor de rescate antes del último mes', () => {
+    const schedule = buildSchedule(settings({ method: 'declining_balance', cost: 1000, salvageValue: 500 }));
+    
+    assert.deepEqual(column(schedule, 'depreciation').slice(0, 4), [166.67, 138.89, 115.74, 78.7]);
+    assert.deepEqual(column(schedule, 'depreciation').slice(4), Array(8).fill(0));
+    assert.ok(schedule.every(month => month.bookValue >= 500));
+    assert.equal(schedule[11].bookValue, 500);
+});
+
+test('getDepreciationSettings toma la categoría cuando el activo no define sus valores', () => {
+    const asset = {
+        purchase_price: 20000,
+        purchase_date: '2024-12-20',
+        category_depreciation_method: 'declining_balance',
+        category_useful_life_months: 36,
+        category_salvage_percentage: 10
+    };
+    
+    assert.deepEqual(getDepreciationSettings(asset), {
+        method: 'declining_balance',
+        usefulLifeMonths: 36,
+        cost: 20000,
+        salvageValue: 2000,
+        startPeriod: '2025-01'
+    });
+    
+    assert.deepEqual(getDepreciationSettings({
+        ...asset, depreciation_method: 'straight_line', useful_life_months: 24, salvage_value: 0
+    }), {
+        method: 'straight_line',
+        usefulLifeMonths: 24,
+        cost: 20000,
+        salvageValue: 0,
+        startPeriod: '2025-01'
+    });
+});
+
+test('getDepreciationSettings limita el valor de rescate al costo y exige precio, fecha y vida útil', () => {
+    const asset = { purchase_price: 500, purchase_date: '2024-01-10', useful_life_months: 12, salvage_value: 800 };
+    
+    assert.equal(getDepreciationSettings(asset).salvageValue, 500);
+    assert.equal(getDepreciationSettings({ ...asset, purchase_price: null }), null);
+    assert.equal(getDepreciationSettings({ ...asset, purchase_date: null }), null);
+    assert.equal(getDepreciationSettings({ ...asset, useful_life_months: null }), null);
+});
+
+test('getBookValue: costo antes de empezar, saldo del periodo y totalmente depreciado al final', () => {
+    const asset = { purchase_price: 12000, purchase_date: '2024-01-15', useful_life_months: 12, salvage_value: 0 };
+    
+    assert.equal(getBookValue(asset, '2024-01').book_value, 12000);
+    assert.equal(getBookValue(asset, '2024-01').accumulated_depreciation, 0);
+    
+    const middle = getBookValue(asset, '2024-07');
+    assert.equal(middle.depreciation_start, '2024-02');
+    assert.equal(middle.fully_depreciated_period, '2025-01');
+    assert.equal(middle.accumulated_depreciation, 6000);
+    assert.equal(middle.book_value, 6000);
+    assert.equal(middle.fully_depreciated, false);
+    
+    const end = getBookValue(asset, '2026-05');
+    assert.equal(end.book_value, 0);
+    assert.equal(end.fully_depreciated, true);
+    
+    assert.equal(getBookValue({ ...asset, purchase_price: 0 }, '2024-07'), null);
+});
+
+test('getPeriodDepreciation suma los meses del rango, incluido el inicio de la depreciación', () => {
+    const asset = { purchase_price: 12000, purchase_date: '2024-01-15', useful_life_months: 12, salvage_value: 0 };
+    
+    assert.deepEqual(getPeriodDepreciation(asset, '2024-01', '2024-03'), {
+        method: 'straight_line',
+        useful_life_months: 12,
+        salvage_value: 0,
+        opening_book_value: 12000,
+        depreciation: 2000,
+        accumulated_depreciation: 2000,
+        book_value: 10000
+    });
+    
+    const lastYear = getPeriodDepreciation(asset, '2024-12', '2025-06');
+    assert.equal(lastYear.opening_book_value, 2000);
+    assert.equal(lastYear.depreciation, 2000);
+    assert.equal(lastYear.book_value, 0);
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { getLoginPolicy, registerFailure, resetFailures, isLocked } = require('../utils/loginAttempts');
+
+const db = new sqlite3.Database(':memory:');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const getUser = () => new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM users WHERE id = 1`, (err, user) => (err ? reject(err) : resolve(user)));
+});
+
+const fail = (user) => new Promise((resolve, reject) => {
+    registerFailure(db, user, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+before(() => run(`CREATE TABLE users (id INTEGER PRIMARY KEY, failed_login_attempts INTEGER DEFAULT 0, locked_until DATETIME)`));
+
+beforeEach(async () => {
+    await run(`DELETE FROM users`);
+    await run(`INSERT INTO users (id) VALUES (1)`);
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+test('registerFailure cuenta los fallos y bloquea la cuenta al llegar al máximo', async () => {
+    const { maxAttempts } = getLoginPolicy();
+    const user = await getUser();
+    
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+        assert.deepEqual(await fail(user), { failures: attempt, lockedUntil: null });
+    }
+    
+    const locked = await fail(user);
+    assert.equal(locked.failures, maxAttempts);
+    assert.ok(locked.lockedUntil);
+    
+    const stored = await getUser();
+    assert.equal(stored.failed_login_attempts, 0);
+    assert.equal(stored.locked_until, locked.lockedUntil);
+    assert.ok(isLocked(stored));
+});
+
+test('los fallos simultáneos leídos antes del bloqueo no se pierden', async () => {
+    const { maxAttempts } = getLoginPolicy();
+    
+    // Todas las peticiones leyeron al usuario sin fallos antes de comparar la contraseña
+    const user = await getUser();
+    const results = await Promise.all(Array.from({ length: maxAttempts * 2 + 2 }, () => fail(user)));
+    
+    const unlocked = results.filter(result => !result.lockedUntil);
+    assert.deepEqual(unlocked.map(result => result.failures), Array.from({ length: maxAttempts - 1 }, (value, index) => index + 1));
+    
+    // El bloqueo no se extiende con los fallos que llegan cuando la cuenta ya está bloqueada
+    const lockedUntil = new Set(results.filter(result => result.lockedUntil).map(result => result.lockedUntil));
+    assert.equal(lockedUntil.size, 1);
+    assert.ok(isLocked(await getUser()));
+});
+
+test('resetFailures reinicia el contador y quita el bloqueo', async () => {
+    const { maxAttempts } = getLoginPolicy();
+    const user = await getUser();
+    
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        await fail(user);
+    }
+    
+    await new Promise(resolve => resetFailures(db, 1, resolve));
+    
+    const stored = await getUser();
+    assert.equal(stored.failed_login_attempts, 0);
+    assert.equal(stored.locked_until, null);
+    assert.deepEqual(await fail(stored), { failures: 1, lockedUntil: null });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+// Reloj fijo a la mitad de un paso para que verifyCode no cambie de paso durante la prueba
+const freezeClock = (t) => t.mock.timers.enable({ apis: ['Date'], now: 1700000015000 });
+
+test('base32Encode sigue el RFC 4648 sin relleno', () => {
+    assert.equal(totp.base32Encode(Buffer.from('f')), 'MY');
+    assert.equal(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});
+
+test('generateCode reproduce los vectores del RFC 6238 (SHA1, 6 dígitos)', () => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ];
+    
+    vectors.forEach(([seconds, code]) => {
+        assert.equal(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000)), code);
+    });
+});
+
+test('el secreto se decodifica sin importar minúsculas ni espacios', () => {
+    const spaced = RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ');
+    assert.equal(totp.generateCode(spaced, 1), totp.generateCode(RFC_SECRET, 1));
+});
+
+test('verifyCode acepta el paso actual y uno de tolerancia hacia cada lado', (t) => {
+    freezeClock(t);
+    
+    const secret = totp.generateSecret();
+    const now = totp.currentStep();
+    
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, now)), now);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, now - 1)), now - 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, now + 1)), now + 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, now - 3)), null);
+});
+
+test('verifyCode rechaza los pasos ya usados', (t) => {
+    freezeClock(t);
+    
+    const secret = totp.generateSecret();
+    const now = totp.currentStep();
+    const code = totp.generateCode(secret, now);
+    
+    assert.equal(totp.verifyCode(secret, code, now), null);
+    assert.equal(totp.verifyCode(secret, code, now - 1), now);
+});
+
+test('verifyCode ignora espacios y rechaza códigos mal formados', (t) => {
+    freezeClock(t);
+    
+    const secret = totp.generateSecret();
+    const now = totp.currentStep();
+    const code = totp.generateCode(secret, now);
+    
+    assert.equal(totp.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`), now);
+    assert.equal(totp.verifyCode(secret, code.slice(1)), null);
+    assert.equal(totp.verifyCode(secret, 'abcdef'), null);
+    assert.equal(totp.verifyCode(secret, null), null);
+});
+
+test('generateSecret produce 160 bits en base32', () => {
+    const secret = totp.generateSecret();
+    
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, totp.generateSecret());
+});
+
+test('getProvisioningUri incluye emisor, cuenta y parámetros del código', () => {
+    const uri = totp.getProvisioningUri('ABC234', 'ana@hotel.mx', 'SIAF Hotel');
+    
+    assert.equal(uri, 'otpauth://totp/SIAF%20Hotel:ana%40hotel.mx?secret=ABC234&issuer=SIAF%20Hotel' +
+        '&algorithm=SHA1&digits=6&period=30');
+});
+
+test('los códigos de recuperación son únicos y su hash no distingue mayúsculas ni espacios', () => {
+    const codes = totp.generateRecoveryCodes();
+    
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.equal(totp.hashRecoveryCode(` ${codes[0].toUpperCase()} `), totp.hashRecoveryCode(codes[0]));
+});
+
+test('el secreto cifrado se recupera y no admite alteraciones', () => {
+    const secret = totp.generateSecret();
+    const encrypted = totp.encryptSecret(secret);
+    
+    assert.notEqual(encrypted, totp.encryptSecret(secret));
+    assert.equal(totp.decryptSecret(encrypted), secret);
+    
+    const [iv, tag, data] = encrypted.split('.');
+    const tampered = Buffer.from(data, 'base64');
+    tampered[0] ^= 1;
+    
+    assert.throws(() => totp.decryptSecret([iv, tag, tampered.toString('base64')].join('.')));
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { runTransaction } = require('../utils/transaction');
+
+// Base en un archivo temporal: runTransaction abre su propia conexión al mismo archivo
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'siaf-transaction-'));
+const db = new sqlite3.Database(path.join(directory, 'test.db'));
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const transaction = (statements) => new Promise(resolve => {
+    runTransaction(db, statements, (err, results) => resolve({ err, results }));
+});
+
+before(() => run(`CREATE TABLE entries (id INTEGER PRIMARY KEY AUTOINCREMENT, batch TEXT NOT NULL, amount INTEGER NOT NULL)`));
+
+after(() => new Promise(resolve => {
+    db.close(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        resolve();
+    });
+}));
+
+test('confirma las sentencias y entrega lastID y changes de cada una', async () => {
+    await run(`DELETE FROM entries`);
+    
+    const { err, results } = await transaction([
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['a', 10]],
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['a', 20]],
+        [`UPDATE entries SET amount = amount + 1 WHERE batch = ?`, ['a']]
+    ]);
+    
+    assert.equal(err, null);
+    assert.equal(results.length, 3);
+    assert.equal(results[1].lastID, results[0].lastID + 1);
+    assert.equal(results[2].changes, 2);
+    assert.deepEqual((await all(`SELECT amount FROM entries ORDER BY id`)).map(row => row.amount), [11, 21]);
+});
+
+test('una sentencia con error revierte toda la transacción', async () => {
+    await run(`DELETE FROM entries`);
+    
+    const { err, results } = await transaction([
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['b', 10]],
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['b', null]]
+    ]);
+    
+    assert.ok(err);
+    assert.equal(results, undefined);
+    assert.deepEqual(await all(`SELECT * FROM entries`), []);
+});
+
+test('las transacciones simultáneas se ejecutan una a la vez y solo se revierte la que falla', async () => {
+    await run(`DELETE FROM entries`);
+    
+    const batches = Array.from({ length: 20 }, (value, index) => `batch-${index}`);
+    
+    // Las transacciones impares fallan en su última sentencia
+    const outcomes = await Promise.all(batches.map((batch, index) => transaction([
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, [batch, 1]],
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, [batch, 2]],
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, [batch, index % 2 === 0 ? 3 : null]]
+    ])));
+    
+    outcomes.forEach(({ err }, index) => {
+        if (index % 2 === 0) assert.equal(err, null);
+        else assert.ok(err);
+    });
+    
+    const rows = await all(`SELECT batch, COUNT(*) as count FROM entries GROUP BY batch ORDER BY batch`);
+    const expected = batches.filter((batch, index) => index % 2 === 0).sort();
+    
+    assert.deepEqual(rows.map(row => row.batch), expected);
+    rows.forEach(row => assert.equal(row.count, 3));
+});
+
+test('las consultas de la conexión compartida no quedan dentro de una transacción que se revierte', async () => {
+    await run(`DELETE FROM entries`);
+    
+    const failing = transaction([
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['tx', 1]],
+        [`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['tx', null]]
+    ]);
+    const outside = run(`INSERT INTO entries (batch, amount) VALUES (?, ?)`, ['outside', 1]);
+    
+    const [{ err }] = await Promise.all([failing, outside]);
+    
+    assert.ok(err);
+    assert.deepEqual((await all(`SELECT batch FROM entries`)).map(row => row.batch), ['outside']);
+});
\ No newline at end of file
@@ -0,0 +1,385 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { normalizeSupplierName } = require('./suppliers');
+const { matchLocation } = require('./locations');
+const { FIELD_KEY_PATTERN, parseField, validateCustomFields } = require('./customFields');
+
+// Importación masiva de activos desde CSV o XLSX. El archivo se lee en memoria, cada fila se
+// valida contra el catálogo (categorías, usuarios, códigos y números de serie existentes, campos
+// personalizados de su categoría) y solo se importa si ninguna fila tiene errores.
+
+// Campos importables y encabezados reconocidos sin necesidad de mapeo
+const IMPORT_FIELDS = {
+    asset_code: ['asset_code', 'codigo', 'codigo del activo', 'clave'],
+    name: ['name', 'nombre', 'activo'],
+    description: ['description', 'descripcion'],
+    category: ['category', 'categoria'],
+    brand: ['brand', 'marca'],
+    model: ['model', 'modelo'],
+    serial_number: ['serial_number', 'serie', 'numero de serie', 'no de serie'],
+    purchase_date: ['purchase_date', 'fecha de compra', 'fecha compra'],
+    purchase_price: ['purchase_price', 'precio', 'precio de compra', 'costo'],
+    supplier: ['supplier', 'proveedor'],
+    location: ['location', 'ubicacion'],
+    status: ['status', 'estado'],
+    responsible: ['responsible', 'responsable', 'usuario responsable'],
+    warranty_expiry: ['warranty_expiry', 'garantia', 'vencimiento de garantia'],
+    notes: ['notes', 'notas', 'observaciones']
+};
+
+const REQUIRED_FIELDS = ['asset_code', 'name', 'category'];
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Los campos personalizados se mapean como custom_fields.<clave>
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+const normalizeHeader = (header) => String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, ' ')
+    .trim();
+
+// Leer un CSV con comillas dobles; el separador (coma o punto y coma, como exporta Excel en español)
+// se detecta en la primera línea
+const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    
+    return rows;
+};
+
+// Valor de una celda de Excel como texto (fechas en formato AAAA-MM-DD)
+const cellToText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.result !== undefined) return cellToText(value.result);
+        if (value.text !== undefined) return String(value.text);
+    }
+    return String(value);
+};
+
+const readXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // row.values empieza en el índice 1
+        rows[rowNumber - 1] = row.values.slice(1).map(cellToText);
+    });
+    
+    return Array.from(rows, row => row || []);
+};
+
+// Leer el archivo subido con multer; el callback recibe { headers, rows } donde cada fila
+// incluye su número en la hoja (la fila 1 es el encabezado)
+const readSpreadsheet = (file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    
+    const read = extension === '.xlsx'
+        ? readXlsx(file.buffer)
+        : Promise.resolve(parseCsv(file.buffer.toString('utf8')));
+    
+    read
+        .then(table => {
+            const [headers = [], ...body] = table;
+            
+            const rows = body
+                .map((cells, index) => ({
+                    rowNumber: index + 2,
+                    values: headers.reduce((acc, header, column) => {
+                        acc[String(header).trim()] = String(cells[column] || '').trim();
+                        return acc;
+                    }, {})
+                }))
+                .filter(row => Object.values(row.values).some(Boolean));
+            
+            callback(null, { headers: headers.map(header => String(header).trim()).filter(Boolean), rows });
+        })
+        .catch(err => callback(err));
+};
+
+// Mapeo campo → encabezado: el indicado por el usuario o el que coincide con los nombres reconocidos.
+// Los campos personalizados indicados como custom_fields.<clave> quedan en mapping.custom_fields.
+// Devuelve { mapping, errors }.
+const buildMapping = (headers, customMapping = {}) => {
+    const errors = [];
+    const mapping = { custom_fields: {} };
+    
+    Object.entries(customMapping).forEach(([field, header]) => {
+        const customKey = field.startsWith(CUSTOM_FIELD_PREFIX) ? field.slice(CUSTOM_FIELD_PREFIX.length) : null;
+        
+        if (!IMPORT_FIELDS[field] && !(customKey && FIELD_KEY_PATTERN.test(customKey))) {
+            errors.push(`Campo desconocido en el mapeo: ${field}`);
+        } else if (!headers.includes(header)) {
+            errors.push(`La columna "${header}" no existe en el archivo`);
+        } else if (customKey) {
+            mapping.custom_fields[customKey] = header;
+        } else {
+            mapping[field] = header;
+        }
+    });
+    
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+        if (mapping[field]) return;
+        const header = headers.find(candidate => aliases.includes(normalizeHeader(candidate)));
+        if (header) mapping[field] = header;
+    });
+    
+    REQUIRED_FIELDS.filter(field => !mapping[field]).forEach(field => {
+        errors.push(`No se encontró la columna para el campo requerido ${field}`);
+    });
+    
+    return { mapping, errors };
+};
+
+// Fechas AAAA-MM-DD o DD/MM/AAAA
+const parseDate = (value) => {
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    let parts = match ? [match[1], match[2], match[3]] : null;
+    
+    if (!parts) {
+        match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        parts = match ? [match[3], match[2], match[1]] : null;
+    }
+    
+    if (!parts) return null;
+    
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    
+    return date.toISOString().slice(0, 10);
+};
+
+// Importes con o sin signo de pesos y separador de miles
+const parseAmount = (value) => {
+    const normalized = value.replace(/[$\s]/g, '').replace(/,/g, '');
+    if (!/^\d+(\.\d+)?$/.test(normalized)) return null;
+    return parseFloat(normalized);
+};
+
+// Validar todas las filas de la hoja ({ headers, rows }). El callback recibe { assets, errors,
+// customFields } donde errors es [{ row, field, value, message }], assets las filas listas para
+// insertar y customFields las columnas usadas para cada campo personalizado.
+const validateRows = (db, { headers, rows }, mapping, callback) => {
+    const valueOf = (row, field) => (mapping[field] ? row.values[mapping[field]] || '' : '');
+    
+    // Códigos y números de serie se comparan sin distinguir mayúsculas
+    const codes = rows.map(row => valueOf(row, 'asset_code').toLowerCase()).filter(Boolean);
+    const serials = rows.map(row => valueOf(row, 'serial_number').toLowerCase()).filter(Boolean);
+    const placeholders = (list) => list.map(() => '?').join(', ') || 'NULL';
+    
+    const queries = {
+        categories: [`SELECT id, name FROM asset_categories`, []],
+        users: [`SELECT id, username, email, full_name FROM users WHERE active = 1`, []],
+        suppliers: [`SELECT id, name, normalized_name FROM suppliers`, []],
+        locations: [`SELECT * FROM locations WHERE active = 1`, []],
+        fields: [`SELECT * FROM category_fields WHERE active = 1 ORDER BY sort_order ASC, id ASC`, []],
+        codes: [`SELECT asset_code FROM assets WHERE LOWER(asset_code) IN (${placeholders(codes)})`, codes],
+        serials: [`SELECT serial_number FROM assets WHERE LOWER(serial_number) IN (${placeholders(serials)})`, serials]
+    };
+    
+    const results = {};
+    const promises = Object.keys(queries).map(key => new Promise((resolve, reject) => {
+        const [sql, params] = queries[key];
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else {
+                results[key] = rows;
+                resolve();
+            }
+        });
+    }));
+    
+    Promise.all(promises)
+        .then(() => {
+            const existingCodes = new Set(results.codes.map(asset => asset.asset_code.toLowerCase()));
+            const existingSerials = new Set(results.serials.map(asset => asset.serial_number.toLowerCase()));
+            const seenCodes = new Map();
+            const seenSerials = new Map();
+            const fields = results.fields.map(parseField);
+            
+            // Columnas de campos personalizados: las del mapeo y, para las demás claves, la columna cuyo
+            // encabezado coincide con la clave o la etiqueta del campo (sin tomar las de campos estándar)
+            const usedHeaders = Object.values(mapping).filter(header => typeof header === 'string');
+            const customColumns = { ...mapping.custom_fields };
+            fields.forEach(field => {
+                if (customColumns[field.field_key]) return;
+                const header = headers.find(candidate => !usedHeaders.includes(candidate)
+                    && [field.field_key, normalizeHeader(field.label)].includes(normalizeHeader(candidate)));
+                if (header) customColumns[field.field_key] = header;
+            });
+            
+            const errors = [];
+            const assets = [];
+            
+            rows.forEach(row => {
+                const rowErrors = [];
+                const addError = (field, message) => {
+                    rowErrors.push({ row: row.rowNumber, field, value: valueOf(row, field), message });
+                };
+                
+                REQUIRED_FIELDS.forEach(field => {
+                    if (!valueOf(row, field)) addError(field, 'Campo requerido');
+                });
+                
+                const assetCode = valueOf(row, 'asset_code');
+                if (assetCode) {
+                    const key = assetCode.toLowerCase();
+                    if (existingCodes.has(key)) addError('asset_code', 'El código del activo ya existe');
+                    else if (seenCodes.has(key)) addError('asset_code', `Código duplicado en la fila ${seenCodes.get(key)}`);
+                    else seenCodes.set(key, row.rowNumber);
+                }
+                
+                const serialNumber = valueOf(row, 'serial_number');
+                if (serialNumber) {
+                    const key = serialNumber.toLowerCase();
+                    if (existingSerials.has(key)) addError('serial_number', 'El número de serie ya está registrado');
+                    else if (seenSerials.has(key)) addError('serial_number', `Número de serie duplicado en la fila ${seenSerials.get(key)}`);
+                    else seenSerials.set(key, row.rowNumber);
+                }
+                
+                const categoryName = valueOf(row, 'category');
+                const category = categoryName && results.categories.find(candidate =>
+                    normalizeHeader(candidate.name) === normalizeHeader(categoryName) || String(candidate.id) === categoryName
+                );
+                if (categoryName && !category) addError('category', 'Categoría no encontrada');
+                
+                // Campos personalizados de la categoría; un valor en una columna que no aplica a la
+                // categoría de la fila también es error
+                const customInput = {};
+                Object.entries(customColumns).forEach(([key, header]) => {
+                    if (row.values[header]) customInput[key] = row.values[header];
+                });
+                
+                let customValues = {};
+                if (category) {
+                    const categoryFields = fields.filter(field => field.category_id === category.id);
+                    const result = validateCustomFields(categoryFields, customInput);
+                    result.errors.forEach(error => rowErrors.push({
+                        row: row.rowNumber, field: `${CUSTOM_FIELD_PREFIX}${error.field}`, value: error.value, message: error.message
+                    }));
+                    customValues = result.values;
+                }
+                
+                // El responsable se busca por usuario, email o nombre completo
+                const responsibleName = valueOf(row, 'responsible');
+                let responsible = null;
+                if (responsibleName) {
+                    const key = responsibleName.toLowerCase();
+                    const matches = results.users.filter(user =>
+                        [user.username, user.email, user.full_name].some(value => value && value.toLowerCase() === key)
+                    );
+                    if (matches.length === 0) addError('responsible', 'Usuario responsable no encontrado');
+                    else if (matches.length > 1) addError('responsible', 'Hay más de un usuario con ese nombre; use el usuario o email');
+                    else responsible = matches[0];
+                }
+                
+                const dates = {};
+                ['purchase_date', 'warranty_expiry'].forEach(field => {
+                    const value = valueOf(row, field);
+                    if (!value) return;
+                    dates[field] = parseDate(value);
+                    if (!dates[field]) addError(field, 'Fecha inválida (use AAAA-MM-DD o DD/MM/AAAA)');
+                });
+                
+                const priceText = valueOf(row, 'purchase_price');
+                const purchasePrice = priceText ? parseAmount(priceText) : null;
+                if (priceText && purchasePrice === null) addError('purchase_price', 'Precio inválido');
+                
+                // Proveedores del catálogo; si no existe se conserva el nombre en texto libre
+                const supplierName = valueOf(row, 'supplier');
+                const supplier = supplierName && results.suppliers.find(candidate =>
+                    candidate.normalized_name === normalizeSupplierName(supplierName)
+                );
+                
+                // Igual con las ubicaciones: ruta, alias o nombre del catálogo, o el texto tal cual
+                const place = matchLocation(results.locations, null, valueOf(row, 'location'));
+                
+                if (rowErrors.length > 0) {
+                    errors.push(...rowErrors);
+                    return;
+                }
+                
+                assets.push({
+                    row: row.rowNumber,
+                    asset_code: assetCode,
+                    name: valueOf(row, 'name'),
+                    description: valueOf(row, 'description') || null,
+                    category_id: category.id,
+                    brand: valueOf(row, 'brand') || null,
+                    model: valueOf(row, 'model') || null,
+                    serial_number: serialNumber || null,
+                    purchase_date: dates.purchase_date || null,
+                    purchase_price: purchasePrice,
+                    supplier: supplier ? supplier.name : supplierName || null,
+                    supplier_id: supplier ? supplier.id : null,
+                    location: place.location,
+                    location_id: place.location_id,
+                    status: (valueOf(row, 'status') || 'active').toLowerCase(),
+                    responsible_user_id: responsible ? responsible.id : null,
+                    warranty_expiry: dates.warranty_expiry || null,
+                    notes: valueOf(row, 'notes') || null,
+                    custom_fields: customValues
+                });
+            });
+            
+            callback(null, { assets, errors, customFields: customColumns });
+        })
+        .catch(err => callback(err));
+};
+
+module.exports = {
+    IMPORT_FIELDS,
+    IMPORT_EXTENSIONS,
+    readSpreadsheet,
+    buildMapping,
+    validateRows
+};
\ No newline at end of file
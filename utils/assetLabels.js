@@ -0,0 +1,104 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { HOTEL } = require('./responsiveFormPdf');
+
+// Etiquetas físicas de activos con código QR o Code128. El QR lleva la URL del activo en la
+// aplicación; el Code128 lleva el código del activo para lectores de código de barras.
+
+const LABEL_TYPES = ['qr', 'code128'];
+
+// Hojas de etiquetas comunes (medidas en puntos, 72 por pulgada)
+const LABEL_LAYOUTS = {
+    // Carta, 30 etiquetas de 2 5/8" x 1"
+    'avery-5160': { size: 'LETTER', columns: 3, rows: 10, width: 189, height: 72, top: 36, left: 13.5, hGap: 9, vGap: 0 },
+    // Carta, 10 etiquetas de 4" x 2"
+    'avery-5163': { size: 'LETTER', columns: 2, rows: 5, width: 288, height: 144, top: 36, left: 11.25, hGap: 13.5, vGap: 0 },
+    // A4, 21 etiquetas de 63.5 x 38.1 mm
+    'avery-l7160': { size: 'A4', columns: 3, rows: 7, width: 180, height: 108, top: 43, left: 20.4, hGap: 7.1, vGap: 0 }
+};
+
+// Tamaño de la etiqueta individual (4" x 2", común en impresoras térmicas)
+const SINGLE_LABEL = { width: 288, height: 144 };
+
+const getAssetUrl = (asset) => `${process.env.APP_URL || 'http://localhost:3000'}/inventory/${asset.id}`;
+
+// Imagen PNG del código; resuelve con un Buffer
+const renderCode = (asset, type) => bwipjs.toBuffer(type === 'qr'
+    ? { bcid: 'qrcode', text: getAssetUrl(asset), scale: 4, eclevel: 'M' }
+    : { bcid: 'code128', text: asset.asset_code, scale: 3, height: 10, includetext: true, textxalign: 'center' });
+
+// Dibujar una etiqueta en el rectángulo (x, y, width, height) de la página
+const drawLabel = (doc, asset, type, image, x, y, width, height) => {
+    const padding = Math.max(4, height * 0.06);
+    const fontSize = Math.min(9, height / 9);
+    
+    if (type === 'qr') {
+        // QR cuadrado a la izquierda y los textos a la derecha
+        const codeSize = height - padding * 2;
+        const textX = x + padding * 2 + codeSize;
+        const textWidth = width - codeSize - padding * 3;
+        
+        doc.image(image, x + padding, y + padding, { width: codeSize, height: codeSize });
+        doc.font('Helvetica-Bold').fontSize(fontSize * 0.8)
+            .text(HOTEL.name, textX, y + padding, { width: textWidth, height: fontSize * 2, ellipsis: true });
+        doc.font('Helvetica').fontSize(fontSize)
+            .text(asset.name, textX, doc.y + 2, { width: textWidth, height: fontSize * 2.5, ellipsis: true });
+        doc.font('Helvetica-Bold').fontSize(fontSize * 1.1)
+            .text(asset.asset_code, textX, y + height - padding - fontSize * 1.2, { width: textWidth, lineBreak: false });
+        return;
+    }
+    
+    // Code128: nombre del hotel arriba, código en medio y nombre del activo abajo
+    const innerWidth = width - padding * 2;
+    
+    doc.font('Helvetica-Bold').fontSize(fontSize * 0.8)
+        .text(HOTEL.name, x + padding, y + padding, { width: innerWidth, align: 'center', lineBreak: false });
+    doc.image(image, x + padding, y + padding + fontSize * 1.2, {
+        fit: [innerWidth, height - padding * 2 - fontSize * 2.6],
+        align: 'center',
+        valign: 'center'
+    });
+    doc.font('Helvetica').fontSize(fontSize * 0.9)
+        .text(asset.name, x + padding, y + height - padding - fontSize, { width: innerWidth, align: 'center', lineBreak: false, ellipsis: true });
+};
+
+// Etiqueta individual en una página del tamaño de la etiqueta
+const buildSingleLabel = (asset, type) => renderCode(asset, type).then(image => {
+    const doc = new PDFDocument({ size: [SINGLE_LABEL.width, SINGLE_LABEL.height], margin: 0 });
+    drawLabel(doc, asset, type, image, 0, 0, SINGLE_LABEL.width, SINGLE_LABEL.height);
+    return doc;
+});
+
+// Hojas de etiquetas; start indica la primera posición libre (1 = esquina superior izquierda)
+// para aprovechar hojas ya usadas
+const buildLabelSheet = (assets, { type, layout, start = 1 }) => Promise.all(assets.map(asset => renderCode(asset, type)))
+    .then(images => {
+        const sheet = LABEL_LAYOUTS[layout];
+        const perPage = sheet.columns * sheet.rows;
+        const doc = new PDFDocument({ size: sheet.size, margin: 0, autoFirstPage: false });
+        
+        assets.forEach((asset, index) => {
+            const position = index + start - 1;
+            const slot = position % perPage;
+            
+            if (index === 0 || slot === 0) doc.addPage();
+            
+            const column = slot % sheet.columns;
+            const row = Math.floor(slot / sheet.columns);
+            drawLabel(doc, asset, type, images[index],
+                sheet.left + column * (sheet.width + sheet.hGap),
+                sheet.top + row * (sheet.height + sheet.vGap),
+                sheet.width, sheet.height);
+        });
+        
+        return doc;
+    });
+
+module.exports = {
+    LABEL_TYPES,
+    LABEL_LAYOUTS,
+    getAssetUrl,
+    renderCode,
+    buildSingleLabel,
+    buildLabelSheet
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Historial unificado de un activo. Cada parte de la consulta produce eventos con las mismas
+// columnas para combinarlos con UNION ALL y ordenarlos y paginarlos en SQLite.
+// Las asignaciones y cambios de estado salen de la bitácora de auditoría (ver utils/audit.js).
+
+const TIMELINE_EVENT_TYPES = ['purchase', 'assignment', 'transfer', 'incident', 'maintenance', 'status_change', 'warranty'];
+
+// Cambios de un campo del activo registrados en la bitácora (c.value es { field, old, new })
+const auditedField = (field) => `
+      FROM audit_log al
+      JOIN json_each(al.changes) c ON json_extract(c.value, '$.field') = '${field}'`;
+
+const EVENT_QUERIES = [
+    // Compra o alta del activo (con la requisición de origen si se recibió por compras)
+    `SELECT 'purchase' as event_type, COALESCE(a.purchase_date, a.created_at) as event_date,
+        'Compra del activo' as title,
+        TRIM(COALESCE(a.supplier, '') || CASE WHEN a.purchase_price IS NOT NULL THEN ' $' || a.purchase_price ELSE '' END) as description,
+        CASE WHEN r.id IS NOT NULL THEN 'requisition' ELSE 'asset' END as reference_type,
+        COALESCE(r.id, a.id) as reference_id, COALESCE(r.requisition_code, a.asset_code) as reference_code,
+        NULL as user_name
+      FROM assets a
+      LEFT JOIN requisition_items ri ON a.requisition_item_id = ri.id
+      LEFT JOIN requisitions r ON ri.requisition_id = r.id
+      WHERE a.id = ?`,
+    
+    // Asignaciones directas del responsable (las transferencias aprobadas se muestran con su formato)
+    `SELECT 'assignment', al.created_at,
+        CASE WHEN json_extract(c.value, '$.new') IS NULL THEN 'Responsable retirado' ELSE 'Asignado a ' || COALESCE(u.full_name, 'usuario') END,
+        NULL, 'audit', al.id, NULL, al.username
+      ${auditedField('responsible_user_id')}
+      LEFT JOIN users u ON u.id = json_extract(c.value, '$.new')
+      WHERE al.entity = 'asset' AND al.entity_id = ? AND al.action != 'transfer'`,
+    
+    // Transferencias por formato responsivo
+    `SELECT 'transfer', COALESCE(rf.transfer_date, rf.created_at),
+        CASE rf.status
+            WHEN 'approved' THEN 'Transferido a '
+            WHEN 'rejected' THEN 'Transferencia rechazada a '
+            ELSE 'Transferencia solicitada a '
+        END || COALESCE(nr.full_name, 'usuario'),
+        rf.reason, 'responsive_form', rf.id, rf.form_code, pr.full_name
+      FROM responsive_forms rf
+      LEFT JOIN users nr ON rf.new_responsible_id = nr.id
+      LEFT JOIN users pr ON rf.previous_responsible_id = pr.id
+      WHERE rf.asset_id = ?`,
+    
+    // Incidencias reportadas y resueltas
+    `SELECT 'incident', i.reported_date, 'Incidencia reportada: ' || i.title,
+        i.description, 'incident', i.id, i.incident_code, u.full_name
+      FROM incidents i
+      LEFT JOIN users u ON i.reported_by = u.id
+      WHERE i.asset_id = ?`,
+    `SELECT 'incident', i.resolved_date, 'Incidencia resuelta: ' || i.title,
+        i.solution, 'incident', i.id, i.incident_code, u.full_name
+      FROM incidents i
+      LEFT JOIN users u ON i.assigned_to = u.id
+      WHERE i.asset_id = ? AND i.resolved_date IS NOT NULL`,
+    
+    // Mantenimientos programados y completados
+    `SELECT 'maintenance', m.scheduled_date, 'Mantenimiento programado: ' || m.title,
+        m.description, 'maintenance', m.id, m.maintenance_code, u.full_name
+      FROM maintenances m
+      LEFT JOIN users u ON m.technician_id = u.id
+      WHERE m.asset_id = ? AND m.scheduled_date IS NOT NULL`,
+    `SELECT 'maintenance', m.completed_date, 'Mantenimiento completado: ' || m.title,
+        m.notes, 'maintenance', m.id, m.maintenance_code, u.full_name
+      FROM maintenances m
+      LEFT JOIN users u ON m.technician_id = u.id
+      WHERE m.asset_id = ? AND m.completed_date IS NOT NULL`,
+    
+    // Cambios de estado (incluye la baja del activo)
+    `SELECT 'status_change', al.created_at,
+        'Estado: ' || COALESCE(json_extract(c.value, '$.old'), 'sin estado') || ' → ' || COALESCE(json_extract(c.value, '$.new'), 'sin estado'),
+        NULL, 'audit', al.id, NULL, al.username
+      ${auditedField('status')}
+      WHERE al.entity = 'asset' AND al.entity_id = ? AND al.action != 'create'`,
+    
+    // Vencimiento de la garantía
+    `SELECT 'warranty', a.warranty_expiry,
+        CASE WHEN a.warranty_expiry < DATE('now') THEN 'Garantía vencida' ELSE 'Vence la garantía' END,
+        NULL, 'asset', a.id, a.asset_code, NULL
+      FROM assets a
+      WHERE a.id = ? AND a.warranty_expiry IS NOT NULL`
+];
+
+// Consulta de eventos del activo filtrada por tipo; devuelve { sql, params } para envolverla
+// con ORDER BY/LIMIT o con COUNT(*)
+const buildTimelineQuery = (assetId, types = TIMELINE_EVENT_TYPES) => {
+    const sql = `SELECT * FROM (
+        ${EVENT_QUERIES.join('\n        UNION ALL\n        ')}
+    ) WHERE event_date IS NOT NULL AND event_type IN (${types.map(() => '?').join(', ')})`;
+    
+    // Cada parte de la consulta recibe el id del activo una sola vez
+    const params = [...EVENT_QUERIES.map(() => assetId), ...types];
+    
+    return { sql, params };
+};
+
+module.exports = {
+    TIMELINE_EVENT_TYPES,
+    buildTimelineQuery
+};
\ No newline at end of file
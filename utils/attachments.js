@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { assetScope, incidentScope, maintenanceScope, formScope } = require('./departmentScope');
+
+// Archivos adjuntos (facturas, garantías, fotos de daños, responsivas firmadas) de activos,
+// incidencias, mantenimientos y formatos responsivos. Los archivos se guardan en disco bajo
+// UPLOAD_PATH/<tipo>/ con un nombre aleatorio; el nombre original y el SHA-256 van en la tabla.
+
+// Registros que aceptan adjuntos. Ver el adjunto exige el permiso de consulta del módulo y que
+// el registro sea visible para el usuario (departmentScope); subirlo, alguno de los permisos de
+// upload. Borrarlo puede quien lo subió o quien tenga alguno de los permisos de manage.
+const ATTACHMENT_ENTITIES = {
+    asset: {
+        table: 'assets', alias: 'a', scope: assetScope,
+        view: ['inventory.view'], upload: ['inventory.create', 'inventory.update'], manage: ['inventory.update']
+    },
+    incident: {
+        table: 'incidents', alias: 'i', scope: incidentScope,
+        view: ['incidents.view'], upload: ['incidents.create', 'incidents.update', 'incidents.resolve'],
+        manage: ['incidents.update']
+    },
+    maintenance: {
+        table: 'maintenances', alias: 'm', scope: maintenanceScope,
+        view: ['maintenance.view'], upload: ['maintenance.create', 'maintenance.update', 'maintenance.execute'],
+        manage: ['maintenance.update']
+    },
+    responsive_form: {
+        table: 'responsive_forms', alias: 'rf', scope: formScope,
+        view: ['forms.view'], upload: ['forms.create', 'forms.approve'], manage: ['forms.approve']
+    }
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Tipos permitidos por extensión: MIME con el que se guarda, MIME que puede declarar el navegador
+// y firma del contenido (el archivo debe ser realmente del tipo que dice su extensión)
+const FILE_TYPES = {
+    '.pdf': {
+        mime: 'application/pdf', accepts: ['application/pdf'],
+        signature: buffer => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]) // %PDF-
+    },
+    '.jpg': {
+        mime: 'image/jpeg', accepts: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+        signature: buffer => startsWith(buffer, [0xff, 0xd8, 0xff])
+    },
+    '.png': {
+        mime: 'image/png', accepts: ['image/png'],
+        signature: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+    },
+    '.webp': {
+        mime: 'image/webp', accepts: ['image/webp'],
+        signature: buffer => startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)
+    },
+    '.heic': {
+        mime: 'image/heic', accepts: ['image/heic', 'image/heif'],
+        signature: buffer => startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4) // ftyp
+    },
+    // Facturas electrónicas (CFDI)
+    '.xml': {
+        mime: 'application/xml', accepts: ['application/xml', 'text/xml'],
+        signature: buffer => buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart().startsWith('<')
+    },
+    '.docx': {
+        mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        accepts: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        signature: buffer => startsWith(buffer, ZIP_SIGNATURE)
+    },
+    '.xlsx': {
+        mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        accepts: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        signature: buffer => startsWith(buffer, ZIP_SIGNATURE)
+    }
+};
+FILE_TYPES['.jpeg'] = FILE_TYPES['.jpg'];
+
+// Algunos navegadores no reconocen HEIC ni XML y los envían como binario genérico
+const GENERIC_MIME = 'application/octet-stream';
+
+const UPLOAD_PATH = path.resolve(__dirname, '..', process.env.UPLOAD_PATH || 'uploads');
+
+// Tamaño con unidad opcional: "5MB", "512 KB" o bytes
+const parseFileSize = (value, defaultSize) => {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) return defaultSize;
+    
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]) || defaultSize;
+};
+
+const MAX_FILE_SIZE = parseFileSize(process.env.MAX_FILE_SIZE, 5 * 1024 * 1024);
+
+// "5 MB" para los mensajes de error
+const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} bytes`;
+};
+
+const getFileType = (filename) => FILE_TYPES[path.extname(filename || '').toLowerCase()] || null;
+
+// Ruta en disco de un adjunto guardado
+const attachmentPath = (attachment) => path.join(UPLOAD_PATH, attachment.entity_type, attachment.stored_name);
+
+// Multer guarda el archivo del campo "file" en UPLOAD_PATH/<tipo>/. Las extensiones o MIME no
+// permitidos se descartan y el motivo queda en req.fileValidationError.
+const attachmentUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, callback) => {
+            const directory = path.join(UPLOAD_PATH, req.params.entityType);
+            fs.mkdir(directory, { recursive: true }, (err) => callback(err, directory));
+        },
+        filename: (req, file, callback) => {
+            callback(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    // Nombres de archivo con acentos ("Garantía.pdf")
+    defParamCharset: 'utf8',
+    fileFilter: (req, file, callback) => {
+        const fileType = getFileType(file.originalname);
+        
+        if (!fileType) {
+            req.fileValidationError = `Tipo de archivo no permitido. Extensiones aceptadas: ${Object.keys(FILE_TYPES).join(', ')}`;
+            return callback(null, false);
+        }
+        
+        if (file.mimetype !== GENERIC_MIME && !fileType.accepts.includes(file.mimetype)) {
+            req.fileValidationError = `El tipo ${file.mimetype} no corresponde a la extensión del archivo`;
+            return callback(null, false);
+        }
+        
+        callback(null, true);
+    }
+}).single('file');
+
+// Leer el archivo guardado una sola vez: SHA-256 y si el contenido coincide con su extensión
+const inspectFile = (filePath, originalName, callback) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    let header = null;
+    
+    stream.on('data', (chunk) => {
+        if (!header) header = chunk.subarray(0, 512);
+        hash.update(chunk);
+    });
+    stream.on('error', callback);
+    stream.on('end', () => {
+        const fileType = getFileType(originalName);
+        
+        callback(null, {
+            checksum: hash.digest('hex'),
+            mimeType: fileType.mime,
+            validContent: Boolean(header) && fileType.signature(header)
+        });
+    });
+};
+
+// Eliminar un archivo del disco; que ya no exista no es un error
+const removeFile = (filePath, callback = () => {}) => {
+    fs.unlink(filePath, (err) => callback(err && err.code !== 'ENOENT' ? err : null));
+};
+
+module.exports = {
+    ATTACHMENT_ENTITIES,
+    FILE_TYPES,
+    MAX_FILE_SIZE,
+    parseFileSize,
+    formatFileSize,
+    attachmentPath,
+    attachmentUpload,
+    inspectFile,
+    removeFile
+};
\ No newline at end of file
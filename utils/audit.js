@@ -0,0 +1,54 @@
+// Bitácora de auditoría: quién cambió qué registro, desde qué IP y con qué valores
+// anteriores y nuevos por campo. Se consulta en /api/audit.
+
+// Columnas que cambian en cada escritura y no aportan a la bitácora
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Los valores se comparan como texto: 5 y '5' (o null y '') son el mismo valor guardado
+const normalizeValue = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+// Cambios campo por campo entre dos versiones de una fila; before null indica una creación
+const diffChanges = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => normalizeValue((before || {})[field]) !== normalizeValue((after || {})[field]))
+        .map(field => ({
+            field,
+            old: before && before[field] !== undefined ? before[field] : null,
+            new: after && after[field] !== undefined ? after[field] : null
+        }));
+};
+
+// Fila completa antes de modificarla; el callback recibe null si no existe
+const getSnapshot = (db, table, id, callback) => {
+    db.get(`SELECT * FROM ${table} WHERE id = ?`, [id], callback);
+};
+
+// Registrar un cambio ya guardado: se vuelve a leer la fila y se compara con before.
+// Un fallo de la bitácora no revierte la operación; se informa en el log del servidor.
+const recordChange = (db, req, { entity, table, entityId, action, before = null }, callback = () => {}) => {
+    getSnapshot(db, table, entityId, (err, after) => {
+        const changes = err ? [] : diffChanges(before, after);
+        
+        db.run(
+            `INSERT INTO audit_log (user_id, username, ip_address, user_agent, entity, entity_id, action, changes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, req.user.username, req.ip, req.headers['user-agent'] || null,
+             entity, entityId, action, JSON.stringify(changes)],
+            (auditErr) => {
+                if (err || auditErr) {
+                    console.error('Error al registrar auditoría:', (err || auditErr).message);
+                }
+                callback();
+            }
+        );
+    });
+};
+
+module.exports = {
+    diffChanges,
+    getSnapshot,
+    recordChange
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+// Cálculo de presupuesto comprometido y ejercido por departamento.
+// El periodo es anual (month = null) o mensual.
+
+const periodFilter = (column, year, month) => {
+    let clause = ` AND strftime('%Y', ${column}) = ?`;
+    const params = [String(year)];
+    
+    if (month) {
+        clause += ` AND strftime('%m', ${column}) = ?`;
+        params.push(String(month).padStart(2, '0'));
+    }
+    
+    return { clause, params };
+};
+
+const sumQuery = (db, query, params) => new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total || 0);
+    });
+});
+
+// Gasto de un departamento en el periodo:
+// - comprometido: requisiciones aprobadas aún no recibidas (monto estimado menos lo recibido)
+// - ejercido: mantenimientos completados de activos del departamento y compras recibidas
+const getDepartmentSpend = (db, department, year, month, callback) => {
+    const approval = periodFilter('r.approval_date', year, month);
+    const maintenance = periodFilter('m.completed_date', year, month);
+    const purchase = periodFilter('a.purchase_date', year, month);
+    
+    Promise.all([
+        sumQuery(db, `
+            SELECT SUM(MAX(COALESCE(r.estimated_cost, 0) - COALESCE((
+                SELECT SUM(a.purchase_price) FROM assets a
+                INNER JOIN requisition_items ri ON a.requisition_item_id = ri.id
+                WHERE ri.requisition_id = r.id
+            ), 0), 0)) as total
+            FROM requisitions r
+            WHERE r.department = ? AND r.status IN ('approved', 'partially_received')
+            ${approval.clause}
+        `, [department, ...approval.params]),
+        sumQuery(db, `
+            SELECT SUM(m.cost) as total
+            FROM maintenances m
+            INNER JOIN assets a ON m.asset_id = a.id
+            INNER JOIN users u ON a.responsible_user_id = u.id
+            WHERE m.status = 'completed' AND u.department = ?
+            ${maintenance.clause}
+        `, [department, ...maintenance.params]),
+        sumQuery(db, `
+            SELECT SUM(a.purchase_price) as total
+            FROM assets a
+            INNER JOIN requisition_items ri ON a.requisition_item_id = ri.id
+            INNER JOIN requisitions r ON ri.requisition_id = r.id
+            WHERE r.department = ?
+            ${purchase.clause}
+        `, [department, ...purchase.params])
+    ])
+        .then(([committed, maintenanceSpend, purchaseSpend]) => {
+            callback(null, {
+                committed,
+                actual_maintenance: maintenanceSpend,
+                actual_purchases: purchaseSpend,
+                actual: maintenanceSpend + purchaseSpend
+            });
+        })
+        .catch(err => callback(err));
+};
+
+// Estado del presupuesto de un departamento en el periodo (null si no tiene presupuesto asignado)
+const getBudgetStatus = (db, department, year, month, callback) => {
+    db.get(
+        `SELECT * FROM department_budgets
+         WHERE department = ? AND year = ? AND ${month ? 'month = ?' : 'month IS NULL'}`,
+        month ? [department, year, month] : [department, year],
+        (err, budget) => {
+            if (err) return callback(err);
+            if (!budget) return callback(null, null);
+            
+            getDepartmentSpend(db, department, year, month, (err, spend) => {
+                if (err) return callback(err);
+                
+                const available = budget.amount - spend.committed - spend.actual;
+                
+                callback(null, {
+                    budget_id: budget.id,
+                    department,
+                    year: budget.year,
+                    month: budget.month,
+                    budget: budget.amount,
+                    ...spend,
+                    available,
+                    used_percentage: budget.amount > 0
+                        ? Math.round(((spend.committed + spend.actual) / budget.amount) * 10000) / 100
+                        : null
+                });
+            });
+        }
+    );
+};
+
+// Verificar si una requisición excede el presupuesto anual o mensual disponible.
+// BUDGET_ENFORCEMENT=block impide la operación; cualquier otro valor solo advierte.
+const checkRequisitionBudget = (db, requisition, callback) => {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const amount = requisition.estimated_cost || 0;
+    const enforcement = process.env.BUDGET_ENFORCEMENT === 'block' ? 'block' : 'warn';
+    
+    if (!requisition.department) {
+        return callback(null, { exceeded: false, enforcement, warnings: [] });
+    }
+    
+    getBudgetStatus(db, requisition.department, year, null, (err, annual) => {
+        if (err) return callback(err);
+        
+        getBudgetStatus(db, requisition.department, year, month, (err, monthly) => {
+            if (err) return callback(err);
+            
+            const warnings = [annual, monthly]
+                .filter(status => status && amount > status.available)
+                .map(status => ({
+                    period: status.month ? `${status.year}-${String(status.month).padStart(2, '0')}` : String(status.year),
+                    budget: status.budget,
+                    available: status.available,
+                    amount
+                }));
+            
+            callback(null, { exceeded: warnings.length > 0, enforcement, warnings });
+        });
+    });
+};
+
+module.exports = {
+    getDepartmentSpend,
+    getBudgetStatus,
+    checkRequisitionBudget
+};
\ No newline at end of file
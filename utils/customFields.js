@@ -0,0 +1,231 @@
+// Campos personalizados por categoría (IP y MAC en equipo de red, canal del NVR en cámaras, clave
+// de licencia en software). La categoría define los campos en category_fields y el activo guarda
+// sus valores en assets.custom_fields como JSON { field_key: valor }.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'enum'];
+
+// Las claves se usan en el JSON y en los filtros: minúsculas, números y guion bajo
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const MAX_TEXT_LENGTH = 255;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Fechas AAAA-MM-DD que existen en el calendario
+const isValidDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Las opciones de los campos enum se guardan como JSON
+const parseField = (field) => ({
+    ...field,
+    required: !!field.required,
+    active: !!field.active,
+    options: field.options ? JSON.parse(field.options) : []
+});
+
+const parseCustomFields = (asset) => ({
+    ...asset,
+    custom_fields: asset.custom_fields ? JSON.parse(asset.custom_fields) : {}
+});
+
+// Un activo sin valores guarda NULL
+const serializeCustomFields = (values) => (Object.keys(values).length > 0 ? JSON.stringify(values) : null);
+
+// Campos activos de una categoría en el orden en que se capturan
+const getCategoryFields = (db, categoryId, callback) => {
+    db.all(
+        `SELECT * FROM category_fields WHERE category_id = ? AND active = 1 ORDER BY sort_order ASC, id ASC`,
+        [categoryId],
+        (err, fields) => {
+            if (err) return callback(err);
+            callback(null, fields.map(parseField));
+        }
+    );
+};
+
+// Campos activos de varias categorías a la vez (recepciones e importaciones): Map categoría → campos
+const getFieldsByCategory = (db, categoryIds, callback) => {
+    const ids = [...new Set(categoryIds.filter(Boolean).map(String))];
+    
+    Promise.all(ids.map(categoryId => new Promise((resolve, reject) => {
+        getCategoryFields(db, categoryId, (err, fields) => {
+            if (err) reject(err);
+            else resolve([categoryId, fields]);
+        });
+    })))
+        .then(entries => callback(null, new Map(entries)), callback);
+};
+
+// Valor normalizado según el tipo del campo: { value } o { error }
+const normalizeValue = (field, value) => {
+    switch (field.type) {
+        case 'number': {
+            const number = Number(value);
+            return value === true || value === false || isNaN(number) ? { error: 'Debe ser un número' } : { value: number };
+        }
+        case 'date':
+            return isValidDate(String(value)) ? { value: String(value) } : { error: 'Debe ser una fecha con formato AAAA-MM-DD' };
+        case 'enum':
+            return field.options.includes(String(value))
+                ? { value: String(value) }
+                : { error: `Valor no permitido (${field.options.join(', ')})` };
+        default: {
+            const text = String(value).trim();
+            return text.length > MAX_TEXT_LENGTH
+                ? { error: `Máximo ${MAX_TEXT_LENGTH} caracteres` }
+                : { value: text };
+        }
+    }
+};
+
+// Validar los valores capturados contra los campos de la categoría. Devuelve { values, errors } con
+// errors como [{ field, value, message }]; los campos vacíos no se guardan.
+const validateCustomFields = (fields, input) => {
+    const errors = [];
+    const values = {};
+    
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        return { values, errors: [{ field: 'custom_fields', value: input, message: 'Debe ser un objeto { campo: valor }' }] };
+    }
+    
+    const data = input || {};
+    const byKey = new Map(fields.map(field => [field.field_key, field]));
+    
+    Object.keys(data).forEach(key => {
+        if (!byKey.has(key)) {
+            errors.push({ field: key, value: data[key], message: 'Campo no definido para la categoría' });
+        }
+    });
+    
+    fields.forEach(field => {
+        const value = data[field.field_key];
+        
+        if (isEmpty(value)) {
+            if (field.required) {
+                errors.push({ field: field.field_key, value: value === undefined ? null : value, message: `${field.label} es requerido` });
+            }
+            return;
+        }
+        
+        const result = normalizeValue(field, value);
+        if (result.error) {
+            errors.push({ field: field.field_key, value, message: result.error });
+        } else {
+            values[field.field_key] = result.value;
+        }
+    });
+    
+    return { values, errors };
+};
+
+// Filtros del listado de activos: custom_fields[clave]=valor (texto por coincidencia parcial, el
+// resto exacto) y, en number y date, custom_fields[clave][from] / [to]. Devuelve { clause, params,
+// errors } para agregarse con AND; fields son las definiciones de las claves filtradas.
+const customFieldFilter = (fields, filters) => {
+    const clauses = [];
+    const params = [];
+    const errors = [];
+    
+    Object.entries(filters || {}).forEach(([key, filter]) => {
+        const definitions = fields.filter(field => field.field_key === key);
+        const types = [...new Set(definitions.map(field => field.type))];
+        
+        if (types.length === 0) {
+            errors.push({ field: key, value: filter, message: 'Campo personalizado no definido' });
+            return;
+        }
+        
+        if (types.length > 1) {
+            errors.push({ field: key, value: filter, message: 'El campo tiene tipos distintos según la categoría; indique category' });
+            return;
+        }
+        
+        const field = definitions[0];
+        const column = `json_extract(a.custom_fields, ?)`;
+        const pathParam = `$.${key}`;
+        
+        if (filter && typeof filter === 'object') {
+            if (!['number', 'date'].includes(field.type)) {
+                errors.push({ field: key, value: filter, message: 'Los rangos solo aplican a campos de número o fecha' });
+                return;
+            }
+            
+            [['from', '>='], ['to', '<=']].forEach(([bound, operator]) => {
+                if (isEmpty(filter[bound])) return;
+                
+                const result = normalizeValue(field, filter[bound]);
+                if (result.error) {
+                    errors.push({ field: key, value: filter[bound], message: result.error });
+                    return;
+                }
+                
+                clauses.push(`${column} ${operator} ?`);
+                params.push(pathParam, result.value);
+            });
+            return;
+        }
+        
+        if (isEmpty(filter)) return;
+        
+        if (field.type === 'text') {
+            clauses.push(`${column} LIKE ?`);
+            params.push(pathParam, `%${String(filter).trim()}%`);
+            return;
+        }
+        
+        // Los enum se filtran por cualquier valor aunque ya no esté entre las opciones
+        const result = field.type === 'enum' ? { value: String(filter) } : normalizeValue(field, filter);
+        if (result.error) {
+            errors.push({ field: key, value: filter, message: result.error });
+            return;
+        }
+        
+        clauses.push(`${column} = ?`);
+        params.push(pathParam, result.value);
+    });
+    
+    return {
+        clause: clauses.length > 0 ? clauses.join(' AND ') : '1=1',
+        params,
+        errors
+    };
+};
+
+// Búsqueda de texto en los valores de los campos personalizados (para agregarse con OR)
+const CUSTOM_FIELDS_SEARCH = `EXISTS (SELECT 1 FROM json_each(a.custom_fields) WHERE json_each.value LIKE ?)`;
+
+// Definiciones activas de las claves usadas en los filtros (de una categoría o de todas)
+const getFilterFields = (db, keys, categoryId, callback) => {
+    if (keys.length === 0) return callback(null, []);
+    
+    let query = `SELECT * FROM category_fields WHERE active = 1 AND field_key IN (${keys.map(() => '?').join(', ')})`;
+    const params = [...keys];
+    
+    if (categoryId) {
+        query += ` AND category_id = ?`;
+        params.push(categoryId);
+    }
+    
+    db.all(query, params, (err, fields) => {
+        if (err) return callback(err);
+        callback(null, fields.map(parseField));
+    });
+};
+
+module.exports = {
+    FIELD_TYPES,
+    FIELD_KEY_PATTERN,
+    parseField,
+    parseCustomFields,
+    serializeCustomFields,
+    getCategoryFields,
+    getFieldsByCategory,
+    validateCustomFields,
+    customFieldFilter,
+    CUSTOM_FIELDS_SEARCH,
+    getFilterFields
+};
\ No newline at end of file
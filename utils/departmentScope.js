@@ -0,0 +1,121 @@
+// Visibilidad de registros por departamento (filtrado a nivel de fila).
+// El departamento de un activo es el de su responsable. Cada usuario ve los activos de su
+// departamento; incidencias, mantenimientos y formatos responsivos se ven si el activo es visible
+// o si el usuario participa en ellos. Las requisiciones son la excepción: el personal ve las suyas
+// y los gerentes (permiso 'departments.view_department') las de todo su departamento. Los roles con
+// el permiso 'departments.view_all' ven todos los departamentos.
+// Un activo sin responsable no pertenece a ningún departamento (las ubicaciones no están ligadas a
+// departamentos), así que solo lo ven los roles con 'departments.view_all'.
+// Cada función devuelve { clause, params } para agregarse a la consulta con AND.
+
+const UNRESTRICTED = { clause: '1=1', params: [] };
+
+// req.user.permissions lo asigna authorizePermission
+const hasPermission = (user, permission) => (user.permissions || []).includes(permission);
+
+const seesAllDepartments = (user) => {
+    return user.role === 'admin' || hasPermission(user, 'departments.view_all');
+};
+
+const seesDepartment = (user) => hasPermission(user, 'departments.view_department');
+
+// El usuario y los demás usuarios de su departamento
+const departmentUsers = (user) => ({
+    clause: `(SELECT id FROM users WHERE id = ? OR department = ?)`,
+    params: [user.id, user.department]
+});
+
+// Activos a cargo de los usuarios del departamento
+const departmentAssets = (user) => {
+    const users = departmentUsers(user);
+    return { clause: `(SELECT id FROM assets WHERE responsible_user_id IN ${users.clause})`, params: users.params };
+};
+
+const assetScope = (user, alias = 'a') => {
+    if (seesAllDepartments(user)) return UNRESTRICTED;
+    
+    const users = departmentUsers(user);
+    
+    return {
+        clause: `${alias}.responsible_user_id IN ${users.clause}`,
+        params: users.params
+    };
+};
+
+const incidentScope = (user, alias = 'i') => {
+    if (seesAllDepartments(user)) return UNRESTRICTED;
+    
+    const users = departmentUsers(user);
+    const assets = departmentAssets(user);
+    
+    return {
+        clause: `(${alias}.assigned_to = ? OR ${alias}.reported_by IN ${users.clause} OR ${alias}.asset_id IN ${assets.clause})`,
+        params: [user.id, ...users.params, ...assets.params]
+    };
+};
+
+const maintenanceScope = (user, alias = 'm') => {
+    if (seesAllDepartments(user)) return UNRESTRICTED;
+    
+    const assets = departmentAssets(user);
+    
+    return {
+        clause: `(${alias}.technician_id = ? OR ${alias}.asset_id IN ${assets.clause})`,
+        params: [user.id, ...assets.params]
+    };
+};
+
+const formScope = (user, alias = 'rf') => {
+    if (seesAllDepartments(user)) return UNRESTRICTED;
+    
+    const users = departmentUsers(user);
+    const assets = departmentAssets(user);
+    
+    return {
+        clause: `(${alias}.previous_responsible_id IN ${users.clause} OR ${alias}.new_responsible_id IN ${users.clause}
+            OR ${alias}.asset_id IN ${assets.clause})`,
+        params: [...users.params, ...users.params, ...assets.params]
+    };
+};
+
+// Requisiciones propias (o del departamento, para los gerentes) y las que tienen un paso de
+// aprobación asignado al usuario o decidido por él. Quien aprueba cualquier paso o recibe las
+// compras en inventario las ve todas.
+const requisitionScope = (user, alias = 'r') => {
+    if (seesAllDepartments(user) || hasPermission(user, 'requisitions.approve_any') ||
+        hasPermission(user, 'requisitions.receive')) {
+        return UNRESTRICTED;
+    }
+    
+    const users = departmentUsers(user);
+    const requester = seesDepartment(user)
+        ? { clause: `(${alias}.requested_by IN ${users.clause} OR ${alias}.department = ?)`, params: [...users.params, user.department] }
+        : { clause: `${alias}.requested_by = ?`, params: [user.id] };
+    
+    return {
+        clause: `(${requester.clause}
+            OR ${alias}.id IN (SELECT requisition_id FROM requisition_approvals
+                WHERE decided_by = ? OR approver_user_id = ?
+                OR (approver_user_id IS NULL AND approver_role = ? AND (approver_department IS NULL OR approver_department = ?))))`,
+        params: [...requester.params, user.id, user.id, user.role, user.department]
+    };
+};
+
+// Presupuestos por departamento: el gasto se calcula por departamento completo, así que solo se
+// limita a cuál departamento puede consultar el usuario
+const budgetScope = (user) => {
+    if (seesAllDepartments(user)) return UNRESTRICTED;
+    
+    return { clause: `department = ?`, params: [user.department] };
+};
+
+module.exports = {
+    seesAllDepartments,
+    seesDepartment,
+    assetScope,
+    incidentScope,
+    maintenanceScope,
+    formScope,
+    requisitionScope,
+    budgetScope
+};
\ No newline at end of file
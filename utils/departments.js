@@ -0,0 +1,76 @@
+// Clave normalizada de un nombre de departamento: "Sistemas", "sistemas" y " SISTEMAS " producen "sistemas"
+const normalizeDepartmentName = (name) => {
+    if (!name) return '';
+    
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+// Los alias se guardan como JSON
+const parseDepartment = (department) => ({
+    ...department,
+    aliases: department.aliases ? JSON.parse(department.aliases) : []
+});
+
+// Buscar un departamento activo por nombre o alias ("IT" y "TI" pueden apuntar a "Sistemas")
+const findDepartmentByName = (db, name, callback) => {
+    const key = normalizeDepartmentName(name);
+    
+    db.all(`SELECT * FROM departments WHERE active = 1`, (err, departments) => {
+        if (err) return callback(err);
+        
+        const match = departments.map(parseDepartment).find(department =>
+            normalizeDepartmentName(department.name) === key ||
+            department.aliases.some(alias => normalizeDepartmentName(alias) === key)
+        );
+        
+        callback(null, match || null);
+    });
+};
+
+// Resolver el departamento de un registro a partir de department_id o del nombre en texto libre.
+// Devuelve { department_id, department } con el nombre oficial, o null si no existe o está inactivo.
+const resolveDepartment = (db, departmentId, departmentName, callback) => {
+    if (departmentId) {
+        return db.get(`SELECT id, name FROM departments WHERE id = ? AND active = 1`, [departmentId], (err, department) => {
+            if (err) return callback(err);
+            if (!department) return callback(null, null);
+            callback(null, { department_id: department.id, department: department.name });
+        });
+    }
+    
+    if (!normalizeDepartmentName(departmentName)) {
+        return callback(null, { department_id: null, department: null });
+    }
+    
+    findDepartmentByName(db, departmentName, (err, department) => {
+        if (err) return callback(err);
+        callback(null, department ? { department_id: department.id, department: department.name } : null);
+    });
+};
+
+// Sanitizador de express-validator: reemplaza el nombre recibido por el oficial ("it" se guarda como "Sistemas")
+const toDepartmentName = (db) => (value) => new Promise((resolve) => {
+    findDepartmentByName(db, value, (err, department) => resolve(department ? department.name : value));
+});
+
+// Validador de express-validator: el departamento debe existir en el catálogo
+const isKnownDepartment = (db) => (value) => new Promise((resolve, reject) => {
+    findDepartmentByName(db, value, (err, department) => {
+        if (err || !department) return reject(new Error('Departamento no encontrado'));
+        resolve(true);
+    });
+});
+
+module.exports = {
+    normalizeDepartmentName,
+    parseDepartment,
+    findDepartmentByName,
+    resolveDepartment,
+    toDepartmentName,
+    isKnownDepartment
+};
\ No newline at end of file
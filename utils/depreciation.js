@@ -0,0 +1,139 @@
+// Depreciación de activos por línea recta o saldos decrecientes (doble tasa). La vida útil y el
+// valor de rescate vienen de la categoría y el activo puede reemplazarlos. La depreciación es
+// mensual y empieza el mes siguiente a la compra (meses completos de uso, como la deducción fiscal).
+
+const DEPRECIATION_METHODS = ['straight_line', 'declining_balance'];
+
+// Columnas de la categoría que necesita getDepreciationSettings (con el JOIN de asset_categories c)
+const CATEGORY_DEPRECIATION_COLUMNS = `
+            c.depreciation_method as category_depreciation_method,
+            c.useful_life_months as category_useful_life_months,
+            c.salvage_percentage as category_salvage_percentage`;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Meses como número consecutivo para contar periodos sin depender de la zona horaria
+const toMonthIndex = (date) => {
+    const [year, month] = String(date).split('-').map(Number);
+    return year * 12 + (month - 1);
+};
+
+const toPeriod = (monthIndex) => `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+
+const currentPeriod = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Configuración efectiva del activo; null si le falta precio, fecha de compra o vida útil
+const getDepreciationSettings = (asset) => {
+    const usefulLife = parseInt(asset.useful_life_months || asset.category_useful_life_months);
+    
+    if (!asset.purchase_price || !asset.purchase_date || !usefulLife) {
+        return null;
+    }
+    
+    const salvageValue = asset.salvage_value !== null && asset.salvage_value !== undefined
+        ? asset.salvage_value
+        : roundCents(asset.purchase_price * (asset.category_salvage_percentage || 0) / 100);
+    
+    return {
+        method: asset.depreciation_method || asset.category_depreciation_method || 'straight_line',
+        usefulLifeMonths: usefulLife,
+        cost: asset.purchase_price,
+        salvageValue: Math.min(salvageValue, asset.purchase_price),
+        startPeriod: toPeriod(toMonthIndex(asset.purchase_date) + 1)
+    };
+};
+
+// Tabla mensual completa: [{ period, depreciation, accumulated, bookValue }]
+const buildSchedule = (settings) => {
+    const { method, usefulLifeMonths, cost, salvageValue, startPeriod } = settings;
+    const depreciable = cost - salvageValue;
+    const start = toMonthIndex(startPeriod);
+    const schedule = [];
+    let bookValue = cost;
+    
+    for (let month = 0; month < usefulLifeMonths; month++) {
+        // Saldos decrecientes cambia a línea recta sobre el saldo cuando esta resulta mayor
+        let depreciation = method === 'declining_balance'
+            ? Math.max(bookValue * (2 / usefulLifeMonths), (bookValue - salvageValue) / (usefulLifeMonths - month))
+            : depreciable / usefulLifeMonths;
+        
+        // El último mes (o cuando el saldo llega al valor de rescate) ajusta el redondeo
+        if (month === usefulLifeMonths - 1 || bookValue - depreciation < salvageValue) {
+            depreciation = bookValue - salvageValue;
+        }
+        
+        depreciation = roundCents(depreciation);
+        bookValue = roundCents(bookValue - depreciation);
+        
+        schedule.push({
+            period: toPeriod(start + month),
+            depreciation,
+            accumulated: roundCents(cost - bookValue),
+            bookValue
+        });
+    }
+    
+    return schedule;
+};
+
+// Saldo al cierre de un periodo (AAAA-MM); antes del inicio el valor en libros es el costo
+const valueAt = (settings, schedule, period) => {
+    const index = toMonthIndex(period) - toMonthIndex(settings.startPeriod);
+    
+    if (index < 0) return { accumulated: 0, bookValue: settings.cost };
+    return schedule[Math.min(index, schedule.length - 1)];
+};
+
+// Valor en libros del activo al periodo indicado (por defecto, el actual); null si no se deprecia
+const getBookValue = (asset, period = currentPeriod()) => {
+    const settings = getDepreciationSettings(asset);
+    if (!settings) return null;
+    
+    const schedule = buildSchedule(settings);
+    const current = valueAt(settings, schedule, period);
+    const last = schedule[schedule.length - 1];
+    
+    return {
+        method: settings.method,
+        useful_life_months: settings.usefulLifeMonths,
+        salvage_value: settings.salvageValue,
+        depreciation_start: settings.startPeriod,
+        fully_depreciated_period: last.period,
+        as_of: period,
+        accumulated_depreciation: current.accumulated,
+        book_value: current.bookValue,
+        fully_depreciated: toMonthIndex(period) >= toMonthIndex(last.period)
+    };
+};
+
+// Depreciación de un activo entre dos periodos (inclusive); null si no se deprecia
+const getPeriodDepreciation = (asset, from, to) => {
+    const settings = getDepreciationSettings(asset);
+    if (!settings) return null;
+    
+    const schedule = buildSchedule(settings);
+    const opening = valueAt(settings, schedule, toPeriod(toMonthIndex(from) - 1));
+    const closing = valueAt(settings, schedule, to);
+    
+    return {
+        method: settings.method,
+        useful_life_months: settings.usefulLifeMonths,
+        salvage_value: settings.salvageValue,
+        opening_book_value: opening.bookValue,
+        depreciation: roundCents(opening.bookValue - closing.bookValue),
+        accumulated_depreciation: closing.accumulated,
+        book_value: closing.bookValue
+    };
+};
+
+module.exports = {
+    DEPRECIATION_METHODS,
+    CATEGORY_DEPRECIATION_COLUMNS,
+    getDepreciationSettings,
+    buildSchedule,
+    getBookValue,
+    getPeriodDepreciation
+};
\ No newline at end of file
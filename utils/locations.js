@@ -0,0 +1,173 @@
+// Catálogo jerárquico de ubicaciones (propiedad > edificio > piso > habitación). Cada ubicación
+// guarda su ruta completa ("Kin Ha > Edificio B > Piso 2 > 204"), que también se copia en
+// assets.location para reportes, etiquetas y formatos que muestran la ubicación como texto.
+
+// Niveles en orden; una ubicación solo puede contener niveles posteriores al suyo (se puede
+// omitir alguno, p. ej. una villa como edificio con habitaciones sin pisos)
+const LOCATION_TYPES = ['property', 'building', 'floor', 'room'];
+
+const PATH_SEPARATOR = ' > ';
+
+// Ubicación y todas sus sububicaciones (el ID de la raíz va como parámetro)
+const SUBTREE_IDS = `WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM locations WHERE id = ?
+    UNION ALL
+    SELECT l.id FROM locations l INNER JOIN subtree s ON l.parent_id = s.id
+) SELECT id FROM subtree`;
+
+// Clave normalizada: "Edificio B > Hab. 204" y "edificio b / hab 204" producen "edificio b hab 204"
+const normalizeLocationName = (name) => {
+    if (!name) return '';
+    
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+// Los alias se guardan como JSON
+const parseLocation = (location) => ({
+    ...location,
+    aliases: location.aliases ? JSON.parse(location.aliases) : []
+});
+
+// Filtro de activos en la ubicación o en cualquiera de sus sububicaciones; se agrega con AND
+const locationFilter = (locationId, column = 'a.location_id') => ({
+    clause: `${column} IN (${SUBTREE_IDS})`,
+    params: [locationId]
+});
+
+// Rutas completas de todas las ubicaciones a partir de sus nombres: Map id → ruta
+const buildPaths = (locations) => {
+    const byId = new Map(locations.map(location => [location.id, location]));
+    const paths = new Map();
+    
+    const pathOf = (location) => {
+        if (!paths.has(location.id)) {
+            const parent = location.parent_id && byId.get(location.parent_id);
+            paths.set(location.id, parent ? `${pathOf(parent)}${PATH_SEPARATOR}${location.name}` : location.name);
+        }
+        return paths.get(location.id);
+    };
+    
+    locations.forEach(pathOf);
+    return paths;
+};
+
+// IDs de la ubicación y sus descendientes dentro de una lista ya cargada
+const collectSubtree = (locations, rootId) => {
+    const ids = new Set([rootId]);
+    let added = true;
+    
+    while (added) {
+        added = false;
+        locations.forEach(location => {
+            if (location.parent_id && ids.has(location.parent_id) && !ids.has(location.id)) {
+                ids.add(location.id);
+                added = true;
+            }
+        });
+    }
+    
+    return ids;
+};
+
+// Árbol anidado con children; assets_count se suma hacia arriba en total_assets
+const buildTree = (locations) => {
+    const nodes = new Map(locations.map(location => [location.id, { ...location, children: [] }]));
+    const roots = [];
+    
+    nodes.forEach(node => {
+        const parent = node.parent_id && nodes.get(node.parent_id);
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    });
+    
+    const total = (node) => {
+        node.total_assets = (node.assets_count || 0) + node.children.reduce((sum, child) => sum + total(child), 0);
+        return node.total_assets;
+    };
+    
+    roots.forEach(total);
+    return roots;
+};
+
+// Rutas parciales desde cada nivel: "Kin Ha > Edificio B > 204", "Edificio B > 204" y "204"
+const pathSuffixes = (location) => {
+    const levels = location.path.split(PATH_SEPARATOR);
+    return levels.map((level, index) => normalizeLocationName(levels.slice(index).join(' ')));
+};
+
+// Buscar en una lista de ubicaciones por ruta completa o alias y, si no, por ruta parcial o
+// nombre siempre que corresponda a una sola ubicación
+const matchLocationName = (locations, name) => {
+    const key = normalizeLocationName(name);
+    if (!key) return null;
+    
+    const exact = locations.find(location =>
+        normalizeLocationName(location.path) === key ||
+        parseLocation(location).aliases.some(alias => normalizeLocationName(alias) === key)
+    );
+    if (exact) return exact;
+    
+    const partial = locations.filter(location => pathSuffixes(location).includes(key));
+    return partial.length === 1 ? partial[0] : null;
+};
+
+// Ubicación de un activo a partir de location_id o del texto capturado, en una lista ya cargada.
+// Devuelve { location_id, location } con la ruta oficial; el texto que no corresponde a ninguna
+// ubicación se conserva como texto libre (ver scripts/migrate-locations.js). null si location_id
+// no está en la lista.
+const matchLocation = (locations, locationId, locationName) => {
+    if (locationId) {
+        const location = locations.find(candidate => candidate.id === parseInt(locationId));
+        return location ? { location_id: location.id, location: location.path } : null;
+    }
+    
+    if (!normalizeLocationName(locationName)) {
+        return { location_id: null, location: null };
+    }
+    
+    const location = matchLocationName(locations, locationName);
+    return location
+        ? { location_id: location.id, location: location.path }
+        : { location_id: null, location: String(locationName).trim() };
+};
+
+const getActiveLocations = (db, callback) => {
+    db.all(`SELECT * FROM locations WHERE active = 1`, callback);
+};
+
+// Buscar una ubicación activa por ruta, alias o nombre
+const findLocationByName = (db, name, callback) => {
+    getActiveLocations(db, (err, locations) => {
+        if (err) return callback(err);
+        callback(null, matchLocationName(locations, name));
+    });
+};
+
+// Igual que matchLocation consultando las ubicaciones activas; null si location_id no existe o está inactiva
+const resolveLocation = (db, locationId, locationName, callback) => {
+    getActiveLocations(db, (err, locations) => {
+        if (err) return callback(err);
+        callback(null, matchLocation(locations, locationId, locationName));
+    });
+};
+
+module.exports = {
+    LOCATION_TYPES,
+    PATH_SEPARATOR,
+    normalizeLocationName,
+    parseLocation,
+    locationFilter,
+    buildPaths,
+    collectSubtree,
+    buildTree,
+    matchLocationName,
+    matchLocation,
+    getActiveLocations,
+    findLocationByName,
+    resolveLocation
+};
\ No newline at end of file
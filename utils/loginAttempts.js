@@ -0,0 +1,95 @@
+// Protección contra fuerza bruta en el login. Umbrales configurables en .env:
+// LOGIN_MAX_ATTEMPTS (5), LOGIN_LOCKOUT_MINUTES (15), LOGIN_DELAY_MS (500), LOGIN_MAX_DELAY_MS (8000),
+// LOGIN_IP_MAX_ATTEMPTS (20) y LOGIN_IP_WINDOW_MINUTES (15)
+const getLoginPolicy = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    delayMs: parseInt(process.env.LOGIN_DELAY_MS) || 500,
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 8000,
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+    ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+});
+
+// Retraso progresivo: se duplica con cada intento fallido consecutivo
+const getProgressiveDelay = (failures) => {
+    const { delayMs, maxDelayMs } = getLoginPolicy();
+    if (failures <= 0) return 0;
+    return Math.min(delayMs * Math.pow(2, failures - 1), maxDelayMs);
+};
+
+const recordLoginAttempt = (db, attempt, callback = () => {}) => {
+    db.run(
+        `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, failure_reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [attempt.username, attempt.userId || null, attempt.ip, attempt.userAgent || null,
+         attempt.success ? 1 : 0, attempt.reason || null],
+        callback
+    );
+};
+
+// Intentos fallidos recientes desde una IP; el callback recibe { failures, blocked }
+const checkIpThrottle = (db, ip, callback) => {
+    const { ipMaxAttempts, ipWindowMinutes } = getLoginPolicy();
+    const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000).toISOString();
+    
+    db.get(
+        `SELECT COUNT(*) as failures FROM login_attempts
+         WHERE ip_address = ? AND success = 0 AND created_at >= ?`,
+        [ip, since.replace('T', ' ').slice(0, 19)],
+        (err, row) => {
+            if (err) return callback(err);
+            callback(null, { failures: row.failures, blocked: row.failures >= ipMaxAttempts });
+        }
+    );
+};
+
+// Registrar un fallo de contraseña y bloquear la cuenta al alcanzar el máximo. El contador se
+// incrementa en la misma sentencia para no perder fallos de peticiones simultáneas; los fallos que
+// llegan con la cuenta ya bloqueada no lo modifican. El callback recibe { failures, lockedUntil }
+const registerFailure = (db, user, callback) => {
+    const { maxAttempts, lockoutMinutes } = getLoginPolicy();
+    const now = new Date().toISOString();
+    const lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000).toISOString();
+    const failures = `COALESCE(failed_login_attempts, 0) + 1`;
+    
+    db.get(
+        `UPDATE users SET
+            failed_login_attempts = CASE
+                WHEN locked_until > ? THEN failed_login_attempts
+                WHEN ${failures} >= ? THEN 0
+                ELSE ${failures} END,
+            locked_until = CASE
+                WHEN locked_until > ? THEN locked_until
+                WHEN ${failures} >= ? THEN ?
+                ELSE locked_until END
+         WHERE id = ?
+         RETURNING failed_login_attempts, locked_until`,
+        [now, maxAttempts, now, maxAttempts, lockUntil, user.id],
+        (err, row) => {
+            if (err) return callback(err);
+            if (!row) return callback(new Error('Usuario no encontrado'));
+            
+            const locked = isLocked(row);
+            callback(null, {
+                failures: locked ? maxAttempts : row.failed_login_attempts,
+                lockedUntil: locked ? row.locked_until : null
+            });
+        }
+    );
+};
+
+const resetFailures = (db, userId, callback = () => {}) => {
+    db.run(`UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?`, [userId], callback);
+};
+
+const isLocked = (user) => Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+
+module.exports = {
+    getLoginPolicy,
+    getProgressiveDelay,
+    recordLoginAttempt,
+    checkIpThrottle,
+    registerFailure,
+    resetFailures,
+    isLocked
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// Transporte SMTP configurado en .env (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS).
+// Para pruebas basta un receptor SMTP local, p. ej. EMAIL_HOST=localhost EMAIL_PORT=1025 sin usuario.
+const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'localhost',
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER && process.env.EMAIL_PASS
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+});
+
+const sendMail = ({ to, subject, text, html }, callback) => {
+    transporter.sendMail({
+        from: process.env.EMAIL_FROM || `"${process.env.APP_NAME || 'SIAF'}" <${process.env.EMAIL_USER || 'no-reply@localhost'}>`,
+        to,
+        subject,
+        text,
+        html
+    }, callback);
+};
+
+module.exports = {
+    sendMail
+};
\ No newline at end of file
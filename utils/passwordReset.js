@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Vigencia del enlace de restablecimiento (PASSWORD_RESET_EXPIRES_MINUTES, 60 por omisión)
+const RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Solo se guarda el hash del token enviado por correo
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Crear un token de un solo uso; los tokens pendientes anteriores del usuario se invalidan
+const createResetToken = (db, userId, ip, callback) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + RESET_EXPIRES_MINUTES * 60 * 1000).toISOString();
+    
+    db.serialize(() => {
+        db.run(
+            `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL`,
+            [userId]
+        );
+        db.run(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)`,
+            [userId, hashToken(token), expiresAt, ip],
+            (err) => {
+                if (err) return callback(err);
+                callback(null, { token, expiresAt });
+            }
+        );
+    });
+};
+
+// Buscar un token vigente y no utilizado; el callback recibe el registro o null
+const findValidResetToken = (db, token, callback) => {
+    db.get(
+        `SELECT t.*, u.email, u.active
+         FROM password_reset_tokens t
+         INNER JOIN users u ON t.user_id = u.id
+         WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ?`,
+        [hashToken(token), new Date().toISOString()],
+        (err, resetToken) => {
+            if (err) return callback(err);
+            callback(null, resetToken && resetToken.active ? resetToken : null);
+        }
+    );
+};
+
+module.exports = {
+    RESET_EXPIRES_MINUTES,
+    createResetToken,
+    findValidResetToken
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+// Política de cotizaciones: las compras con costo estimado igual o mayor a QUOTATION_THRESHOLD
+// requieren QUOTATIONS_REQUIRED cotizaciones vigentes antes de aprobarse.
+const getQuotationPolicy = () => ({
+    threshold: parseFloat(process.env.QUOTATION_THRESHOLD) || 10000,
+    required: parseInt(process.env.QUOTATIONS_REQUIRED) || 3
+});
+
+// Verificar si una requisición cuenta con las cotizaciones requeridas
+const checkQuotationRequirement = (db, requisition, callback) => {
+    const { threshold, required } = getQuotationPolicy();
+    const applies = requisition.type === 'purchase' && (requisition.estimated_cost || 0) >= threshold;
+    
+    db.get(
+        `SELECT COUNT(*) as count FROM requisition_quotations
+         WHERE requisition_id = ? AND (valid_until IS NULL OR valid_until >= DATE('now'))`,
+        [requisition.id],
+        (err, row) => {
+            if (err) return callback(err);
+            
+            callback(null, {
+                applies,
+                threshold,
+                required: applies ? required : 0,
+                valid: row.count,
+                met: !applies || row.count >= required
+            });
+        }
+    );
+};
+
+module.exports = {
+    getQuotationPolicy,
+    checkQuotationRequirement
+};
\ No newline at end of file
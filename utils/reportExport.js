@@ -0,0 +1,271 @@
+const ExcelJS = require('exceljs');
+
+// Exportación de reportes a JSON, CSV y XLSX. Los archivos se escriben directo en la respuesta
+// conforme se leen las filas, sin armar el reporte completo en memoria.
+
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Etiquetas del resumen; las claves sin etiqueta se muestran tal cual
+const SUMMARY_LABELS = {
+    totalAssets: 'Total de activos',
+    totalValue: 'Valor total',
+    totalIncidents: 'Total de incidencias',
+    averageResolutionTime: 'Tiempo promedio de resolución (horas)',
+    resolvedCount: 'Resueltas',
+    totalMaintenances: 'Total de mantenimientos',
+    totalCost: 'Costo total',
+    completedCount: 'Completados',
+    totalForms: 'Total de formatos',
+    approvedCount: 'Aprobados',
+    pendingCount: 'Pendientes',
+    totalRequisitions: 'Total de requisiciones',
+    totalEstimatedCost: 'Costo estimado total',
+    approvedValue: 'Valor aprobado',
+    totalDepartments: 'Total de departamentos',
+    budget: 'Presupuesto',
+    committed: 'Comprometido',
+    actual: 'Gasto real',
+    available: 'Disponible',
+    overBudget: 'Departamentos sobre presupuesto',
+    totalSuppliers: 'Total de proveedores',
+    totalAssetsValue: 'Valor de activos',
+    totalMaintenanceJobs: 'Mantenimientos realizados',
+    totalMaintenanceCost: 'Costo de mantenimientos',
+    totalSpend: 'Gasto total',
+    totalDepreciation: 'Depreciación del periodo',
+    totalAccumulated: 'Depreciación acumulada',
+    totalBookValue: 'Valor en libros',
+    notDepreciable: 'Activos sin vida útil configurada',
+    byCategory: 'Por categoría',
+    byStatus: 'Por estado',
+    byPriority: 'Por prioridad',
+    byType: 'Por tipo',
+    byDepartment: 'Por departamento',
+    count: 'Cantidad',
+    value: 'Valor',
+    open: 'Abiertas',
+    estimatedCost: 'Costo estimado',
+    depreciation: 'Depreciación',
+    bookValue: 'Valor en libros'
+};
+
+const labelFor = (key) => SUMMARY_LABELS[key] || key;
+
+// Rechazar formatos desconocidos antes de consultar la base de datos
+const checkReportFormat = (req, res, next) => {
+    const { format = 'json' } = req.query;
+    
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: 'Formato no válido (json, csv o xlsx)' });
+    }
+    
+    next();
+};
+
+// Valor de una columna; column.value permite transformar el dato (por ejemplo, booleanos)
+const cellValue = (column, row) => {
+    const value = column.value ? column.value(row) : row[column.key];
+    return value === undefined || value === null ? '' : value;
+};
+
+const csvEscape = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Filas del resumen: totales como "concepto, valor"; los desgloses (byStatus, byDepartment...)
+// como una sección con su propio encabezado
+const summaryRows = (summary) => {
+    const rows = [];
+    
+    Object.entries(summary).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            rows.push([labelFor(key), value.join(', ')]);
+        } else if (value && typeof value === 'object') {
+            const groups = Object.entries(value);
+            const nested = groups.length > 0 && typeof groups[0][1] === 'object';
+            
+            rows.push([]);
+            rows.push(nested ? [labelFor(key), ...Object.keys(groups[0][1]).map(labelFor)] : [labelFor(key), labelFor('count')]);
+            groups.forEach(([group, groupValue]) => {
+                rows.push(nested ? [group, ...Object.values(groupValue)] : [group, groupValue]);
+            });
+            rows.push([]);
+        } else {
+            rows.push([labelFor(key), value === null || value === undefined ? '' : value]);
+        }
+    });
+    
+    return rows;
+};
+
+// Filas leídas por consulta al recorrer un reporte
+const PAGE_SIZE = 500;
+
+// Encabezado del reporte en CSV y en la hoja de resumen de XLSX
+const reportHeaderRows = (report) => [[report.title], ['Generado', report.generatedAt], []];
+
+// Escritores por formato: row(data) escribe una fila y end(summary) cierra el archivo con el
+// resumen y devuelve una promesa. CSV y XLSX llevan los mismos datos: las filas y, después, el
+// resumen (en CSV como una sección al final, en XLSX en la hoja "Resumen").
+const createWriter = (res, format, report, columns) => {
+    if (format === 'csv') {
+        const writeLine = (cells) => res.write(cells.map(csvEscape).join(',') + '\r\n');
+        
+        // BOM para que Excel reconozca los acentos
+        res.write('\uFEFF');
+        writeLine(columns.map(column => column.header));
+        
+        return {
+            row: (row) => writeLine(columns.map(column => cellValue(column, row))),
+            end: (summary) => {
+                if (summary) {
+                    writeLine([]);
+                    [...reportHeaderRows(report), ...summaryRows(summary)].forEach(writeLine);
+                }
+                return new Promise(resolve => res.end(resolve));
+            }
+        };
+    }
+    
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet('Datos');
+        
+        sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 18 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+        
+        return {
+            row: (row) => sheet.addRow(columns.map(column => cellValue(column, row))).commit(),
+            end: (summary) => {
+                sheet.commit();
+                
+                if (summary) {
+                    const summarySheet = workbook.addWorksheet('Resumen');
+                    summarySheet.columns = [{ width: 36 }, { width: 18 }, { width: 18 }];
+                    
+                    summarySheet.addRow([report.title]).font = { bold: true };
+                    [...reportHeaderRows(report).slice(1), ...summaryRows(summary)].forEach(row => summarySheet.addRow(row).commit());
+                    summarySheet.commit();
+                }
+                
+                return workbook.commit();
+            }
+        };
+    }
+    
+    // JSON: { ...report, data: [...], summary }
+    const header = JSON.stringify(report).slice(0, -1);
+    let rows = 0;
+    
+    res.write(`${header}${header.length > 1 ? ',' : ''}"data":[`);
+    
+    return {
+        row: (row) => res.write(`${rows++ > 0 ? ',' : ''}${JSON.stringify(row)}`),
+        end: (summary) => {
+            res.write(`]${summary ? `,"summary":${JSON.stringify(summary)}` : ''}}`);
+            return new Promise(resolve => res.end(resolve));
+        }
+    };
+};
+
+const FORMAT_HEADERS = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const startDownload = (res, format, fileName) => {
+    if (format !== 'json') {
+        const date = new Date().toISOString().split('T')[0];
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${date}.${format}"`);
+    }
+    res.setHeader('Content-Type', FORMAT_HEADERS[format]);
+};
+
+// Un error después de empezar a enviar el archivo solo puede cortar la respuesta
+const abortReport = (res, err) => {
+    console.error('Error al exportar reporte:', err.message);
+    res.destroy(err);
+};
+
+// Enviar en el formato pedido un reporte ya armado en memoria (report.data y report.summary).
+// Solo para reportes de pocas filas; los listados usan streamReport.
+// columns: [{ key, header, width?, value? }] para las filas de report.data.
+const sendReport = (res, format, report, columns, fileName) => {
+    if (format !== 'csv' && format !== 'xlsx') {
+        return res.json(report);
+    }
+    
+    const { data, summary, ...header } = report;
+    
+    startDownload(res, format, fileName);
+    const writer = createWriter(res, format, header, columns);
+    data.forEach(writer.row);
+    writer.end(summary).catch(err => abortReport(res, err));
+};
+
+// Generar un reporte recorriendo la consulta por páginas: cada fila se escribe en la respuesta
+// conforme se lee y la siguiente página se pide cuando la respuesta libera su buffer, así el
+// reporte completo nunca está en memoria. Opciones:
+//   query, params   consulta con ORDER BY (se le agregan LIMIT y OFFSET)
+//   report          { title, generatedAt, filters, ... } sin data ni summary
+//   columns         columnas de CSV/XLSX, como en sendReport
+//   map(row)        transforma la fila; null la omite (opcional)
+//   collect(row)    acumula el resumen con cada fila escrita
+//   summary()       resumen final
+//   errorMessage    respuesta 500 si falla la primera consulta
+const streamReport = (db, res, format, options) => {
+    const { query, params, report, columns, fileName, map = row => row, collect, summary, errorMessage } = options;
+    let offset = 0;
+    let writer = null;
+    
+    const readPage = (callback) => {
+        db.all(`${query} LIMIT ? OFFSET ?`, [...params, PAGE_SIZE, offset], (err, rows) => {
+            offset += rows ? rows.length : 0;
+            callback(err, rows);
+        });
+    };
+    
+    const writePage = (err, rows) => {
+        if (err) {
+            if (!writer) return res.status(500).json({ message: errorMessage });
+            return abortReport(res, err);
+        }
+        
+        if (!writer) {
+            startDownload(res, format, fileName);
+            writer = createWriter(res, format, report, columns);
+        }
+        
+        rows.forEach(row => {
+            const data = map(row);
+            if (!data) return;
+            writer.row(data);
+            collect(data);
+        });
+        
+        if (rows.length < PAGE_SIZE) {
+            return writer.end(summary()).catch(err => abortReport(res, err));
+        }
+        
+        // El cliente cerró la conexión: no se leen más páginas
+        if (res.destroyed) return;
+        
+        if (res.writableNeedDrain) {
+            res.once('drain', () => readPage(writePage));
+        } else {
+            readPage(writePage);
+        }
+    };
+    
+    readPage(writePage);
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    checkReportFormat,
+    sendReport,
+    streamReport
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+const PDFDocument = require('pdfkit');
+
+// PDF del formato responsivo. Solo depende de los datos del formato: la fecha del documento
+// es la última actualización del formato y se usan las fuentes estándar (no se incrustan),
+// así el mismo formato produce siempre el mismo archivo para archivarlo o reimprimirlo.
+
+const HOTEL = {
+    name: 'Beachscape Kin Ha Villas & Suites',
+    address: 'Blvd. Kukulcán Km 8.5, Zona Hotelera, Cancún, Quintana Roo'
+};
+
+const STATUS_LABELS = {
+    pending: 'Pendiente de aprobación',
+    approved: 'Aprobado',
+    rejected: 'Rechazado'
+};
+
+const MARGIN = 50;
+const PAGE_WIDTH = 612;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// CURRENT_TIMESTAMP de SQLite (AAAA-MM-DD HH:MM:SS) está en UTC
+const parseDbDate = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+
+// DD/MM/AAAA sin depender de la zona horaria ni del idioma del servidor
+const formatDate = (value) => {
+    if (!value) return '';
+    const [year, month, day] = String(value).split(' ')[0].split('-');
+    return `${day}/${month}/${year}`;
+};
+
+const sectionTitle = (doc, title) => {
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#1f3b57').text(title.toUpperCase(), MARGIN);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + CONTENT_WIDTH, doc.y + 2).lineWidth(0.5).strokeColor('#1f3b57').stroke();
+    doc.moveDown(0.5);
+    doc.fillColor('black');
+};
+
+// Pares etiqueta/valor en dos columnas
+const fieldRows = (doc, fields) => {
+    const columnWidth = CONTENT_WIDTH / 2;
+    
+    for (let i = 0; i < fields.length; i += 2) {
+        const y = doc.y;
+        let bottom = y;
+        
+        fields.slice(i, i + 2).forEach(([label, value], index) => {
+            const x = MARGIN + index * columnWidth;
+            doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { width: columnWidth - 10, continued: true });
+            doc.font('Helvetica').text(` ${value || 'N/A'}`);
+            bottom = Math.max(bottom, doc.y);
+        });
+        
+        doc.y = bottom + 4;
+    }
+};
+
+const paragraph = (doc, title, text) => {
+    sectionTitle(doc, title);
+    doc.font('Helvetica').fontSize(9).text(text || 'Sin información', MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'justify' });
+};
+
+// Tres bloques de firma: quien entrega, quien recibe y quien autoriza
+const signatureBlocks = (doc, form) => {
+    const blocks = [
+        ['Entrega', form.previous_responsible_name, form.previous_department],
+        ['Recibe', form.new_responsible_name, form.new_department],
+        ['Autoriza', form.approved_by_name, null]
+    ];
+    const blockWidth = CONTENT_WIDTH / blocks.length;
+    
+    // Si no caben en la página se pasan completos a la siguiente
+    if (doc.y > 640) doc.addPage();
+    const y = doc.y + 60;
+    
+    blocks.forEach(([role, name, department], index) => {
+        const x = MARGIN + index * blockWidth;
+        doc.moveTo(x + 15, y).lineTo(x + blockWidth - 15, y).lineWidth(0.75).strokeColor('black').stroke();
+        doc.font('Helvetica-Bold').fontSize(9).text(role, x, y + 6, { width: blockWidth, align: 'center' });
+        doc.font('Helvetica').fontSize(8).text(name || 'Nombre y firma', x, y + 19, { width: blockWidth, align: 'center' });
+        if (department) {
+            doc.text(department, x, y + 30, { width: blockWidth, align: 'center' });
+        }
+    });
+    
+    doc.y = y + 45;
+};
+
+// Crear el documento; quien lo llama lo envía con doc.pipe(...) y doc.end()
+const buildResponsiveFormPdf = (form) => {
+    const documentDate = parseDbDate(form.updated_at || form.created_at);
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: MARGIN,
+        info: {
+            Title: `Formato Responsivo ${form.form_code}`,
+            Author: HOTEL.name,
+            Subject: `Responsiva del activo ${form.asset_code || ''}`.trim(),
+            CreationDate: documentDate,
+            ModDate: documentDate
+        }
+    });
+    
+    // Encabezado del hotel
+    doc.font('Helvetica-Bold').fontSize(16).text(HOTEL.name, MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(HOTEL.address, { width: CONTENT_WIDTH, align: 'center' });
+    doc.fillColor('black').moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).text('FORMATO RESPONSIVO DE ACTIVO', { width: CONTENT_WIDTH, align: 'center' });
+    doc.font('Helvetica').fontSize(10).text(`Folio: ${form.form_code}`, { width: CONTENT_WIDTH, align: 'center' });
+    
+    sectionTitle(doc, 'Datos del formato');
+    fieldRows(doc, [
+        ['Fecha de transferencia', formatDate(form.transfer_date)],
+        ['Estado', STATUS_LABELS[form.status] || form.status],
+        ['Fecha de elaboración', formatDate(form.created_at)],
+        ['Autorizado por', form.approved_by_name]
+    ]);
+    
+    sectionTitle(doc, 'Datos del activo');
+    fieldRows(doc, [
+        ['Código', form.asset_code],
+        ['Nombre', form.asset_name],
+        ['Marca', form.brand],
+        ['Modelo', form.model],
+        ['Número de serie', form.serial_number],
+        ['Ubicación', form.location]
+    ]);
+    if (form.description) {
+        doc.font('Helvetica-Bold').fontSize(9).text('Descripción:', MARGIN, doc.y, { continued: true });
+        doc.font('Helvetica').text(` ${form.description}`, { width: CONTENT_WIDTH });
+    }
+    
+    sectionTitle(doc, 'Responsables');
+    fieldRows(doc, [
+        ['Responsable anterior', form.previous_responsible_name || 'Sin responsable'],
+        ['Departamento', form.previous_department],
+        ['Nuevo responsable', form.new_responsible_name],
+        ['Departamento', form.new_department]
+    ]);
+    
+    paragraph(doc, 'Motivo de la transferencia', form.reason);
+    paragraph(doc, 'Condiciones del activo', form.conditions);
+    paragraph(doc, 'Observaciones', form.observations);
+    
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+        'El nuevo responsable recibe el activo descrito en las condiciones indicadas y se compromete a su resguardo, ' +
+        'buen uso y a reportar cualquier falla o extravío al departamento de Sistemas.',
+        MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'justify' }
+    );
+    doc.fillColor('black');
+    
+    signatureBlocks(doc, form);
+    
+    return doc;
+};
+
+module.exports = {
+    HOTEL,
+    buildResponsiveFormPdf
+};
\ No newline at end of file
@@ -0,0 +1,11 @@
+// Validador de express-validator: el rol debe existir en el catálogo de roles
+const isValidRole = (db) => (value) => new Promise((resolve, reject) => {
+    db.get(`SELECT id FROM roles WHERE name = ?`, [value], (err, role) => {
+        if (err || !role) return reject(new Error('Rol inválido'));
+        resolve(true);
+    });
+});
+
+module.exports = {
+    isValidRole
+};
\ No newline at end of file
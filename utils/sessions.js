@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Vigencia del refresh token en días (REFRESH_TOKEN_DAYS, 7 por omisión)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+// Solo se guarda el hash del refresh token
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Crear sesión para un usuario; el callback recibe { sessionId, refreshToken }
+const createSession = (db, userId, req, callback) => {
+    const refreshToken = generateRefreshToken();
+    
+    db.run(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, hashToken(refreshToken), req.headers['user-agent'] || null, req.ip, refreshExpiry()],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, { sessionId: this.lastID, refreshToken });
+        }
+    );
+};
+
+// Rotar el refresh token de una sesión. Si se presenta un token ya rotado se asume
+// que fue robado y la sesión se revoca. El callback recibe { session, refreshToken }
+// o null si el token no es válido.
+const rotateSession = (db, refreshToken, callback) => {
+    const tokenHash = hashToken(refreshToken);
+    
+    db.get(
+        `SELECT * FROM sessions WHERE refresh_token_hash = ? OR previous_token_hash = ?`,
+        [tokenHash, tokenHash],
+        (err, session) => {
+            if (err) return callback(err);
+            if (!session || session.revoked_at) return callback(null, null);
+            
+            if (session.refresh_token_hash !== tokenHash) {
+                return revokeSession(db, session.id, 'reuse', (err) => callback(err, null));
+            }
+            
+            if (new Date(session.expires_at) < new Date()) {
+                return revokeSession(db, session.id, 'expired', (err) => callback(err, null));
+            }
+            
+            const newToken = generateRefreshToken();
+            
+            db.run(
+                `UPDATE sessions SET
+                 previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+                 expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND refresh_token_hash = ?`,
+                [hashToken(newToken), refreshExpiry(), session.id, tokenHash],
+                function(err) {
+                    if (err) return callback(err);
+                    if (this.changes === 0) return callback(null, null);
+                    callback(null, { session, refreshToken: newToken });
+                }
+            );
+        }
+    );
+};
+
+const revokeSession = (db, sessionId, reason, callback) => {
+    db.run(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [reason, sessionId],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes);
+        }
+    );
+};
+
+// Revocar todas las sesiones de un usuario, opcionalmente excepto la actual
+const revokeUserSessions = (db, userId, reason, exceptSessionId, callback) => {
+    db.run(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+        [reason, userId, exceptSessionId || 0],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes);
+        }
+    );
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions
+};
\ No newline at end of file
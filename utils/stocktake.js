@@ -0,0 +1,105 @@
+const { PATH_SEPARATOR } = require('./locations');
+
+// Conciliación de inventarios físicos: compara los activos esperados de la sesión con los
+// códigos escaneados y la ubicación donde se encontró cada activo.
+
+// Las ubicaciones sin catálogo se capturan a mano; "Villa 12 " y "villa 12" son la misma
+const normalizeLocation = (location) => (location ? String(location).trim().toLowerCase().replace(/\s+/g, ' ') : '');
+
+// La ubicación es el área indicada o está dentro de ella según su ruta: un activo en
+// "Kin Ha > Edificio B > 204" está en "Kin Ha > Edificio B"
+const isWithinLocation = (location, area) => {
+    const key = normalizeLocation(location);
+    const areaKey = normalizeLocation(area);
+    return key === areaKey || key.startsWith(`${areaKey}${PATH_SEPARATOR}`);
+};
+
+// Resultado: { found, missing, wrongLocation, unknown, summary }. Un activo escaneado sin
+// ubicación, o en un área que contiene la suya, se considera en su lugar; los activos fuera
+// del alcance de la sesión solo se reportan si se encontraron en otra ubicación.
+const getReconciliation = (db, sessionId, callback) => {
+    const queries = {
+        expected: new Promise((resolve, reject) => {
+            db.all(
+                `SELECT si.asset_id, a.asset_code, a.name, a.status, a.location as current_location,
+                    si.expected_location, s.id as scan_id, s.found_location, s.found_location_id, s.scanned_at,
+                    u.full_name as scanned_by_name
+                 FROM stocktake_items si
+                 JOIN assets a ON si.asset_id = a.id
+                 LEFT JOIN stocktake_scans s ON s.session_id = si.session_id AND s.asset_id = si.asset_id
+                 LEFT JOIN users u ON s.scanned_by = u.id
+                 WHERE si.session_id = ?
+                 ORDER BY a.asset_code ASC`,
+                [sessionId],
+                (err, rows) => (err ? reject(err) : resolve(rows))
+            );
+        }),
+        others: new Promise((resolve, reject) => {
+            db.all(
+                `SELECT s.id as scan_id, s.asset_code as scanned_code, s.asset_id, a.asset_code, a.name, a.status,
+                    a.location as current_location, s.found_location, s.found_location_id, s.scanned_at,
+                    u.full_name as scanned_by_name
+                 FROM stocktake_scans s
+                 LEFT JOIN assets a ON s.asset_id = a.id
+                 LEFT JOIN users u ON s.scanned_by = u.id
+                 WHERE s.session_id = ? AND (s.asset_id IS NULL OR s.asset_id NOT IN (
+                    SELECT asset_id FROM stocktake_items WHERE session_id = ?
+                 ))
+                 ORDER BY s.asset_code ASC`,
+                [sessionId, sessionId],
+                (err, rows) => (err ? reject(err) : resolve(rows))
+            );
+        })
+    };
+    
+    Promise.all([queries.expected, queries.others])
+        .then(([expected, others]) => {
+            const found = [];
+            const missing = [];
+            const wrongLocation = [];
+            const unknown = [];
+            
+            expected.forEach(item => {
+                if (!item.scan_id) {
+                    missing.push(item);
+                } else if (item.found_location && !isWithinLocation(item.current_location, item.found_location)) {
+                    wrongLocation.push({ ...item, expected: true });
+                } else {
+                    found.push(item);
+                }
+            });
+            
+            others.forEach(scan => {
+                if (!scan.asset_id) {
+                    unknown.push({ scan_id: scan.scan_id, asset_code: scan.scanned_code, found_location: scan.found_location,
+                        scanned_at: scan.scanned_at, scanned_by_name: scan.scanned_by_name });
+                } else if (scan.found_location && !isWithinLocation(scan.current_location, scan.found_location)) {
+                    wrongLocation.push({ ...scan, expected: false });
+                } else {
+                    found.push({ ...scan, expected: false });
+                }
+            });
+            
+            callback(null, {
+                found,
+                missing,
+                wrongLocation,
+                unknown,
+                summary: {
+                    expected: expected.length,
+                    scanned: expected.filter(item => item.scan_id).length + others.length,
+                    found: found.length,
+                    missing: missing.length,
+                    wrongLocation: wrongLocation.length,
+                    unknown: unknown.length
+                }
+            });
+        })
+        .catch(err => callback(err));
+};
+
+module.exports = {
+    normalizeLocation,
+    isWithinLocation,
+    getReconciliation
+};
\ No newline at end of file
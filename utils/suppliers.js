@@ -0,0 +1,53 @@
+// Sufijos societarios que no distinguen a un proveedor ("S.A. de C.V.", "S. de R.L.", "Inc.")
+const CORPORATE_SUFFIXES = ['s', 'a', 'de', 'c', 'v', 'sa', 'cv', 'r', 'l', 'rl', 'sapi', 'sab', 'sc', 'inc', 'ltd', 'llc', 'co'];
+
+// Clave normalizada de un nombre de proveedor: "OfficeDepot SA" y "Office Depot" producen "officedepot"
+const normalizeSupplierName = (name) => {
+    if (!name) return '';
+    
+    const words = name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+    
+    while (words.length > 1 && CORPORATE_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    
+    return words.join('');
+};
+
+// Resolver el proveedor de un registro a partir de supplier_id o del nombre en texto libre.
+// Devuelve { supplier_id, supplier } o null si el supplier_id no existe.
+const resolveSupplier = (db, supplierId, supplierName, callback) => {
+    if (supplierId) {
+        return db.get(`SELECT id, name FROM suppliers WHERE id = ?`, [supplierId], (err, supplier) => {
+            if (err) return callback(err);
+            if (!supplier) return callback(null, null);
+            callback(null, { supplier_id: supplier.id, supplier: supplier.name });
+        });
+    }
+    
+    const normalized = normalizeSupplierName(supplierName);
+    
+    if (!normalized) {
+        return callback(null, { supplier_id: null, supplier: null });
+    }
+    
+    db.get(`SELECT id, name FROM suppliers WHERE normalized_name = ?`, [normalized], (err, supplier) => {
+        if (err) return callback(err);
+        
+        callback(null, supplier
+            ? { supplier_id: supplier.id, supplier: supplier.name }
+            : { supplier_id: null, supplier: supplierName });
+    });
+};
+
+module.exports = {
+    normalizeSupplierName,
+    resolveSupplier
+};
\ No newline at end of file
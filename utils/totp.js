@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// TOTP según RFC 6238: HMAC-SHA1, pasos de 30 segundos y códigos de 6 dígitos
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Los secretos se guardan cifrados (TOTP_ENCRYPTION_KEY o, en su defecto, JWT_SECRET)
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'siaf_hotel_beachscape_secret_2024')
+    .digest();
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const bits = input.toUpperCase().replace(/[^A-Z2-7]/g, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Código para un paso de tiempo (RFC 4226, truncamiento dinámico)
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+    
+    return (binary % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Verificar un código con tolerancia de un paso; devuelve el paso usado o null.
+// Los pasos iguales o anteriores a lastUsedStep se rechazan para impedir reutilizar un código.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+    
+    const now = currentStep();
+    for (const step of [now, now - 1, now + 1]) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// URI de aprovisionamiento para Google Authenticator, Authy, etc.
+const getProvisioningUri = (secret, accountName, issuer = process.env.APP_NAME || 'SIAF') => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Códigos de recuperación de un solo uso (formato xxxxx-xxxxx)
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    base32Encode,
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    getProvisioningUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptSecret,
+    decryptSecret
+};
\ No newline at end of file
@@ -0,0 +1,84 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// Las transacciones usan una conexión propia por archivo de base de datos: en la conexión
+// compartida del router, las consultas de otras peticiones que llegaran entre BEGIN y COMMIT
+// quedarían dentro de la transacción (y un ROLLBACK también las desharía). En esa conexión las
+// transacciones se ejecutan una a la vez, en orden de llegada.
+
+// Milisegundos que una conexión espera a que otra libere la base antes de fallar con SQLITE_BUSY
+const BUSY_TIMEOUT = 5000;
+
+// archivo → { connection, queue }
+const transactionConnections = new Map();
+
+const getTransactionConnection = (db) => {
+    if (!transactionConnections.has(db.filename)) {
+        // Una base en memoria no se puede abrir dos veces; se usa la misma conexión
+        const inMemory = !db.filename || db.filename === ':memory:';
+        const connection = inMemory ? db : new sqlite3.Database(db.filename);
+        
+        connection.configure('busyTimeout', BUSY_TIMEOUT);
+        transactionConnections.set(db.filename, { connection, queue: Promise.resolve() });
+    }
+    
+    // Las consultas del router esperan a que termine el COMMIT en lugar de fallar
+    db.configure('busyTimeout', BUSY_TIMEOUT);
+    
+    return transactionConnections.get(db.filename);
+};
+
+// BEGIN, sentencias en orden y COMMIT; cualquier error revierte y se entrega a done
+const executeTransaction = (connection, statements, done) => {
+    connection.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+        if (err) return done(err);
+        
+        const results = [];
+        let failed = null;
+        
+        const rollback = (cause) => {
+            connection.run('ROLLBACK', (rollbackErr) => {
+                if (rollbackErr) {
+                    console.error('Error al revertir transacción:', rollbackErr.message);
+                }
+                done(cause);
+            });
+        };
+        
+        connection.serialize(() => {
+            statements.forEach(([sql, params = []], index) => {
+                connection.run(sql, params, function(err) {
+                    if (err && !failed) failed = err;
+                    results[index] = err ? null : { lastID: this.lastID, changes: this.changes };
+                });
+            });
+            
+            // Esta consulta se resuelve después de todas las sentencias anteriores
+            connection.get('SELECT 1', () => {
+                if (failed) return rollback(failed);
+                
+                connection.run('COMMIT', (err) => {
+                    if (err) return rollback(err);
+                    done(null, results);
+                });
+            });
+        });
+    });
+};
+
+// Ejecutar una lista de sentencias [sql, params] dentro de una transacción.
+// Si alguna falla se revierte todo; el callback recibe { lastID, changes } de cada sentencia.
+const runTransaction = (db, statements, callback) => {
+    const target = getTransactionConnection(db);
+    
+    target.queue = target.queue.then(() => new Promise(resolve => {
+        executeTransaction(target.connection, statements, (err, results) => {
+            resolve();
+            // Fuera de la promesa: un error del callback no detiene la cola
+            setImmediate(() => callback(err, results));
+        });
+    }));
+};
+
+module.exports = {
+    runTransaction
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+
+// Códigos de recuperación generados por usuario
+const RECOVERY_CODES_COUNT = 10;
+
+// Indica si el rol exige autenticación de dos factores
+const roleRequiresTwoFactor = (db, role, callback) => {
+    db.get(`SELECT require_2fa FROM roles WHERE name = ?`, [role], (err, row) => {
+        if (err) return callback(err);
+        callback(null, Boolean(row && row.require_2fa));
+    });
+};
+
+// Nuevos códigos de recuperación; devuelve los códigos en claro y las sentencias
+// para runTransaction que reemplazan los anteriores (solo se guarda el hash)
+const buildRecoveryCodes = (userId) => {
+    const codes = generateRecoveryCodes(RECOVERY_CODES_COUNT);
+    
+    return {
+        codes,
+        statements: [
+            [`DELETE FROM two_factor_recovery_codes WHERE user_id = ?`, [userId]],
+            ...codes.map(code => [
+                `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)`,
+                [userId, hashRecoveryCode(code)]
+            ])
+        ]
+    };
+};
+
+// Sentencias para desactivar la autenticación de dos factores de un usuario
+const buildTwoFactorReset = (userId) => [
+    [`UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL, totp_last_step = NULL,
+      updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [userId]],
+    [`DELETE FROM two_factor_recovery_codes WHERE user_id = ?`, [userId]]
+];
+
+// Consumir un código de recuperación. El callback recibe los códigos restantes
+// o null si el código no es válido o ya se usó.
+const consumeRecoveryCode = (db, userId, code, callback) => {
+    db.run(
+        `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashRecoveryCode(code)],
+        function(err) {
+            if (err) return callback(err);
+            if (this.changes === 0) return callback(null, null);
+            countRecoveryCodes(db, userId, callback);
+        }
+    );
+};
+
+const countRecoveryCodes = (db, userId, callback) => {
+    db.get(
+        `SELECT COUNT(*) as remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL`,
+        [userId],
+        (err, row) => {
+            if (err) return callback(err);
+            callback(null, row.remaining);
+        }
+    );
+};
+
+module.exports = {
+    roleRequiresTwoFactor,
+    buildRecoveryCodes,
+    buildTwoFactorReset,
+    consumeRecoveryCode,
+    countRecoveryCodes
+};
\ No newline at end of file